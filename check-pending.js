@@ -6,6 +6,8 @@
  *   node check-pending.js         # Show pending operations
  *   node check-pending.js clear   # Clear all pending operations
  *   node check-pending.js verify  # Verify pending transactions on-chain
+ *   node check-pending.js history # Show the operations journal
+ *   node check-pending.js locks   # Show wallet locks held by workers
  */
 
 require('dotenv').config();
@@ -16,6 +18,8 @@ const {
   checkPendingOps,
   verifyTransaction
 } = require('./src/lib/recovery');
+const { getOperations } = require('./src/lib/database');
+const { getLocks } = require('./src/lib/walletLock');
 
 async function main() {
   const command = process.argv[2];
@@ -28,6 +32,41 @@ async function main() {
     return;
   }
   
+  if (command === 'locks') {
+    const locks = getLocks();
+    const now = Date.now();
+    
+    console.log('🔒 Wallet Locks:\n');
+    locks.forEach(lock => {
+      const status = lock.expires_at > now
+        ? `expires in ${Math.ceil((lock.expires_at - now) / 1000)}s`
+        : 'STALE (will be taken over)';
+      console.log(`${lock.name}  ${lock.owner}  ${status}`);
+    });
+    
+    if (locks.length === 0) {
+      console.log('No locks held');
+    }
+    return;
+  }
+  
+  if (command === 'history') {
+    const rows = getOperations({ limit: parseInt(process.argv[3]) || 50 });
+    
+    console.log('📜 Operations Journal (newest first):\n');
+    rows.forEach(row => {
+      const txs = [row.collect_tx, row.buy_tx, row.burn_tx].filter(Boolean).join(', ');
+      console.log(`${row.created_at}  ${row.op_id}  ${row.state.toUpperCase()}${txs ? `  [${txs}]` : ''}`);
+      if (row.error) console.log(`    Error: ${row.error}`);
+      if (row.note) console.log(`    Note: ${row.note}`);
+    });
+    
+    if (rows.length === 0) {
+      console.log('No operations recorded yet');
+    }
+    return;
+  }
+  
   const state = loadPendingOps();
   
   console.log('📋 Current State:');
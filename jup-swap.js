@@ -9,22 +9,13 @@
  *   node jup-swap.js quote 0.1   # Get quote only
  */
 
-const { Keypair, VersionedTransaction } = require('@solana/web3.js');
-const bs58 = require('bs58');
+const { VersionedTransaction } = require('@solana/web3.js');
+const { getSigner } = require('./src/lib/signer');
 require('dotenv').config();
 
 const SOL_MINT = 'So11111111111111111111111111111111111111112';
 const JUPITER_ULTRA_API = 'https://api.jup.ag/ultra/v1';
 
-function loadWallet() {
-  const privateKey = process.env.WALLET_PRIVATE_KEY;
-  if (privateKey.startsWith('[') || privateKey.includes(',')) {
-    const keyArray = JSON.parse(privateKey.startsWith('[') ? privateKey : `[${privateKey}]`);
-    return Keypair.fromSecretKey(new Uint8Array(keyArray));
-  }
-  return Keypair.fromSecretKey(bs58.decode(privateKey));
-}
-
 async function getOrder(inputMint, outputMint, amount, taker) {
   const params = new URLSearchParams({
     inputMint,
@@ -67,7 +58,7 @@ async function buyTokens(wallet, tokenAddress, solAmount) {
   // Sign and execute
   const txBuffer = Buffer.from(order.transaction, 'base64');
   const tx = VersionedTransaction.deserialize(txBuffer);
-  tx.sign([wallet]);
+  await wallet.signTransaction(tx);
   
   const signedTx = Buffer.from(tx.serialize()).toString('base64');
   const result = await executeSwap(signedTx, order.requestId);
@@ -100,7 +91,7 @@ async function sellTokens(wallet, tokenAddress, tokenAmount) {
   
   const txBuffer = Buffer.from(order.transaction, 'base64');
   const tx = VersionedTransaction.deserialize(txBuffer);
-  tx.sign([wallet]);
+  await wallet.signTransaction(tx);
   
   const signedTx = Buffer.from(tx.serialize()).toString('base64');
   const result = await executeSwap(signedTx, order.requestId);
@@ -141,7 +132,7 @@ async function getQuote(wallet, tokenAddress, solAmount) {
 }
 
 async function main() {
-  const wallet = loadWallet();
+  const wallet = await getSigner('buyback').unlock();
   const tokenAddress = process.env.TOKEN_ADDRESS;
   
   console.log('🚀 Jupiter Ultra Swap');
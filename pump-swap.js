@@ -12,9 +12,7 @@
 const { 
     Connection, 
     PublicKey, 
-    Keypair, 
     Transaction,
-    sendAndConfirmTransaction,
     ComputeBudgetProgram
   } = require('@solana/web3.js');
   const { 
@@ -22,28 +20,18 @@ const {
     createAssociatedTokenAccountInstruction,
     TOKEN_PROGRAM_ID
   } = require('@solana/spl-token');
-  const bs58 = require('bs58');
   const BN = require('bn.js');
+  const { getSigner } = require('./src/lib/signer');
+  const { sendTransaction } = require('./src/lib/solana');
   require('dotenv').config();
   
-  // Load wallet
-  function loadWallet() {
-    const privateKey = process.env.WALLET_PRIVATE_KEY;
-    if (privateKey.startsWith('[') || privateKey.includes(',')) {
-      const keyArray = JSON.parse(privateKey.startsWith('[') ? privateKey : `[${privateKey}]`);
-      return Keypair.fromSecretKey(new Uint8Array(keyArray));
-    } else {
-      return Keypair.fromSecretKey(bs58.decode(privateKey));
-    }
-  }
-  
   async function main() {
     const args = process.argv.slice(2);
     const command = args[0]?.toLowerCase();
     const amount = parseFloat(args[1]);
     
     const connection = new Connection(process.env.HELIUS_RPC_URL || 'https://api.devnet.solana.com', 'confirmed');
-    const wallet = loadWallet();
+    const wallet = await getSigner('buyback').unlock();
     const tokenMint = new PublicKey(process.env.TOKEN_ADDRESS);
     
     console.log('🚀 PumpSwap AMM Test');
@@ -225,15 +213,11 @@ const {
       
       buyIxs.forEach(ix => tx.add(ix));
       
-      // Send transaction
-      const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash();
-      tx.recentBlockhash = blockhash;
-      tx.feePayer = wallet.publicKey;
-      
+      // Send transaction (sendTransaction sets the blockhash and fee payer)
       console.log(`📤 Sending transaction...`);
-      const signature = await sendAndConfirmTransaction(connection, tx, [wallet], {
+      const signature = await sendTransaction(connection, tx, wallet, {
         commitment: 'confirmed',
-        maxRetries: 3
+        label: 'pumpswap_buy'
       });
       
       console.log(`\n✅ Buy successful!`);
@@ -297,15 +281,11 @@ const {
       
       sellIxs.forEach(ix => tx.add(ix));
       
-      // Send transaction
-      const { blockhash } = await connection.getLatestBlockhash();
-      tx.recentBlockhash = blockhash;
-      tx.feePayer = wallet.publicKey;
-      
+      // Send transaction (sendTransaction sets the blockhash and fee payer)
       console.log(`📤 Sending transaction...`);
-      const signature = await sendAndConfirmTransaction(connection, tx, [wallet], {
+      const signature = await sendTransaction(connection, tx, wallet, {
         commitment: 'confirmed',
-        maxRetries: 3
+        label: 'pumpswap_sell'
       });
       
       console.log(`\n✅ Sell successful!`);
@@ -0,0 +1,51 @@
+/**
+ * Admin Status API Route
+ * GET /api/admin/status - Buyback circuit breaker, spending limits, strategy cycles, in-flight operations and recent tx fees
+ * Requires Authorization: Bearer <ADMIN_API_TOKEN>
+ */
+import { NextResponse } from 'next/server';
+import { isAdminEnabled, isAdminRequest } from '@/lib/adminAuth';
+import { getBuybackGuardStatus } from '@/lib/buybackGuard';
+import { getStrategyOptions, getCarryoverSol, getBuybackCycles } from '@/lib/buybackStrategy';
+import { loadPendingOps } from '@/lib/recovery';
+import { getTxFees } from '@/lib/database';
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
+  if (!isAdminEnabled()) {
+    return NextResponse.json({ success: false, error: 'Not found' }, { status: 404 });
+  }
+  
+  if (!isAdminRequest(request)) {
+    return NextResponse.json({ success: false, error: 'Unauthorized' }, { status: 401 });
+  }
+  
+  try {
+    const { breaker, limits, spending } = getBuybackGuardStatus();
+    
+    return NextResponse.json({
+      success: true,
+      buyback: {
+        paused: breaker.state === 'open',
+        breaker,
+        limits,
+        spending,
+        strategy: {
+          ...getStrategyOptions(),
+          carryoverSol: getCarryoverSol(),
+          recentCycles: getBuybackCycles(10)
+        }
+      },
+      pendingOps: loadPendingOps(),
+      recentFees: getTxFees(10),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching admin status:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to fetch admin status' },
+      { status: 500 }
+    );
+  }
+}
\ No newline at end of file
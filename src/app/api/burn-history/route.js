@@ -0,0 +1,39 @@
+/**
+ * Burn History API Route
+ * GET /api/burn-history - Chart series: cumulative burned per type and SOL spent per day
+ *
+ * Query params:
+ *   range     - 24h, 7d (default), 30d or all
+ *   simulated - true to read dry-run burns instead
+ */
+import { NextResponse } from 'next/server';
+import { RANGES, getBurnChartData } from '@/lib/burnTimeline';
+
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const range = searchParams.get('range') || '7d';
+    const simulated = searchParams.get('simulated') === 'true';
+    
+    if (!RANGES[range]) {
+      return NextResponse.json(
+        { success: false, error: `Invalid range: ${range}. Use ${Object.keys(RANGES).join(', ')}` },
+        { status: 400 }
+      );
+    }
+    
+    const history = getBurnChartData({ range, simulated });
+    
+    return NextResponse.json({
+      success: true,
+      simulated,
+      ...history
+    });
+  } catch (error) {
+    console.error('Error fetching burn history:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to fetch burn history' },
+      { status: 500 }
+    );
+  }
+}
\ No newline at end of file
@@ -1,21 +1,29 @@
 /**
  * Burn Stats API Route
  * GET /api/burn-stats - Get comprehensive burn statistics
+ * Pass ?simulated=true to compute them over dry-run burns instead
  */
 import { NextResponse } from 'next/server';
 import { getBurnStats, getMilestoneStats } from '@/lib/database';
+import { getSupply } from '@/lib/supply';
 
-export async function GET() {
+export async function GET(request) {
   try {
-    const stats = getBurnStats();
+    const { searchParams } = new URL(request.url);
+    const simulated = searchParams.get('simulated') === 'true';
+    
+    const stats = getBurnStats({ simulated });
     const milestoneStats = getMilestoneStats();
+    const supply = await getSupply({ simulated });
     
     return NextResponse.json({
       success: true,
+      simulated,
       totalBurned: stats.totalBurned,
-      circulatingSupply: stats.circulatingSupply,
-      initialSupply: stats.initialSupply,
-      burnPercentage: stats.burnPercentage,
+      circulatingSupply: supply.current.raw,
+      initialSupply: supply.initial.raw,
+      burnPercentage: supply.percentBurned.byUs,
+      supply,
       burnsByType: stats.burnsByType,
       burns24h: stats.burns24h,
       recentBurns: stats.recentBurns.map(burn => ({
@@ -0,0 +1,38 @@
+/**
+ * Burn Detail API Route
+ * GET /api/burns/[id] - One burn with its decoded on-chain proof
+ * Pass ?simulated=true to read a dry-run burn instead
+ */
+import { NextResponse } from 'next/server';
+import { getBurnProof } from '@/lib/burnProof';
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(request, { params }) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const simulated = searchParams.get('simulated') === 'true';
+    const id = /^\d+$/.test(params.id) ? parseInt(params.id) : null;
+    
+    if (!id) {
+      return NextResponse.json({ success: false, error: 'Invalid burn id' }, { status: 400 });
+    }
+    
+    const proof = await getBurnProof(id, { simulated });
+    
+    if (!proof) {
+      return NextResponse.json({ success: false, error: 'Burn not found' }, { status: 404 });
+    }
+    
+    return NextResponse.json({
+      success: true,
+      ...proof
+    });
+  } catch (error) {
+    console.error('Error fetching burn:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to fetch burn' },
+      { status: 500 }
+    );
+  }
+}
\ No newline at end of file
@@ -0,0 +1,75 @@
+/**
+ * Burn Export API Route
+ * GET /api/burns/export - Download the burn ledger
+ *
+ * Query params:
+ *   format    - csv (default), json or ndjson
+ *   from, to  - date range (ISO or YYYY-MM-DD; a date-only `to` includes that day)
+ *   type, minAmount, maxAmount, milestone - same filters as /api/burns
+ *   simulated - true to export dry-run burns instead
+ */
+import { NextResponse } from 'next/server';
+import { EXPORT_FORMATS, exportBurns, exportFileName } from '@/lib/burnExport';
+import { parseBurnFilters } from '@/lib/burnQuery';
+import { getSupply } from '@/lib/supply';
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
+
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const format = searchParams.get('format') || 'csv';
+    const simulated = searchParams.get('simulated') === 'true';
+    
+    if (!EXPORT_FORMATS[format]) {
+      return NextResponse.json(
+        { error: `Invalid format: ${format}. Use ${Object.keys(EXPORT_FORMATS).join(', ')}` },
+        { status: 400 }
+      );
+    }
+    
+    const { error, filters } = parseBurnFilters(searchParams);
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+    
+    const { decimals } = await getSupply();
+    const chunks = exportBurns({ format, filters, simulated, decimals });
+    const encoder = new TextEncoder();
+    
+    // Pull one chunk at a time so slow clients don't buffer the whole ledger
+    const stream = new ReadableStream({
+      pull(controller) {
+        try {
+          const { value, done } = chunks.next();
+          if (done) {
+            controller.close();
+          } else {
+            controller.enqueue(encoder.encode(value));
+          }
+        } catch (error) {
+          console.error('Error exporting burns:', error);
+          controller.error(error);
+        }
+      },
+      cancel() {
+        chunks.return();
+      }
+    });
+    
+    return new Response(stream, {
+      headers: {
+        'Content-Type': EXPORT_FORMATS[format].contentType,
+        'Content-Disposition': `attachment; filename="${exportFileName(format, simulated)}"`,
+        'Cache-Control': 'no-store'
+      }
+    });
+  } catch (error) {
+    console.error('Error exporting burns:', error);
+    return NextResponse.json(
+      { error: 'Failed to export burns' },
+      { status: 500 }
+    );
+  }
+}
\ No newline at end of file
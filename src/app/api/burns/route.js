@@ -1,46 +1,70 @@
 /**
  * Burns API Route
- * GET /api/burns - Get burn history with pagination
+ * GET /api/burns - Get burn history with filters, sorting and pagination
+ * Pass ?simulated=true to read dry-run burns instead
+ *
+ * Query params:
+ *   type                 - milestone or buyback
+ *   from, to             - date range (ISO or YYYY-MM-DD; a date-only `to` includes that day)
+ *   minAmount, maxAmount - burn amount range (raw units)
+ *   milestone            - milestone target market cap
+ *   sort, order          - time (default) or amount, desc (default) or asc
+ *   limit                - page size (default 50, max 500)
+ *   cursor               - pagination.nextCursor from the previous page (takes precedence over page)
+ *   page                 - page number for offset pagination
+ *   include              - sum: totals over the whole filtered set
  */
 import { NextResponse } from 'next/server';
-import { getBurns, getTotalBurned } from '@/lib/database';
+import { getBurns, countBurns, getBurnSummary } from '@/lib/database';
+import { formatBurn } from '@/lib/burnFormat';
+import { parseBurnQuery, encodeCursor } from '@/lib/burnQuery';
 
 export async function GET(request) {
   try {
     const { searchParams } = new URL(request.url);
-    const limit = parseInt(searchParams.get('limit') || '50');
-    const page = parseInt(searchParams.get('page') || '1');
-    const burnType = searchParams.get('type') || null;
+    const query = parseBurnQuery(searchParams);
     
-    const offset = (page - 1) * limit;
+    if (query.error) {
+      return NextResponse.json({ error: query.error }, { status: 400 });
+    }
     
-    const burns = getBurns({ limit, offset, burnType });
-    const total = getTotalBurned();
+    const { filters, sort, order, limit, page, after, include, simulated } = query;
     
-    // Format burns for frontend
-    const formattedBurns = burns.map(burn => ({
-      id: burn.id,
-      burnType: burn.burn_type,
-      burnAmount: burn.burn_amount,
-      txSignature: burn.tx_signature,
-      marketCap: burn.market_cap_at_burn,
-      solPrice: burn.sol_price_at_burn,
-      tokenPrice: burn.token_price_at_burn,
-      milestoneTarget: burn.milestone_target,
-      solSpent: burn.sol_spent,
-      tokensBought: burn.tokens_bought,
-      timestamp: burn.created_at
-    }));
+    // Fetch one extra row to know whether there is another page
+    const rows = getBurns({
+      ...filters,
+      sort,
+      order,
+      after,
+      limit: limit + 1,
+      offset: (page - 1) * limit,
+      simulated
+    });
+    const hasMore = rows.length > limit;
+    const burns = rows.slice(0, limit);
+    const total = countBurns({ ...filters, simulated });
     
-    return NextResponse.json({
-      burns: formattedBurns,
+    const response = {
+      // Format burns for frontend
+      burns: burns.map(formatBurn),
+      simulated,
+      sort,
+      order,
       pagination: {
-        total: burns.length,
-        page,
+        total,
         limit,
-        pages: Math.ceil(burns.length / limit)
+        page: after ? null : page,
+        pages: Math.ceil(total / limit),
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(burns[burns.length - 1], sort) : null
       }
-    });
+    };
+    
+    if (include.includes('sum')) {
+      response.sum = getBurnSummary({ ...filters, simulated });
+    }
+    
+    return NextResponse.json(response);
   } catch (error) {
     console.error('Error fetching burns:', error);
     return NextResponse.json(
@@ -48,4 +72,4 @@ export async function GET(request) {
       { status: 500 }
     );
   }
-}
+}
\ No newline at end of file
@@ -3,18 +3,31 @@
  * GET /api/metrics - Get token metrics and price data
  */
 import { NextResponse } from 'next/server';
-import { getTotalBurned, getLatestMetrics } from '@/lib/database';
+import { getLatestMetrics } from '@/lib/database';
 import { getTokenMetrics, refreshPrice } from '@/lib/priceOracle';
+import { getSupply } from '@/lib/supply';
 
 export async function GET() {
   try {
-    const priceData = await getTokenMetrics();
-    const totalBurned = getTotalBurned();
     const latestMetrics = getLatestMetrics();
+    const supply = await getSupply();
     
-    const initialSupply = parseInt(process.env.INITIAL_SUPPLY) || 1000000000;
-    const circulatingSupply = initialSupply - totalBurned;
-    const burnPercentage = ((totalBurned / initialSupply) * 100).toFixed(2);
+    // The oracle refuses to price the token when its sources disagree
+    let priceData;
+    try {
+      priceData = await getTokenMetrics();
+    } catch (error) {
+      console.error('Price unavailable:', error.message);
+      return NextResponse.json({
+        price: null,
+        priceError: error.message,
+        marketCap: null,
+        marketCapSol: null,
+        supply,
+        lastUpdate: latestMetrics?.created_at || new Date().toISOString(),
+        timestamp: new Date().toISOString()
+      });
+    }
     
     return NextResponse.json({
       price: {
@@ -22,17 +35,13 @@ export async function GET() {
         priceInUsd: priceData.priceInUsd,
         solPriceUsd: priceData.solPriceUsd,
         source: priceData.source,
+        sources: priceData.sources,
         isGraduated: priceData.isGraduated,
         cached: priceData.cached || false
       },
       marketCap: priceData.marketCap,
       marketCapSol: priceData.marketCapSol,
-      supply: {
-        initial: initialSupply,
-        circulating: circulatingSupply,
-        burned: totalBurned,
-        burnPercentage
-      },
+      supply,
       lastUpdate: latestMetrics?.created_at || new Date().toISOString(),
       timestamp: new Date().toISOString()
     });
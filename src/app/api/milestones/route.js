@@ -1,10 +1,13 @@
 /**
  * Milestones API Route
  * GET /api/milestones - Get milestone status and progress
+ * Each milestone includes its trigger confirmation ("arming") status
  */
 import { NextResponse } from 'next/server';
 import { getMilestones, getMilestoneStats } from '@/lib/database';
 import { getMarketCap } from '@/lib/priceOracle';
+import { getArmingStatus } from '@/lib/milestoneConfirmation';
+import { getMilestoneTokens } from '@/lib/milestoneSchedule';
 
 export async function GET() {
   try {
@@ -12,26 +15,33 @@ export async function GET() {
     const stats = getMilestoneStats();
     
     let currentMarketCap = 0;
+    let priceError = null;
     try {
       currentMarketCap = await getMarketCap();
     } catch (e) {
+      // e.g. price sources disagree - never report a milestone as eligible on a bad quote
       console.error('Error fetching market cap:', e);
+      priceError = e.message;
     }
     
     // Enhance milestones with progress info
     const enhancedMilestones = milestones.map(m => {
       const isEligible = currentMarketCap >= m.market_cap;
       const isPending = isEligible && !m.completed;
+      const arming = getArmingStatus(m);
       
       return {
         marketCap: m.market_cap,
-        burnAmount: m.burn_amount,
+        amountBasis: m.amount_basis,
+        burnAmount: getMilestoneTokens(m),
         percentOfSupply: m.percent_of_supply,
         completed: m.completed === 1,
         completedAt: m.completed_at,
         txSignature: m.tx_signature,
         isEligible,
-        isPending
+        isPending,
+        isArming: arming.state === 'arming',
+        arming
       };
     });
     
@@ -44,6 +54,7 @@ export async function GET() {
     return NextResponse.json({
       milestones: enhancedMilestones,
       currentMarketCap,
+      priceError,
       nextMilestone: nextMilestone || null,
       progress: progress.toFixed(2),
       stats: {
@@ -0,0 +1,40 @@
+/**
+ * Price History API Route
+ * GET /api/price-history - OHLC candles from stored price samples
+ *
+ * Query params:
+ *   range    - 24h (default), 7d or 30d
+ *   interval - candle size, e.g. 5m, 1h, 1d (default depends on range)
+ *   metric   - marketCap (default), marketCapSol, priceUsd or priceSol
+ */
+import { NextResponse } from 'next/server';
+import { getPriceHistory, resolveHistoryParams } from '@/lib/priceHistory';
+
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const params = {
+      range: searchParams.get('range') || '24h',
+      interval: searchParams.get('interval') || undefined,
+      metric: searchParams.get('metric') || 'marketCap'
+    };
+    
+    const { error } = resolveHistoryParams(params);
+    if (error) {
+      return NextResponse.json({ success: false, error }, { status: 400 });
+    }
+    
+    const history = getPriceHistory(params);
+    
+    return NextResponse.json({
+      success: true,
+      ...history
+    });
+  } catch (error) {
+    console.error('Error fetching price history:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to fetch price history' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,23 @@
+/**
+ * Reserve API Route
+ * GET /api/reserve - Reserve wallet balance vs remaining milestone obligations
+ */
+import { NextResponse } from 'next/server';
+import { getReserveStatus } from '@/lib/reserve';
+
+export async function GET() {
+  try {
+    const reserve = await getReserveStatus();
+    
+    return NextResponse.json({
+      success: true,
+      ...reserve
+    });
+  } catch (error) {
+    console.error('Error fetching reserve status:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to fetch reserve status' },
+      { status: 500 }
+    );
+  }
+}
\ No newline at end of file
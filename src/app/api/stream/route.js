@@ -0,0 +1,72 @@
+/**
+ * Stream API Route
+ * GET /api/stream - Server-Sent Events for new burns, milestone completions and prices
+ * Pass ?simulated=true to stream dry-run burns instead
+ *
+ * Events: ready, burn, milestone, price (JSON data). A comment line is
+ * sent every 15s to keep proxies from closing the connection.
+ */
+import { subscribe } from '@/lib/liveEvents';
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
+
+const HEARTBEAT_MS = 15000;
+const RETRY_MS = 5000;
+
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const simulated = searchParams.get('simulated') === 'true';
+  const encoder = new TextEncoder();
+  
+  let cleanup = () => {};
+  
+  const stream = new ReadableStream({
+    start(controller) {
+      const write = text => {
+        try {
+          controller.enqueue(encoder.encode(text));
+        } catch (error) {
+          // Client already gone
+          cleanup();
+        }
+      };
+      const send = (event, data) => write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      
+      write(`retry: ${RETRY_MS}\n\n`);
+      send('ready', { simulated, timestamp: new Date().toISOString() });
+      
+      const unsubscribe = subscribe(event => {
+        if (event.type === 'burn' && event.simulated !== simulated) return;
+        send(event.type, event.data);
+      });
+      const heartbeat = setInterval(() => write(': heartbeat\n\n'), HEARTBEAT_MS);
+      
+      cleanup = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+      };
+      
+      request.signal.addEventListener('abort', () => {
+        cleanup();
+        try {
+          controller.close();
+        } catch (error) {
+          // Already closed
+        }
+      });
+    },
+    cancel() {
+      cleanup();
+    }
+  });
+  
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    }
+  });
+}
\ No newline at end of file
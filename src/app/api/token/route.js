@@ -3,12 +3,15 @@
  * GET /api/token - Get token address and basic info
  */
 import { NextResponse } from 'next/server';
+import { getSupply } from '@/lib/supply';
+import { getRoleAddress } from '@/lib/walletRoles';
 
 export async function GET() {
   try {
     const tokenAddress = process.env.TOKEN_ADDRESS || 'coming soon';
     const burnAddress = process.env.BURN_ADDRESS || '1nc1nerator11111111111111111111111111111111';
-    const reserveWallet = process.env.RESERVE_WALLET_ADDRESS || null;
+    const reserveWallet = getRoleAddress('reserve');
+    const supply = await getSupply();
     
     return NextResponse.json({
       success: true,
@@ -17,7 +20,9 @@ export async function GET() {
       reserveWallet,
       name: process.env.TOKEN_NAME || '$INFERNO',
       symbol: process.env.TOKEN_SYMBOL || 'INFERNO',
-      initialSupply: parseInt(process.env.INITIAL_SUPPLY) || 1000000000,
+      decimals: supply.decimals,
+      initialSupply: supply.initial.ui,
+      currentSupply: supply.current.ui,
       network: 'solana'
     });
   } catch (error) {
@@ -0,0 +1,160 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import styles from './page.module.css';
+
+// Format display (UI) amounts
+function formatTokens(num) {
+  if (num == null) return '-';
+  return num.toLocaleString(undefined, { maximumFractionDigits: 6 });
+}
+
+function formatSol(num) {
+  if (num == null) return '-';
+  return `${num.toLocaleString(undefined, { maximumFractionDigits: 9 })} SOL`;
+}
+
+function formatUsd(num) {
+  if (num == null) return '-';
+  return `$${num.toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+}
+
+function formatDate(dateString) {
+  if (!dateString) return '-';
+  return new Date(dateString).toLocaleString();
+}
+
+// One label / value row
+function Row({ label, children }) {
+  return (
+    <div className={styles.row}>
+      <div className={styles.label}>{label}</div>
+      <div className={styles.value}>{children}</div>
+    </div>
+  );
+}
+
+function TxLink({ signature }) {
+  if (!signature) return '-';
+  return (
+    <a
+      href={`https://solscan.io/tx/${signature}`}
+      target="_blank"
+      rel="noopener noreferrer"
+      className={styles.txLink}
+    >
+      {signature}
+    </a>
+  );
+}
+
+// Decoded transaction panel
+function TransactionPanel({ title, tx, children }) {
+  return (
+    <div className={styles.panel}>
+      <h2 className={styles.panelTitle}>{title}</h2>
+      {tx ? (
+        <>
+          <Row label="Signature"><TxLink signature={tx.signature} /></Row>
+          <Row label="Status">
+            <span className={tx.success ? styles.success : styles.failed}>
+              {tx.success ? 'Success' : `Failed${tx.error ? `: ${tx.error}` : ''}`}
+            </span>
+            {' '}
+            <span className={styles.muted}>({tx.finalized ? 'finalized' : 'confirmed'})</span>
+          </Row>
+          <Row label="Slot">{tx.slot?.toLocaleString() ?? '-'}</Row>
+          <Row label="Block Time">{formatDate(tx.blockTime)}</Row>
+          <Row label="Fee">{formatSol(tx.fee)}</Row>
+          <Row label="Signer">{tx.feePayer || '-'}</Row>
+          {children}
+        </>
+      ) : (
+        <div className={styles.muted}>Transaction not found on-chain</div>
+      )}
+    </div>
+  );
+}
+
+export default function BurnPage({ params }) {
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+  
+  useEffect(() => {
+    const simulated = new URLSearchParams(window.location.search).get('simulated') === 'true';
+    
+    fetch(`/api/burns/${params.id}${simulated ? '?simulated=true' : ''}`)
+      .then(r => r.json())
+      .then(res => {
+        if (res.success) {
+          setData(res);
+        } else {
+          setError(res.error || 'Failed to load burn');
+        }
+      })
+      .catch(() => setError('Failed to load burn'));
+  }, [params.id]);
+  
+  const burn = data?.burn;
+  const usdValue = burn?.tokenPrice ? burn.burnAmountUi * burn.tokenPrice : null;
+  
+  return (
+    <main className="container">
+      <a href="/" className={styles.back}>← Back to dashboard</a>
+      
+      <h1 className="section-title">BURN #{params.id}</h1>
+      
+      {error && <div className={styles.error}>{error}</div>}
+      
+      {!data && !error && <div className="skeleton" style={{ height: '300px' }} />}
+      
+      {data && (
+        <>
+          {/* Burn Summary */}
+          <div className={styles.panel}>
+            <h2 className={styles.panelTitle}>
+              {burn.burnType === 'milestone' ? 'Milestone Burn' : burn.tag === 'dust' ? 'Dust Sweep Burn' : 'Buyback Burn'}
+              {data.simulated && <span className={styles.badge}>SIMULATED</span>}
+            </h2>
+            <div className={styles.amount}>{formatTokens(burn.burnAmountUi)} INFERNO</div>
+            <Row label="Recorded">{formatDate(`${burn.timestamp.replace(' ', 'T')}Z`)}</Row>
+            {burn.milestoneTarget && <Row label="Milestone">{formatUsd(burn.milestoneTarget)} market cap</Row>}
+            <Row label="Value at Burn">{formatUsd(usdValue)}</Row>
+            <Row label="Market Cap at Burn">{formatUsd(burn.marketCap)}</Row>
+            {burn.burnType === 'buyback' && burn.tag !== 'dust' && <Row label="SOL Spent">{formatSol(burn.solSpent)}</Row>}
+            <Row label="Supply Before">{formatTokens(data.supply.before.ui)}</Row>
+            <Row label="Supply After">{formatTokens(data.supply.after.ui)}</Row>
+            {burn.simulationError && <Row label="Simulation Error">{burn.simulationError}</Row>}
+          </div>
+          
+          {data.proofError && <div className={styles.error}>{data.proofError}</div>}
+          
+          {/* On-chain Proof */}
+          {burn.txSignature && (
+            <TransactionPanel title="Burn Transaction" tx={data.transaction}>
+              {data.transaction && (
+                <>
+                  <Row label="Burned (on-chain)">{formatTokens(data.transaction.burnedAmountUi)} INFERNO</Row>
+                  <Row label="Memo">{data.transaction.memo || '-'}</Row>
+                </>
+              )}
+            </TransactionPanel>
+          )}
+          
+          {burn.burnType === 'buyback' && data.buy && (
+            <TransactionPanel title="Buy Transaction" tx={data.buy}>
+              <Row label="Tokens Bought">{formatTokens(data.buy.tokenDeltaUi)} INFERNO</Row>
+              <Row label="SOL Change">{formatSol(data.buy.solDelta)}</Row>
+            </TransactionPanel>
+          )}
+          
+          {burn.burnType === 'buyback' && data.collect && (
+            <TransactionPanel title="Fee Collection Transaction" tx={data.collect}>
+              <Row label="SOL Change">{formatSol(data.collect.solDelta)}</Row>
+            </TransactionPanel>
+          )}
+        </>
+      )}
+    </main>
+  );
+}
\ No newline at end of file
@@ -2,17 +2,21 @@
 
 import { useState, useEffect, useCallback } from 'react';
 import Header from '@/components/Header';
+import BurnCharts from '@/components/BurnCharts';
 import styles from './page.module.css';
 
-// Format numbers for display (assumes num is in smallest units with 6 decimals)
-function formatNumber(num) {
-  const displayNum = num / 1e6;
-  
+// Format token amounts in display (UI) units
+function formatTokens(displayNum) {
   if (displayNum >= 1000000) return `${(displayNum / 1000000).toFixed(2)}M`;
   if (displayNum >= 1000) return `${(displayNum / 1000).toFixed(0)}K`;
   return displayNum.toLocaleString();
 }
 
+// Format raw (smallest unit) token amounts using the mint's decimals
+function formatNumber(num, decimals = 6) {
+  return formatTokens(num / 10 ** decimals);
+}
+
 function formatMarketCap(num) {
   if (num >= 1000000) return `$${(num / 1000000).toFixed(1)}M`;
   if (num >= 1000) return `$${(num / 1000).toFixed(1)}K`;
@@ -84,19 +88,27 @@ export default function Home() {
   const [burnStats, setBurnStats] = useState(null);
   const [milestones, setMilestones] = useState(null);
   const [metrics, setMetrics] = useState(null);
+  const [reserve, setReserve] = useState(null);
   const [burns, setBurns] = useState([]);
   const [activeTab, setActiveTab] = useState('milestone');
+  const [simulated, setSimulated] = useState(false);
+  const [newBurnIds, setNewBurnIds] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
 
   // Fetch all data
   const fetchData = useCallback(async () => {
     try {
+      // ?simulated=true previews dry-run burns before going live
+      const simulated = new URLSearchParams(window.location.search).get('simulated') === 'true';
+      const simulatedParam = simulated ? 'simulated=true' : '';
+      setSimulated(simulated);
+      
       const [tokenRes, statsRes, milestonesRes, metricsRes, burnsRes] = await Promise.all([
         fetch('/api/token').then(r => r.json()),
-        fetch('/api/burn-stats').then(r => r.json()),
+        fetch(`/api/burn-stats?${simulatedParam}`).then(r => r.json()),
         fetch('/api/milestones').then(r => r.json()),
         fetch('/api/metrics').then(r => r.json()),
-        fetch('/api/burns?limit=10').then(r => r.json())
+        fetch(`/api/burns?limit=10&${simulatedParam}`).then(r => r.json())
       ]);
 
       if (tokenRes.success) {
@@ -114,11 +126,84 @@ export default function Home() {
     }
   }, []);
 
+  // Reserve balance vs remaining milestones (hidden if the reserve isn't configured)
+  const fetchReserve = useCallback(async () => {
+    try {
+      const reserveRes = await fetch('/api/reserve').then(r => r.json());
+      setReserve(reserveRes.success ? reserveRes : null);
+    } catch (error) {
+      console.error('Error fetching reserve:', error);
+    }
+  }, []);
+
+  // Refresh totals after a streamed burn
+  const fetchBurnStats = useCallback(async () => {
+    try {
+      const simulated = new URLSearchParams(window.location.search).get('simulated') === 'true';
+      const statsRes = await fetch(`/api/burn-stats?${simulated ? 'simulated=true' : ''}`).then(r => r.json());
+      if (statsRes.success) setBurnStats(statsRes);
+    } catch (error) {
+      console.error('Error fetching burn stats:', error);
+    }
+  }, []);
+  
+  // Live updates over /api/stream, polling only while the stream is down
   useEffect(() => {
     fetchData();
-    const interval = setInterval(fetchData, 60000);
-    return () => clearInterval(interval);
-  }, [fetchData]);
+    fetchReserve();
+    
+    let pollInterval = null;
+    const startPolling = () => {
+      if (!pollInterval) pollInterval = setInterval(fetchData, 60000);
+    };
+    const stopPolling = () => {
+      clearInterval(pollInterval);
+      pollInterval = null;
+    };
+    
+    if (typeof EventSource === 'undefined') {
+      startPolling();
+      return stopPolling;
+    }
+    
+    const simulated = new URLSearchParams(window.location.search).get('simulated') === 'true';
+    const source = new EventSource(`/api/stream${simulated ? '?simulated=true' : ''}`);
+    let hasConnected = false;
+    
+    source.onopen = () => {
+      // Catch up on anything missed while disconnected
+      if (hasConnected) fetchData();
+      hasConnected = true;
+      stopPolling();
+    };
+    
+    // EventSource keeps reconnecting on its own; poll until it does
+    source.onerror = startPolling;
+    
+    source.addEventListener('burn', (event) => {
+      const burn = JSON.parse(event.data);
+      setBurns(prev => [burn, ...prev.filter(b => b.id !== burn.id)].slice(0, 10));
+      setNewBurnIds(prev => [...prev, burn.id]);
+      setTimeout(() => setNewBurnIds(prev => prev.filter(id => id !== burn.id)), 4000);
+      fetchBurnStats();
+    });
+    
+    source.addEventListener('milestone', () => {
+      fetch('/api/milestones').then(r => r.json()).then(setMilestones).catch(console.error);
+      fetchReserve();
+    });
+    
+    source.addEventListener('price', (event) => {
+      const price = JSON.parse(event.data);
+      setMetrics(prev => prev ? { ...prev, marketCap: price.marketCap, marketCapSol: price.marketCapSol } : prev);
+      setMilestones(prev => prev ? { ...prev, currentMarketCap: price.marketCap } : prev);
+    });
+    
+    return () => {
+      source.close();
+      stopPolling();
+    };
+  }, [fetchData, fetchBurnStats, fetchReserve]);
 
   // Copy to clipboard
   const copyAddress = async () => {
@@ -139,7 +224,9 @@ export default function Home() {
   const milestoneBurnedAmount = milestones?.milestones
     ?.filter(m => m.completed)
     ?.reduce((sum, m) => sum + (m.burnAmount || 0), 0) || 0;
-  const milestoneBurnPercentage = ((milestoneBurnedAmount / 1e6) / 1000000000 * 100).toFixed(2);
+  const initialSupply = burnStats?.supply?.initial || { raw: 1e15, ui: 1000000000 };
+  const decimals = burnStats?.supply?.decimals ?? 6;
+  const milestoneBurnPercentage = (milestoneBurnedAmount / initialSupply.ui * 100).toFixed(2);
   const nextMilestone = milestones?.milestones?.find(m => !m.completed);
 
   return (
@@ -201,7 +288,7 @@ export default function Home() {
             {isLoading ? (
               <div className="skeleton" style={{ width: '200px', height: '48px', margin: '0 auto' }} />
             ) : (
-              formatNumber(burnStats?.totalBurned || 0)
+              formatNumber(burnStats?.totalBurned || 0, decimals)
             )}
           </div>
           
@@ -216,7 +303,7 @@ export default function Home() {
             </div>
             <div className={styles.progressInfo}>
               <div>0</div>
-              <div>1,000,000,000</div>
+              <div>{initialSupply.ui.toLocaleString()}</div>
             </div>
             <div className={styles.progressPercentage}>
               {burnStats?.burnPercentage || '0.00'}%
@@ -284,7 +371,7 @@ export default function Home() {
                 </div>
                 <div className={styles.statCard}>
                   <div className={styles.statLabel}>Milestone Tokens Burned</div>
-                  <div className={styles.statValue}>{formatNumber(milestoneBurnedAmount)}</div>
+                  <div className={styles.statValue}>{formatTokens(milestoneBurnedAmount)}</div>
                 </div>
                 <div className={styles.statCard}>
                   <div className={styles.statLabel}>Supply Burned via Milestones</div>
@@ -297,12 +384,40 @@ export default function Home() {
                   </div>
                   {nextMilestone && (
                     <div className={styles.statSub}>
-                      {nextMilestone.percentOfSupply}% Burn ({formatNumber(nextMilestone.burnAmount * 1e6)} tokens)
+                      {nextMilestone.percentOfSupply}% Burn ({formatTokens(nextMilestone.burnAmount)} tokens)
                     </div>
                   )}
                 </div>
               </div>
               
+              {/* Reserve vs Remaining Obligations */}
+              {reserve && (
+                <div className={styles.reservePanel}>
+                  <div className={styles.reserveHeader}>
+                    <div className={styles.statLabel}>Reserve Wallet</div>
+                    <div className={reserve.covered ? styles.reserveCovered : styles.reserveShort}>
+                      {reserve.covered ? 'Fully covered' : `Short ${formatTokens(reserve.shortfall.ui)} tokens`}
+                    </div>
+                  </div>
+                  <div className={styles.progressBarBg}>
+                    <div className={styles.progressBar} style={{ width: `${reserve.coveragePercent}%` }} />
+                  </div>
+                  <div className={styles.statSub}>
+                    {formatTokens(reserve.balance.ui)} held / {formatTokens(reserve.obligations.ui)} needed
+                    for {reserve.remainingMilestones} remaining milestone{reserve.remainingMilestones === 1 ? '' : 's'}
+                    {' · '}
+                    <a
+                      href={`https://solscan.io/account/${reserve.address}`}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className={styles.txLink}
+                    >
+                      {shortenTx(reserve.address)}
+                    </a>
+                  </div>
+                </div>
+              )}
+              
               {/* Milestone Burns Table */}
               <div className={styles.historyTable}>
                 <table>
@@ -316,10 +431,10 @@ export default function Home() {
                   </thead>
                   <tbody>
                     {milestoneBurns.length > 0 ? (
-                      milestoneBurns.map((burn, idx) => (
-                        <tr key={idx}>
+                      milestoneBurns.map((burn) => (
+                        <tr key={burn.id} className={newBurnIds.includes(burn.id) ? styles.newBurn : ''}>
                           <td>{formatMarketCap(burn.milestoneTarget)}</td>
-                          <td>{formatNumber(burn.burnAmount)}</td>
+                          <td>{formatNumber(burn.burnAmount, decimals)}</td>
                           <td>
                             <a 
                               href={`https://solscan.io/tx/${burn.txSignature}`}
@@ -330,7 +445,11 @@ export default function Home() {
                               {shortenTx(burn.txSignature)}
                             </a>
                           </td>
-                          <td>{formatDate(burn.timestamp)}</td>
+                          <td>
+                            <a href={`/burn/${burn.id}${simulated ? '?simulated=true' : ''}`} className={styles.detailLink}>
+                              {formatDate(burn.timestamp)}
+                            </a>
+                          </td>
                         </tr>
                       ))
                     ) : (
@@ -358,12 +477,12 @@ export default function Home() {
               <div className={styles.burnStatsGrid}>
                 <div className={styles.statCard}>
                   <div className={styles.statLabel}>Automated Burns (24h)</div>
-                  <div className={styles.statValue}>{formatNumber(burnStats?.burns24h || 0)}</div>
-                  <div className={styles.statSub}>+{((burnStats?.burns24h || 0) / 1e6 / 1000000000 * 100).toFixed(2)}% of supply</div>
+                  <div className={styles.statValue}>{formatNumber(burnStats?.burns24h || 0, decimals)}</div>
+                  <div className={styles.statSub}>+{((burnStats?.burns24h || 0) / initialSupply.raw * 100).toFixed(2)}% of supply</div>
                 </div>
                 <div className={styles.statCard}>
                   <div className={styles.statLabel}>Total Buyback Burns</div>
-                  <div className={styles.statValue}>{formatNumber(burnStats?.buybackBurned || 0)}</div>
+                  <div className={styles.statValue}>{formatNumber(burnStats?.buybackBurned || 0, decimals)}</div>
                 </div>
                 <div className={styles.statCard}>
                   <div className={styles.statLabel}>SOL Used for Buybacks</div>
@@ -391,9 +510,13 @@ export default function Home() {
                   </thead>
                   <tbody>
                     {buybackBurns.length > 0 ? (
-                      buybackBurns.map((burn, idx) => (
-                        <tr key={idx}>
-                          <td>{formatDate(burn.timestamp)}</td>
+                      buybackBurns.map((burn) => (
+                        <tr key={burn.id} className={newBurnIds.includes(burn.id) ? styles.newBurn : ''}>
+                          <td>
+                            <a href={`/burn/${burn.id}${simulated ? '?simulated=true' : ''}`} className={styles.detailLink}>
+                              {formatDate(burn.timestamp)}
+                            </a>
+                          </td>
                           <td>
                             <a 
                               href={`https://solscan.io/tx/${burn.txSignature}`}
@@ -405,7 +528,7 @@ export default function Home() {
                             </a>
                           </td>
                           <td>{burn.solSpent?.toFixed(4) || '0'} SOL</td>
-                          <td className={styles.burnAmount}>{formatNumber(burn.burnAmount)} INFERNO</td>
+                          <td className={styles.burnAmount}>{formatNumber(burn.burnAmount, decimals)} INFERNO</td>
                         </tr>
                       ))
                     ) : (
@@ -423,6 +546,12 @@ export default function Home() {
         </div>
       </section>
 
+      {/* Burn Charts */}
+      <section className="section" id="charts">
+        <h2 className="section-title">BURN CHARTS</h2>
+        <BurnCharts milestones={milestones?.milestones || []} simulated={simulated} decimals={decimals} />
+      </section>
+
       {/* THE INFERNO PROTOCOL Section */}
       <section className="section" id="protocol">
         <h2 className="section-title">THE INFERNO PROTOCOL</h2>
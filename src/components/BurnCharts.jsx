@@ -0,0 +1,272 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import styles from './BurnCharts.module.css';
+
+const RANGES = ['24h', '7d', '30d', 'all'];
+
+// Chart area inside the SVG viewBox
+const WIDTH = 600;
+const HEIGHT = 220;
+const PAD = { top: 15, right: 15, bottom: 25, left: 60 };
+const PLOT_W = WIDTH - PAD.left - PAD.right;
+const PLOT_H = HEIGHT - PAD.top - PAD.bottom;
+
+// Format raw token amounts for axis labels using the mint's decimals
+function formatTokens(num, decimals) {
+  const displayNum = num / 10 ** decimals;
+  
+  if (displayNum >= 1000000) return `${(displayNum / 1000000).toFixed(1)}M`;
+  if (displayNum >= 1000) return `${(displayNum / 1000).toFixed(0)}K`;
+  return displayNum.toFixed(0);
+}
+
+function formatMarketCap(num) {
+  if (num >= 1000000) return `$${(num / 1000000).toFixed(1)}M`;
+  if (num >= 1000) return `$${(num / 1000).toFixed(0)}K`;
+  return `$${num.toFixed(0)}`;
+}
+
+function formatTime(time, range) {
+  const date = new Date(time);
+  return range === '24h'
+    ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+}
+
+// Linear scale from a [min, max] domain onto a pixel range
+function scale(min, max, from, to) {
+  const span = max - min || 1;
+  return value => from + ((value - min) / span) * (to - from);
+}
+
+// Step path: each value holds until the next point
+function stepPath(points) {
+  return points.map(([x, y], i) => {
+    if (i === 0) return `M${x},${y}`;
+    return `H${x}V${y}`;
+  }).join('');
+}
+
+function linePath(points) {
+  return points.map(([x, y], i) => `${i === 0 ? 'M' : 'L'}${x},${y}`).join('');
+}
+
+// Horizontal grid lines with value labels
+function YAxis({ max, format }) {
+  const y = scale(0, max, PAD.top + PLOT_H, PAD.top);
+  
+  return [0, 0.5, 1].map(step => (
+    <g key={step}>
+      <line x1={PAD.left} x2={WIDTH - PAD.right} y1={y(max * step)} y2={y(max * step)} className={styles.gridLine} />
+      <text x={PAD.left - 8} y={y(max * step) + 4} textAnchor="end" className={styles.axisLabel}>
+        {format(max * step)}
+      </text>
+    </g>
+  ));
+}
+
+function XAxis({ from, to, range }) {
+  return (
+    <>
+      <text x={PAD.left} y={HEIGHT - 6} className={styles.axisLabel}>{formatTime(from, range)}</text>
+      <text x={WIDTH - PAD.right} y={HEIGHT - 6} textAnchor="end" className={styles.axisLabel}>{formatTime(to, range)}</text>
+    </>
+  );
+}
+
+function EmptyChart({ message }) {
+  return <div className={styles.empty}>{message}</div>;
+}
+
+// Cumulative tokens burned, milestone vs buyback
+function CumulativeChart({ history, range, decimals }) {
+  const points = history?.cumulative || [];
+  if (points.length === 0 || points[points.length - 1].total === 0) {
+    return <EmptyChart message="No burns in this range yet" />;
+  }
+  
+  const from = new Date(history.from).getTime();
+  const to = new Date(history.to).getTime();
+  const max = Math.max(...points.map(p => Math.max(p.milestone, p.buyback))) * 1.1;
+  
+  const x = scale(from, to, PAD.left, WIDTH - PAD.right);
+  const y = scale(0, max, PAD.top + PLOT_H, PAD.top);
+  
+  // Extend the last value to the end of the range
+  const series = type => stepPath([
+    ...points.map(p => [x(new Date(p.time).getTime()), y(p[type])]),
+    [x(to), y(points[points.length - 1][type])]
+  ]);
+  
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className={styles.chart}>
+      <YAxis max={max} format={value => formatTokens(value, decimals)} />
+      <path d={series('milestone')} className={styles.milestoneLine} />
+      <path d={series('buyback')} className={styles.buybackLine} />
+      <XAxis from={history.from} to={history.to} range={range} />
+    </svg>
+  );
+}
+
+// SOL spent on buybacks per day
+function SolPerDayChart({ history }) {
+  const days = history?.solPerDay || [];
+  if (days.length === 0) {
+    return <EmptyChart message="No buybacks in this range yet" />;
+  }
+  
+  const max = Math.max(...days.map(d => d.solSpent)) * 1.1;
+  const y = scale(0, max, PAD.top + PLOT_H, PAD.top);
+  const slot = PLOT_W / days.length;
+  const barWidth = Math.max(2, Math.min(40, slot * 0.7));
+  
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className={styles.chart}>
+      <YAxis max={max} format={value => `${value.toFixed(2)}`} />
+      {days.map((day, i) => (
+        <rect
+          key={day.date}
+          x={PAD.left + slot * i + (slot - barWidth) / 2}
+          y={y(day.solSpent)}
+          width={barWidth}
+          height={PAD.top + PLOT_H - y(day.solSpent)}
+          className={styles.bar}
+        >
+          <title>{`${day.date}: ${day.solSpent.toFixed(4)} SOL (${day.buybacks} buyback${day.buybacks === 1 ? '' : 's'})`}</title>
+        </rect>
+      ))}
+      <text x={PAD.left} y={HEIGHT - 6} className={styles.axisLabel}>{days[0].date}</text>
+      {days.length > 1 && (
+        <text x={WIDTH - PAD.right} y={HEIGHT - 6} textAnchor="end" className={styles.axisLabel}>
+          {days[days.length - 1].date}
+        </text>
+      )}
+    </svg>
+  );
+}
+
+// Market cap (candle closes) with milestone thresholds
+function MarketCapChart({ priceHistory, milestones, range }) {
+  const candles = priceHistory?.candles || [];
+  if (candles.length === 0) {
+    return <EmptyChart message="No price samples in this range yet" />;
+  }
+  
+  const from = new Date(priceHistory.from).getTime();
+  const to = new Date(priceHistory.to).getTime();
+  const nextMilestone = milestones.find(m => !m.completed);
+  const max = Math.max(...candles.map(c => c.high), nextMilestone?.marketCap || 0) * 1.1;
+  
+  const x = scale(from, to, PAD.left, WIDTH - PAD.right);
+  const y = scale(0, max, PAD.top + PLOT_H, PAD.top);
+  
+  const visibleMilestones = milestones.filter(m => m.marketCap <= max);
+  
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className={styles.chart}>
+      <YAxis max={max} format={formatMarketCap} />
+      {visibleMilestones.map(m => (
+        <g key={m.marketCap}>
+          <line
+            x1={PAD.left}
+            x2={WIDTH - PAD.right}
+            y1={y(m.marketCap)}
+            y2={y(m.marketCap)}
+            className={m.completed ? styles.milestoneDone : styles.milestoneTarget}
+          />
+          <text x={WIDTH - PAD.right - 4} y={y(m.marketCap) - 4} textAnchor="end" className={styles.milestoneLabel}>
+            {formatMarketCap(m.marketCap)}
+          </text>
+        </g>
+      ))}
+      <path
+        d={linePath(candles.map(c => [x(new Date(c.time).getTime()), y(c.close)]))}
+        className={styles.marketCapLine}
+      />
+      <XAxis from={priceHistory.from} to={priceHistory.to} range={range} />
+    </svg>
+  );
+}
+
+export default function BurnCharts({ milestones = [], simulated = false, decimals = 6 }) {
+  const [range, setRange] = useState('7d');
+  const [history, setHistory] = useState(null);
+  const [priceHistory, setPriceHistory] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  
+  // Price samples are kept for 30 days of candles at most
+  const priceRange = range === 'all' ? '30d' : range;
+  
+  const fetchCharts = useCallback(async () => {
+    try {
+      const simulatedParam = simulated ? '&simulated=true' : '';
+      
+      const [historyRes, priceRes] = await Promise.all([
+        fetch(`/api/burn-history?range=${range}${simulatedParam}`).then(r => r.json()),
+        fetch(`/api/price-history?range=${priceRange}&metric=marketCap`).then(r => r.json())
+      ]);
+      
+      setHistory(historyRes.success ? historyRes : null);
+      setPriceHistory(priceRes.success ? priceRes : null);
+    } catch (error) {
+      console.error('Error fetching chart data:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [range, priceRange, simulated]);
+  
+  useEffect(() => {
+    fetchCharts();
+    const interval = setInterval(fetchCharts, 60000);
+    return () => clearInterval(interval);
+  }, [fetchCharts]);
+  
+  return (
+    <div className={styles.charts}>
+      {/* Range Selector */}
+      <div className={styles.rangeTabs}>
+        {RANGES.map(r => (
+          <button
+            key={r}
+            className={`${styles.rangeTab} ${range === r ? styles.active : ''}`}
+            onClick={() => setRange(r)}
+          >
+            {r.toUpperCase()}
+          </button>
+        ))}
+      </div>
+      
+      <div className={styles.chartGrid}>
+        <div className={styles.chartCard}>
+          <div className={styles.chartTitle}>Cumulative Burned</div>
+          <div className={styles.legend}>
+            <span className={styles.legendMilestone}>Milestone</span>
+            <span className={styles.legendBuyback}>Buyback</span>
+          </div>
+          {isLoading ? <div className="skeleton" style={{ height: '180px' }} /> : <CumulativeChart history={history} range={range} decimals={decimals} />}
+        </div>
+        
+        <div className={styles.chartCard}>
+          <div className={styles.chartTitle}>SOL Spent per Day</div>
+          {isLoading ? <div className="skeleton" style={{ height: '180px' }} /> : <SolPerDayChart history={history} />}
+        </div>
+        
+        <div className={`${styles.chartCard} ${styles.wide}`}>
+          <div className={styles.chartTitle}>
+            Market Cap {range === 'all' && <span className={styles.chartNote}>(last 30 days)</span>}
+          </div>
+          <div className={styles.legend}>
+            <span className={styles.legendMarketCap}>Market Cap</span>
+            <span className={styles.legendTarget}>Milestone</span>
+          </div>
+          {isLoading ? (
+            <div className="skeleton" style={{ height: '180px' }} />
+          ) : (
+            <MarketCapChart priceHistory={priceHistory} milestones={milestones} range={priceRange} />
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
\ No newline at end of file
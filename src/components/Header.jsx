@@ -28,6 +28,7 @@ export default function Header({ onRefresh }) {
       
       <nav className={styles.navMenu}>
         <a href="#metrics" className={styles.navItem}>Metrics</a>
+        <a href="#charts" className={styles.navItem}>Charts</a>
         <a href="#protocol" className={styles.navItem}>Protocol</a>
         <a href="#tokenomics" className={styles.navItem}>Tokenomics</a>
       </nav>
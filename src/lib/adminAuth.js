@@ -0,0 +1,30 @@
+/**
+ * Admin API Auth for $INFERNO
+ *
+ * Admin endpoints require `Authorization: Bearer <ADMIN_API_TOKEN>`.
+ * Without ADMIN_API_TOKEN in .env they are disabled.
+ */
+const crypto = require('crypto');
+require('dotenv').config();
+
+function isAdminEnabled() {
+  return Boolean(process.env.ADMIN_API_TOKEN);
+}
+
+/**
+ * Whether a request carries the admin token (constant-time compare)
+ */
+function isAdminRequest(request) {
+  if (!isAdminEnabled()) return false;
+  
+  const header = request.headers.get('authorization') || '';
+  const given = Buffer.from(header.replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(process.env.ADMIN_API_TOKEN);
+  
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+module.exports = {
+  isAdminEnabled,
+  isAdminRequest
+};
\ No newline at end of file
@@ -0,0 +1,136 @@
+/**
+ * Burn Ledger Export for $INFERNO Token
+ *
+ * Streams burns as CSV, JSON or NDJSON with display amounts (mint decimals),
+ * USD values at burn time, SOL spent and Solscan links. Rows are read in
+ * keyset-paginated batches, so large tables are never loaded at once.
+ */
+const { getBurns } = require('./database');
+const { toUiAmount } = require('./supply');
+
+const BATCH_SIZE = 500;
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+const COLUMNS = [
+  'id',
+  'date',
+  'type',
+  'amount',
+  'amountRaw',
+  'tokenPriceUsd',
+  'usdValue',
+  'marketCapUsd',
+  'milestoneTarget',
+  'solSpent',
+  'solPriceUsd',
+  'solSpentUsd',
+  'tokensBought',
+  'txSignature',
+  'solscanUrl'
+];
+
+/**
+ * Round a USD value to cents (null stays null)
+ */
+function usd(value) {
+  return value == null ? null : Number(value.toFixed(2));
+}
+
+/**
+ * Convert a burns row to an export record
+ */
+function toExportRecord(row, decimals) {
+  const amount = toUiAmount(row.burn_amount, decimals);
+  
+  return {
+    id: row.id,
+    date: `${row.created_at.replace(' ', 'T')}Z`,
+    type: row.burn_type,
+    amount,
+    amountRaw: row.burn_amount,
+    tokenPriceUsd: row.token_price_at_burn ?? null,
+    usdValue: row.token_price_at_burn ? usd(amount * row.token_price_at_burn) : null,
+    marketCapUsd: usd(row.market_cap_at_burn ?? null),
+    milestoneTarget: row.milestone_target ?? null,
+    solSpent: row.sol_spent ?? null,
+    solPriceUsd: row.sol_price_at_burn ?? null,
+    solSpentUsd: row.sol_spent && row.sol_price_at_burn ? usd(row.sol_spent * row.sol_price_at_burn) : null,
+    tokensBought: row.tokens_bought != null ? toUiAmount(row.tokens_bought, decimals) : null,
+    txSignature: row.tx_signature ?? null,
+    solscanUrl: row.tx_signature ? `https://solscan.io/tx/${row.tx_signature}` : null
+  };
+}
+
+/**
+ * Quote a CSV field if needed
+ */
+function csvField(value) {
+  if (value == null) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Yield burns matching filters, oldest first, one batch at a time
+ */
+function* iterateBurns(filters, simulated) {
+  let after = null;
+  
+  while (true) {
+    const rows = getBurns({ ...filters, sort: 'time', order: 'asc', after, limit: BATCH_SIZE, simulated });
+    yield* rows;
+    
+    if (rows.length < BATCH_SIZE) return;
+    const last = rows[rows.length - 1];
+    after = { value: last.created_at, id: last.id };
+  }
+}
+
+/**
+ * Yield the export as text chunks in the given format
+ */
+function* exportBurns({ format = 'csv', filters = {}, simulated = false, decimals }) {
+  if (!EXPORT_FORMATS[format]) {
+    throw new Error(`Invalid format: ${format}. Use ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  
+  let first = true;
+  
+  if (format === 'csv') yield `${COLUMNS.join(',')}\n`;
+  if (format === 'json') yield '[';
+  
+  for (const row of iterateBurns(filters, simulated)) {
+    const record = toExportRecord(row, decimals);
+    
+    if (format === 'csv') {
+      yield `${COLUMNS.map(column => csvField(record[column])).join(',')}\n`;
+    } else if (format === 'json') {
+      yield `${first ? '\n' : ',\n'}  ${JSON.stringify(record)}`;
+    } else {
+      yield `${JSON.stringify(record)}\n`;
+    }
+    first = false;
+  }
+  
+  if (format === 'json') yield first ? ']\n' : '\n]\n';
+}
+
+/**
+ * Download file name for an export
+ */
+function exportFileName(format, simulated = false) {
+  const date = new Date().toISOString().slice(0, 10);
+  return `inferno-${simulated ? 'simulated-' : ''}burns-${date}.${EXPORT_FORMATS[format].extension}`;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  toExportRecord,
+  exportBurns,
+  exportFileName
+};
\ No newline at end of file
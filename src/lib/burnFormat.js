@@ -0,0 +1,30 @@
+/**
+ * Burn Formatting for $INFERNO Token
+ *
+ * Shapes burns rows for API responses and the live event stream.
+ */
+
+/**
+ * Format a burns row for the frontend
+ */
+function formatBurn(burn) {
+  return {
+    id: burn.id,
+    burnType: burn.burn_type,
+    burnAmount: burn.burn_amount,
+    txSignature: burn.tx_signature,
+    marketCap: burn.market_cap_at_burn,
+    solPrice: burn.sol_price_at_burn,
+    tokenPrice: burn.token_price_at_burn,
+    milestoneTarget: burn.milestone_target,
+    solSpent: burn.sol_spent,
+    tokensBought: burn.tokens_bought,
+    tag: burn.tag || null,
+    simulationError: burn.simulation_error,
+    timestamp: burn.created_at
+  };
+}
+
+module.exports = {
+  formatBurn
+};
\ No newline at end of file
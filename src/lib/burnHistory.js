@@ -0,0 +1,166 @@
+/**
+ * On-Chain Burn History for $INFERNO Token
+ *
+ * Pages through a wallet's signatures and parses each transaction into a
+ * normalized history entry: SPL burns of our mint, INFERNO burn memos and the
+ * wallet's SOL / token balance deltas (used to pair buybacks with their burns).
+ */
+const { PublicKey } = require('@solana/web3.js');
+
+const SIGNATURE_PAGE_SIZE = 1000;
+const PARSED_TX_BATCH_SIZE = 50;
+const TOKEN_PROGRAMS = ['spl-token', 'spl-token-2022'];
+const BURN_INSTRUCTIONS = ['burn', 'burnChecked'];
+const SPL_MEMO_PROGRAM = 'spl-memo';
+
+// Memo written by burnTokens(): "INFERNO BUYBACK BURN: 123 tokens"
+const BURN_MEMO_PATTERN = /INFERNO (\w+) BURN: (\d+) tokens/;
+
+/**
+ * Sum the wallet's raw token balance for a mint from pre/post token balances
+ */
+function walletTokenAmount(balances, walletAddress, tokenAddress) {
+  return (balances || [])
+    .filter(b => b.mint === tokenAddress && b.owner === walletAddress)
+    .reduce((sum, b) => sum + Number(b.uiTokenAmount.amount), 0);
+}
+
+/**
+ * Parse a getParsedTransaction result into a history entry
+ */
+function parseWalletTransaction(tx, signature, walletAddress, tokenAddress) {
+  const outer = tx.transaction.message.instructions;
+  const inner = (tx.meta?.innerInstructions || []).flatMap(group => group.instructions);
+  
+  let burnedAmount = 0;
+  let memo = null;
+  
+  for (const ix of [...outer, ...inner]) {
+    if (TOKEN_PROGRAMS.includes(ix.program) && BURN_INSTRUCTIONS.includes(ix.parsed?.type)) {
+      const info = ix.parsed.info;
+      if (info.mint === tokenAddress) {
+        burnedAmount += Number(info.amount ?? info.tokenAmount?.amount ?? 0);
+      }
+    }
+    
+    if (ix.program === SPL_MEMO_PROGRAM && typeof ix.parsed === 'string') {
+      memo = ix.parsed;
+    }
+  }
+  
+  const memoMatch = memo ? memo.match(BURN_MEMO_PATTERN) : null;
+  
+  const accountKeys = tx.transaction.message.accountKeys.map(k => (k.pubkey || k).toString());
+  const walletIndex = accountKeys.indexOf(walletAddress);
+  const solDelta = walletIndex >= 0
+    ? (tx.meta.postBalances[walletIndex] - tx.meta.preBalances[walletIndex]) / 1e9
+    : 0;
+  
+  const tokenDelta = walletTokenAmount(tx.meta.postTokenBalances, walletAddress, tokenAddress)
+    - walletTokenAmount(tx.meta.preTokenBalances, walletAddress, tokenAddress);
+  
+  return {
+    signature,
+    slot: tx.slot,
+    blockTime: tx.blockTime,
+    success: !tx.meta.err,
+    burnedAmount,
+    memo,
+    burnType: memoMatch ? memoMatch[1].toLowerCase() : null,
+    memoAmount: memoMatch ? Number(memoMatch[2]) : null,
+    solDelta,
+    tokenDelta,
+    fee: tx.meta.fee / 1e9
+  };
+}
+
+/**
+ * Fetch and parse a wallet's transaction history, newest first
+ * Stops after `limit` signatures (or at `until` signature)
+ */
+async function fetchWalletHistory(connection, walletAddress, tokenAddress, { limit = 5000, until } = {}) {
+  const wallet = new PublicKey(walletAddress);
+  const signatures = [];
+  let before;
+  
+  while (signatures.length < limit) {
+    const page = await connection.getSignaturesForAddress(wallet, {
+      before,
+      until,
+      limit: Math.min(SIGNATURE_PAGE_SIZE, limit - signatures.length)
+    });
+    
+    signatures.push(...page);
+    
+    if (page.length < SIGNATURE_PAGE_SIZE) break;
+    before = page[page.length - 1].signature;
+  }
+  
+  const entries = [];
+  
+  for (let i = 0; i < signatures.length; i += PARSED_TX_BATCH_SIZE) {
+    const batch = signatures.slice(i, i + PARSED_TX_BATCH_SIZE).map(s => s.signature);
+    const txs = await connection.getParsedTransactions(batch, {
+      commitment: 'confirmed',
+      maxSupportedTransactionVersion: 0
+    });
+    
+    txs.forEach((tx, idx) => {
+      if (tx) {
+        entries.push(parseWalletTransaction(tx, batch[idx], walletAddress, tokenAddress));
+      }
+    });
+  }
+  
+  return entries;
+}
+
+/**
+ * Fetch and parse a single transaction from the fee payer's point of view
+ * Returns null if the transaction isn't found; `finalized` tells whether it can be cached
+ */
+async function fetchTransactionDetails(connection, signature, tokenAddress) {
+  const [tx, status] = await Promise.all([
+    connection.getParsedTransaction(signature, {
+      commitment: 'confirmed',
+      maxSupportedTransactionVersion: 0
+    }),
+    connection.getSignatureStatuses([signature], { searchTransactionHistory: true })
+  ]);
+  
+  if (!tx) return null;
+  
+  // Our transactions are always paid for by the wallet that signs them
+  const feePayer = (tx.transaction.message.accountKeys[0].pubkey || tx.transaction.message.accountKeys[0]).toString();
+  
+  return {
+    ...parseWalletTransaction(tx, signature, feePayer, tokenAddress),
+    feePayer,
+    error: tx.meta.err ? JSON.stringify(tx.meta.err) : null,
+    finalized: status.value[0]?.confirmationStatus === 'finalized'
+  };
+}
+
+/**
+ * A wallet's raw token balance change in one transaction (from its pre/post
+ * token balances). Returns null if the transaction isn't found yet.
+ */
+async function fetchWalletTokenDelta(connection, signature, walletAddress, tokenAddress) {
+  const tx = await connection.getParsedTransaction(signature, {
+    commitment: 'confirmed',
+    maxSupportedTransactionVersion: 0
+  });
+  
+  if (!tx?.meta) return null;
+  
+  return walletTokenAmount(tx.meta.postTokenBalances, walletAddress, tokenAddress)
+    - walletTokenAmount(tx.meta.preTokenBalances, walletAddress, tokenAddress);
+}
+
+module.exports = {
+  BURN_MEMO_PATTERN,
+  parseWalletTransaction,
+  fetchWalletHistory,
+  fetchTransactionDetails,
+  fetchWalletTokenDelta
+};
\ No newline at end of file
@@ -0,0 +1,151 @@
+/**
+ * Burn Proof for $INFERNO Token
+ *
+ * Everything the public /burn/[id] page shows for one burn: the decoded
+ * burn transaction (burned amount, memo, slot, block time, fee), the collect
+ * and buy transactions that funded a buyback, and the supply before and after.
+ * Decoded transactions are cached in tx_details once finalized.
+ */
+const { getChainAdapter } = require('./chainAdapter');
+const {
+  getBurnById,
+  getBurnedAfter,
+  getOperationForBurn,
+  getTxDetails,
+  saveTxDetails
+} = require('./database');
+const { formatBurn } = require('./burnFormat');
+const { getSupply, toUiAmount } = require('./supply');
+require('dotenv').config();
+
+/**
+ * Convert a tx_details row to the adapter's details shape
+ */
+function fromCachedRow(row) {
+  return {
+    signature: row.signature,
+    slot: row.slot,
+    blockTime: row.block_time,
+    success: row.success === 1,
+    error: row.error,
+    fee: row.fee,
+    feePayer: row.fee_payer,
+    burnedAmount: row.burned_amount,
+    memo: row.memo,
+    solDelta: row.sol_delta,
+    tokenDelta: row.token_delta,
+    finalized: true
+  };
+}
+
+/**
+ * Get a decoded transaction, from the cache or the chain
+ * Returns null if the transaction can't be found
+ */
+async function getTransactionProof(signature) {
+  if (!signature) return null;
+  
+  const cached = getTxDetails(signature);
+  if (cached) {
+    return { ...fromCachedRow(cached), cached: true };
+  }
+  
+  const details = await getChainAdapter().getTransactionDetails(signature, process.env.TOKEN_ADDRESS);
+  if (!details) return null;
+  
+  // Finalized transactions can't change any more
+  if (details.finalized) {
+    saveTxDetails(details);
+  }
+  
+  return {
+    signature: details.signature,
+    slot: details.slot,
+    blockTime: details.blockTime,
+    success: details.success,
+    error: details.error,
+    fee: details.fee,
+    feePayer: details.feePayer,
+    burnedAmount: details.burnedAmount,
+    memo: details.memo,
+    solDelta: details.solDelta,
+    tokenDelta: details.tokenDelta,
+    finalized: details.finalized,
+    cached: false
+  };
+}
+
+/**
+ * Add display amounts and a Solscan link to a decoded transaction
+ */
+function presentTransaction(tx, decimals) {
+  if (!tx) return null;
+  
+  return {
+    ...tx,
+    blockTime: tx.blockTime ? new Date(tx.blockTime * 1000).toISOString() : null,
+    burnedAmountUi: toUiAmount(tx.burnedAmount || 0, decimals),
+    tokenDeltaUi: tx.tokenDelta != null ? toUiAmount(tx.tokenDelta, decimals) : null,
+    solscanUrl: `https://solscan.io/tx/${tx.signature}`
+  };
+}
+
+/**
+ * Get the full proof for a burn
+ * Returns null if the burn doesn't exist
+ */
+async function getBurnProof(id, { simulated = false } = {}) {
+  const burn = getBurnById(id, simulated);
+  if (!burn) return null;
+  
+  const supply = await getSupply({ simulated });
+  const { decimals } = supply;
+  
+  // Walk back from the current supply through the burns recorded since this one
+  const supplyAfter = supply.current.raw + getBurnedAfter(burn, simulated);
+  const supplyBefore = supplyAfter + burn.burn_amount;
+  
+  const signature = burn.tx_signature || null;
+  const operation = signature ? getOperationForBurn(signature) : null;
+  
+  let transaction = null;
+  let buy = null;
+  let collect = null;
+  let proofError = null;
+  
+  if (signature) {
+    try {
+      [transaction, buy, collect] = await Promise.all([
+        getTransactionProof(signature),
+        burn.burn_type === 'buyback' ? getTransactionProof(operation?.buy_tx) : null,
+        burn.burn_type === 'buyback' ? getTransactionProof(operation?.collect_tx) : null
+      ]);
+    } catch (error) {
+      proofError = `Could not load transaction: ${error.message}`;
+    }
+  }
+  
+  return {
+    burn: {
+      ...formatBurn(burn),
+      burnAmountUi: toUiAmount(burn.burn_amount, decimals)
+    },
+    simulated,
+    transaction: presentTransaction(transaction, decimals),
+    buy: presentTransaction(buy, decimals),
+    collect: presentTransaction(collect, decimals),
+    operationId: operation?.op_id || null,
+    proofError,
+    supply: {
+      decimals,
+      before: { raw: supplyBefore, ui: toUiAmount(supplyBefore, decimals) },
+      after: { raw: supplyAfter, ui: toUiAmount(supplyAfter, decimals) },
+      source: supply.source
+    }
+  };
+}
+
+module.exports = {
+  getTransactionProof,
+  getBurnProof
+};
\ No newline at end of file
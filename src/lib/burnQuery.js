@@ -0,0 +1,167 @@
+/**
+ * Burn Query Params for $INFERNO Token
+ *
+ * Parses and validates the burn filters, sorting and cursors accepted by
+ * /api/burns. Amounts are raw (smallest) units, dates are ISO strings or
+ * YYYY-MM-DD (a date-only `to` includes that whole day).
+ */
+const BURN_TYPES = ['milestone', 'buyback'];
+const SORTS = ['time', 'amount'];
+const ORDERS = ['asc', 'desc'];
+const INCLUDES = ['sum'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Convert an ISO date to a SQLite datetime (null if invalid)
+ */
+function toSqlDate(value, endOfDay = false) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  
+  if (endOfDay && DATE_ONLY.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Parse a non-negative integer param (undefined if absent, NaN if invalid)
+ */
+function parseInteger(value) {
+  if (value === null || value === '') return undefined;
+  return /^\d+$/.test(value) ? parseInt(value) : NaN;
+}
+
+/**
+ * Encode the cursor for the row after which the next page starts
+ */
+function encodeCursor(row, sort) {
+  const value = sort === 'amount' ? row.burn_amount : row.created_at;
+  return Buffer.from(JSON.stringify([sort, value, row.id])).toString('base64url');
+}
+
+/**
+ * Decode a cursor into { sort, value, id } (null if invalid)
+ */
+function decodeCursor(cursor) {
+  try {
+    const [sort, value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (!SORTS.includes(sort) || value == null || !Number.isInteger(id)) return null;
+    return { sort, value, id };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parse burn filters from URL search params
+ * Returns { error } or { filters }
+ */
+function parseBurnFilters(searchParams) {
+  const filters = {};
+  
+  const burnType = searchParams.get('type');
+  if (burnType) {
+    if (!BURN_TYPES.includes(burnType)) {
+      return { error: `Invalid type: ${burnType}. Use ${BURN_TYPES.join(' or ')}` };
+    }
+    filters.burnType = burnType;
+  }
+  
+  for (const [param, key, endOfDay] of [['from', 'from', false], ['to', 'to', true]]) {
+    const value = searchParams.get(param);
+    if (!value) continue;
+    
+    const sqlDate = toSqlDate(value, endOfDay);
+    if (!sqlDate) {
+      return { error: `Invalid ${param} date: ${value}` };
+    }
+    filters[key] = sqlDate;
+  }
+  
+  for (const [param, key] of [['minAmount', 'minAmount'], ['maxAmount', 'maxAmount'], ['milestone', 'milestoneTarget']]) {
+    const value = parseInteger(searchParams.get(param));
+    if (value === undefined) continue;
+    
+    if (isNaN(value)) {
+      return { error: `Invalid ${param}: must be a non-negative integer` };
+    }
+    filters[key] = value;
+  }
+  
+  if (filters.minAmount != null && filters.maxAmount != null && filters.minAmount > filters.maxAmount) {
+    return { error: 'minAmount must not exceed maxAmount' };
+  }
+  
+  return { filters };
+}
+
+/**
+ * Parse a full /api/burns query
+ * Returns { error } or { filters, sort, order, limit, page, after, include, simulated }
+ */
+function parseBurnQuery(searchParams) {
+  const { error, filters } = parseBurnFilters(searchParams);
+  if (error) return { error };
+  
+  const sort = searchParams.get('sort') || 'time';
+  if (!SORTS.includes(sort)) {
+    return { error: `Invalid sort: ${sort}. Use ${SORTS.join(' or ')}` };
+  }
+  
+  const order = searchParams.get('order') || 'desc';
+  if (!ORDERS.includes(order)) {
+    return { error: `Invalid order: ${order}. Use asc or desc` };
+  }
+  
+  const limit = parseInteger(searchParams.get('limit')) ?? DEFAULT_LIMIT;
+  if (isNaN(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `Invalid limit: must be between 1 and ${MAX_LIMIT}` };
+  }
+  
+  const page = parseInteger(searchParams.get('page')) ?? 1;
+  if (isNaN(page) || page < 1) {
+    return { error: 'Invalid page: must be 1 or more' };
+  }
+  
+  let after = null;
+  const cursor = searchParams.get('cursor');
+  if (cursor) {
+    after = decodeCursor(cursor);
+    if (!after) {
+      return { error: 'Invalid cursor' };
+    }
+    if (after.sort !== sort) {
+      return { error: `Cursor was issued for sort=${after.sort}` };
+    }
+  }
+  
+  const include = (searchParams.get('include') || '').split(',').filter(Boolean);
+  const unknown = include.filter(name => !INCLUDES.includes(name));
+  if (unknown.length > 0) {
+    return { error: `Invalid include: ${unknown.join(', ')}. Use ${INCLUDES.join(', ')}` };
+  }
+  
+  return {
+    filters,
+    sort,
+    order,
+    limit,
+    page,
+    after,
+    include,
+    simulated: searchParams.get('simulated') === 'true'
+  };
+}
+
+module.exports = {
+  toSqlDate,
+  encodeCursor,
+  decodeCursor,
+  parseBurnFilters,
+  parseBurnQuery
+};
\ No newline at end of file
@@ -0,0 +1,94 @@
+/**
+ * Burn Timeline for $INFERNO Token
+ *
+ * Turns the burns table into chart series for the dashboard: cumulative
+ * tokens burned per type and SOL spent on buybacks per day.
+ * Amounts are raw (smallest) units, times are ISO strings (UTC).
+ */
+const { getBurnTimeline, getBurnTotalsBefore } = require('./database');
+
+const HOUR_MS = 3600000;
+
+const HOURLY = '%Y-%m-%d %H:00:00';
+const DAILY = '%Y-%m-%d 00:00:00';
+
+// Supported ranges and their bucket size (null duration = all time)
+const RANGES = {
+  '24h': { durationMs: 24 * HOUR_MS, bucket: 'hour' },
+  '7d': { durationMs: 7 * 24 * HOUR_MS, bucket: 'hour' },
+  '30d': { durationMs: 30 * 24 * HOUR_MS, bucket: 'day' },
+  'all': { durationMs: null, bucket: 'day' }
+};
+
+/**
+ * Convert a time in ms to a SQLite datetime
+ */
+function toSqlDate(time) {
+  return new Date(time).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Convert a SQLite datetime (UTC) to an ISO string
+ */
+function toIsoDate(sqlDate) {
+  return `${sqlDate.replace(' ', 'T')}.000Z`;
+}
+
+/**
+ * Get chart series for a range
+ * Returns { range, bucket, from, to, cumulative: [...], solPerDay: [...] }
+ */
+function getBurnChartData({ range = '7d', simulated = false } = {}, now = Date.now()) {
+  const rangeConfig = RANGES[range];
+  if (!rangeConfig) {
+    throw new Error(`Invalid range: ${range}. Use ${Object.keys(RANGES).join(', ')}`);
+  }
+  
+  const since = rangeConfig.durationMs ? toSqlDate(now - rangeConfig.durationMs) : null;
+  const bucketFormat = rangeConfig.bucket === 'hour' ? HOURLY : DAILY;
+  
+  // Cumulative totals start from everything burned before the range
+  const running = since ? getBurnTotalsBefore(since, simulated) : { milestone: 0, buyback: 0 };
+  const cumulative = [];
+  
+  if (since) {
+    cumulative.push({ time: toIsoDate(since), ...running, total: running.milestone + running.buyback });
+  }
+  
+  for (const row of getBurnTimeline({ since, bucketFormat, simulated })) {
+    running[row.burn_type] = (running[row.burn_type] || 0) + row.total;
+    
+    const time = toIsoDate(row.bucket);
+    const point = { time, milestone: running.milestone, buyback: running.buyback };
+    point.total = point.milestone + point.buyback;
+    
+    // Both types can land in the same bucket - keep one point per bucket
+    if (cumulative.length > 0 && cumulative[cumulative.length - 1].time === time) {
+      cumulative[cumulative.length - 1] = point;
+    } else {
+      cumulative.push(point);
+    }
+  }
+  
+  const solPerDay = getBurnTimeline({ since, bucketFormat: DAILY, simulated })
+    .filter(row => row.burn_type === 'buyback')
+    .map(row => ({
+      date: row.bucket.slice(0, 10),
+      solSpent: Number(row.sol_spent.toFixed(9)),
+      buybacks: row.count
+    }));
+  
+  return {
+    range,
+    bucket: rangeConfig.bucket,
+    from: since ? toIsoDate(since) : cumulative[0]?.time || null,
+    to: new Date(now).toISOString(),
+    cumulative,
+    solPerDay
+  };
+}
+
+module.exports = {
+  RANGES,
+  getBurnChartData
+};
\ No newline at end of file
@@ -0,0 +1,239 @@
+/**
+ * Buyback Guard for $INFERNO
+ *
+ * Limits what automated buybacks can spend and pauses them when something
+ * looks wrong:
+ *   - per-cycle and rolling 24h SOL caps (BUYBACK_MAX_SOL_PER_CYCLE / BUYBACK_MAX_SOL_PER_DAY),
+ *     enforced through the buyback_spends ledger
+ *   - a max price impact per buy (MAX_PRICE_IMPACT_PERCENT), checked by the chain adapter
+ *     against the Jupiter order or bonding-curve quote
+ *   - a persisted circuit breaker that opens after BREAKER_MAX_FAILURES consecutive failed
+ *     cycles or any abnormal fill, and stays open until reset (npm run breaker -- reset)
+ */
+const { getDb } = require('./database');
+const { getSettings } = require('./config');
+
+const BUYBACK_BREAKER = 'buyback';
+
+/**
+ * Configured limits
+ */
+function getBuybackLimits() {
+  const settings = getSettings();
+  
+  return {
+    maxSolPerCycle: settings.maxBuybackSolPerCycle,
+    maxSolPerDay: settings.maxBuybackSolPerDay,
+    maxPriceImpact: settings.maxPriceImpact,
+    maxSlippage: settings.maxSlippage,
+    breakerMaxFailures: settings.breakerMaxFailures
+  };
+}
+
+/**
+ * SOL reserved or spent by buybacks in the last 24 hours
+ */
+function getSpentLast24h() {
+  return getDb().prepare(`
+    SELECT COALESCE(SUM(sol_amount), 0) as total
+    FROM buyback_spends
+    WHERE status != 'released' AND created_at > datetime('now', '-1 day')
+  `).get().total;
+}
+
+/**
+ * Cap a buy by the per-cycle and rolling 24h limits
+ * Returns { amount, cappedBy ('cycle' | 'daily' | null), spent24h }
+ */
+function capBuybackAmount(requested, spent24h = getSpentLast24h()) {
+  const { maxSolPerCycle, maxSolPerDay } = getBuybackLimits();
+  const dailyRemaining = Math.max(0, maxSolPerDay - spent24h);
+  const amount = Math.min(requested, maxSolPerCycle, dailyRemaining);
+  const cappedBy = amount === requested ? null : amount === dailyRemaining ? 'daily' : 'cycle';
+  
+  return { amount, cappedBy, spent24h };
+}
+
+/**
+ * Reserve capped SOL for a buy in the spend ledger
+ * Runs in an IMMEDIATE transaction so concurrent workers can't overspend.
+ * Returns capBuybackAmount's result plus the ledger id (null when nothing is left to spend).
+ */
+function reserveBuybackSpend(requested, opId = null) {
+  const db = getDb();
+  
+  const reserve = db.transaction(() => {
+    const cap = capBuybackAmount(requested);
+    if (cap.amount <= 0) return { id: null, ...cap, amount: 0 };
+    
+    const result = db.prepare(`
+      INSERT INTO buyback_spends (op_id, sol_amount, status) VALUES (?, ?, 'reserved')
+    `).run(opId, cap.amount);
+    
+    return { id: result.lastInsertRowid, ...cap };
+  });
+  
+  return reserve.immediate();
+}
+
+/**
+ * Mark a reservation as spent by a buy
+ * Pass solAmount when less than the reserved amount was spent (the rest is freed)
+ */
+function settleBuybackSpend(id, buyTx, solAmount = null) {
+  if (!id) return;
+  getDb().prepare(`
+    UPDATE buyback_spends SET status = 'spent', buy_tx = ?, sol_amount = COALESCE(?, sol_amount), settled_at = CURRENT_TIMESTAMP WHERE id = ?
+  `).run(buyTx || null, solAmount, id);
+}
+
+/**
+ * Give back a reservation whose buy never happened
+ */
+function releaseBuybackSpend(id) {
+  if (!id) return;
+  getDb().prepare(`
+    UPDATE buyback_spends SET status = 'released', settled_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'reserved'
+  `).run(id);
+}
+
+/**
+ * Recent spend ledger entries, newest first
+ */
+function getRecentSpends(limit = 20) {
+  return getDb().prepare('SELECT * FROM buyback_spends ORDER BY id DESC LIMIT ?').all(limit);
+}
+
+/**
+ * Breaker state (closed with no failures if it never tripped)
+ */
+function getBreaker(name = BUYBACK_BREAKER) {
+  const row = getDb().prepare('SELECT * FROM circuit_breakers WHERE name = ?').get(name);
+  
+  return row || {
+    name,
+    state: 'closed',
+    consecutive_failures: 0,
+    last_error: null,
+    opened_reason: null,
+    opened_at: null,
+    updated_at: null
+  };
+}
+
+function isBreakerOpen(name = BUYBACK_BREAKER) {
+  return getBreaker(name).state === 'open';
+}
+
+function saveBreaker(breaker) {
+  getDb().prepare(`
+    INSERT INTO circuit_breakers (name, state, consecutive_failures, last_error, opened_reason, opened_at, updated_at)
+    VALUES (@name, @state, @consecutive_failures, @last_error, @opened_reason, @opened_at, CURRENT_TIMESTAMP)
+    ON CONFLICT(name) DO UPDATE SET
+      state = excluded.state,
+      consecutive_failures = excluded.consecutive_failures,
+      last_error = excluded.last_error,
+      opened_reason = excluded.opened_reason,
+      opened_at = excluded.opened_at,
+      updated_at = excluded.updated_at
+  `).run(breaker);
+  return getBreaker(breaker.name);
+}
+
+/**
+ * Open the breaker immediately (e.g. on an abnormal fill)
+ */
+function tripBreaker(reason, name = BUYBACK_BREAKER) {
+  const breaker = getBreaker(name);
+  if (breaker.state === 'open') return breaker;
+  
+  return saveBreaker({
+    ...breaker,
+    state: 'open',
+    opened_reason: reason,
+    opened_at: new Date().toISOString()
+  });
+}
+
+/**
+ * Count a failed cycle, opening the breaker after BREAKER_MAX_FAILURES in a row
+ */
+function recordBreakerFailure(error, name = BUYBACK_BREAKER) {
+  const { breakerMaxFailures } = getBuybackLimits();
+  const failures = getBreaker(name).consecutive_failures + 1;
+  
+  const breaker = saveBreaker({ ...getBreaker(name), consecutive_failures: failures, last_error: error });
+  
+  if (failures >= breakerMaxFailures) {
+    return tripBreaker(`${failures} consecutive failures, last: ${error}`, name);
+  }
+  return breaker;
+}
+
+/**
+ * Count a successful cycle (resets the failure streak, never closes an open breaker)
+ */
+function recordBreakerSuccess(name = BUYBACK_BREAKER) {
+  const breaker = getBreaker(name);
+  if (breaker.consecutive_failures === 0) return breaker;
+  
+  return saveBreaker({ ...breaker, consecutive_failures: 0 });
+}
+
+/**
+ * Close the breaker and clear its failure streak
+ */
+function resetBreaker(name = BUYBACK_BREAKER) {
+  return saveBreaker({
+    ...getBreaker(name),
+    state: 'closed',
+    consecutive_failures: 0,
+    opened_reason: null,
+    opened_at: null
+  });
+}
+
+/**
+ * Whether a fill is abnormal: fewer tokens arrived than the quote minus max slippage
+ */
+function isAbnormalFill(receivedTokens, quotedTokens) {
+  const { maxSlippage } = getBuybackLimits();
+  return quotedTokens > 0 && receivedTokens < quotedTokens * (1 - maxSlippage / 100);
+}
+
+/**
+ * Breaker, limits and spending for the admin status endpoint
+ */
+function getBuybackGuardStatus() {
+  const limits = getBuybackLimits();
+  const spent24h = getSpentLast24h();
+  
+  return {
+    breaker: getBreaker(),
+    limits,
+    spending: {
+      last24h: spent24h,
+      remaining24h: Math.max(0, limits.maxSolPerDay - spent24h),
+      recent: getRecentSpends(10)
+    }
+  };
+}
+
+module.exports = {
+  BUYBACK_BREAKER,
+  getBuybackLimits,
+  getSpentLast24h,
+  capBuybackAmount,
+  reserveBuybackSpend,
+  settleBuybackSpend,
+  releaseBuybackSpend,
+  getRecentSpends,
+  getBreaker,
+  isBreakerOpen,
+  tripBreaker,
+  recordBreakerFailure,
+  recordBreakerSuccess,
+  resetBreaker,
+  isAbnormalFill,
+  getBuybackGuardStatus
+};
\ No newline at end of file
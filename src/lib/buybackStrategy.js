@@ -0,0 +1,282 @@
+/**
+ * Buyback Strategies for $INFERNO
+ *
+ * How a cycle's SOL budget is turned into buys (BUYBACK_STRATEGY):
+ *   market         - one buy of the whole budget (default)
+ *   twap           - BUYBACK_TWAP_SLICES equal child orders spread over
+ *                    BUYBACK_TWAP_WINDOW_MINUTES
+ *   moving_average - hold (fees stay in the vault) until the token price is below
+ *                    its BUYBACK_MA_MINUTES moving average, then one buy
+ *   impact_capped  - one buy sized to stay under BUYBACK_FILL_MAX_IMPACT_PERCENT
+ *
+ * A strategy is { description, gate(context), run(context), atomic }: gate returns a
+ * reason to hold off (or null), run places child orders through context.fill
+ * (context also has budget, wait, options and the cycle's maxPriceImpact).
+ * On the bonding curve a cycle is one collect+buy+burn transaction, so only the
+ * gate applies there; `atomic` marks strategies that lose nothing by that.
+ * SOL a cycle doesn't spend is carried over into the next cycle's budget.
+ *
+ * Every cycle is a buyback_cycles row and every child order a buyback_fills row.
+ */
+const { getDb, getPriceSamples } = require('./database');
+const { getSettings } = require('./config');
+
+const MINUTE_MS = 60000;
+const MIN_FILL_SOL = 0.001;         // Smaller child orders aren't worth the fees
+const IMPACT_SIZING_ATTEMPTS = 4;   // Quotes tried when sizing an impact-capped buy
+const IMPACT_SIZING_MARGIN = 0.9;   // Aim below the cap, impact isn't exactly linear
+
+/**
+ * Strategy settings
+ */
+function getStrategyOptions() {
+  const settings = getSettings();
+  
+  return {
+    strategy: settings.buybackStrategy,
+    twapSlices: settings.buybackTwapSlices,
+    twapWindowMinutes: settings.buybackTwapWindowMinutes,
+    maMinutes: settings.buybackMaMinutes,
+    fillMaxImpact: settings.buybackFillMaxImpact
+  };
+}
+
+/**
+ * Hold reason while the price isn't below its moving average (null to buy)
+ * The average is of the token's sampled price_in_sol (see price-sampler.js)
+ */
+async function belowMovingAverage({ chain, options, now = Date.now() }) {
+  const samples = getPriceSamples({ since: now - options.maMinutes * MINUTE_MS, until: now })
+    .filter(sample => sample.price_in_sol > 0);
+  
+  if (samples.length === 0) {
+    return `no price samples in the last ${options.maMinutes} minutes (is the price sampler running?)`;
+  }
+  
+  const average = samples.reduce((sum, sample) => sum + sample.price_in_sol, 0) / samples.length;
+  
+  // The oracle throws when its sources disagree, that's a reason to wait, not a failed cycle
+  let priceInSol;
+  try {
+    ({ priceInSol } = await chain.getTokenPrice());
+  } catch (error) {
+    return `price unavailable (${error.message})`;
+  }
+  
+  if (priceInSol >= average) {
+    return `price ${priceInSol.toExponential(4)} SOL is not below its ${options.maMinutes}m average ${average.toExponential(4)} SOL`;
+  }
+  return null;
+}
+
+async function buyAll({ budget, fill }) {
+  await fill(budget);
+}
+
+const STRATEGIES = {
+  market: {
+    description: 'One buy of the whole budget',
+    atomic: true,
+    run: buyAll
+  },
+  
+  twap: {
+    description: 'Equal child orders spread over a time window',
+    async run({ budget, fill, wait, options }) {
+      const slices = Math.max(1, Math.min(options.twapSlices, Math.floor(budget / MIN_FILL_SOL)));
+      const interval = (options.twapWindowMinutes * MINUTE_MS) / slices;
+      
+      for (let i = 0; i < slices; i++) {
+        if (i > 0) await wait(interval);
+        
+        const result = await fill(budget / slices);
+        if (result.stop) return;
+      }
+    }
+  },
+  
+  moving_average: {
+    description: 'Hold until the price is below its moving average, then one buy',
+    gate: belowMovingAverage,
+    atomic: true,
+    run: buyAll
+  },
+  
+  impact_capped: {
+    description: 'One buy sized to stay under a max price impact, the rest carries over',
+    async run({ budget, fill, options, maxPriceImpact = Infinity }) {
+      // The cycle's own limit applies too, sizing for a looser cap would never fit
+      const cap = Math.min(options.fillMaxImpact, maxPriceImpact);
+      let amount = budget;
+      
+      for (let attempt = 1; attempt <= IMPACT_SIZING_ATTEMPTS && amount >= MIN_FILL_SOL; attempt++) {
+        const result = await fill(amount, { maxPriceImpact: options.fillMaxImpact });
+        if (result.rejected !== 'price_impact') return;
+        
+        // Shrink roughly in proportion to how far over the cap the quote was (halve without a usable impact)
+        amount *= result.priceImpact > 0 ? (cap / result.priceImpact) * IMPACT_SIZING_MARGIN : 0.5;
+      }
+    }
+  }
+};
+
+/**
+ * Add (or replace) a strategy
+ */
+function registerBuybackStrategy(name, strategy) {
+  if (typeof strategy?.run !== 'function') {
+    throw new Error(`Buyback strategy ${name} needs a run(context) function`);
+  }
+  STRATEGIES[name] = strategy;
+}
+
+/**
+ * Get a strategy by name (throws on unknown strategies)
+ */
+function getBuybackStrategy(name = getStrategyOptions().strategy) {
+  const strategy = STRATEGIES[name];
+  if (!strategy) {
+    throw new Error(`Unknown BUYBACK_STRATEGY: ${name}. Use ${Object.keys(STRATEGIES).join(', ')}`);
+  }
+  return { name, ...strategy };
+}
+
+/**
+ * SOL the last finished cycle left unspent for the next one
+ */
+function getCarryoverSol() {
+  const row = getDb().prepare(`
+    SELECT carryover_sol FROM buyback_cycles WHERE status != 'running' ORDER BY id DESC LIMIT 1
+  `).get();
+  return row ? row.carryover_sol : 0;
+}
+
+/**
+ * Start a cycle row
+ * Returns its id
+ */
+function startBuybackCycle({ opId = null, strategy, budgetSol, carriedInSol = 0 }) {
+  return getDb().prepare(`
+    INSERT INTO buyback_cycles (op_id, strategy, budget_sol, carried_in_sol) VALUES (?, ?, ?, ?)
+  `).run(opId, strategy, budgetSol, carriedInSol).lastInsertRowid;
+}
+
+/**
+ * Record a child order of a cycle
+ */
+function recordBuybackFill(cycleId, fill) {
+  if (!cycleId) return;
+  
+  getDb().prepare(`
+    INSERT INTO buyback_fills (cycle_id, seq, sol_amount, tokens_received, quoted_tokens, price_impact, buy_tx, status, error)
+    VALUES (@cycleId, @seq, @solAmount, @tokensReceived, @quotedTokens, @priceImpact, @buyTx, @status, @error)
+  `).run({
+    cycleId,
+    seq: fill.seq,
+    solAmount: fill.solAmount,
+    tokensReceived: fill.tokensReceived ?? null,
+    quotedTokens: fill.quotedTokens ?? null,
+    priceImpact: fill.priceImpact ?? null,
+    buyTx: fill.buyTx || null,
+    status: fill.status,
+    error: fill.error || null
+  });
+}
+
+/**
+ * Close a cycle with its totals
+ */
+function finishBuybackCycle(cycleId, { status, spentSol = 0, tokensBought = 0, carryoverSol = 0, burnTx = null, note = null }) {
+  if (!cycleId) return;
+  
+  getDb().prepare(`
+    UPDATE buyback_cycles
+    SET status = ?, spent_sol = ?, tokens_bought = ?, carryover_sol = ?, burn_tx = ?, note = ?, completed_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(status, spentSol, tokensBought, carryoverSol, burnTx, note, cycleId);
+}
+
+/**
+ * Recent cycles with their fills, newest first
+ */
+function getBuybackCycles(limit = 10) {
+  const db = getDb();
+  const fills = db.prepare('SELECT * FROM buyback_fills WHERE cycle_id = ? ORDER BY seq');
+  
+  return db.prepare('SELECT * FROM buyback_cycles ORDER BY id DESC LIMIT ?').all(limit)
+    .map(cycle => ({ ...cycle, fills: fills.all(cycle.id) }));
+}
+
+/**
+ * Run a strategy's child orders against a budget
+ * buy(amountSol, maxPriceImpact) places one buy and returns the chain adapter's
+ * result plus tokensReceived as a number and `abort` to stop further orders.
+ * Returns { fills, solSpent, tokensBought, carryover, lastBuyTx, source, error, simulations }
+ */
+async function executeBuybackStrategy({ strategy, budget, buy, cycleId = null, maxPriceImpact, wait, log = console.log }) {
+  const options = getStrategyOptions();
+  const totals = { fills: 0, solSpent: 0, tokensBought: 0, lastBuyTx: null, source: null, error: null, simulations: [] };
+  let stopped = false;
+  let seq = 0;
+  
+  async function fill(amountSol, { maxPriceImpact: fillMaxImpact = maxPriceImpact } = {}) {
+    const amount = Math.min(amountSol, budget - totals.solSpent);
+    if (stopped || amount < MIN_FILL_SOL) return { stop: true };
+    
+    seq++;
+    log(`Child order ${seq}: buying with ${amount.toFixed(6)} SOL...`);
+    const result = await buy(amount, Math.min(fillMaxImpact, maxPriceImpact));
+    
+    if (result.rejected === 'price_impact') {
+      log(`Child order ${seq}: ${result.error}`, 'warn');
+      recordBuybackFill(cycleId, { seq, solAmount: amount, priceImpact: result.priceImpact, status: 'rejected', error: result.error });
+      return result;
+    }
+    
+    if (!result.success) {
+      // A failed send may still have landed, so nothing more is bought this cycle
+      stopped = true;
+      totals.error = result.error;
+      recordBuybackFill(cycleId, { seq, solAmount: amount, status: 'failed', error: result.error });
+      return { ...result, stop: true };
+    }
+    
+    totals.fills++;
+    totals.solSpent += amount;
+    totals.tokensBought += result.tokensReceived;
+    totals.lastBuyTx = result.signature || totals.lastBuyTx;
+    totals.source = result.source;
+    if (result.simulation) totals.simulations.push(result.simulation);
+    
+    recordBuybackFill(cycleId, {
+      seq,
+      solAmount: amount,
+      tokensReceived: result.tokensReceived,
+      quotedTokens: result.quotedTokens != null ? parseInt(result.quotedTokens) : null,
+      priceImpact: result.priceImpact,
+      buyTx: result.signature,
+      status: 'filled'
+    });
+    
+    if (result.abort) stopped = true;
+    return { ...result, stop: stopped };
+  }
+  
+  await strategy.run({ budget, fill, wait, options, maxPriceImpact });
+  
+  return { ...totals, carryover: Math.max(0, budget - totals.solSpent) };
+}
+
+module.exports = {
+  STRATEGIES,
+  MIN_FILL_SOL,
+  getStrategyOptions,
+  registerBuybackStrategy,
+  getBuybackStrategy,
+  getCarryoverSol,
+  startBuybackCycle,
+  recordBuybackFill,
+  finishBuybackCycle,
+  getBuybackCycles,
+  executeBuybackStrategy
+};
\ No newline at end of file
@@ -0,0 +1,173 @@
+/**
+ * Chain Adapter for $INFERNO Token
+ *
+ * Single interface for everything the scripts need from the chain:
+ * balances, mint supply, creator fee vault, buy/sell, burn, atomic buy-and-burn, tx verification, settling and decoding, wallet history and prices.
+ *
+ * Select the implementation with CHAIN_ADAPTER in .env:
+ *   solana (default) - real RPC via HELIUS_RPC_URL / SOLANA_RPC_URL (works with a local validator)
+ *   mock             - in-memory chain, see mockChain.js
+ */
+const fs = require('fs');
+const { createMockAdapter } = require('./mockChain');
+require('dotenv').config();
+
+let adapter = null;
+
+/**
+ * Create the real Solana adapter
+ */
+function createSolanaAdapter() {
+  // Required lazily so the mock adapter works without the PumpFun SDKs
+  const {
+    getConnection,
+    getSolBalance,
+    getTokenBalance,
+    getMintInfo,
+    burnTokens,
+    settleSentTransaction
+  } = require('./solana');
+  const { getSigner } = require('./signer');
+  const { createPumpFunOperations } = require('./pumpfun');
+  const { getTokenPrice, getMarketCap, getSolPriceInUsd } = require('./priceOracle');
+  const { fetchWalletHistory, fetchTransactionDetails } = require('./burnHistory');
+  
+  const connection = getConnection();
+  const pumpOps = createPumpFunOperations(connection);
+  
+  return {
+    name: 'solana',
+    
+    /**
+     * Signer for a wallet role: buyback (default) or reserve (see signer.js)
+     */
+    getWallet(role = 'buyback') {
+      return getSigner(role);
+    },
+    
+    getSolBalance,
+    getTokenBalance,
+    getMintInfo,
+    burnTokens,
+    
+    getCreatorFeeBalance(creatorAddress) {
+      return pumpOps.getCreatorFeeBalance(creatorAddress);
+    },
+    
+    collectCreatorFees(wallet, options) {
+      return pumpOps.collectCreatorFees(wallet, options);
+    },
+    
+    buyTokens(params) {
+      return pumpOps.buyTokens(params);
+    },
+    
+    /**
+     * Whether the token left the bonding curve (atomic buybacks need the curve)
+     */
+    isTokenGraduated(tokenAddress) {
+      return pumpOps.isTokenGraduated(tokenAddress);
+    },
+    
+    /**
+     * Collect fees, buy and burn in one transaction (bonding curve only)
+     */
+    collectBuyAndBurn(params) {
+      return pumpOps.collectBuyAndBurn(params);
+    },
+    
+    sellTokens(params) {
+      return pumpOps.sellTokens(params);
+    },
+    
+    /**
+     * Verify a transaction exists on-chain and succeeded
+     * Unverified results say why: `notFound`, `failed` (landed with an error),
+     * or `rpcError` when the lookup itself failed and nothing is known.
+     */
+    async verifyTransaction(signature) {
+      try {
+        const tx = await connection.getTransaction(signature, {
+          commitment: 'confirmed',
+          maxSupportedTransactionVersion: 0
+        });
+        
+        if (!tx) {
+          return { verified: false, notFound: true, error: 'Transaction not found' };
+        }
+        
+        if (!tx.meta || tx.meta.err) {
+          return { verified: false, failed: true, error: 'Transaction failed' };
+        }
+        
+        return {
+          verified: true,
+          slot: tx.slot,
+          blockTime: tx.blockTime
+        };
+      } catch (error) {
+        return { verified: false, rpcError: true, error: error.message };
+      }
+    },
+    
+    /**
+     * Wait for a sent_transactions row to land or expire
+     * Returns 'confirmed', 'failed' or 'expired'
+     */
+    settleSentTransaction(sent) {
+      return settleSentTransaction(connection, sent);
+    },
+    
+    /**
+     * Parsed wallet history (burns, memos, balance deltas), newest first
+     */
+    getWalletHistory(walletAddress, tokenAddress, options) {
+      return fetchWalletHistory(connection, walletAddress, tokenAddress, options);
+    },
+    
+    /**
+     * Decoded transaction (burns, memo, fee, balance deltas of the fee payer)
+     */
+    getTransactionDetails(signature, tokenAddress) {
+      return fetchTransactionDetails(connection, signature, tokenAddress);
+    },
+    
+    getTokenPrice,
+    getMarketCap,
+    getSolPriceInUsd
+  };
+}
+
+/**
+ * Get the configured chain adapter (created once per process)
+ */
+function getChainAdapter() {
+  if (!adapter) {
+    const type = process.env.CHAIN_ADAPTER || 'solana';
+    
+    if (type === 'mock') {
+      const seed = process.env.MOCK_CHAIN_STATE
+        ? JSON.parse(fs.readFileSync(process.env.MOCK_CHAIN_STATE, 'utf8'))
+        : {};
+      adapter = createMockAdapter(seed);
+    } else if (type === 'solana') {
+      adapter = createSolanaAdapter();
+    } else {
+      throw new Error(`Unknown CHAIN_ADAPTER: ${type}. Use 'solana' or 'mock'.`);
+    }
+  }
+  return adapter;
+}
+
+/**
+ * Replace the active adapter (e.g. a mock in tests)
+ */
+function setChainAdapter(newAdapter) {
+  adapter = newAdapter;
+}
+
+module.exports = {
+  createSolanaAdapter,
+  getChainAdapter,
+  setChainAdapter
+};
\ No newline at end of file
@@ -2,7 +2,7 @@
  * $INFERNO Configuration
  * 
  * Fetches token metadata from chain and derives addresses using PumpFun SDK.
- * Only TOKEN_ADDRESS and WALLET_PRIVATE_KEY needed in .env
+ * Only TOKEN_ADDRESS and the wallet signers (see signer.js) needed in .env
  */
 const { PublicKey } = require('@solana/web3.js');
 const { getMint } = require('@solana/spl-token');
@@ -13,37 +13,38 @@ require('dotenv').config();
 // ========================================
 
 const CONSTANTS = {
-  // Milestone burn schedule
-  BURN_SCHEDULE: [
-    { marketCap: 10000, burnAmount: 10000000, percentOfSupply: 1.00 },
-    { marketCap: 50000, burnAmount: 15000000, percentOfSupply: 1.50 },
-    { marketCap: 100000, burnAmount: 25000000, percentOfSupply: 2.50 },
-    { marketCap: 200000, burnAmount: 20000000, percentOfSupply: 2.00 },
-    { marketCap: 300000, burnAmount: 17500000, percentOfSupply: 1.75 },
-    { marketCap: 500000, burnAmount: 17500000, percentOfSupply: 1.75 },
-    { marketCap: 750000, burnAmount: 15000000, percentOfSupply: 1.50 },
-    { marketCap: 1000000, burnAmount: 15000000, percentOfSupply: 1.50 },
-    { marketCap: 1500000, burnAmount: 10000000, percentOfSupply: 1.00 },
-    { marketCap: 2500000, burnAmount: 10000000, percentOfSupply: 1.00 },
-    { marketCap: 3500000, burnAmount: 7500000, percentOfSupply: 0.75 },
-    { marketCap: 5000000, burnAmount: 7500000, percentOfSupply: 0.75 },
-    { marketCap: 7500000, burnAmount: 7500000, percentOfSupply: 0.75 },
-    { marketCap: 10000000, burnAmount: 7500000, percentOfSupply: 0.75 },
-    { marketCap: 15000000, burnAmount: 5000000, percentOfSupply: 0.50 },
-    { marketCap: 25000000, burnAmount: 5000000, percentOfSupply: 0.50 },
-    { marketCap: 35000000, burnAmount: 5000000, percentOfSupply: 0.50 },
-    { marketCap: 50000000, burnAmount: 5000000, percentOfSupply: 0.50 },
-    { marketCap: 75000000, burnAmount: 7500000, percentOfSupply: 0.75 },
-    { marketCap: 90000000, burnAmount: 7500000, percentOfSupply: 0.75 },
-    { marketCap: 100000000, burnAmount: 30000000, percentOfSupply: 3.00 }
-  ],
-  
   // Default operational settings (can override in .env)
   DEFAULTS: {
     REWARDS_CLAIM_THRESHOLD: 0.001,      // Minimum SOL to trigger buyback
     BUYBACK_INTERVAL_MINUTES: 15,       // How often to check for rewards
     MILESTONE_CHECK_INTERVAL_MINUTES: 5, // How often to check price
     MAX_SLIPPAGE_PERCENT: 10,           // Max slippage for swaps
+    MAX_PRICE_IMPACT_PERCENT: 5,        // Skip a buy whose quote moves the price more than this
+    BUYBACK_MAX_SOL_PER_CYCLE: 1,       // Most SOL a single buyback cycle may spend
+    BUYBACK_MAX_SOL_PER_DAY: 5,         // Most SOL buybacks may spend in any rolling 24h
+    BREAKER_MAX_FAILURES: 3,            // Consecutive failed cycles before buybacks pause
+    PRIORITY_FEE_PERCENTILE: 75,        // Percentile of recent priority fees to pay
+    PRIORITY_FEE_MIN_MICROLAMPORTS: 0,  // Priority fee floor (micro-lamports per CU)
+    PRIORITY_FEE_MAX_MICROLAMPORTS: 100000, // Priority fee cap (micro-lamports per CU)
+    COMPUTE_UNIT_MARGIN_PERCENT: 20,    // Headroom over simulated compute units
+    DUST_SWEEP_INTERVAL_HOURS: 24,      // How often leftover tokens in the buyback wallet are burned
+    DUST_SWEEP_MIN_TOKENS: 1,           // Leftovers below this (whole tokens) are left for the next sweep
+    BUYBACK_STRATEGY: 'market',         // market, twap, moving_average or impact_capped (see buybackStrategy.js)
+    BUYBACK_TWAP_SLICES: 4,             // Child orders per cycle for 'twap'
+    BUYBACK_TWAP_WINDOW_MINUTES: 10,    // Window the 'twap' child orders are spread over
+    BUYBACK_MA_MINUTES: 60,             // Moving average window for 'moving_average'
+    BUYBACK_FILL_MAX_IMPACT_PERCENT: 1, // Max price impact per buy for 'impact_capped'
+    PRICE_TOLERANCE_PERCENT: 5,         // Max disagreement between price sources
+    MIN_PRICE_SOURCES: 2,               // Sources that must agree before a price is used
+    MILESTONE_CONFIRM_MODE: 'sustained', // 'sustained' or 'twap'
+    MILESTONE_CONFIRM_SAMPLES: 3,       // Consecutive samples above the threshold
+    MILESTONE_CONFIRM_MINUTES: 10,      // Minutes the market cap must stay above the threshold
+    MILESTONE_TWAP_MINUTES: 30,         // TWAP window for 'twap' mode
+    PRICE_SAMPLE_INTERVAL_MINUTES: 1,   // How often the sampler stores a price
+    PRICE_RAW_RETENTION_HOURS: 48,      // Keep every sample this long, then downsample
+    PRICE_DOWNSAMPLE_MINUTES: 15,       // Bucket size for downsampled samples
+    PRICE_RETENTION_DAYS: 90,           // Delete samples older than this
+    STREAM_POLL_SECONDS: 3,             // How often /api/stream checks the database for new events
     PORT: 3000
   },
   
@@ -207,6 +208,14 @@ async function deriveAddresses(connection) {
   }
 }
 
+/**
+ * Numeric env var where 0 is a real value (unset or unparseable gives the fallback)
+ */
+function envNumber(name, fallback, parse = parseFloat) {
+  const value = parse(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
 /**
  * Get operational settings (from .env or defaults)
  */
@@ -216,7 +225,34 @@ function getSettings() {
     buybackInterval: parseInt(process.env.BUYBACK_INTERVAL_MINUTES) || CONSTANTS.DEFAULTS.BUYBACK_INTERVAL_MINUTES,
     milestoneInterval: parseInt(process.env.MILESTONE_CHECK_INTERVAL_MINUTES) || CONSTANTS.DEFAULTS.MILESTONE_CHECK_INTERVAL_MINUTES,
     maxSlippage: parseFloat(process.env.MAX_SLIPPAGE_PERCENT) || CONSTANTS.DEFAULTS.MAX_SLIPPAGE_PERCENT,
-    port: parseInt(process.env.PORT) || CONSTANTS.DEFAULTS.PORT
+    maxPriceImpact: parseFloat(process.env.MAX_PRICE_IMPACT_PERCENT) || CONSTANTS.DEFAULTS.MAX_PRICE_IMPACT_PERCENT,
+    maxBuybackSolPerCycle: parseFloat(process.env.BUYBACK_MAX_SOL_PER_CYCLE) || CONSTANTS.DEFAULTS.BUYBACK_MAX_SOL_PER_CYCLE,
+    maxBuybackSolPerDay: parseFloat(process.env.BUYBACK_MAX_SOL_PER_DAY) || CONSTANTS.DEFAULTS.BUYBACK_MAX_SOL_PER_DAY,
+    breakerMaxFailures: parseInt(process.env.BREAKER_MAX_FAILURES) || CONSTANTS.DEFAULTS.BREAKER_MAX_FAILURES,
+    priorityFeePercentile: envNumber('PRIORITY_FEE_PERCENTILE', CONSTANTS.DEFAULTS.PRIORITY_FEE_PERCENTILE),
+    priorityFeeMinMicroLamports: envNumber('PRIORITY_FEE_MIN_MICROLAMPORTS', CONSTANTS.DEFAULTS.PRIORITY_FEE_MIN_MICROLAMPORTS, parseInt),
+    priorityFeeMaxMicroLamports: envNumber('PRIORITY_FEE_MAX_MICROLAMPORTS', CONSTANTS.DEFAULTS.PRIORITY_FEE_MAX_MICROLAMPORTS, parseInt),
+    computeUnitMarginPercent: envNumber('COMPUTE_UNIT_MARGIN_PERCENT', CONSTANTS.DEFAULTS.COMPUTE_UNIT_MARGIN_PERCENT),
+    buybackStrategy: process.env.BUYBACK_STRATEGY || CONSTANTS.DEFAULTS.BUYBACK_STRATEGY,
+    buybackTwapSlices: parseInt(process.env.BUYBACK_TWAP_SLICES) || CONSTANTS.DEFAULTS.BUYBACK_TWAP_SLICES,
+    buybackTwapWindowMinutes: parseFloat(process.env.BUYBACK_TWAP_WINDOW_MINUTES) || CONSTANTS.DEFAULTS.BUYBACK_TWAP_WINDOW_MINUTES,
+    buybackMaMinutes: parseFloat(process.env.BUYBACK_MA_MINUTES) || CONSTANTS.DEFAULTS.BUYBACK_MA_MINUTES,
+    buybackFillMaxImpact: parseFloat(process.env.BUYBACK_FILL_MAX_IMPACT_PERCENT) || CONSTANTS.DEFAULTS.BUYBACK_FILL_MAX_IMPACT_PERCENT,
+    dustSweepInterval: parseInt(process.env.DUST_SWEEP_INTERVAL_HOURS) || CONSTANTS.DEFAULTS.DUST_SWEEP_INTERVAL_HOURS,
+    dustSweepMinTokens: envNumber('DUST_SWEEP_MIN_TOKENS', CONSTANTS.DEFAULTS.DUST_SWEEP_MIN_TOKENS),
+    priceTolerance: parseFloat(process.env.PRICE_TOLERANCE_PERCENT) || CONSTANTS.DEFAULTS.PRICE_TOLERANCE_PERCENT,
+    minPriceSources: parseInt(process.env.MIN_PRICE_SOURCES) || CONSTANTS.DEFAULTS.MIN_PRICE_SOURCES,
+    milestoneConfirmMode: process.env.MILESTONE_CONFIRM_MODE || CONSTANTS.DEFAULTS.MILESTONE_CONFIRM_MODE,
+    milestoneConfirmSamples: parseInt(process.env.MILESTONE_CONFIRM_SAMPLES) || CONSTANTS.DEFAULTS.MILESTONE_CONFIRM_SAMPLES,
+    milestoneConfirmMinutes: envNumber('MILESTONE_CONFIRM_MINUTES', CONSTANTS.DEFAULTS.MILESTONE_CONFIRM_MINUTES),
+    milestoneTwapMinutes: parseFloat(process.env.MILESTONE_TWAP_MINUTES) || CONSTANTS.DEFAULTS.MILESTONE_TWAP_MINUTES,
+    priceSampleInterval: parseInt(process.env.PRICE_SAMPLE_INTERVAL_MINUTES) || CONSTANTS.DEFAULTS.PRICE_SAMPLE_INTERVAL_MINUTES,
+    priceRawRetentionHours: parseFloat(process.env.PRICE_RAW_RETENTION_HOURS) || CONSTANTS.DEFAULTS.PRICE_RAW_RETENTION_HOURS,
+    priceDownsampleMinutes: parseInt(process.env.PRICE_DOWNSAMPLE_MINUTES) || CONSTANTS.DEFAULTS.PRICE_DOWNSAMPLE_MINUTES,
+    priceRetentionDays: parseFloat(process.env.PRICE_RETENTION_DAYS) || CONSTANTS.DEFAULTS.PRICE_RETENTION_DAYS,
+    streamPollSeconds: parseFloat(process.env.STREAM_POLL_SECONDS) || CONSTANTS.DEFAULTS.STREAM_POLL_SECONDS,
+    port: parseInt(process.env.PORT) || CONSTANTS.DEFAULTS.PORT,
+    dryRun: process.env.DRY_RUN === 'true'
   };
 }
 
@@ -234,7 +270,8 @@ async function initConfig(connection) {
     token: metadata,
     addresses,
     settings,
-    burnSchedule: CONSTANTS.BURN_SCHEDULE
+    // Required lazily: the schedule module depends on this one
+    burnSchedule: require('./milestoneSchedule').loadSchedule().milestones
   };
 }
 
@@ -4,74 +4,36 @@
  */
 const Database = require('better-sqlite3');
 const path = require('path');
+const { runMigrations } = require('./migrations');
 
 const DB_PATH = process.env.DATABASE_PATH || path.join(process.cwd(), 'data', 'inferno.db');
 
 let db = null;
 
 /**
- * Initialize database connection and create tables
+ * Initialize database connection and apply pending migrations
  */
 function initDatabase() {
   if (db) return db;
   
   db = new Database(DB_PATH);
   db.pragma('journal_mode = WAL');
+  // Several scripts share this file; wait for locks instead of failing with SQLITE_BUSY
+  db.pragma('busy_timeout = 5000');
   
-  // Create burns table
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS burns (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      burn_type TEXT NOT NULL CHECK(burn_type IN ('milestone', 'buyback')),
-      burn_amount INTEGER NOT NULL,
-      tx_signature TEXT UNIQUE NOT NULL,
-      market_cap_at_burn REAL,
-      sol_price_at_burn REAL,
-      token_price_at_burn REAL,
-      milestone_target INTEGER,
-      sol_spent REAL,
-      tokens_bought INTEGER,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-  
-  // Create milestones table
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS milestones (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      market_cap INTEGER UNIQUE NOT NULL,
-      burn_amount INTEGER NOT NULL,
-      percent_of_supply REAL NOT NULL,
-      completed INTEGER DEFAULT 0,
-      completed_at DATETIME,
-      tx_signature TEXT
-    )
-  `);
-  
-  // Create metrics table for snapshots
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS metrics (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      total_burned INTEGER NOT NULL,
-      circulating_supply INTEGER NOT NULL,
-      milestone_burned INTEGER DEFAULT 0,
-      buyback_burned INTEGER DEFAULT 0,
-      market_cap REAL,
-      token_price REAL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-  
-  // Create indexes for performance
-  db.exec(`
-    CREATE INDEX IF NOT EXISTS idx_burns_type ON burns(burn_type);
-    CREATE INDEX IF NOT EXISTS idx_burns_created ON burns(created_at);
-    CREATE INDEX IF NOT EXISTS idx_milestones_completed ON milestones(completed);
-  `);
+  runMigrations(db);
   
   return db;
 }
 
+/**
+ * Get applied schema migrations, oldest first
+ */
+function getAppliedMigrations() {
+  const db = getDb();
+  return db.prepare('SELECT * FROM schema_migrations ORDER BY version ASC').all();
+}
+
 /**
  * Get database instance
  */
@@ -82,12 +44,14 @@ function getDb() {
 
 /**
  * Record a new burn transaction
+ * createdAt (SQLite datetime) is only passed when backfilling historical burns;
+ * tag marks special burns (e.g. 'dust')
  */
 function recordBurn(burnData) {
   const db = getDb();
   const stmt = db.prepare(`
-    INSERT INTO burns (burn_type, burn_amount, tx_signature, market_cap_at_burn, sol_price_at_burn, token_price_at_burn, milestone_target, sol_spent, tokens_bought)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO burns (burn_type, burn_amount, tx_signature, market_cap_at_burn, sol_price_at_burn, token_price_at_burn, milestone_target, sol_spent, tokens_bought, tag, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
   `);
   
   return stmt.run(
@@ -99,50 +63,278 @@ function recordBurn(burnData) {
     burnData.tokenPrice || null,
     burnData.milestoneTarget || null,
     burnData.solSpent || null,
-    burnData.tokensBought || null
+    burnData.tokensBought || null,
+    burnData.tag || null,
+    burnData.createdAt || null
   );
 }
 
 /**
- * Get all burns with pagination
+ * Get a burn by id
+ */
+function getBurnById(id, simulated = false) {
+  const db = getDb();
+  return db.prepare(`SELECT * FROM ${burnsTable(simulated)} WHERE id = ?`).get(id);
+}
+
+/**
+ * Get the total burned after a burn (by time, ties broken by id)
  */
-function getBurns({ limit = 50, offset = 0, burnType = null } = {}) {
+function getBurnedAfter(burn, simulated = false) {
   const db = getDb();
+  return db.prepare(`
+    SELECT COALESCE(SUM(burn_amount), 0) as total
+    FROM ${burnsTable(simulated)}
+    WHERE created_at > @createdAt OR (created_at = @createdAt AND id > @id)
+  `).get({ createdAt: burn.created_at, id: burn.id }).total;
+}
+
+/**
+ * Get a burn by transaction signature
+ */
+function getBurnByTx(txSignature) {
+  const db = getDb();
+  return db.prepare('SELECT * FROM burns WHERE tx_signature = ?').get(txSignature);
+}
+
+/**
+ * Get burns recorded at or after a SQLite datetime, oldest first
+ */
+function getBurnsSince(createdAt) {
+  const db = getDb();
+  return db.prepare('SELECT * FROM burns WHERE created_at >= ? ORDER BY created_at ASC').all(createdAt);
+}
+
+/**
+ * Update columns of an existing burn record
+ */
+function updateBurn(id, updates) {
+  const allowed = ['burn_type', 'burn_amount', 'sol_spent', 'tokens_bought', 'milestone_target'];
+  const columns = Object.keys(updates).filter(col => allowed.includes(col));
+  if (columns.length === 0) return null;
   
-  let query = 'SELECT * FROM burns';
-  const params = [];
+  const db = getDb();
+  return db.prepare(`
+    UPDATE burns SET ${columns.map(col => `${col} = ?`).join(', ')}
+    WHERE id = ?
+  `).run(...columns.map(col => updates[col]), id);
+}
+
+/**
+ * Delete a burn record
+ */
+function deleteBurn(id) {
+  const db = getDb();
+  return db.prepare('DELETE FROM burns WHERE id = ?').run(id);
+}
+
+/**
+ * Record a simulated (dry-run) burn - never touches the real burns table
+ */
+function recordSimulatedBurn(burnData) {
+  const db = getDb();
+  const stmt = db.prepare(`
+    INSERT INTO simulated_burns (burn_type, burn_amount, market_cap_at_burn, sol_price_at_burn, token_price_at_burn, milestone_target, sol_spent, tokens_bought, buy_source, compute_units, simulation_error)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  
+  return stmt.run(
+    burnData.burnType,
+    burnData.burnAmount,
+    burnData.marketCap || null,
+    burnData.solPrice || null,
+    burnData.tokenPrice || null,
+    burnData.milestoneTarget || null,
+    burnData.solSpent || null,
+    burnData.tokensBought || null,
+    burnData.buySource || null,
+    burnData.computeUnits || null,
+    burnData.simulationError || null
+  );
+}
+
+/**
+ * Resolve which burns table to read from
+ */
+function burnsTable(simulated) {
+  return simulated ? 'simulated_burns' : 'burns';
+}
+
+// Sortable burns columns
+const BURN_SORT_COLUMNS = {
+  time: 'created_at',
+  amount: 'burn_amount'
+};
+
+/**
+ * Build the WHERE clause for burn filters
+ * from/to are SQLite datetimes (to is exclusive), amounts are raw units
+ */
+function buildBurnFilters({ burnType = null, from = null, to = null, minAmount = null, maxAmount = null, milestoneTarget = null } = {}) {
+  const conditions = [];
+  const params = {};
   
   if (burnType) {
-    query += ' WHERE burn_type = ?';
-    params.push(burnType);
+    conditions.push('burn_type = @burnType');
+    params.burnType = burnType;
+  }
+  if (from) {
+    conditions.push('created_at >= @from');
+    params.from = from;
+  }
+  if (to) {
+    conditions.push('created_at < @to');
+    params.to = to;
+  }
+  if (minAmount != null) {
+    conditions.push('burn_amount >= @minAmount');
+    params.minAmount = minAmount;
+  }
+  if (maxAmount != null) {
+    conditions.push('burn_amount <= @maxAmount');
+    params.maxAmount = maxAmount;
+  }
+  if (milestoneTarget != null) {
+    conditions.push('milestone_target = @milestoneTarget');
+    params.milestoneTarget = milestoneTarget;
   }
   
-  query += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
-  params.push(limit, offset);
+  return { conditions, params };
+}
+
+/**
+ * Get burns matching filters, sorted by time or amount
+ * Pass `after` ({ value, id } of the last row seen) for cursor pagination,
+ * otherwise `offset` is used
+ */
+function getBurns({ limit = 50, offset = 0, sort = 'time', order = 'desc', after = null, simulated = false, ...filters } = {}) {
+  const db = getDb();
+  const column = BURN_SORT_COLUMNS[sort] || BURN_SORT_COLUMNS.time;
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+  const { conditions, params } = buildBurnFilters(filters);
   
-  return db.prepare(query).all(...params);
+  // Keyset pagination: continue after the cursor row, ties broken by id
+  if (after) {
+    const op = direction === 'ASC' ? '>' : '<';
+    conditions.push(`(${column} ${op} @afterValue OR (${column} = @afterValue AND id ${op} @afterId))`);
+    params.afterValue = after.value;
+    params.afterId = after.id;
+  }
+  
+  let query = `SELECT * FROM ${burnsTable(simulated)}`;
+  if (conditions.length > 0) {
+    query += ` WHERE ${conditions.join(' AND ')}`;
+  }
+  query += ` ORDER BY ${column} ${direction}, id ${direction} LIMIT @limit`;
+  params.limit = limit;
+  
+  if (!after) {
+    query += ' OFFSET @offset';
+    params.offset = offset;
+  }
+  
+  return db.prepare(query).all(params);
+}
+  
+/**
+ * Get totals over burns matching filters
+ */
+function getBurnSummary({ simulated = false, ...filters } = {}) {
+  const db = getDb();
+  const { conditions, params } = buildBurnFilters(filters);
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  
+  const rows = db.prepare(`
+    SELECT 
+      burn_type,
+      COUNT(*) as count,
+      COALESCE(SUM(burn_amount), 0) as total_burned,
+      COALESCE(SUM(sol_spent), 0) as sol_spent,
+      COALESCE(SUM(tokens_bought), 0) as tokens_bought,
+      MIN(created_at) as first_burn,
+      MAX(created_at) as last_burn
+    FROM ${burnsTable(simulated)}
+    ${where}
+    GROUP BY burn_type
+  `).all(params);
+  
+  const summary = {
+    count: 0,
+    totalBurned: 0,
+    solSpent: 0,
+    tokensBought: 0,
+    firstBurn: null,
+    lastBurn: null,
+    byType: {
+      milestone: { count: 0, totalBurned: 0 },
+      buyback: { count: 0, totalBurned: 0, solSpent: 0, tokensBought: 0 }
+    }
+  };
+  
+  rows.forEach(row => {
+    summary.count += row.count;
+    summary.totalBurned += row.total_burned;
+    summary.solSpent += row.sol_spent;
+    summary.tokensBought += row.tokens_bought;
+    if (!summary.firstBurn || row.first_burn < summary.firstBurn) summary.firstBurn = row.first_burn;
+    if (!summary.lastBurn || row.last_burn > summary.lastBurn) summary.lastBurn = row.last_burn;
+    
+    summary.byType[row.burn_type] = row.burn_type === 'buyback'
+      ? { count: row.count, totalBurned: row.total_burned, solSpent: Number(row.sol_spent.toFixed(9)), tokensBought: row.tokens_bought }
+      : { count: row.count, totalBurned: row.total_burned };
+  });
+  
+  summary.solSpent = Number(summary.solSpent.toFixed(9));
+  return summary;
+}
+
+/**
+ * Count burns matching filters
+ */
+function countBurns({ simulated = false, ...filters } = {}) {
+  const db = getDb();
+  const { conditions, params } = buildBurnFilters(filters);
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  
+  return db.prepare(`SELECT COUNT(*) as count FROM ${burnsTable(simulated)} ${where}`).get(params).count;
+}
+
+/**
+ * Get burns with an id above `afterId`, oldest first
+ */
+function getBurnsAfter(afterId, simulated = false, limit = 100) {
+  const db = getDb();
+  return db.prepare(`SELECT * FROM ${burnsTable(simulated)} WHERE id > ? ORDER BY id ASC LIMIT ?`).all(afterId, limit);
+}
+
+/**
+ * Get the highest burn id (0 if there are no burns)
+ */
+function getLatestBurnId(simulated = false) {
+  const db = getDb();
+  return db.prepare(`SELECT COALESCE(MAX(id), 0) as id FROM ${burnsTable(simulated)}`).get().id;
 }
 
 /**
  * Get total burned amount
  */
-function getTotalBurned() {
+function getTotalBurned(simulated = false) {
   const db = getDb();
-  const result = db.prepare('SELECT COALESCE(SUM(burn_amount), 0) as total FROM burns').get();
+  const result = db.prepare(`SELECT COALESCE(SUM(burn_amount), 0) as total FROM ${burnsTable(simulated)}`).get();
   return result.total;
 }
 
 /**
  * Get burns by type
  */
-function getBurnsByType() {
+function getBurnsByType(simulated = false) {
   const db = getDb();
   const result = db.prepare(`
     SELECT 
       burn_type,
       COALESCE(SUM(burn_amount), 0) as total,
       COUNT(*) as count
-    FROM burns
+    FROM ${burnsTable(simulated)}
     GROUP BY burn_type
   `).all();
   
@@ -158,45 +350,134 @@ function getBurnsByType() {
 /**
  * Get burns in last 24 hours
  */
-function getBurns24h() {
+function getBurns24h(simulated = false) {
   const db = getDb();
   const result = db.prepare(`
     SELECT COALESCE(SUM(burn_amount), 0) as total
-    FROM burns
+    FROM ${burnsTable(simulated)}
     WHERE created_at >= datetime('now', '-24 hours')
   `).get();
   return result.total;
 }
 
+/**
+ * Get burn totals per time bucket and type (for charts), oldest first
+ * bucketFormat is a strftime format, e.g. '%Y-%m-%d %H:00:00' for hourly buckets
+ */
+function getBurnTimeline({ since = null, bucketFormat = '%Y-%m-%d 00:00:00', simulated = false } = {}) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT 
+      strftime(?, created_at) as bucket,
+      burn_type,
+      COALESCE(SUM(burn_amount), 0) as total,
+      COALESCE(SUM(sol_spent), 0) as sol_spent,
+      COUNT(*) as count
+    FROM ${burnsTable(simulated)}
+    WHERE ? IS NULL OR created_at >= ?
+    GROUP BY bucket, burn_type
+    ORDER BY bucket ASC
+  `).all(bucketFormat, since, since);
+}
+
+/**
+ * Get burn totals by type before a date (baseline for cumulative charts)
+ */
+function getBurnTotalsBefore(before, simulated = false) {
+  const db = getDb();
+  const rows = db.prepare(`
+    SELECT burn_type, COALESCE(SUM(burn_amount), 0) as total
+    FROM ${burnsTable(simulated)}
+    WHERE created_at < ?
+    GROUP BY burn_type
+  `).all(before);
+  
+  const totals = { milestone: 0, buyback: 0 };
+  rows.forEach(row => {
+    totals[row.burn_type] = row.total;
+  });
+  return totals;
+}
+
 /**
  * Get recent burns
  */
-function getRecentBurns(limit = 5) {
+function getRecentBurns(limit = 5, simulated = false) {
   const db = getDb();
   return db.prepare(`
-    SELECT * FROM burns
+    SELECT * FROM ${burnsTable(simulated)}
     ORDER BY created_at DESC
     LIMIT ?
   `).all(limit);
 }
 
 /**
- * Initialize milestones from config
+ * Insert a milestone from the schedule file
  */
-function initMilestones(schedule) {
+function insertMilestone({ marketCap, basis, burnAmount, percentOfSupply }) {
   const db = getDb();
-  const stmt = db.prepare(`
-    INSERT OR IGNORE INTO milestones (market_cap, burn_amount, percent_of_supply)
-    VALUES (?, ?, ?)
-  `);
+  return db.prepare(`
+    INSERT INTO milestones (market_cap, amount_basis, burn_amount, percent_of_supply)
+    VALUES (?, ?, ?, ?)
+  `).run(marketCap, basis, burnAmount, percentOfSupply);
+}
   
-  const insertMany = db.transaction((milestones) => {
-    for (const m of milestones) {
-      stmt.run(m.marketCap, m.burnAmount, m.percentOfSupply);
-    }
-  });
+/**
+ * Update an incomplete milestone's amounts (completed milestones are left alone)
+ */
+function updateMilestoneAmounts({ marketCap, basis, burnAmount, percentOfSupply }) {
+  const db = getDb();
+  return db.prepare(`
+    UPDATE milestones
+    SET amount_basis = ?, burn_amount = ?, percent_of_supply = ?
+    WHERE market_cap = ? AND completed = 0
+  `).run(basis, burnAmount, percentOfSupply, marketCap);
+}
   
-  insertMany(schedule);
+/**
+ * Delete an incomplete milestone (completed milestones are left alone)
+ */
+function deleteMilestone(marketCap) {
+  const db = getDb();
+  return db.prepare('DELETE FROM milestones WHERE market_cap = ? AND completed = 0').run(marketCap);
+}
+
+/**
+ * Record one schedule change (old/new values are stored as JSON)
+ */
+function recordScheduleChange({ version, marketCap, change, before = null, after = null }) {
+  const db = getDb();
+  return db.prepare(`
+    INSERT INTO milestone_schedule_changes (schedule_version, market_cap, change, old_value, new_value)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(
+    version,
+    marketCap,
+    change,
+    before ? JSON.stringify(before) : null,
+    after ? JSON.stringify(after) : null
+  );
+}
+
+/**
+ * Get the schedule version of the last recorded change (0 if never synced)
+ */
+function getScheduleVersion() {
+  const db = getDb();
+  const row = db.prepare('SELECT MAX(schedule_version) as version FROM milestone_schedule_changes').get();
+  return row.version || 0;
+}
+
+/**
+ * Get schedule changes, newest first
+ */
+function getScheduleChanges(limit = 100) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT * FROM milestone_schedule_changes
+    ORDER BY id DESC
+    LIMIT ?
+  `).all(limit);
 }
 
 /**
@@ -244,6 +525,14 @@ function completeMilestone(marketCap, txSignature) {
   `).run(txSignature, marketCap);
 }
 
+/**
+ * Get the milestone completed by a burn transaction
+ */
+function getMilestoneByTx(txSignature) {
+  const db = getDb();
+  return db.prepare('SELECT * FROM milestones WHERE tx_signature = ?').get(txSignature);
+}
+
 /**
  * Get milestone stats
  */
@@ -286,33 +575,359 @@ function getLatestMetrics() {
 }
 
 /**
- * Get comprehensive burn stats
+ * Store an oracle reading
+ */
+function recordPriceSample(sample) {
+  const db = getDb();
+  return db.prepare(`
+    INSERT INTO price_samples (source, price_in_sol, price_in_usd, sol_price_usd, market_cap, market_cap_sol, liquidity, volume_24h, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    sample.source,
+    sample.priceInSol ?? null,
+    sample.priceInUsd ?? null,
+    sample.solPriceUsd ?? null,
+    sample.marketCap,
+    sample.marketCapSol ?? null,
+    sample.liquidity != null ? Number(sample.liquidity) : null,
+    sample.volume24h != null ? Number(sample.volume24h) : null,
+    sample.createdAt || Date.now()
+  );
+}
+
+/**
+ * Get price samples in a time range (epoch ms), oldest first
  */
-function getBurnStats() {
-  const initialSupply = parseInt(process.env.INITIAL_SUPPLY) || 1000000000;
-  const totalBurned = getTotalBurned();
-  const burnsByType = getBurnsByType();
-  const burns24h = getBurns24h();
-  const recentBurns = getRecentBurns(5);
+function getPriceSamples({ since = 0, until = Date.now() } = {}) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT * FROM price_samples
+    WHERE created_at >= ? AND created_at <= ?
+    ORDER BY created_at ASC
+  `).all(since, until);
+}
+
+/**
+ * Get the most recent sample taken before a time (epoch ms)
+ */
+function getPriceSampleBefore(time) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT * FROM price_samples
+    WHERE created_at < ?
+    ORDER BY created_at DESC LIMIT 1
+  `).get(time);
+}
+
+/**
+ * Get the latest price sample
+ */
+function getLatestPriceSample() {
+  const db = getDb();
+  return db.prepare('SELECT * FROM price_samples ORDER BY created_at DESC LIMIT 1').get();
+}
+
+/**
+ * Get the unbroken run of most recent samples at or above a market cap
+ * Returns { count, first_at, last_at } (count 0 if the latest sample is below)
+ */
+function getSampleRunAbove(marketCap) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT COUNT(*) as count, MIN(created_at) as first_at, MAX(created_at) as last_at
+    FROM price_samples
+    WHERE created_at > COALESCE(
+      (SELECT MAX(created_at) FROM price_samples WHERE market_cap < ?),
+      0
+    )
+  `).get(marketCap);
+}
+
+/**
+ * Downsample samples older than `before` (epoch ms): in each bucket keep only
+ * the first, last, highest and lowest samples (by market cap and USD price)
+ * so OHLC candles over the bucket are unchanged
+ */
+function downsamplePriceSamples(before, bucketMs) {
+  const db = getDb();
+  return db.prepare(`
+    DELETE FROM price_samples
+    WHERE created_at < @before AND id NOT IN (
+      SELECT id FROM (
+        SELECT id,
+          ROW_NUMBER() OVER (PARTITION BY bucket ORDER BY created_at ASC, id ASC) AS first_rank,
+          ROW_NUMBER() OVER (PARTITION BY bucket ORDER BY created_at DESC, id DESC) AS last_rank,
+          ROW_NUMBER() OVER (PARTITION BY bucket ORDER BY market_cap DESC, id ASC) AS cap_high_rank,
+          ROW_NUMBER() OVER (PARTITION BY bucket ORDER BY market_cap ASC, id ASC) AS cap_low_rank,
+          ROW_NUMBER() OVER (PARTITION BY bucket ORDER BY price_in_usd DESC, id ASC) AS price_high_rank,
+          ROW_NUMBER() OVER (PARTITION BY bucket ORDER BY price_in_usd ASC, id ASC) AS price_low_rank
+        FROM (
+          SELECT *, CAST(created_at / @bucketMs AS INTEGER) AS bucket
+          FROM price_samples
+          WHERE created_at < @before
+        )
+      )
+      WHERE first_rank = 1 OR last_rank = 1
+        OR cap_high_rank = 1 OR cap_low_rank = 1
+        OR price_high_rank = 1 OR price_low_rank = 1
+    )
+  `).run({ before, bucketMs: Math.floor(bucketMs) }).changes;
+}
+
+/**
+ * Delete samples older than `before` (epoch ms)
+ */
+function prunePriceSamples(before) {
+  const db = getDb();
+  return db.prepare('DELETE FROM price_samples WHERE created_at < ?').run(before).changes;
+}
+
+/**
+ * Get comprehensive burn stats (supply figures come from supply.js)
+ * Pass { simulated: true } to compute them over dry-run burns instead
+ */
+function getBurnStats({ simulated = false } = {}) {
+  const totalBurned = getTotalBurned(simulated);
+  const burnsByType = getBurnsByType(simulated);
+  const burns24h = getBurns24h(simulated);
+  const recentBurns = getRecentBurns(5, simulated);
   const milestoneStats = getMilestoneStats();
   
-  // Convert totalBurned from smallest units to display units for percentage calculation
-  const totalBurnedDisplayUnits = totalBurned / 1e6;
-  const circulatingSupplyDisplayUnits = initialSupply - totalBurnedDisplayUnits;
-  
   return {
     totalBurned,
     burnsByType,
     burns24h,
     recentBurns,
-    initialSupply,
-    circulatingSupply: totalBurned, // Keep in smallest units for frontend formatting
-    burnPercentage: ((totalBurnedDisplayUnits / initialSupply) * 100).toFixed(2),
     milestoneStats,
     timestamp: new Date().toISOString()
   };
 }
 
+/**
+ * Append a state transition to the operations journal
+ * Each row is a full snapshot of the operation after the transition
+ */
+function recordOperation(op) {
+  const db = getDb();
+  return db.prepare(`
+    INSERT INTO operations (op_id, op_type, state, sol_amount, collect_tx, buy_tx, burn_tx, tokens_bought, milestone_market_cap, burn_amount, error, note, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+  `).run(
+    op.opId,
+    op.opType,
+    op.state,
+    op.solAmount ?? null,
+    op.collectTx || null,
+    op.buyTx || null,
+    op.burnTx || null,
+    op.tokensBought ?? null,
+    op.milestoneMarketCap ?? null,
+    op.burnAmount ?? null,
+    op.error || null,
+    op.note || null,
+    op.createdAt || null
+  );
+}
+
+/**
+ * Get the latest journal row of the most recent operation of a type
+ */
+function getLatestOperation(opType) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT * FROM operations
+    WHERE op_type = ?
+    ORDER BY id DESC
+    LIMIT 1
+  `).get(opType);
+}
+
+/**
+ * Get when an operation was started (its first journal row)
+ */
+function getOperationStart(opId) {
+  const db = getDb();
+  const result = db.prepare('SELECT MIN(created_at) as started_at FROM operations WHERE op_id = ?').get(opId);
+  return result?.started_at || null;
+}
+
+/**
+ * Get the buy tx journaled alongside a burn tx (buyback operations)
+ */
+function getBuyTxForBurn(burnTx) {
+  const db = getDb();
+  const result = db.prepare(`
+    SELECT buy_tx FROM operations
+    WHERE burn_tx = ? AND buy_tx IS NOT NULL
+    ORDER BY id DESC
+    LIMIT 1
+  `).get(burnTx);
+  return result?.buy_tx || null;
+}
+
+/**
+ * Get the latest journal row of the operation that produced a burn tx
+ */
+function getOperationForBurn(burnTx) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT * FROM operations
+    WHERE burn_tx = ?
+    ORDER BY id DESC
+    LIMIT 1
+  `).get(burnTx);
+}
+
+/**
+ * Get a cached decoded transaction
+ */
+function getTxDetails(signature) {
+  const db = getDb();
+  return db.prepare('SELECT * FROM tx_details WHERE signature = ?').get(signature);
+}
+
+/**
+ * Cache a decoded transaction
+ */
+function saveTxDetails(details) {
+  const db = getDb();
+  return db.prepare(`
+    INSERT OR REPLACE INTO tx_details (signature, slot, block_time, success, error, fee, fee_payer, burned_amount, memo, sol_delta, token_delta)
+    VALUES (@signature, @slot, @blockTime, @success, @error, @fee, @feePayer, @burnedAmount, @memo, @solDelta, @tokenDelta)
+  `).run({
+    signature: details.signature,
+    slot: details.slot ?? null,
+    blockTime: details.blockTime ?? null,
+    success: details.success ? 1 : 0,
+    error: details.error || null,
+    fee: details.fee ?? null,
+    feePayer: details.feePayer || null,
+    burnedAmount: details.burnedAmount ?? 0,
+    memo: details.memo || null,
+    solDelta: details.solDelta ?? null,
+    tokenDelta: details.tokenDelta ?? null
+  });
+}
+
+/**
+ * Record the compute budget and fee of a sent transaction
+ * compute_unit_price is in micro-lamports per CU, fees in lamports
+ */
+function saveTxFee(fee) {
+  const db = getDb();
+  return db.prepare(`
+    INSERT OR REPLACE INTO tx_fees (signature, label, compute_unit_limit, compute_unit_price, units_consumed, priority_fee_lamports, fee_lamports)
+    VALUES (@signature, @label, @computeUnitLimit, @computeUnitPrice, @unitsConsumed, @priorityFeeLamports, @feeLamports)
+  `).run({
+    signature: fee.signature,
+    label: fee.label || null,
+    computeUnitLimit: fee.computeUnitLimit ?? null,
+    computeUnitPrice: fee.computeUnitPrice ?? null,
+    unitsConsumed: fee.unitsConsumed ?? null,
+    priorityFeeLamports: fee.priorityFeeLamports ?? null,
+    feeLamports: fee.feeLamports ?? null
+  });
+}
+
+/**
+ * Get the recorded fee of a transaction
+ */
+function getTxFee(signature) {
+  const db = getDb();
+  return db.prepare('SELECT * FROM tx_fees WHERE signature = ?').get(signature);
+}
+
+/**
+ * Get recorded transaction fees, newest first
+ */
+function getTxFees(limit = 50) {
+  const db = getDb();
+  return db.prepare('SELECT * FROM tx_fees ORDER BY created_at DESC, rowid DESC LIMIT ?').all(limit);
+}
+
+/**
+ * Store a signed transaction before it is broadcast
+ */
+function recordSentTransaction(tx) {
+  const db = getDb();
+  return db.prepare(`
+    INSERT OR IGNORE INTO sent_transactions (signature, op_id, label, fee_payer, last_valid_block_height)
+    VALUES (@signature, @opId, @label, @feePayer, @lastValidBlockHeight)
+  `).run({
+    signature: tx.signature,
+    opId: tx.opId || null,
+    label: tx.label || null,
+    feePayer: tx.feePayer || null,
+    lastValidBlockHeight: tx.lastValidBlockHeight ?? null
+  });
+}
+
+/**
+ * Set the outcome of a sent transaction ('confirmed', 'failed' or 'expired')
+ */
+function updateSentTransaction(signature, status, error = null) {
+  const db = getDb();
+  return db.prepare(`
+    UPDATE sent_transactions SET status = ?, error = ?, updated_at = CURRENT_TIMESTAMP WHERE signature = ?
+  `).run(status, error, signature);
+}
+
+/**
+ * Get sent transactions, oldest first
+ */
+function getSentTransactions({ opId = null, status = null, limit = 100 } = {}) {
+  const db = getDb();
+  
+  let query = 'SELECT * FROM sent_transactions';
+  const conditions = [];
+  const params = [];
+  
+  if (opId) {
+    conditions.push('op_id = ?');
+    params.push(opId);
+  }
+  if (status) {
+    conditions.push('status = ?');
+    params.push(status);
+  }
+  if (conditions.length > 0) {
+    query += ` WHERE ${conditions.join(' AND ')}`;
+  }
+  
+  query += ' ORDER BY created_at ASC, rowid ASC LIMIT ?';
+  params.push(limit);
+  
+  return db.prepare(query).all(...params);
+}
+
+/**
+ * Get operation journal rows, newest first
+ */
+function getOperations({ limit = 50, opType = null, opId = null } = {}) {
+  const db = getDb();
+  
+  let query = 'SELECT * FROM operations';
+  const conditions = [];
+  const params = [];
+  
+  if (opType) {
+    conditions.push('op_type = ?');
+    params.push(opType);
+  }
+  if (opId) {
+    conditions.push('op_id = ?');
+    params.push(opId);
+  }
+  if (conditions.length > 0) {
+    query += ` WHERE ${conditions.join(' AND ')}`;
+  }
+  
+  query += ' ORDER BY id DESC LIMIT ?';
+  params.push(limit);
+  
+  return db.prepare(query).all(...params);
+}
+
 /**
  * Close database connection
  */
@@ -325,21 +940,62 @@ function closeDb() {
 
 module.exports = {
   initDatabase,
+  getAppliedMigrations,
   getDb,
   recordBurn,
+  recordSimulatedBurn,
+  getBurnByTx,
+  getBurnById,
+  getBurnedAfter,
+  getBurnsSince,
+  updateBurn,
+  deleteBurn,
   getBurns,
+  countBurns,
+  getBurnSummary,
+  getBurnsAfter,
+  getLatestBurnId,
   getTotalBurned,
   getBurnsByType,
   getBurns24h,
   getRecentBurns,
-  initMilestones,
+  getBurnTimeline,
+  getBurnTotalsBefore,
+  insertMilestone,
+  updateMilestoneAmounts,
+  deleteMilestone,
+  recordScheduleChange,
+  getScheduleVersion,
+  getScheduleChanges,
   getMilestones,
   getPendingMilestones,
   getNextMilestone,
   completeMilestone,
+  getMilestoneByTx,
   getMilestoneStats,
   saveMetrics,
   getLatestMetrics,
+  recordPriceSample,
+  getPriceSamples,
+  getPriceSampleBefore,
+  getLatestPriceSample,
+  getSampleRunAbove,
+  downsamplePriceSamples,
+  prunePriceSamples,
   getBurnStats,
+  recordOperation,
+  getLatestOperation,
+  getOperationStart,
+  getBuyTxForBurn,
+  getOperationForBurn,
+  getTxDetails,
+  saveTxDetails,
+  saveTxFee,
+  getTxFee,
+  getTxFees,
+  recordSentTransaction,
+  updateSentTransaction,
+  getSentTransactions,
+  getOperations,
   closeDb
 };
@@ -0,0 +1,122 @@
+/**
+ * Live Events for $INFERNO Token
+ *
+ * Burns, milestone completions and price samples are written by the
+ * standalone scripts, so the web server can't be told about them directly.
+ * While at least one client is subscribed, a single poller per server
+ * checks the database every STREAM_POLL_SECONDS and fans new rows out
+ * to every subscriber:
+ *   burn      - a new burns / simulated_burns row
+ *   milestone - a milestone was marked completed
+ *   price     - a new price sample was stored
+ */
+const { EventEmitter } = require('events');
+const {
+  getBurnsAfter,
+  getLatestBurnId,
+  getMilestones,
+  getLatestPriceSample
+} = require('./database');
+const { formatBurn } = require('./burnFormat');
+const { getSettings } = require('./config');
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+let pollTimer = null;
+let cursor = null;
+
+/**
+ * Start from the current state so subscribers only see new events
+ */
+function initCursor() {
+  cursor = {
+    burnId: getLatestBurnId(false),
+    simulatedBurnId: getLatestBurnId(true),
+    completed: new Set(getMilestones().filter(m => m.completed).map(m => m.market_cap)),
+    priceSampleId: getLatestPriceSample()?.id || 0
+  };
+}
+
+/**
+ * Emit new burns from one table
+ */
+function pollBurns(simulated) {
+  const key = simulated ? 'simulatedBurnId' : 'burnId';
+  
+  for (const row of getBurnsAfter(cursor[key], simulated)) {
+    cursor[key] = row.id;
+    emitter.emit('event', { type: 'burn', simulated, data: formatBurn(row) });
+  }
+}
+
+/**
+ * Check the database for anything new since the last poll
+ */
+function poll() {
+  try {
+    pollBurns(false);
+    pollBurns(true);
+    
+    for (const milestone of getMilestones()) {
+      if (!milestone.completed || cursor.completed.has(milestone.market_cap)) continue;
+      
+      cursor.completed.add(milestone.market_cap);
+      emitter.emit('event', {
+        type: 'milestone',
+        data: {
+          marketCap: milestone.market_cap,
+          burnAmount: milestone.burn_amount,
+          percentOfSupply: milestone.percent_of_supply,
+          txSignature: milestone.tx_signature,
+          completedAt: milestone.completed_at
+        }
+      });
+    }
+    
+    const sample = getLatestPriceSample();
+    if (sample && sample.id !== cursor.priceSampleId) {
+      cursor.priceSampleId = sample.id;
+      emitter.emit('event', {
+        type: 'price',
+        data: {
+          source: sample.source,
+          priceInSol: sample.price_in_sol,
+          priceInUsd: sample.price_in_usd,
+          solPriceUsd: sample.sol_price_usd,
+          marketCap: sample.market_cap,
+          marketCapSol: sample.market_cap_sol,
+          timestamp: new Date(sample.created_at).toISOString()
+        }
+      });
+    }
+  } catch (error) {
+    console.error('Live event poll failed:', error.message);
+  }
+}
+
+/**
+ * Subscribe to live events
+ * Returns an unsubscribe function; polling stops with the last subscriber
+ */
+function subscribe(listener) {
+  emitter.on('event', listener);
+  
+  if (!pollTimer) {
+    initCursor();
+    pollTimer = setInterval(poll, getSettings().streamPollSeconds * 1000);
+  }
+  
+  return () => {
+    emitter.off('event', listener);
+    
+    if (emitter.listenerCount('event') === 0 && pollTimer) {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    }
+  };
+}
+
+module.exports = {
+  subscribe
+};
\ No newline at end of file
@@ -0,0 +1,381 @@
+/**
+ * Database Migrations for $INFERNO Token
+ *
+ * Numbered schema changes, applied in order by initDatabase() and tracked
+ * in schema_migrations. Never edit a migration that has shipped - add a new
+ * one instead. Migrations must be safe on databases created before this
+ * system existed (hence IF NOT EXISTS / addColumnIfMissing).
+ */
+
+/**
+ * Add a column unless it already exists (SQLite has no ADD COLUMN IF NOT EXISTS)
+ */
+function addColumnIfMissing(db, table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(col => col.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    up(db) {
+      // Create burns table
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS burns (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          burn_type TEXT NOT NULL CHECK(burn_type IN ('milestone', 'buyback')),
+          burn_amount INTEGER NOT NULL,
+          tx_signature TEXT UNIQUE NOT NULL,
+          market_cap_at_burn REAL,
+          sol_price_at_burn REAL,
+          token_price_at_burn REAL,
+          milestone_target INTEGER,
+          sol_spent REAL,
+          tokens_bought INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      
+      // Create milestones table
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS milestones (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          market_cap INTEGER UNIQUE NOT NULL,
+          burn_amount INTEGER NOT NULL,
+          percent_of_supply REAL NOT NULL,
+          completed INTEGER DEFAULT 0,
+          completed_at DATETIME,
+          tx_signature TEXT
+        )
+      `);
+      
+      // Create metrics table for snapshots
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS metrics (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          total_burned INTEGER NOT NULL,
+          circulating_supply INTEGER NOT NULL,
+          milestone_burned INTEGER DEFAULT 0,
+          buyback_burned INTEGER DEFAULT 0,
+          market_cap REAL,
+          token_price REAL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      
+      // Create simulated burns table (DRY_RUN buyback cycles)
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS simulated_burns (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          burn_type TEXT NOT NULL CHECK(burn_type IN ('milestone', 'buyback')),
+          burn_amount INTEGER NOT NULL,
+          market_cap_at_burn REAL,
+          sol_price_at_burn REAL,
+          token_price_at_burn REAL,
+          milestone_target INTEGER,
+          sol_spent REAL,
+          tokens_bought INTEGER,
+          buy_source TEXT,
+          compute_units INTEGER,
+          simulation_error TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      
+      // Create operations journal (one row per state transition of a buyback/milestone op)
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS operations (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          op_id TEXT NOT NULL,
+          op_type TEXT NOT NULL CHECK(op_type IN ('buyback', 'milestone')),
+          state TEXT NOT NULL,
+          sol_amount REAL,
+          collect_tx TEXT,
+          buy_tx TEXT,
+          burn_tx TEXT,
+          tokens_bought INTEGER,
+          milestone_market_cap INTEGER,
+          burn_amount INTEGER,
+          error TEXT,
+          note TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      
+      // Create locks table (wallet leases shared across processes)
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS locks (
+          name TEXT PRIMARY KEY,
+          owner TEXT NOT NULL,
+          acquired_at INTEGER NOT NULL,
+          heartbeat_at INTEGER NOT NULL,
+          expires_at INTEGER NOT NULL
+        )
+      `);
+      
+      // Create price samples table (oracle readings, timestamps in epoch ms)
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS price_samples (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          source TEXT NOT NULL,
+          price_in_sol REAL,
+          price_in_usd REAL,
+          sol_price_usd REAL,
+          market_cap REAL NOT NULL,
+          market_cap_sol REAL,
+          liquidity REAL,
+          volume_24h REAL,
+          created_at INTEGER NOT NULL
+        )
+      `);
+      
+      // Create decoded transaction cache (only finalized transactions are stored)
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS tx_details (
+          signature TEXT PRIMARY KEY,
+          slot INTEGER,
+          block_time INTEGER,
+          success INTEGER NOT NULL,
+          error TEXT,
+          fee REAL,
+          fee_payer TEXT,
+          burned_amount INTEGER,
+          memo TEXT,
+          sol_delta REAL,
+          token_delta INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      
+      // Create indexes for performance
+      db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_price_samples_created ON price_samples(created_at);
+        CREATE INDEX IF NOT EXISTS idx_operations_op ON operations(op_id);
+        CREATE INDEX IF NOT EXISTS idx_operations_type ON operations(op_type, id);
+        CREATE INDEX IF NOT EXISTS idx_burns_type ON burns(burn_type);
+        CREATE INDEX IF NOT EXISTS idx_burns_created ON burns(created_at);
+        CREATE INDEX IF NOT EXISTS idx_milestones_completed ON milestones(completed);
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: 'burns_tweet_columns',
+    up(db) {
+      // Previously added at runtime by the twitter bot
+      addColumnIfMissing(db, 'burns', 'tweet_posted', 'INTEGER DEFAULT 0');
+      addColumnIfMissing(db, 'burns', 'tweeted_at', 'DATETIME');
+    }
+  },
+  {
+    version: 3,
+    name: 'milestone_schedule_changes',
+    up(db) {
+      // Audit log of schedule file syncs (old/new values are JSON, null for added/removed)
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS milestone_schedule_changes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          schedule_version INTEGER NOT NULL,
+          market_cap INTEGER NOT NULL,
+          change TEXT NOT NULL CHECK(change IN ('added', 'changed', 'removed')),
+          old_value TEXT,
+          new_value TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+    }
+  },
+  {
+    version: 4,
+    name: 'milestones_amount_basis',
+    up(db) {
+      // 'tokens' (burn_amount is authoritative) or 'percent' (percent_of_supply is)
+      addColumnIfMissing(db, 'milestones', 'amount_basis', "TEXT NOT NULL DEFAULT 'tokens'");
+    }
+  },
+  {
+    version: 5,
+    name: 'buyback_guard',
+    up(db) {
+      // SOL committed to buys, for the rolling 24h cap ('reserved' until the buy settles)
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS buyback_spends (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          op_id TEXT,
+          sol_amount REAL NOT NULL,
+          status TEXT NOT NULL CHECK(status IN ('reserved', 'spent', 'released')),
+          buy_tx TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          settled_at DATETIME
+        );
+        
+        CREATE INDEX IF NOT EXISTS idx_buyback_spends_created ON buyback_spends(created_at);
+      `);
+      
+      // Persisted circuit breakers (open = paused until reset)
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS circuit_breakers (
+          name TEXT PRIMARY KEY,
+          state TEXT NOT NULL CHECK(state IN ('closed', 'open')),
+          consecutive_failures INTEGER NOT NULL DEFAULT 0,
+          last_error TEXT,
+          opened_reason TEXT,
+          opened_at DATETIME,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+    }
+  },
+  {
+    version: 6,
+    name: 'tx_fees',
+    up(db) {
+      // Compute budget and fee of every transaction we sent
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS tx_fees (
+          signature TEXT PRIMARY KEY,
+          label TEXT,
+          compute_unit_limit INTEGER,
+          compute_unit_price INTEGER,
+          units_consumed INTEGER,
+          priority_fee_lamports INTEGER,
+          fee_lamports INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        
+        CREATE INDEX IF NOT EXISTS idx_tx_fees_created ON tx_fees(created_at);
+      `);
+    }
+  },
+  {
+    version: 7,
+    name: 'sent_transactions',
+    up(db) {
+      // Every signed transaction, stored before its first broadcast
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS sent_transactions (
+          signature TEXT PRIMARY KEY,
+          op_id TEXT,
+          label TEXT,
+          fee_payer TEXT,
+          last_valid_block_height INTEGER,
+          status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'confirmed', 'failed', 'expired')),
+          error TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        
+        CREATE INDEX IF NOT EXISTS idx_sent_transactions_op ON sent_transactions(op_id);
+        CREATE INDEX IF NOT EXISTS idx_sent_transactions_status ON sent_transactions(status);
+      `);
+    }
+  },
+  {
+    version: 8,
+    name: 'burns_tag',
+    up(db) {
+      // Marks special buyback burns, e.g. 'dust' for swept leftovers
+      addColumnIfMissing(db, 'burns', 'tag', 'TEXT');
+    }
+  },
+  {
+    version: 9,
+    name: 'buyback_strategy',
+    up(db) {
+      // A buyback cycle (parent) and the child orders its strategy placed
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS buyback_cycles (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          op_id TEXT,
+          strategy TEXT NOT NULL,
+          budget_sol REAL NOT NULL,
+          carried_in_sol REAL NOT NULL DEFAULT 0,
+          spent_sol REAL NOT NULL DEFAULT 0,
+          tokens_bought INTEGER NOT NULL DEFAULT 0,
+          carryover_sol REAL NOT NULL DEFAULT 0,
+          burn_tx TEXT,
+          status TEXT NOT NULL DEFAULT 'running' CHECK(status IN ('running', 'completed', 'failed')),
+          note TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          completed_at DATETIME
+        );
+        
+        CREATE TABLE IF NOT EXISTS buyback_fills (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          cycle_id INTEGER NOT NULL REFERENCES buyback_cycles(id),
+          seq INTEGER NOT NULL,
+          sol_amount REAL NOT NULL,
+          tokens_received INTEGER,
+          quoted_tokens INTEGER,
+          price_impact REAL,
+          buy_tx TEXT,
+          status TEXT NOT NULL CHECK(status IN ('filled', 'rejected', 'failed')),
+          error TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        
+        CREATE INDEX IF NOT EXISTS idx_buyback_cycles_op ON buyback_cycles(op_id);
+        CREATE INDEX IF NOT EXISTS idx_buyback_fills_cycle ON buyback_fills(cycle_id);
+      `);
+    }
+  }
+];
+
+/**
+ * Apply pending migrations
+ * Returns the migrations applied by this call
+ */
+function runMigrations(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  
+  const latest = MIGRATIONS[MIGRATIONS.length - 1].version;
+  const current = getSchemaVersion(db);
+  
+  if (current > latest) {
+    console.warn(`⚠️ Database schema version ${current} is newer than this code (${latest})`);
+  }
+  
+  const applied = [];
+  
+  for (const migration of MIGRATIONS) {
+    // IMMEDIATE takes the write lock first, so scripts starting together
+    // can't both apply the same migration
+    const apply = db.transaction(() => {
+      const done = db.prepare('SELECT 1 FROM schema_migrations WHERE version = ?').get(migration.version);
+      if (done) return false;
+      
+      migration.up(db);
+      db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)').run(migration.version, migration.name);
+      return true;
+    });
+    
+    if (apply.immediate()) {
+      console.log(`📦 Applied migration ${migration.version}: ${migration.name}`);
+      applied.push({ version: migration.version, name: migration.name });
+    }
+  }
+  
+  return applied;
+}
+
+/**
+ * Highest applied migration version (0 if none)
+ */
+function getSchemaVersion(db) {
+  return db.prepare('SELECT COALESCE(MAX(version), 0) as version FROM schema_migrations').get().version;
+}
+
+module.exports = {
+  MIGRATIONS,
+  runMigrations,
+  getSchemaVersion
+};
\ No newline at end of file
@@ -0,0 +1,147 @@
+/**
+ * Milestone Trigger Confirmation for $INFERNO
+ *
+ * A milestone never fires on a single market cap reading. It has to be
+ * confirmed from the samples price-sampler.js stores first (MILESTONE_CONFIRM_MODE):
+ *   sustained (default) - the latest MILESTONE_CONFIRM_SAMPLES consecutive samples
+ *                         are at or above the threshold, over at least
+ *                         MILESTONE_CONFIRM_MINUTES
+ *   twap                - the time-weighted average market cap over the last
+ *                         MILESTONE_TWAP_MINUTES is at or above the threshold
+ *
+ * A milestone that is reached but not yet confirmed is "arming".
+ */
+const {
+  getLatestPriceSample,
+  getPriceSamples,
+  getPriceSampleBefore,
+  getSampleRunAbove
+} = require('./database');
+const { getSettings } = require('./config');
+
+const MINUTE_MS = 60000;
+
+/**
+ * Time-weighted average market cap over the window ending at `now`
+ * Coverage is the fraction of the window backed by samples (1 = full window)
+ */
+function getMarketCapTwap(windowMs, now = Date.now()) {
+  const start = now - windowMs;
+  const before = getPriceSampleBefore(start);
+  const samples = [...(before ? [before] : []), ...getPriceSamples({ since: start, until: now })];
+  
+  if (samples.length === 0) {
+    return { twap: null, coverage: 0 };
+  }
+  
+  const coveredFrom = Math.max(samples[0].created_at, start);
+  let weighted = 0;
+  
+  samples.forEach((sample, i) => {
+    const from = Math.max(sample.created_at, start);
+    const to = i + 1 < samples.length ? samples[i + 1].created_at : now;
+    weighted += sample.market_cap * (to - from);
+  });
+  
+  const covered = now - coveredFrom;
+  
+  return {
+    twap: covered > 0 ? weighted / covered : samples[samples.length - 1].market_cap,
+    coverage: covered / windowMs
+  };
+}
+
+/**
+ * Sustained-threshold status from the latest unbroken run of samples
+ */
+function getSustainedStatus(milestone, settings) {
+  const run = getSampleRunAbove(milestone.market_cap);
+  
+  if (run.count === 0) {
+    return { state: 'idle', progress: 0 };
+  }
+  
+  const requiredSamples = settings.milestoneConfirmSamples;
+  const requiredMinutes = settings.milestoneConfirmMinutes;
+  const elapsedMinutes = (run.last_at - run.first_at) / MINUTE_MS;
+  
+  const sampleProgress = Math.min(1, run.count / requiredSamples);
+  const timeProgress = requiredMinutes > 0 ? Math.min(1, elapsedMinutes / requiredMinutes) : 1;
+  const progress = Math.min(sampleProgress, timeProgress) * 100;
+  
+  return {
+    state: progress >= 100 ? 'confirmed' : 'arming',
+    progress,
+    armedAt: new Date(run.first_at).toISOString(),
+    samples: run.count,
+    requiredSamples,
+    elapsedMinutes,
+    requiredMinutes
+  };
+}
+
+/**
+ * TWAP status over the configured window
+ */
+function getTwapStatus(milestone, settings, latest, now) {
+  const windowMs = settings.milestoneTwapMinutes * MINUTE_MS;
+  const { twap, coverage } = getMarketCapTwap(windowMs, now);
+  
+  if (twap === null || (twap < milestone.market_cap && latest.market_cap < milestone.market_cap)) {
+    return { state: 'idle', progress: 0, twap };
+  }
+  
+  const progress = Math.min(1, twap / milestone.market_cap, coverage) * 100;
+  
+  return {
+    state: progress >= 100 ? 'confirmed' : 'arming',
+    progress,
+    twap,
+    coverage: Math.min(1, coverage),
+    windowMinutes: settings.milestoneTwapMinutes
+  };
+}
+
+/**
+ * Get a milestone's confirmation status
+ * state: completed | stale (no recent samples) | idle | arming | confirmed
+ */
+function getArmingStatus(milestone, now = Date.now()) {
+  const settings = getSettings();
+  const mode = settings.milestoneConfirmMode;
+  
+  if (milestone.completed) {
+    return { state: 'completed', mode, progress: 100 };
+  }
+  
+  // The price sampler stores a sample every interval; without fresh ones nothing can be confirmed
+  const latest = getLatestPriceSample();
+  const staleAfterMs = (settings.priceSampleInterval * 2 + 1) * MINUTE_MS;
+  
+  if (!latest || now - latest.created_at > staleAfterMs) {
+    return { state: 'stale', mode, progress: 0 };
+  }
+  
+  const status = mode === 'twap'
+    ? getTwapStatus(milestone, settings, latest, now)
+    : getSustainedStatus(milestone, settings);
+  
+  return { mode, ...status, progress: Number(status.progress.toFixed(1)) };
+}
+
+/**
+ * Incomplete milestones whose trigger is confirmed, lowest first
+ */
+function getConfirmedMilestones(milestones, now = Date.now()) {
+  return milestones
+    .filter(m => !m.completed)
+    .map(m => ({ milestone: m, status: getArmingStatus(m, now) }))
+    .filter(({ status }) => status.state === 'confirmed')
+    .map(({ milestone }) => milestone);
+}
+
+module.exports = {
+  getMarketCapTwap,
+  getArmingStatus,
+  getConfirmedMilestones
+};
\ No newline at end of file
@@ -0,0 +1,312 @@
+/**
+ * Milestone Schedule for $INFERNO Token
+ *
+ * config/milestone-schedule.json is the single source of truth for milestone
+ * burns. It is validated on load and synced into the milestones table:
+ * new entries are added, incomplete milestones are updated or removed, and
+ * completed milestones are never touched. Every change is logged with a diff
+ * in milestone_schedule_changes.
+ *
+ * Each entry sets either burnAmount (UI tokens) or percentOfSupply (of the
+ * initial supply). Amounts are converted to raw units with the mint's
+ * decimals only at burn time.
+ */
+const fs = require('fs');
+const path = require('path');
+const {
+  getDb,
+  getMilestones,
+  insertMilestone,
+  updateMilestoneAmounts,
+  deleteMilestone,
+  recordScheduleChange,
+  getScheduleVersion
+} = require('./database');
+const { getInitialSupply, toRawAmount } = require('./supply');
+const { formatMarketCap } = require('./config');
+require('dotenv').config();
+
+const DEFAULT_SCHEDULE_PATH = path.join(__dirname, '../../config/milestone-schedule.json');
+
+/**
+ * Schedule file location (MILESTONE_SCHEDULE_PATH in .env)
+ */
+function getSchedulePath() {
+  return process.env.MILESTONE_SCHEDULE_PATH || DEFAULT_SCHEDULE_PATH;
+}
+
+function isPositiveNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+/**
+ * Tokens (UI units) a schedule entry burns
+ */
+function entryTokens(entry, initialSupply) {
+  return entry.percentOfSupply != null
+    ? (initialSupply * entry.percentOfSupply) / 100
+    : entry.burnAmount;
+}
+
+/**
+ * Validate a parsed schedule
+ * Returns a list of problems (empty when valid)
+ */
+function validateSchedule(schedule, initialSupply = getInitialSupply()) {
+  if (!schedule || typeof schedule !== 'object') {
+    return ['schedule must be an object'];
+  }
+  
+  const errors = [];
+  
+  if (!Number.isInteger(schedule.version) || schedule.version < 1) {
+    errors.push('version must be a positive integer');
+  }
+  
+  if (!Array.isArray(schedule.milestones) || schedule.milestones.length === 0) {
+    errors.push('milestones must be a non-empty array');
+    return errors;
+  }
+  
+  let previous = 0;
+  let totalTokens = 0;
+  
+  schedule.milestones.forEach((m, i) => {
+    const label = `milestones[${i}]`;
+    
+    if (!Number.isInteger(m.marketCap) || m.marketCap <= 0) {
+      errors.push(`${label}.marketCap must be a positive integer`);
+    } else if (m.marketCap <= previous) {
+      errors.push(`${label}.marketCap ${m.marketCap} must be greater than ${previous} (ascending, no duplicates)`);
+    } else {
+      previous = m.marketCap;
+    }
+    
+    if ((m.burnAmount != null) === (m.percentOfSupply != null)) {
+      errors.push(`${label} must set exactly one of burnAmount or percentOfSupply`);
+    } else if (m.burnAmount != null && !isPositiveNumber(m.burnAmount)) {
+      errors.push(`${label}.burnAmount must be a positive number of tokens`);
+    } else if (m.percentOfSupply != null && (!isPositiveNumber(m.percentOfSupply) || m.percentOfSupply > 100)) {
+      errors.push(`${label}.percentOfSupply must be between 0 and 100`);
+    } else {
+      totalTokens += entryTokens(m, initialSupply);
+    }
+  });
+  
+  if (totalTokens > initialSupply) {
+    errors.push(`milestones burn ${totalTokens.toLocaleString()} tokens, more than the initial supply of ${initialSupply.toLocaleString()}`);
+  }
+  
+  return errors;
+}
+
+/**
+ * Read and validate the schedule file
+ * Returns { version, milestones, path }, throws if the file is invalid
+ */
+function loadSchedule(filePath = getSchedulePath()) {
+  let schedule;
+  
+  try {
+    schedule = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read milestone schedule ${filePath}: ${error.message}`);
+  }
+  
+  const errors = validateSchedule(schedule);
+  if (errors.length > 0) {
+    throw new Error(`Invalid milestone schedule ${filePath}:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+  }
+  
+  return {
+    version: schedule.version,
+    milestones: schedule.milestones.map(m => (
+      m.percentOfSupply != null
+        ? { marketCap: m.marketCap, percentOfSupply: m.percentOfSupply }
+        : { marketCap: m.marketCap, burnAmount: m.burnAmount }
+    )),
+    path: filePath
+  };
+}
+
+/**
+ * Schedule entry -> milestone row values (both amounts filled in for display)
+ */
+function resolveEntry(entry, initialSupply) {
+  const burnAmount = entryTokens(entry, initialSupply);
+  
+  return {
+    marketCap: entry.marketCap,
+    basis: entry.percentOfSupply != null ? 'percent' : 'tokens',
+    burnAmount,
+    percentOfSupply: entry.percentOfSupply ?? Number(((burnAmount / initialSupply) * 100).toFixed(6))
+  };
+}
+
+/**
+ * The schedule value a milestone row was synced from
+ */
+function rowSpec(row) {
+  return row.amount_basis === 'percent'
+    ? { percentOfSupply: row.percent_of_supply }
+    : { burnAmount: row.burn_amount };
+}
+
+function entrySpec(entry) {
+  return entry.percentOfSupply != null
+    ? { percentOfSupply: entry.percentOfSupply }
+    : { burnAmount: entry.burnAmount };
+}
+
+function sameSpec(a, b) {
+  return a.burnAmount === b.burnAmount && a.percentOfSupply === b.percentOfSupply;
+}
+
+/**
+ * Compare schedule entries with milestone rows
+ * Returns { changes, conflicts } - conflicts are changes to completed milestones.
+ * A completed milestone only conflicts if the tokens it burns would differ,
+ * so switching its entry between burnAmount and percentOfSupply is allowed.
+ */
+function diffSchedule(milestones, rows, initialSupply = getInitialSupply()) {
+  const existing = new Map(rows.map(row => [row.market_cap, row]));
+  const wanted = new Set(milestones.map(m => m.marketCap));
+  const changes = [];
+  const conflicts = [];
+  
+  for (const m of milestones) {
+    const row = existing.get(m.marketCap);
+    const after = entrySpec(m);
+    
+    if (!row) {
+      changes.push({ marketCap: m.marketCap, change: 'added', before: null, after });
+      continue;
+    }
+    
+    const before = rowSpec(row);
+    
+    if (row.completed) {
+      if (Math.abs(row.burn_amount - entryTokens(m, initialSupply)) > 1e-6) {
+        conflicts.push({ marketCap: m.marketCap, change: 'changed', before, after });
+      }
+    } else if (!sameSpec(before, after)) {
+      changes.push({ marketCap: m.marketCap, change: 'changed', before, after });
+    }
+  }
+  
+  for (const row of rows) {
+    if (wanted.has(row.market_cap)) continue;
+    
+    const change = { marketCap: row.market_cap, change: 'removed', before: rowSpec(row), after: null };
+    (row.completed ? conflicts : changes).push(change);
+  }
+  
+  changes.sort((a, b) => a.marketCap - b.marketCap);
+  
+  return { changes, conflicts };
+}
+
+/**
+ * One-line diff for a change, e.g. "~ $50K: 15,000,000 tokens -> 2% of supply"
+ */
+function formatScheduleChange({ marketCap, change, before, after }) {
+  const amount = v => (v.percentOfSupply != null
+    ? `${v.percentOfSupply}% of supply`
+    : `${v.burnAmount.toLocaleString()} tokens`);
+  
+  if (change === 'added') return `+ ${formatMarketCap(marketCap)}: ${amount(after)}`;
+  if (change === 'removed') return `- ${formatMarketCap(marketCap)}: ${amount(before)}`;
+  return `~ ${formatMarketCap(marketCap)}: ${amount(before)} -> ${amount(after)}`;
+}
+
+/**
+ * Sync the schedule file into the milestones table
+ * Runs in one IMMEDIATE transaction: nothing is applied if a completed
+ * milestone would change or the file changed without a version bump.
+ * Returns { version, changes }
+ */
+function syncMilestoneSchedule(schedule = loadSchedule()) {
+  const db = getDb();
+  const initialSupply = getInitialSupply();
+  const entries = new Map(schedule.milestones.map(m => [m.marketCap, m]));
+  
+  const sync = db.transaction(() => {
+    const { changes, conflicts } = diffSchedule(schedule.milestones, getMilestones(), initialSupply);
+    
+    if (conflicts.length > 0) {
+      throw new Error(
+        `Milestone schedule would alter completed milestones, nothing applied:\n` +
+        conflicts.map(c => `  ${formatScheduleChange(c)}`).join('\n')
+      );
+    }
+    
+    if (changes.length === 0) return changes;
+    
+    const syncedVersion = getScheduleVersion();
+    if (schedule.version <= syncedVersion) {
+      throw new Error(
+        `Milestone schedule changed but version ${schedule.version} is not newer than the synced ` +
+        `version ${syncedVersion}, bump "version" in ${schedule.path}`
+      );
+    }
+    
+    for (const change of changes) {
+      const entry = change.after ? resolveEntry(entries.get(change.marketCap), initialSupply) : null;
+      
+      if (change.change === 'added') insertMilestone(entry);
+      else if (change.change === 'changed') updateMilestoneAmounts(entry);
+      else deleteMilestone(change.marketCap);
+      
+      recordScheduleChange({ version: schedule.version, ...change });
+    }
+    
+    return changes;
+  });
+  
+  const changes = sync.immediate();
+  
+  if (changes.length > 0) {
+    console.log(`📋 Milestone schedule v${schedule.version}: ${changes.length} change(s)`);
+    changes.forEach(change => console.log(`   ${formatScheduleChange(change)}`));
+  }
+  
+  return { version: schedule.version, changes };
+}
+
+/**
+ * Tokens (UI units) a milestone row burns
+ * Percent-based milestones are recomputed from the current INITIAL_SUPPLY
+ */
+function getMilestoneTokens(milestone) {
+  return milestone.amount_basis === 'percent'
+    ? (getInitialSupply() * milestone.percent_of_supply) / 100
+    : milestone.burn_amount;
+}
+
+/**
+ * Raw amount to burn for a milestone, using the mint's decimals
+ */
+function getMilestoneBurnRaw(milestone, decimals) {
+  return toRawAmount(getMilestoneTokens(milestone), decimals);
+}
+
+/**
+ * Raw amount needed to burn every incomplete milestone
+ */
+function getRemainingBurnRaw(milestones, decimals) {
+  return milestones
+    .filter(m => !m.completed)
+    .reduce((sum, m) => sum + getMilestoneBurnRaw(m, decimals), 0);
+}
+
+module.exports = {
+  getSchedulePath,
+  validateSchedule,
+  loadSchedule,
+  diffSchedule,
+  formatScheduleChange,
+  syncMilestoneSchedule,
+  getMilestoneTokens,
+  getMilestoneBurnRaw,
+  getRemainingBurnRaw
+};
\ No newline at end of file
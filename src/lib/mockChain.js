@@ -0,0 +1,442 @@
+/**
+ * In-Memory Mock Chain for $INFERNO Token
+ *
+ * Implements the chain adapter interface without any network access.
+ * Used with CHAIN_ADAPTER=mock for offline runs and automated tests.
+ *
+ * State can be seeded and inspected through adapter.state, and failures
+ * injected with adapter.failNext('buyTokens' | 'burnTokens' | ...).
+ *
+ * Scripts can seed the mock with MOCK_CHAIN_STATE=path/to/state.json, e.g.
+ *   { "feeVaultBalance": 0.5, "walletTokenBalance": 50000000000000, "priceInSol": 0.0000001 }
+ *
+ * Each wallet role (buyback, reserve) gets a signer for its own generated keypair.
+ */
+const { Keypair } = require('@solana/web3.js');
+const { createKeypairSigner } = require('./signer');
+
+const MOCK_TX_FEE = 0.000005;
+
+const DEFAULT_STATE = {
+  solPriceUsd: 200,
+  priceInSol: 0.00000003,
+  totalSupply: 1_000_000_000,
+  tokenDecimals: 6,
+  feeVaultBalance: 0,
+  priceImpactPercent: 0.5, // Price impact quoted for every buy
+  fillRatio: 1,            // Share of the quoted tokens a buy actually delivers
+  graduated: false         // Graduated tokens can't use collectBuyAndBurn
+};
+
+/**
+ * Create a mock chain adapter
+ * walletSolBalance / walletTokenBalance seed the buyback wallet,
+ * reserveSolBalance / reserveTokenBalance the reserve wallet (tokens of TOKEN_ADDRESS)
+ */
+function createMockAdapter(initialState = {}) {
+  const wallets = {
+    buyback: createKeypairSigner('buyback', Keypair.generate(), 'mock'),
+    reserve: createKeypairSigner('reserve', Keypair.generate(), 'mock')
+  };
+  const buybackAddress = wallets.buyback.publicKey.toString();
+  const reserveAddress = wallets.reserve.publicKey.toString();
+  const {
+    walletSolBalance = 0,
+    walletTokenBalance = 0,
+    reserveSolBalance = 0,
+    reserveTokenBalance = 0,
+    ...seed
+  } = initialState;
+  let txCounter = 0;
+  
+  const state = {
+    ...DEFAULT_STATE,
+    solBalances: { [buybackAddress]: walletSolBalance, [reserveAddress]: reserveSolBalance },
+    tokenBalances: {
+      [`${buybackAddress}:${process.env.TOKEN_ADDRESS}`]: walletTokenBalance,
+      [`${reserveAddress}:${process.env.TOKEN_ADDRESS}`]: reserveTokenBalance
+    },
+    transactions: {},
+    failures: {},
+    ...seed
+  };
+  
+  function nextSignature(kind) {
+    txCounter++;
+    return `mock${kind}${Date.now().toString(36)}${txCounter}`;
+  }
+  
+  // `wallet` in details is the signer (fee payer) address
+  function record(kind, details) {
+    const signature = nextSignature(kind);
+    state.transactions[signature] = { kind, success: true, slot: txCounter, blockTime: Math.floor(Date.now() / 1000), ...details };
+    return signature;
+  }
+  
+  function consumeFailure(method) {
+    if (state.failures[method]) {
+      const message = state.failures[method];
+      delete state.failures[method];
+      return message;
+    }
+    return null;
+  }
+  
+  function tokenKey(walletAddress, tokenAddress) {
+    return `${walletAddress}:${tokenAddress}`;
+  }
+  
+  /**
+   * Wallet history entry for a recorded transaction
+   */
+  function historyEntry(signature, tx) {
+    const isBurn = tx.kind === 'burn';
+    let solDelta = -MOCK_TX_FEE;
+    let tokenDelta = 0;
+    
+    if (tx.kind === 'buy') {
+      solDelta -= tx.amountSol;
+      tokenDelta = tx.tokensReceived;
+    } else if (tx.kind === 'sell') {
+      solDelta += tx.solReceived;
+      tokenDelta = -tx.tokenAmount;
+    } else if (tx.kind === 'collect') {
+      solDelta += tx.amount;
+    } else if (isBurn) {
+      tokenDelta = -tx.amount;
+    }
+    
+    // Atomic buybacks collect, buy and burn in the same transaction
+    if (tx.atomic) {
+      solDelta += tx.collected - tx.amountSol;
+      tokenDelta += tx.tokensReceived;
+    }
+    
+    return {
+      signature,
+      slot: tx.slot,
+      blockTime: tx.blockTime,
+      success: tx.success,
+      burnedAmount: isBurn ? tx.amount : 0,
+      memo: isBurn ? `INFERNO ${tx.burnType.toUpperCase()} BURN: ${tx.amount} tokens` : null,
+      burnType: isBurn ? tx.burnType : null,
+      memoAmount: isBurn ? tx.amount : null,
+      solDelta,
+      tokenDelta,
+      fee: MOCK_TX_FEE
+    };
+  }
+  
+  function priceData() {
+    const priceInUsd = state.priceInSol * state.solPriceUsd;
+    const marketCapSol = state.priceInSol * state.totalSupply;
+    return {
+      priceInSol: state.priceInSol,
+      priceInUsd,
+      solPriceUsd: state.solPriceUsd,
+      marketCap: marketCapSol * state.solPriceUsd,
+      marketCapSol,
+      source: 'mock',
+      isGraduated: state.graduated
+    };
+  }
+  
+  return {
+    name: 'mock',
+    state,
+    
+    /**
+     * Make the next call to `method` fail with `message`
+     */
+    failNext(method, message = `Mock ${method} failure`) {
+      state.failures[method] = message;
+    },
+    
+    getWallet(role = 'buyback') {
+      if (!wallets[role]) throw new Error(`Unknown wallet role: ${role}`);
+      return wallets[role];
+    },
+    
+    async getSolBalance(walletAddress) {
+      return state.solBalances[walletAddress] || 0;
+    },
+    
+    async getTokenBalance(walletAddress, tokenAddress) {
+      return state.tokenBalances[tokenKey(walletAddress, tokenAddress)] || 0;
+    },
+    
+    async getMintInfo() {
+      return {
+        supply: Math.round(state.totalSupply * 10 ** state.tokenDecimals),
+        decimals: state.tokenDecimals
+      };
+    },
+    
+    async getCreatorFeeBalance() {
+      return state.feeVaultBalance;
+    },
+    
+    async collectCreatorFees(wallet, { dryRun = false } = {}) {
+      const failure = consumeFailure('collectCreatorFees');
+      if (failure) return { success: false, error: failure };
+      
+      if (state.feeVaultBalance <= 0) {
+        return { success: false, error: 'No fees to collect' };
+      }
+      
+      if (dryRun) {
+        return { success: true, simulated: true, signature: null, simulation: { err: null, logs: [], unitsConsumed: 0 } };
+      }
+      
+      const address = wallet.publicKey.toString();
+      const amount = state.feeVaultBalance;
+      state.solBalances[address] = (state.solBalances[address] || 0) + amount;
+      state.feeVaultBalance = 0;
+      
+      return { success: true, signature: record('collect', { wallet: address, amount }) };
+    },
+    
+    async buyTokens({ wallet, tokenAddress, amountSol, maxPriceImpact = null, dryRun = false }) {
+      const failure = consumeFailure('buyTokens');
+      if (failure) return { success: false, error: failure };
+      
+      const address = wallet.publicKey.toString();
+      const tokensReceived = Math.floor((amountSol / state.priceInSol) * 10 ** state.tokenDecimals);
+      const priceImpact = state.priceImpactPercent;
+      
+      if (maxPriceImpact != null && priceImpact > maxPriceImpact) {
+        return {
+          success: false,
+          rejected: 'price_impact',
+          priceImpact,
+          error: `Price impact ${priceImpact.toFixed(2)}% exceeds max ${maxPriceImpact}%`
+        };
+      }
+      
+      if (dryRun) {
+        return {
+          success: true,
+          simulated: true,
+          signature: null,
+          tokensReceived: tokensReceived.toString(),
+          quotedTokens: tokensReceived.toString(),
+          solSpent: amountSol,
+          priceImpact,
+          source: 'mock',
+          simulation: { err: null, logs: [], unitsConsumed: 0 }
+        };
+      }
+      
+      if ((state.solBalances[address] || 0) < amountSol) {
+        return { success: false, error: 'Insufficient SOL balance' };
+      }
+      
+      const key = tokenKey(address, tokenAddress);
+      const tokensDelivered = Math.floor(tokensReceived * state.fillRatio);
+      state.solBalances[address] -= amountSol;
+      state.tokenBalances[key] = (state.tokenBalances[key] || 0) + tokensDelivered;
+      
+      return {
+        success: true,
+        signature: record('buy', { wallet: address, tokenAddress, amountSol, tokensReceived: tokensDelivered }),
+        tokensReceived: tokensDelivered.toString(),
+        quotedTokens: tokensReceived.toString(),
+        solSpent: amountSol,
+        priceImpact,
+        source: 'mock'
+      };
+    },
+    
+    async isTokenGraduated() {
+      return state.graduated;
+    },
+    
+    /**
+     * All-or-nothing collect + buy + burn of the minimum-out amount, like pumpfun.js
+     */
+    async collectBuyAndBurn({ wallet, tokenAddress, amountSol, slippage = 10, maxPriceImpact = null, dryRun = false }) {
+      const failure = consumeFailure('collectBuyAndBurn');
+      if (failure) return { success: false, error: failure };
+      
+      if (state.graduated) {
+        return { success: false, error: 'Token graduated, bonding curve unavailable' };
+      }
+      
+      const address = wallet.publicKey.toString();
+      const tokensQuoted = Math.floor((amountSol / state.priceInSol) * 10 ** state.tokenDecimals);
+      const burnAmount = Math.floor(tokensQuoted * (1 - slippage / 100));
+      const priceImpact = state.priceImpactPercent;
+      
+      if (maxPriceImpact != null && priceImpact > maxPriceImpact) {
+        return {
+          success: false,
+          rejected: 'price_impact',
+          priceImpact,
+          error: `Price impact ${priceImpact.toFixed(2)}% exceeds max ${maxPriceImpact}%`
+        };
+      }
+      
+      const result = {
+        success: true,
+        atomic: true,
+        tokensReceived: tokensQuoted.toString(),
+        quotedTokens: tokensQuoted.toString(),
+        burnAmount,
+        solSpent: amountSol,
+        priceImpact,
+        source: 'mock'
+      };
+      
+      if (dryRun) {
+        return { ...result, simulated: true, signature: null, simulation: { err: null, logs: [], unitsConsumed: 0 } };
+      }
+      
+      // Checked up front so a failure leaves the state untouched
+      const collected = state.feeVaultBalance;
+      const tokensDelivered = Math.floor(tokensQuoted * state.fillRatio);
+      
+      if ((state.solBalances[address] || 0) + collected < amountSol) {
+        return { success: false, error: 'Insufficient SOL balance' };
+      }
+      if (tokensDelivered < burnAmount) {
+        return { success: false, error: 'Slippage exceeded, transaction reverted' };
+      }
+      
+      const key = tokenKey(address, tokenAddress);
+      state.feeVaultBalance = 0;
+      state.solBalances[address] = (state.solBalances[address] || 0) + collected - amountSol;
+      state.tokenBalances[key] = (state.tokenBalances[key] || 0) + tokensDelivered - burnAmount;
+      state.totalSupply -= burnAmount / 10 ** state.tokenDecimals;
+      
+      const signature = record('burn', {
+        wallet: address,
+        tokenAddress,
+        amount: burnAmount,
+        burnType: 'buyback',
+        atomic: true,
+        collected,
+        amountSol,
+        tokensReceived: tokensDelivered
+      });
+      
+      return { ...result, signature, tokensReceived: tokensDelivered.toString(), tokensLeftover: tokensDelivered - burnAmount };
+    },
+    
+    async sellTokens({ wallet, tokenAddress, tokenAmount }) {
+      const failure = consumeFailure('sellTokens');
+      if (failure) return { success: false, error: failure };
+      
+      const address = wallet.publicKey.toString();
+      const key = tokenKey(address, tokenAddress);
+      
+      if ((state.tokenBalances[key] || 0) < tokenAmount) {
+        return { success: false, error: 'Insufficient token balance' };
+      }
+      
+      const solReceived = (tokenAmount / 10 ** state.tokenDecimals) * state.priceInSol;
+      state.tokenBalances[key] -= tokenAmount;
+      state.solBalances[address] = (state.solBalances[address] || 0) + solReceived;
+      
+      return {
+        success: true,
+        signature: record('sell', { wallet: address, tokenAmount, solReceived }),
+        solReceived,
+        source: 'mock'
+      };
+    },
+    
+    async burnTokens(wallet, amount, tokenAddress, burnType = 'milestone', { dryRun = false } = {}) {
+      const failure = consumeFailure('burnTokens');
+      if (failure) return { success: false, error: failure };
+      
+      if (dryRun) {
+        return { success: true, simulated: true, signature: null, amount, burnType, simulation: { err: null, logs: [], unitsConsumed: 0 } };
+      }
+      
+      const address = wallet.publicKey.toString();
+      const key = tokenKey(address, tokenAddress);
+      
+      if ((state.tokenBalances[key] || 0) < amount) {
+        return { success: false, error: `Insufficient token balance: ${state.tokenBalances[key] || 0} < ${amount}` };
+      }
+      
+      state.tokenBalances[key] -= amount;
+      state.totalSupply -= amount / 10 ** state.tokenDecimals;
+      
+      return {
+        success: true,
+        signature: record('burn', { wallet: address, tokenAddress, amount, burnType }),
+        amount,
+        burnType,
+        method: 'mock-burn'
+      };
+    },
+    
+    async verifyTransaction(signature) {
+      const failure = consumeFailure('verifyTransaction');
+      if (failure) return { verified: false, rpcError: true, error: failure };
+      
+      const tx = state.transactions[signature];
+      
+      if (!tx) {
+        return { verified: false, notFound: true, error: 'Transaction not found' };
+      }
+      if (!tx.success) {
+        return { verified: false, failed: true, error: 'Transaction failed' };
+      }
+      
+      return { verified: true, slot: tx.slot, blockTime: tx.blockTime };
+    },
+    
+    /**
+     * Mock transactions land instantly, so a sent one either exists or expired
+     */
+    async settleSentTransaction(sent) {
+      const tx = state.transactions[sent.signature];
+      if (!tx) return 'expired';
+      return tx.success ? 'confirmed' : 'failed';
+    },
+    
+    /**
+     * Wallet history in the same shape as burnHistory.fetchWalletHistory, newest first
+     */
+    async getWalletHistory(walletAddress, tokenAddress, { limit = 5000 } = {}) {
+      return Object.entries(state.transactions)
+        .filter(([, tx]) => tx.wallet === walletAddress && (!tx.tokenAddress || tx.tokenAddress === tokenAddress))
+        .map(([signature, tx]) => historyEntry(signature, tx))
+        .sort((a, b) => b.slot - a.slot)
+        .slice(0, limit);
+    },
+    
+    /**
+     * Decoded transaction in the same shape as burnHistory.fetchTransactionDetails
+     */
+    async getTransactionDetails(signature) {
+      const tx = state.transactions[signature];
+      if (!tx) return null;
+      
+      return {
+        ...historyEntry(signature, tx),
+        feePayer: tx.wallet,
+        error: tx.success ? null : 'Mock transaction failed',
+        finalized: true
+      };
+    },
+    
+    async getTokenPrice() {
+      return priceData();
+    },
+    
+    async getMarketCap() {
+      return priceData().marketCap;
+    },
+    
+    async getSolPriceInUsd() {
+      return state.solPriceUsd;
+    }
+  };
+}
+
+module.exports = {
+  createMockAdapter
+};
\ No newline at end of file
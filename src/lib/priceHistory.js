@@ -0,0 +1,150 @@
+/**
+ * Price History for $INFERNO Token
+ *
+ * Keeps price_samples small (downsampling + retention) and turns samples
+ * into OHLC candles. Samples are written by the price sampler script.
+ */
+const {
+  getPriceSamples,
+  downsamplePriceSamples,
+  prunePriceSamples
+} = require('./database');
+const { getSettings } = require('./config');
+
+const MINUTE_MS = 60000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Supported ranges and their default candle interval
+const RANGES = {
+  '24h': { durationMs: DAY_MS, defaultInterval: '15m' },
+  '7d': { durationMs: 7 * DAY_MS, defaultInterval: '1h' },
+  '30d': { durationMs: 30 * DAY_MS, defaultInterval: '4h' }
+};
+
+// Candle value -> price_samples column
+const METRICS = {
+  marketCap: 'market_cap',
+  marketCapSol: 'market_cap_sol',
+  priceUsd: 'price_in_usd',
+  priceSol: 'price_in_sol'
+};
+
+const INTERVAL_UNITS = { m: MINUTE_MS, h: HOUR_MS, d: DAY_MS };
+const MAX_CANDLES = 1000;
+
+/**
+ * Parse an interval like 5m, 1h or 1d into milliseconds (null if invalid)
+ */
+function parseInterval(interval) {
+  const match = /^(\d+)([mhd])$/.exec(interval || '');
+  if (!match || parseInt(match[1]) === 0) return null;
+  return parseInt(match[1]) * INTERVAL_UNITS[match[2]];
+}
+
+/**
+ * Downsample old samples and delete expired ones
+ * Returns { downsampled, pruned } row counts
+ */
+function maintainPriceHistory(now = Date.now()) {
+  const settings = getSettings();
+  
+  const bucketMs = settings.priceDownsampleMinutes * MINUTE_MS;
+  
+  // Align the cutoff so no bucket is split between raw and downsampled samples
+  const rawCutoff = Math.floor((now - settings.priceRawRetentionHours * HOUR_MS) / bucketMs) * bucketMs;
+  
+  const pruned = prunePriceSamples(now - settings.priceRetentionDays * DAY_MS);
+  const downsampled = downsamplePriceSamples(rawCutoff, bucketMs);
+  
+  return { downsampled, pruned };
+}
+
+/**
+ * Group samples (oldest first) into OHLC candles of `intervalMs`
+ */
+function buildCandles(samples, intervalMs, column) {
+  const candles = [];
+  let current = null;
+  
+  for (const sample of samples) {
+    const value = sample[column];
+    if (value == null) continue;
+    
+    const bucket = Math.floor(sample.created_at / intervalMs) * intervalMs;
+    
+    if (!current || current.time !== bucket) {
+      current = { time: bucket, open: value, high: value, low: value, close: value, samples: 0 };
+      candles.push(current);
+    }
+    
+    current.high = Math.max(current.high, value);
+    current.low = Math.min(current.low, value);
+    current.close = value;
+    current.samples++;
+  }
+  
+  return candles;
+}
+
+/**
+ * Validate price history query params
+ * Returns { error } or the resolved range, column and interval
+ */
+function resolveHistoryParams({ range = '24h', interval, metric = 'marketCap' } = {}) {
+  const rangeConfig = RANGES[range];
+  if (!rangeConfig) {
+    return { error: `Invalid range: ${range}. Use ${Object.keys(RANGES).join(', ')}` };
+  }
+  
+  const column = METRICS[metric];
+  if (!column) {
+    return { error: `Invalid metric: ${metric}. Use ${Object.keys(METRICS).join(', ')}` };
+  }
+  
+  const intervalName = interval || rangeConfig.defaultInterval;
+  const intervalMs = parseInterval(intervalName);
+  if (!intervalMs) {
+    return { error: `Invalid interval: ${intervalName}. Use e.g. 5m, 1h, 1d` };
+  }
+  
+  if (rangeConfig.durationMs / intervalMs > MAX_CANDLES) {
+    return { error: `Interval ${intervalName} is too small for ${range} (max ${MAX_CANDLES} candles)` };
+  }
+  
+  return { range, metric, rangeConfig, column, intervalName, intervalMs };
+}
+
+/**
+ * Get OHLC candles for a range
+ */
+function getPriceHistory(params = {}, now = Date.now()) {
+  const resolved = resolveHistoryParams(params);
+  if (resolved.error) {
+    throw new Error(resolved.error);
+  }
+  
+  const since = now - resolved.rangeConfig.durationMs;
+  const samples = getPriceSamples({ since, until: now });
+  
+  return {
+    range: resolved.range,
+    interval: resolved.intervalName,
+    metric: resolved.metric,
+    from: new Date(since).toISOString(),
+    to: new Date(now).toISOString(),
+    candles: buildCandles(samples, resolved.intervalMs, resolved.column).map(candle => ({
+      ...candle,
+      time: new Date(candle.time).toISOString()
+    }))
+  };
+}
+
+module.exports = {
+  RANGES,
+  parseInterval,
+  maintainPriceHistory,
+  buildCandles,
+  resolveHistoryParams,
+  getPriceHistory
+};
\ No newline at end of file
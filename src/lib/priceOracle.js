@@ -5,9 +5,18 @@
  * 1. PumpFun Bonding Curve (pre-graduation)
  * 2. Jupiter Price API V3 (post-graduation, primary)
  * 3. DexScreener (fallback)
+ *
+ * Every source is queried and cross-checked: the highest-priority source is
+ * only used if at least MIN_PRICE_SOURCES sources agree with it within
+ * PRICE_TOLERANCE_PERCENT. Otherwise no price is returned, so a bad quote
+ * can never trigger a milestone burn.
+ *
+ * Market cap is price × the mint's current on-chain supply (see supply.js).
  */
 const { PublicKey } = require('@solana/web3.js');
 const { getConnection } = require('./solana');
+const { getSupply } = require('./supply');
+const { getSettings } = require('./config');
 require('dotenv').config();
 
 // Cache configuration
@@ -88,6 +97,14 @@ async function getSolPriceInUsd() {
   return solPriceCache.price || 200;
 }
 
+/**
+ * Current supply (UI units) and decimals used for market cap
+ */
+async function getLiveSupply() {
+  const supply = await getSupply();
+  return { totalSupply: supply.current.ui, decimals: supply.decimals };
+}
+
 /**
  * Check if token has graduated from bonding curve
  */
@@ -109,7 +126,7 @@ async function isTokenGraduated(tokenAddress) {
 /**
  * Get price from PumpFun bonding curve (pre-graduation)
  */
-async function getPriceFromBondingCurve(tokenAddress) {
+async function getPriceFromBondingCurve(tokenAddress, liveSupply) {
   try {
     const { OnlinePumpSdk, getBuyTokenAmountFromSolAmount } = require('@pump-fun/pump-sdk');
     const BN = require('bn.js');
@@ -136,11 +153,11 @@ async function getPriceFromBondingCurve(tokenAddress) {
     });
     
     // Price per token = 1 SOL / tokens received
-    const tokensPerSol = tokenAmount.toNumber() / 1e6; // 6 decimals
+    const { totalSupply, decimals } = liveSupply || await getLiveSupply();
+    const tokensPerSol = tokenAmount.toNumber() / 10 ** decimals;
     const priceInSol = 1 / tokensPerSol;
     
     const solPriceUsd = await getSolPriceInUsd();
-    const totalSupply = 1_000_000_000; // 1B tokens
     const marketCapSol = priceInSol * totalSupply;
     
     return {
@@ -163,7 +180,7 @@ async function getPriceFromBondingCurve(tokenAddress) {
 /**
  * Get price from Jupiter Price API V3 (post-graduation, primary)
  */
-async function getPriceFromJupiter(tokenAddress) {
+async function getPriceFromJupiter(tokenAddress, liveSupply) {
   try {
     const response = await fetchWithTimeout(
       `https://api.jup.ag/price/v3?ids=${tokenAddress}`
@@ -179,7 +196,7 @@ async function getPriceFromJupiter(tokenAddress) {
     const priceInUsd = tokenData.usdPrice;
     const priceInSol = priceInUsd / solPriceUsd;
     
-    const totalSupply = 1_000_000_000; // 1B tokens
+    const { totalSupply } = liveSupply || await getLiveSupply();
     const marketCap = priceInUsd * totalSupply;
     
     return {
@@ -201,7 +218,7 @@ async function getPriceFromJupiter(tokenAddress) {
 /**
  * Get price from DexScreener (fallback)
  */
-async function getPriceFromDexScreener(tokenAddress) {
+async function getPriceFromDexScreener(tokenAddress, liveSupply) {
   try {
     const response = await fetchWithTimeout(
       `https://api.dexscreener.com/latest/dex/tokens/${tokenAddress}`
@@ -224,7 +241,7 @@ async function getPriceFromDexScreener(tokenAddress) {
     const solPriceUsd = await getSolPriceInUsd();
     const priceInSol = priceInUsd / solPriceUsd;
     
-    const totalSupply = 1_000_000_000;
+    const { totalSupply } = liveSupply || await getLiveSupply();
     const marketCap = priceInUsd * totalSupply;
     
     return {
@@ -245,9 +262,17 @@ async function getPriceFromDexScreener(tokenAddress) {
   }
 }
 
+/**
+ * Percentage difference between two prices
+ */
+function priceDeviation(price, reference) {
+  return Math.abs(price - reference) / reference * 100;
+}
+
 /**
  * Get token price - main function
- * Tries sources in order: Bonding Curve → Jupiter → DexScreener
+ * Queries Bonding Curve, Jupiter and DexScreener, uses the first available
+ * (in that order) and throws unless enough sources agree with it
  */
 async function getTokenPrice(tokenAddress = process.env.TOKEN_ADDRESS) {
   const now = Date.now();
@@ -257,43 +282,50 @@ async function getTokenPrice(tokenAddress = process.env.TOKEN_ADDRESS) {
     return priceCache.data;
   }
   
-  // 1. Try bonding curve first (pre-graduation)
-  const bondingPrice = await getPriceFromBondingCurve(tokenAddress);
-  if (bondingPrice) {
-    priceCache = { data: bondingPrice, timestamp: now };
-    return bondingPrice;
-  }
+  const { priceTolerance, minPriceSources } = getSettings();
+  const liveSupply = await getLiveSupply();
   
-  // 2. Token graduated - try Jupiter
-  const jupiterPrice = await getPriceFromJupiter(tokenAddress);
-  if (jupiterPrice) {
-    priceCache = { data: jupiterPrice, timestamp: now };
-    return jupiterPrice;
-  }
+  const quotes = (await Promise.all([
+    getPriceFromBondingCurve(tokenAddress, liveSupply),
+    getPriceFromJupiter(tokenAddress, liveSupply),
+    getPriceFromDexScreener(tokenAddress, liveSupply)
+  ])).filter(quote => quote && quote.priceInUsd > 0);
   
-  // 3. Fallback to DexScreener
-  const dexPrice = await getPriceFromDexScreener(tokenAddress);
-  if (dexPrice) {
-    priceCache = { data: dexPrice, timestamp: now };
-    return dexPrice;
+  if (quotes.length < minPriceSources) {
+    throw new Error(`Only ${quotes.length} price source(s) available, need ${minPriceSources} to cross-check`);
   }
   
-  // 4. Return last known or mock data
-  if (priceCache.data) {
-    console.log('Using cached price data');
-    return priceCache.data;
+  const primary = quotes[0];
+  const sources = quotes.map(quote => ({
+    source: quote.source,
+    priceInUsd: quote.priceInUsd,
+    deviation: priceDeviation(quote.priceInUsd, primary.priceInUsd)
+  }));
+  const agreeing = sources.filter(s => s.deviation <= priceTolerance);
+  
+  if (agreeing.length < minPriceSources) {
+    const summary = sources.map(s => `${s.source}=$${s.priceInUsd}`).join(', ');
+    throw new Error(`Price sources disagree by more than ${priceTolerance}%: ${summary}`);
   }
   
-  console.log('No price data available, using defaults');
-  return {
-    priceInSol: 0,
-    priceInUsd: 0,
-    solPriceUsd: await getSolPriceInUsd(),
-    marketCap: 0,
-    marketCapSol: 0,
-    source: 'none',
-    isGraduated: false
+  sources
+    .filter(s => s.deviation > priceTolerance)
+    .forEach(s => console.log(`Ignoring ${s.source} price: ${s.deviation.toFixed(2)}% off ${primary.source}`));
+  
+  // Only DexScreener reports liquidity and volume; keep them for price history
+  const marketStats = quotes.find(quote => quote.liquidity != null) || {};
+  
+  const priceData = {
+    ...primary,
+    liquidity: primary.liquidity ?? marketStats.liquidity ?? null,
+    volume24h: primary.volume24h ?? marketStats.volume24h ?? null,
+    totalSupply: liveSupply.totalSupply,
+    sources,
+    agreeingSources: agreeing.length
   };
+  
+  priceCache = { data: priceData, timestamp: now };
+  return priceData;
 }
 
 /**
@@ -4,10 +4,17 @@
  * Pre-graduation: Uses PumpFun bonding curve
  * Post-graduation: Uses Jupiter Ultra API for swaps
  * Fee collection: Uses PumpFun SDK for both bonding curve and AMM fees
+ * Pre-graduation buybacks can collect, buy and burn in one transaction (collectBuyAndBurn)
+ * Prices and market cap come from priceOracle.js, never from here
  */
-const { PublicKey, Transaction, VersionedTransaction } = require('@solana/web3.js');
+const { PublicKey, VersionedTransaction } = require('@solana/web3.js');
+const { getAssociatedTokenAddress } = require('@solana/spl-token');
 const BN = require('bn.js');
-const { getConnection, sendWithRetry } = require('./solana');
+const bs58 = require('bs58');
+const { getConnection, sendWithRetry, simulateTx, createBurnInstructions } = require('./solana');
+const { buildTransaction, recordTxFee } = require('./txBuilder');
+const { recordSentTransaction, updateSentTransaction } = require('./database');
+const { fetchWalletTokenDelta } = require('./burnHistory');
 require('dotenv').config();
 
 // PumpFun SDK for bonding curve operations
@@ -29,6 +36,19 @@ const {
 const JUPITER_ULTRA_API = 'https://api.jup.ag/ultra/v1';
 const SOL_MINT = 'So11111111111111111111111111111111111111112';
 
+// A just-confirmed transaction can take a moment to show up in getParsedTransaction
+const FILL_LOOKUP_ATTEMPTS = 5;
+const FILL_LOOKUP_DELAY_MS = 2000;
+
+/**
+ * Result for a buy skipped by the price impact guard (nothing was sent)
+ */
+function priceImpactRejection(priceImpact, maxPriceImpact) {
+  const error = `Price impact ${priceImpact.toFixed(2)}% exceeds max ${maxPriceImpact}%`;
+  console.log(`🛑 ${error}, buy skipped`);
+  return { success: false, rejected: 'price_impact', priceImpact, error };
+}
+
 /**
  * Create PumpFun operations instance
  */
@@ -37,6 +57,102 @@ function createPumpFunOperations(connection) {
   const offlineSdk = PUMP_SDK;
   const onlineAmmSdk = new OnlinePumpAmmSdk(connection);
   
+  /**
+   * Fee collection instructions (pump-sdk, with pump-swap-sdk as fallback)
+   */
+  async function getCollectFeeInstructions(creator) {
+    const instructions = [];
+    
+    // Primary: Use pump-sdk for fee collection
+    try {
+      const pumpInstructions = await onlineSdk.collectCoinCreatorFeeInstructions(creator);
+      if (pumpInstructions?.length > 0) {
+        instructions.push(...pumpInstructions);
+        console.log(`Added ${pumpInstructions.length} pump-sdk fee collection instructions`);
+      }
+    } catch (error) {
+      console.log('Could not get pump-sdk fee instructions:', error.message);
+    }
+    
+    // Fallback: Try pump-swap-sdk for AMM fees (in case pump-sdk doesn't cover it)
+    try {
+      const ammState = await onlineAmmSdk.collectCoinCreatorFeeSolanaState(creator);
+      if (ammState?.instructions?.length > 0) {
+        instructions.push(...ammState.instructions);
+        console.log(`Added ${ammState.instructions.length} pump-swap-sdk fee collection instructions (fallback)`);
+      }
+    } catch (error) {
+      // Silent - pump-sdk probably already handles it
+    }
+    
+    return instructions;
+  }
+  
+  /**
+   * Tokens a confirmed buy actually delivered to the wallet
+   * Read from the transaction's token balances; null if it can't be fetched
+   */
+  async function getTokensFilled(signature, wallet, tokenAddress) {
+    for (let attempt = 1; attempt <= FILL_LOOKUP_ATTEMPTS; attempt++) {
+      try {
+        const delta = await fetchWalletTokenDelta(connection, signature, wallet.publicKey.toString(), tokenAddress);
+        if (delta !== null) return delta;
+      } catch (error) {
+        console.log(`Could not read fill of ${signature}:`, error.message);
+      }
+      
+      if (attempt < FILL_LOOKUP_ATTEMPTS) {
+        await new Promise(r => setTimeout(r, FILL_LOOKUP_DELAY_MS));
+      }
+    }
+    
+    console.log(`⚠️ Fill of ${signature} not readable from the transaction`);
+    return null;
+  }
+  
+  /**
+   * Quote a bonding curve buy and build its instructions
+   * Returns { buildInstructions, tokenAmount (BN), priceImpact } - impact is vs the
+   * spot price of the virtual reserves (includes curve fees)
+   */
+  async function prepareBondingCurveBuy({ wallet, mint, amountSol, slippage }) {
+    const global = await onlineSdk.fetchGlobal();
+    const { bondingCurveAccountInfo, bondingCurve, associatedUserAccountInfo } = 
+      await onlineSdk.fetchBuyState(mint, wallet.publicKey);
+    
+    const solLamports = new BN(Math.floor(amountSol * 1e9));
+    
+    const tokenAmount = getBuyTokenAmountFromSolAmount({
+      global,
+      feeConfig: null,
+      mintSupply: bondingCurve.realTokenReserves,
+      bondingCurve,
+      amount: solLamports
+    });
+    
+    const spotTokens = solLamports.mul(bondingCurve.virtualTokenReserves).div(bondingCurve.virtualSolReserves);
+    const priceImpact = spotTokens.isZero()
+      ? 0
+      : (1 - Number(tokenAmount.toString()) / Number(spotTokens.toString())) * 100;
+    
+    console.log(`💰 Expected tokens: ${tokenAmount.toString()} (price impact ${priceImpact.toFixed(2)}%)`);
+    
+    // Built lazily: nothing to build if the price impact guard rejects the quote
+    const buildInstructions = () => offlineSdk.buyInstructions({
+      global,
+      bondingCurveAccountInfo,
+      bondingCurve,
+      associatedUserAccountInfo,
+      mint,
+      user: wallet.publicKey,
+      solAmount: solLamports,
+      amount: tokenAmount,
+      slippage: slippage * 100
+    });
+    
+    return { buildInstructions, tokenAmount, priceImpact };
+  }
+  
   return {
     /**
      * Check if token has graduated from bonding curve
@@ -52,44 +168,6 @@ function createPumpFunOperations(connection) {
       }
     },
     
-    /**
-     * Get token price from bonding curve
-     */
-    async getTokenPrice(tokenAddress) {
-      try {
-        const mint = new PublicKey(tokenAddress);
-        const bondingCurve = await onlineSdk.fetchBondingCurve(mint);
-        
-        if (bondingCurve && !bondingCurve.complete) {
-          const global = await onlineSdk.fetchGlobal();
-          const oneSol = new BN(1_000_000_000);
-          
-          const tokenAmount = getBuyTokenAmountFromSolAmount({
-            global,
-            feeConfig: null,
-            mintSupply: bondingCurve.realTokenReserves,
-            bondingCurve,
-            amount: oneSol
-          });
-          
-          const priceInSol = 1 / (tokenAmount.toNumber() / 1e6);
-          const totalSupply = parseInt(process.env.INITIAL_SUPPLY) || 1000000000;
-          
-          return {
-            priceInSol,
-            marketCap: priceInSol * totalSupply,
-            source: 'bonding_curve',
-            isGraduated: false
-          };
-        }
-        
-        return null;
-      } catch (error) {
-        console.error('Error getting token price:', error.message);
-        return null;
-      }
-    },
-    
     /**
      * Get creator fee balance (uses pump-sdk, with pump-swap-sdk as fallback)
      */
@@ -130,32 +208,9 @@ function createPumpFunOperations(connection) {
     /**
      * Collect creator fees (uses pump-sdk, with pump-swap-sdk as fallback)
      */
-    async collectCreatorFees(wallet) {
+    async collectCreatorFees(wallet, { dryRun = false, opId = null } = {}) {
       try {
-        const creator = wallet.publicKey;
-        const instructions = [];
-        
-        // Primary: Use pump-sdk for fee collection
-        try {
-          const pumpInstructions = await onlineSdk.collectCoinCreatorFeeInstructions(creator);
-          if (pumpInstructions?.length > 0) {
-            instructions.push(...pumpInstructions);
-            console.log(`Added ${pumpInstructions.length} pump-sdk fee collection instructions`);
-          }
-        } catch (error) {
-          console.log('Could not get pump-sdk fee instructions:', error.message);
-        }
-        
-        // Fallback: Try pump-swap-sdk for AMM fees (in case pump-sdk doesn't cover it)
-        try {
-          const ammState = await onlineAmmSdk.collectCoinCreatorFeeSolanaState(creator);
-          if (ammState?.instructions?.length > 0) {
-            instructions.push(...ammState.instructions);
-            console.log(`Added ${ammState.instructions.length} pump-swap-sdk fee collection instructions (fallback)`);
-          }
-        } catch (error) {
-          // Silent - pump-sdk probably already handles it
-        }
+        const instructions = await getCollectFeeInstructions(wallet.publicKey);
         
         if (instructions.length === 0) {
           console.log('No fee collection instructions generated');
@@ -164,14 +219,17 @@ function createPumpFunOperations(connection) {
         
         console.log(`Total fee collection instructions: ${instructions.length}`);
         
-        const tx = new Transaction();
-        instructions.forEach(ix => tx.add(ix));
+        const { transaction: tx, budget, simulation } = await buildTransaction(connection, instructions, wallet.publicKey, {
+          label: 'collect_fees'
+        });
         
-        const { blockhash } = await connection.getLatestBlockhash();
-        tx.recentBlockhash = blockhash;
-        tx.feePayer = wallet.publicKey;
+        if (dryRun) {
+          console.log(`🧪 Simulated fee collection - ${simulation.err ? `error: ${simulation.err}` : 'OK'}`);
+          return { success: true, simulated: true, signature: null, simulation, budget };
+        }
         
-        const signature = await sendWithRetry(connection, tx, [wallet], {}, 3);
+        const signature = await sendWithRetry(connection, tx, wallet, { label: budget.label, opId }, 3);
+        await recordTxFee(connection, signature, budget);
         console.log(`Creator fees collected! Signature: ${signature}`);
         
         return { success: true, signature };
@@ -183,16 +241,19 @@ function createPumpFunOperations(connection) {
     
     /**
      * Buy tokens - routes to bonding curve or Jupiter
+     * With maxPriceImpact (percent) the buy is skipped, with { rejected: 'price_impact' },
+     * if its quote would move the price further than that.
+     * opId links the sent transaction to its operation for crash recovery
      */
-    async buyTokens({ wallet, tokenAddress, amountSol, slippage = 10 }) {
+    async buyTokens({ wallet, tokenAddress, amountSol, slippage = 10, maxPriceImpact = null, dryRun = false, opId = null }) {
       try {
         const isGraduated = await this.isTokenGraduated(tokenAddress);
         
         if (isGraduated) {
-          return await this.buyWithJupiter({ wallet, tokenAddress, amountSol });
+          return await this.buyWithJupiter({ wallet, tokenAddress, amountSol, maxPriceImpact, dryRun, opId });
         }
         
-        return await this.buyFromBondingCurve({ wallet, tokenAddress, amountSol, slippage });
+        return await this.buyFromBondingCurve({ wallet, tokenAddress, amountSol, slippage, maxPriceImpact, dryRun, opId });
       } catch (error) {
         console.error('Error buying tokens:', error);
         return { success: false, error: error.message };
@@ -202,51 +263,49 @@ function createPumpFunOperations(connection) {
     /**
      * Buy from bonding curve (pre-graduation)
      */
-    async buyFromBondingCurve({ wallet, tokenAddress, amountSol, slippage = 10 }) {
+    async buyFromBondingCurve({ wallet, tokenAddress, amountSol, slippage = 10, maxPriceImpact = null, dryRun = false, opId = null }) {
       try {
         const mint = new PublicKey(tokenAddress);
-        const global = await onlineSdk.fetchGlobal();
-        const { bondingCurveAccountInfo, bondingCurve, associatedUserAccountInfo } = 
-          await onlineSdk.fetchBuyState(mint, wallet.publicKey);
+        const { buildInstructions, tokenAmount, priceImpact } = await prepareBondingCurveBuy({ wallet, mint, amountSol, slippage });
         
-        const solLamports = new BN(amountSol * 1e9);
-        
-        const tokenAmount = getBuyTokenAmountFromSolAmount({
-          global,
-          feeConfig: null,
-          mintSupply: bondingCurve.realTokenReserves,
-          bondingCurve,
-          amount: solLamports
-        });
+        if (maxPriceImpact != null && priceImpact > maxPriceImpact) {
+          return priceImpactRejection(priceImpact, maxPriceImpact);
+        }
         
-        console.log(`💰 Expected tokens: ${tokenAmount.toString()}`);
+        const instructions = await buildInstructions();
         
-        const instructions = await offlineSdk.buyInstructions({
-          global,
-          bondingCurveAccountInfo,
-          bondingCurve,
-          associatedUserAccountInfo,
-          mint,
-          user: wallet.publicKey,
-          solAmount: solLamports,
-          amount: tokenAmount,
-          slippage: slippage * 100
+        const { transaction: tx, budget, simulation } = await buildTransaction(connection, instructions, wallet.publicKey, {
+          label: 'bonding_curve_buy'
         });
         
-        const tx = new Transaction();
-        instructions.forEach(ix => tx.add(ix));
-        
-        const { blockhash } = await connection.getLatestBlockhash();
-        tx.recentBlockhash = blockhash;
-        tx.feePayer = wallet.publicKey;
+        if (dryRun) {
+          console.log(`🧪 Simulated bonding curve buy - ${simulation.err ? `error: ${simulation.err}` : 'OK'}`);
+          return {
+            success: true,
+            simulated: true,
+            signature: null,
+            tokensReceived: tokenAmount.toString(),
+            quotedTokens: tokenAmount.toString(),
+            solSpent: amountSol,
+            priceImpact,
+            source: 'bonding_curve',
+            simulation,
+            budget
+          };
+        }
         
-        const signature = await sendWithRetry(connection, tx, [wallet], {}, 3);
+        const signature = await sendWithRetry(connection, tx, wallet, { label: budget.label, opId }, 3);
+        await recordTxFee(connection, signature, budget);
+        const tokensFilled = await getTokensFilled(signature, wallet, tokenAddress);
         
         return {
           success: true,
           signature,
-          tokensReceived: tokenAmount.toString(),
+          // What arrived (null if unreadable), not the quote
+          tokensReceived: tokensFilled !== null ? tokensFilled.toString() : null,
+          quotedTokens: tokenAmount.toString(),
           solSpent: amountSol,
+          priceImpact,
           source: 'bonding_curve'
         };
       } catch (error) {
@@ -255,10 +314,86 @@ function createPumpFunOperations(connection) {
       }
     },
     
+    /**
+     * Collect creator fees, buy from the bonding curve and burn in ONE transaction (pre-graduation)
+     * The burn is the buy's minimum-out amount, so if the transaction lands the
+     * tokens were both bought and burned, and if it fails nothing happened.
+     * Tokens filled above the minimum stay in the wallet.
+     */
+    async collectBuyAndBurn({ wallet, tokenAddress, amountSol, slippage = 10, maxPriceImpact = null, dryRun = false, opId = null }) {
+      try {
+        const mint = new PublicKey(tokenAddress);
+        const { buildInstructions, tokenAmount, priceImpact } = await prepareBondingCurveBuy({ wallet, mint, amountSol, slippage });
+        
+        if (maxPriceImpact != null && priceImpact > maxPriceImpact) {
+          return priceImpactRejection(priceImpact, maxPriceImpact);
+        }
+        
+        const minTokensOut = tokenAmount.muln(10000 - Math.round(slippage * 100)).divn(10000);
+        if (minTokensOut.isZero()) {
+          throw new Error('Buy too small to burn anything');
+        }
+        const burnAmount = Number(minTokensOut.toString());
+        
+        // Without a collect this would buy with the wallet's own SOL
+        const collectInstructions = await getCollectFeeInstructions(wallet.publicKey);
+        if (collectInstructions.length === 0) {
+          console.log('No fee collection instructions generated');
+          return { success: false, error: 'No fees to collect' };
+        }
+        
+        const tokenAccount = await getAssociatedTokenAddress(mint, wallet.publicKey);
+        const instructions = [
+          ...collectInstructions,
+          ...await buildInstructions(),
+          ...createBurnInstructions(tokenAccount, mint, wallet.publicKey, BigInt(minTokensOut.toString()), 'buyback')
+        ];
+        
+        const { transaction: tx, budget, simulation } = await buildTransaction(connection, instructions, wallet.publicKey, {
+          label: 'atomic_buyback'
+        });
+        
+        const result = {
+          success: true,
+          atomic: true,
+          tokensReceived: tokenAmount.toString(),
+          quotedTokens: tokenAmount.toString(),
+          burnAmount,
+          solSpent: amountSol,
+          priceImpact,
+          source: 'bonding_curve'
+        };
+        
+        if (dryRun) {
+          console.log(`🧪 Simulated collect + buy + burn - ${simulation.err ? `error: ${simulation.err}` : 'OK'}`);
+          return { ...result, simulated: true, signature: null, simulation, budget };
+        }
+        
+        const signature = await sendWithRetry(connection, tx, wallet, { label: budget.label, opId }, 3);
+        await recordTxFee(connection, signature, budget);
+        console.log(`🔥 Collected, bought and burned ${burnAmount} tokens in one transaction - TX: ${signature}`);
+        
+        // The wallet keeps what the buy filled above the burned minimum
+        const tokensFilled = await getTokensFilled(signature, wallet, tokenAddress);
+        
+        return {
+          ...result,
+          signature,
+          tokensReceived: tokensFilled !== null ? (tokensFilled + burnAmount).toString() : result.tokensReceived,
+          // Left in the wallet above the burned minimum (null if unreadable)
+          tokensLeftover: tokensFilled
+        };
+      } catch (error) {
+        console.error('Error in atomic buy and burn:', error);
+        return { success: false, error: error.message };
+      }
+    },
+    
     /**
      * Buy with Jupiter Ultra API (post-graduation, mainnet only)
+     * In dry-run the signed order is simulated locally instead of executed
      */
-    async buyWithJupiter({ wallet, tokenAddress, amountSol }) {
+    async buyWithJupiter({ wallet, tokenAddress, amountSol, maxPriceImpact = null, dryRun = false, opId = null }) {
       try {
         if (!process.env.JUPITER_ULTRA_API_KEY) {
           throw new Error('JUPITER_ULTRA_API_KEY not configured');
@@ -299,14 +434,42 @@ function createPumpFunOperations(connection) {
         
         console.log(`   Router: ${order.router}`);
         console.log(`   Expected: ${order.outAmount} tokens`);
-        console.log(`   Price impact: ${((order.priceImpact || 0) * 100).toFixed(2)}%`);
+        const priceImpact = Math.abs(order.priceImpact || 0) * 100;
+        console.log(`   Price impact: ${priceImpact.toFixed(2)}%`);
+        
+        if (maxPriceImpact != null && priceImpact > maxPriceImpact) {
+          return priceImpactRejection(priceImpact, maxPriceImpact);
+        }
         
         const transactionBuffer = Buffer.from(order.transaction, 'base64');
         const transaction = VersionedTransaction.deserialize(transactionBuffer);
-        transaction.sign([wallet]);
+        await wallet.signTransaction(transaction);
+        
+        if (dryRun) {
+          const simulation = await simulateTx(connection, transaction);
+          console.log(`🧪 Simulated Jupiter swap - ${simulation.err ? `error: ${simulation.err}` : 'OK'}`);
+          return {
+            success: true,
+            simulated: true,
+            signature: null,
+            tokensReceived: order.outAmount,
+            quotedTokens: order.outAmount,
+            solSpent: amountSol,
+            priceImpact,
+            source: 'jupiter_ultra',
+            simulation
+          };
+        }
         
         const signedTransaction = Buffer.from(transaction.serialize()).toString('base64');
         
+        // Stored before Jupiter broadcasts it, so recovery can find the swap.
+        // The order's blockhash is no newer than the latest one, so the latest's
+        // last valid height is a safe bound for when the swap can no longer land.
+        const signature = bs58.encode(transaction.signatures[0]);
+        const { lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
+        recordSentTransaction({ signature, opId, label: 'jupiter_buy', feePayer: wallet.publicKey.toString(), lastValidBlockHeight });
+        
         const executeResponse = await fetch(`${JUPITER_ULTRA_API}/execute`, {
           method: 'POST',
           headers: { 
@@ -327,15 +490,23 @@ function createPumpFunOperations(connection) {
         const result = await executeResponse.json();
         
         if (result.status === 'Success') {
+          updateSentTransaction(signature, 'confirmed');
           console.log(`✅ Jupiter swap successful! TX: ${result.signature}`);
+          // Jupiter sets its own compute budget, only the fee paid is recorded
+          await recordTxFee(connection, result.signature, { label: 'jupiter_buy' });
+          const tokensFilled = await getTokensFilled(result.signature, wallet, tokenAddress);
+          
           return {
             success: true,
             signature: result.signature,
-            tokensReceived: result.outputAmountResult || order.outAmount,
+            tokensReceived: tokensFilled !== null ? tokensFilled.toString() : result.outputAmountResult || null,
+            quotedTokens: order.outAmount,
             solSpent: amountSol,
+            priceImpact,
             source: 'jupiter_ultra'
           };
         } else {
+          updateSentTransaction(signature, 'failed', result.error || null);
           throw new Error(result.error || 'Swap execution failed');
         }
       } catch (error) {
@@ -396,14 +567,12 @@ function createPumpFunOperations(connection) {
           slippage: 0
         });
         
-        const tx = new Transaction();
-        instructions.forEach(ix => tx.add(ix));
-        
-        const { blockhash } = await connection.getLatestBlockhash();
-        tx.recentBlockhash = blockhash;
-        tx.feePayer = wallet.publicKey;
+        const { transaction: tx, budget } = await buildTransaction(connection, instructions, wallet.publicKey, {
+          label: 'bonding_curve_sell'
+        });
         
-        const signature = await sendWithRetry(connection, tx, [wallet], {}, 3);
+        const signature = await sendWithRetry(connection, tx, wallet, { label: budget.label }, 3);
+        await recordTxFee(connection, signature, budget);
         
         return {
           success: true,
@@ -462,7 +631,7 @@ function createPumpFunOperations(connection) {
         
         const transactionBuffer = Buffer.from(order.transaction, 'base64');
         const transaction = VersionedTransaction.deserialize(transactionBuffer);
-        transaction.sign([wallet]);
+        await wallet.signTransaction(transaction);
         
         const signedTransaction = Buffer.from(transaction.serialize()).toString('base64');
         
@@ -487,6 +656,7 @@ function createPumpFunOperations(connection) {
         
         if (result.status === 'Success') {
           console.log(`✅ Sell successful! TX: ${result.signature}`);
+          await recordTxFee(connection, result.signature, { label: 'jupiter_sell' });
           return {
             success: true,
             signature: result.signature,
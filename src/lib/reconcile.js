@@ -0,0 +1,236 @@
+/**
+ * Burn Reconciliation for $INFERNO Token
+ *
+ * Diffs the burns table against the on-chain burn history of the buyback
+ * and reserve wallets (see walletRoles.js) and
+ * optionally repairs missing, extra and mismatched rows, including
+ * backfilling sol_spent / tokens_bought from the buy that funded a buyback
+ * (or, for atomic pre-graduation buybacks, from the burn transaction itself).
+ */
+const { getChainAdapter } = require('./chainAdapter');
+const { getRoleAddresses } = require('./walletRoles');
+const {
+  getBurnByTx,
+  getBurnsSince,
+  recordBurn,
+  updateBurn,
+  deleteBurn,
+  getBuyTxForBurn,
+  getMilestoneByTx
+} = require('./database');
+require('dotenv').config();
+
+const SOL_TOLERANCE = 0.000001;
+
+/**
+ * Convert a block time (unix seconds) to a SQLite datetime
+ */
+function toSqlDate(blockTime) {
+  return new Date(blockTime * 1000).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Whether a burn also bought its tokens (an atomic pre-graduation buyback):
+ * the wallet's token balance dropped by less than it burned
+ */
+function isAtomicBuyback(burn) {
+  return burn.burnType !== 'milestone' && burn.tokenDelta > -burn.burnedAmount;
+}
+
+/**
+ * Find the buy that funded a buyback burn: the journaled buy tx if we have
+ * one, otherwise the closest earlier token-increasing tx since the previous
+ * buyback burn that is not already paired
+ */
+function findPairedBuy(burn, chronological, bySignature, pairedBuys) {
+  if (isAtomicBuyback(burn)) return burn;
+  
+  const journaled = getBuyTxForBurn(burn.signature);
+  if (journaled && bySignature[journaled]) return bySignature[journaled];
+  
+  for (let i = chronological.indexOf(burn) - 1; i >= 0; i--) {
+    const entry = chronological[i];
+    
+    if (entry.burnedAmount > 0 && entry.burnType !== 'milestone') break;
+    if (entry.tokenDelta > 0 && entry.burnedAmount === 0 && !pairedBuys.has(entry.signature)) {
+      return entry;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * What the burns row for an on-chain burn should contain
+ * An atomic buyback's SOL delta nets the collected fees against the buy, so
+ * its sol_spent can't be derived from the chain.
+ */
+function expectedRecord(burn, buy) {
+  if (buy === burn) {
+    return {
+      burn_type: 'buyback',
+      burn_amount: burn.burnedAmount,
+      sol_spent: null,
+      tokens_bought: burn.tokenDelta + burn.burnedAmount,
+      tag: null
+    };
+  }
+  
+  return {
+    burn_type: burn.burnType === 'milestone' ? 'milestone' : 'buyback',
+    burn_amount: burn.burnedAmount,
+    sol_spent: buy ? Number((-buy.solDelta - buy.fee).toFixed(9)) : null,
+    tokens_bought: buy ? buy.tokenDelta : null,
+    tag: burn.burnType === 'dust' ? 'dust' : null
+  };
+}
+
+/**
+ * Compare a burns row to the expected on-chain values
+ */
+function diffRecord(row, expected, burn, buy) {
+  const diffs = {};
+  
+  if (row.burn_amount !== expected.burn_amount) {
+    diffs.burn_amount = { db: row.burn_amount, chain: expected.burn_amount };
+  }
+  
+  // Only trust the type when the memo told us
+  if (burn.burnType && row.burn_type !== expected.burn_type) {
+    diffs.burn_type = { db: row.burn_type, chain: expected.burn_type };
+  }
+  
+  if (expected.burn_type === 'buyback' && buy) {
+    if (expected.sol_spent !== null && (!row.sol_spent || Math.abs(row.sol_spent - expected.sol_spent) > SOL_TOLERANCE)) {
+      diffs.sol_spent = { db: row.sol_spent, chain: expected.sol_spent };
+    }
+    if (row.tokens_bought !== expected.tokens_bought) {
+      diffs.tokens_bought = { db: row.tokens_bought, chain: expected.tokens_bought };
+    }
+  }
+  
+  return diffs;
+}
+
+/**
+ * Reconcile burns against the chain
+ * Returns a report of missing, extra and mismatched rows (and repairs if requested)
+ */
+async function reconcileBurns({ limit = 5000, repair = false } = {}) {
+  const chain = getChainAdapter();
+  const wallets = getRoleAddresses(chain);
+  const tokenAddress = process.env.TOKEN_ADDRESS;
+  
+  if (!tokenAddress) throw new Error('TOKEN_ADDRESS not set in .env');
+  
+  // Milestone burns come from the reserve, buybacks from the buyback wallet
+  const addresses = [...new Set(Object.values(wallets).filter(Boolean))];
+  if (addresses.length === 0) throw new Error('No wallet configured (see walletRoles.js)');
+  
+  const histories = await Promise.all(addresses.map(address => chain.getWalletHistory(address, tokenAddress, { limit })));
+  
+  // A transaction can touch both wallets, keep it once
+  const seen = new Set();
+  const history = histories.flat()
+    .filter(entry => !seen.has(entry.signature) && seen.add(entry.signature))
+    .sort((a, b) => b.slot - a.slot);
+  const chronological = history.filter(entry => entry.success).reverse();
+  const bySignature = Object.fromEntries(chronological.map(entry => [entry.signature, entry]));
+  const onChainBurns = chronological.filter(entry => entry.burnedAmount > 0);
+  
+  // Only the span every wallet's history covers can prove a row is extra
+  const oldest = histories
+    .filter(entries => entries.length > 0)
+    .map(entries => Math.min(...entries.map(entry => entry.blockTime)));
+  
+  const report = {
+    wallets,
+    scanned: history.length,
+    from: oldest.length > 0 ? toSqlDate(Math.max(...oldest)) : null,
+    to: chronological.length > 0 ? toSqlDate(chronological[chronological.length - 1].blockTime) : null,
+    onChainBurns: onChainBurns.length,
+    missing: [],
+    extra: [],
+    mismatched: [],
+    repaired: { inserted: 0, updated: 0, deleted: 0 }
+  };
+  
+  const pairedBuys = new Set();
+  
+  for (const burn of onChainBurns) {
+    // Milestone burns and dust sweeps weren't funded by a buy
+    const buy = burn.burnType === 'milestone' || burn.burnType === 'dust'
+      ? null
+      : findPairedBuy(burn, chronological, bySignature, pairedBuys);
+    if (buy) pairedBuys.add(buy.signature);
+    
+    const expected = expectedRecord(burn, buy);
+    const row = getBurnByTx(burn.signature);
+    
+    if (!row) {
+      report.missing.push({ signature: burn.signature, blockTime: burn.blockTime, buyTx: buy?.signature || null, ...expected });
+      
+      if (repair) {
+        recordBurn({
+          burnType: expected.burn_type,
+          burnAmount: expected.burn_amount,
+          txSignature: burn.signature,
+          milestoneTarget: getMilestoneByTx(burn.signature)?.market_cap,
+          solSpent: expected.sol_spent,
+          tokensBought: expected.tokens_bought,
+          tag: expected.tag,
+          createdAt: toSqlDate(burn.blockTime)
+        });
+        report.repaired.inserted++;
+      }
+      continue;
+    }
+    
+    const diffs = diffRecord(row, expected, burn, buy);
+    
+    if (Object.keys(diffs).length > 0) {
+      report.mismatched.push({ id: row.id, signature: burn.signature, buyTx: buy?.signature || null, diffs });
+      
+      if (repair) {
+        const updates = Object.fromEntries(Object.entries(diffs).map(([col, diff]) => [col, diff.chain]));
+        updateBurn(row.id, updates);
+        report.repaired.updated++;
+      }
+    }
+  }
+  
+  // Rows inside the scanned window that have no matching on-chain burn
+  if (report.from) {
+    for (const row of getBurnsSince(report.from)) {
+      if (bySignature[row.tx_signature]?.burnedAmount > 0) continue;
+      
+      const verification = await chain.verifyTransaction(row.tx_signature);
+      const reason = verification.verified
+        ? 'Transaction has no burn of this mint from the wallet'
+        : verification.rpcError
+          ? `Could not verify, kept: ${verification.error}`
+          : verification.error || 'Transaction not found';
+      
+      report.extra.push({
+        id: row.id,
+        signature: row.tx_signature,
+        burn_type: row.burn_type,
+        burn_amount: row.burn_amount,
+        reason
+      });
+      
+      // Only delete rows whose transaction is known to have never landed;
+      // an RPC error proves nothing
+      if (repair && (verification.notFound || verification.failed)) {
+        deleteBurn(row.id);
+        report.repaired.deleted++;
+      }
+    }
+  }
+  
+  return report;
+}
+
+module.exports = {
+  reconcileBurns
+};
\ No newline at end of file
@@ -1,15 +1,28 @@
 /**
  * Operation Recovery and Verification for $INFERNO
  * 
- * Prevents duplicate burns and handles crash recovery
+ * Prevents duplicate burns and handles crash recovery.
+ * Every state transition is journaled in the operations table; the latest
+ * row of the most recent op per type is the in-flight state.
  */
 const fs = require('fs');
 const path = require('path');
-const { Connection } = require('@solana/web3.js');
-const { getConnection } = require('./solana');
+const crypto = require('crypto');
+const { getChainAdapter } = require('./chainAdapter');
+const {
+  recordOperation,
+  getLatestOperation,
+  getOperationStart,
+  getOperations,
+  getSentTransactions,
+  updateSentTransaction
+} = require('./database');
 require('dotenv').config();
 
-const STATE_FILE = path.join(process.cwd(), 'data', 'pending-ops.json');
+// Pre-journal state file, imported once into the operations table
+const LEGACY_STATE_FILE = path.join(process.cwd(), 'data', 'pending-ops.json');
+
+let legacyImportChecked = false;
 
 /**
  * Pending operation states
@@ -24,133 +37,235 @@ const OP_STATES = {
 };
 
 /**
- * Load pending operations state
+ * Convert an operations journal row into an operation snapshot
  */
-function loadPendingOps() {
-  try {
-    if (fs.existsSync(STATE_FILE)) {
-      return JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
-    }
-  } catch (error) {
-    console.log('Could not load pending ops, starting fresh');
+function rowToOp(row) {
+  const op = {
+    opId: row.op_id,
+    opType: row.op_type,
+    state: row.state,
+    startedAt: getOperationStart(row.op_id),
+    burnTx: row.burn_tx,
+    error: row.error
+  };
+  
+  if (row.op_type === 'buyback') {
+    return {
+      ...op,
+      solAmount: row.sol_amount,
+      collectTx: row.collect_tx,
+      buyTx: row.buy_tx,
+      tokensBought: row.tokens_bought
+    };
   }
-  return { buyback: null, milestone: null };
+  
+  return {
+    ...op,
+    milestoneMarketCap: row.milestone_market_cap,
+    burnAmount: row.burn_amount
+  };
 }
 
 /**
- * Save pending operations state
+ * One-time import of the legacy data/pending-ops.json file into the journal
+ * The file is renamed to pending-ops.json.imported afterwards
  */
-function savePendingOps(state) {
+function importLegacyPendingOps() {
+  if (legacyImportChecked) return 0;
+  legacyImportChecked = true;
+  
+  if (!fs.existsSync(LEGACY_STATE_FILE)) return 0;
+  
+  let imported = 0;
+  
   try {
-    const dir = path.dirname(STATE_FILE);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
+    const legacy = JSON.parse(fs.readFileSync(LEGACY_STATE_FILE, 'utf8'));
+    
+    for (const opType of ['buyback', 'milestone']) {
+      const op = legacy[opType];
+      if (!op) continue;
+      
+      const startedAt = new Date(op.startedAt);
+      const hasStart = !isNaN(startedAt.getTime());
+      
+      recordOperation({
+        ...op,
+        opId: `${opType}-legacy-${hasStart ? startedAt.getTime() : Date.now()}`,
+        opType,
+        state: op.state || OP_STATES.STARTED,
+        note: 'Imported from pending-ops.json',
+        createdAt: hasStart ? startedAt.toISOString().replace('T', ' ').slice(0, 19) : null
+      });
+      imported++;
     }
-    fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
+    
+    fs.renameSync(LEGACY_STATE_FILE, `${LEGACY_STATE_FILE}.imported`);
+    console.log(`Imported ${imported} pending operation(s) from pending-ops.json`);
   } catch (error) {
-    console.error('Could not save pending ops:', error.message);
+    console.error('Could not import pending-ops.json:', error.message);
   }
+  
+  return imported;
 }
 
 /**
- * Start tracking a buyback operation
+ * Get the in-flight operation of a type (null if none or completed)
  */
-function startBuybackOp(solAmount) {
-  const state = loadPendingOps();
-  state.buyback = {
+function getPendingOp(opType) {
+  importLegacyPendingOps();
+  
+  const row = getLatestOperation(opType);
+  if (!row || row.state === OP_STATES.COMPLETED) return null;
+  
+  return rowToOp(row);
+}
+
+/**
+ * Journal a transition of the in-flight operation of a type
+ */
+function transitionOp(opType, updates, note = null) {
+  const current = getPendingOp(opType);
+  if (!current) return null;
+  
+  const next = { ...current, error: null, ...updates };
+  recordOperation({ ...next, note });
+  return next;
+}
+
+/**
+ * Start a new operation, superseding any unfinished one of the same type
+ */
+function startOp(opType, fields) {
+  if (getPendingOp(opType)) {
+    transitionOp(opType, { state: OP_STATES.FAILED, error: 'Superseded by a new operation' });
+  }
+  
+  const op = {
+    opId: `${opType}-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+    opType,
     state: OP_STATES.STARTED,
-    solAmount,
-    startedAt: new Date().toISOString(),
-    collectTx: null,
-    buyTx: null,
-    burnTx: null,
-    tokensBought: null
+    ...fields
+  };
+  recordOperation(op);
+  
+  return { ...op, startedAt: new Date().toISOString() };
+}
+
+/**
+ * Load pending operations state
+ */
+function loadPendingOps() {
+  return {
+    buyback: getPendingOp('buyback'),
+    milestone: getPendingOp('milestone')
   };
-  savePendingOps(state);
-  return state.buyback;
+}
+
+/**
+ * Start tracking a buyback operation
+ */
+function startBuybackOp(solAmount) {
+  return startOp('buyback', { solAmount });
 }
 
 /**
  * Update buyback operation state
  */
 function updateBuybackOp(updates) {
-  const state = loadPendingOps();
-  if (state.buyback) {
-    state.buyback = { ...state.buyback, ...updates };
-    savePendingOps(state);
-  }
-  return state.buyback;
+  return transitionOp('buyback', updates);
 }
 
 /**
  * Complete buyback operation
  */
-function completeBuybackOp() {
-  const state = loadPendingOps();
-  state.buyback = null;
-  savePendingOps(state);
+function completeBuybackOp(note = null) {
+  transitionOp('buyback', { state: OP_STATES.COMPLETED }, note);
 }
 
 /**
  * Start tracking a milestone operation
  */
 function startMilestoneOp(milestoneMarketCap, burnAmount) {
-  const state = loadPendingOps();
-  state.milestone = {
-    state: OP_STATES.STARTED,
-    milestoneMarketCap,
-    burnAmount,
-    startedAt: new Date().toISOString(),
-    burnTx: null
-  };
-  savePendingOps(state);
-  return state.milestone;
+  return startOp('milestone', { milestoneMarketCap, burnAmount });
 }
 
 /**
  * Update milestone operation state
  */
 function updateMilestoneOp(updates) {
-  const state = loadPendingOps();
-  if (state.milestone) {
-    state.milestone = { ...state.milestone, ...updates };
-    savePendingOps(state);
-  }
-  return state.milestone;
+  return transitionOp('milestone', updates);
 }
 
 /**
  * Complete milestone operation
  */
-function completeMilestoneOp() {
-  const state = loadPendingOps();
-  state.milestone = null;
-  savePendingOps(state);
+function completeMilestoneOp(note = null) {
+  transitionOp('milestone', { state: OP_STATES.COMPLETED }, note);
 }
 
 /**
- * Verify a transaction exists on-chain
+ * Verify a transaction exists on-chain (via the configured chain adapter)
  */
 async function verifyTransaction(signature) {
-  try {
-    const connection = getConnection();
-    const tx = await connection.getTransaction(signature, {
-      commitment: 'confirmed',
-      maxSupportedTransactionVersion: 0
-    });
+  return getChainAdapter().verifyTransaction(signature);
+}
+
+/**
+ * Verify a transaction, throwing if the lookup itself failed
+ * Acting on "not verified" after an RPC error could burn twice or drop bought tokens
+ */
+async function verifyOrThrow(signature) {
+  const result = await verifyTransaction(signature);
+  if (result.rpcError) {
+    throw new Error(`Could not verify ${signature} (${result.error}), recovery deferred`);
+  }
+  return result;
+}
+
+/**
+ * Operation field a sent transaction fills in, by its label
+ */
+function sentTxFields(label) {
+  if (label === 'atomic_buyback') return ['collectTx', 'buyTx', 'burnTx'];
+  if (label === 'collect_fees') return ['collectTx'];
+  if (/_buy$/.test(label)) return ['buyTx'];
+  if (/_burn$/.test(label)) return ['burnTx'];
+  return [];
+}
+
+/**
+ * Fill in transactions an operation sent but never journaled (the process
+ * died while sending). Transactions still pending are waited on until they
+ * land or expire first, so nothing is retried while it could still land.
+ */
+async function resolveSentTransactions(op) {
+  const chain = getChainAdapter();
+  const resolved = { ...op };
+  
+  for (const sent of getSentTransactions({ opId: op.opId })) {
+    let status = sent.status;
     
-    if (tx && tx.meta && !tx.meta.err) {
-      return {
-        verified: true,
-        slot: tx.slot,
-        blockTime: tx.blockTime
-      };
+    if (status === 'pending') {
+      console.log(`Waiting for in-flight ${sent.label} transaction ${sent.signature}...`);
+      status = await chain.settleSentTransaction(sent);
+      updateSentTransaction(sent.signature, status);
     }
     
-    return { verified: false, error: 'Transaction failed or not found' };
-  } catch (error) {
-    return { verified: false, error: error.message };
+    const fields = sentTxFields(sent.label).filter(field => !resolved[field]);
+    if (status !== 'confirmed' || fields.length === 0) continue;
+    
+    console.log(`Found unjournaled ${sent.label} transaction ${sent.signature}`);
+    for (const field of fields) resolved[field] = sent.signature;
+    
+    if (fields.includes('buyTx') && !resolved.tokensBought) {
+      const details = await chain.getTransactionDetails(sent.signature, process.env.TOKEN_ADDRESS);
+      // An atomic buyback burned part of what it bought in the same transaction
+      const bought = (details?.tokenDelta || 0) + (details?.burnedAmount || 0);
+      resolved.tokensBought = bought > 0 ? bought : null;
+    }
   }
+  
+  return resolved;
 }
 
 /**
@@ -158,7 +273,11 @@ async function verifyTransaction(signature) {
  * Returns recovery actions needed
  */
 async function checkPendingOps() {
-  const state = loadPendingOps();
+  const pending = loadPendingOps();
+  const state = {
+    buyback: pending.buyback && await resolveSentTransactions(pending.buyback),
+    milestone: pending.milestone && await resolveSentTransactions(pending.milestone)
+  };
   const recovery = {
     buyback: null,
     milestone: null
@@ -170,7 +289,7 @@ async function checkPendingOps() {
     
     if (state.buyback.burnTx) {
       // Burn was attempted - verify it
-      const result = await verifyTransaction(state.buyback.burnTx);
+      const result = await verifyOrThrow(state.buyback.burnTx);
       if (result.verified) {
         console.log('✅ Buyback burn verified on-chain, marking complete');
         recovery.buyback = { action: 'mark_complete', tx: state.buyback.burnTx };
@@ -178,18 +297,21 @@ async function checkPendingOps() {
         console.log('❌ Buyback burn not verified, needs retry');
         recovery.buyback = { 
           action: 'retry_burn', 
-          tokensBought: state.buyback.tokensBought 
+          tokensBought: state.buyback.tokensBought,
+          buyTx: state.buyback.buyTx,
+          opId: state.buyback.opId
         };
       }
     } else if (state.buyback.buyTx && state.buyback.tokensBought) {
       // Tokens were bought but not burned
-      const result = await verifyTransaction(state.buyback.buyTx);
+      const result = await verifyOrThrow(state.buyback.buyTx);
       if (result.verified) {
         console.log('⚠️ Tokens bought but not burned, needs burn');
         recovery.buyback = { 
           action: 'burn_tokens', 
           tokensBought: state.buyback.tokensBought,
-          buyTx: state.buyback.buyTx
+          buyTx: state.buyback.buyTx,
+          opId: state.buyback.opId
         };
       } else {
         console.log('Buy transaction not verified, clearing state');
@@ -210,13 +332,14 @@ async function checkPendingOps() {
     console.log('Found pending milestone operation:', state.milestone.state);
     
     if (state.milestone.burnTx) {
-      const result = await verifyTransaction(state.milestone.burnTx);
+      const result = await verifyOrThrow(state.milestone.burnTx);
       if (result.verified) {
         console.log('✅ Milestone burn verified on-chain, marking complete');
         recovery.milestone = { 
           action: 'mark_complete', 
           tx: state.milestone.burnTx,
-          marketCap: state.milestone.milestoneMarketCap
+          marketCap: state.milestone.milestoneMarketCap,
+          burnAmount: state.milestone.burnAmount
         };
       } else {
         console.log('❌ Milestone burn not verified, needs retry');
@@ -237,12 +360,21 @@ async function checkPendingOps() {
 
 /**
  * Clear all pending operations (use with caution)
+ * The cleared operations stay in the journal, marked completed
  */
 function clearAllPendingOps() {
-  savePendingOps({ buyback: null, milestone: null });
+  completeBuybackOp('Cleared manually');
+  completeMilestoneOp('Cleared manually');
   console.log('All pending operations cleared');
 }
 
+/**
+ * Get the full journal of an operation, oldest transition first
+ */
+function getOperationHistory(opId) {
+  return getOperations({ opId, limit: 1000 }).reverse();
+}
+
 /**
  * Check if a burn transaction already exists in database
  */
@@ -262,7 +394,7 @@ function milestoneCompleted(db, marketCap) {
 module.exports = {
   OP_STATES,
   loadPendingOps,
-  savePendingOps,
+  importLegacyPendingOps,
   startBuybackOp,
   updateBuybackOp,
   completeBuybackOp,
@@ -270,8 +402,10 @@ module.exports = {
   updateMilestoneOp,
   completeMilestoneOp,
   verifyTransaction,
+  resolveSentTransactions,
   checkPendingOps,
   clearAllPendingOps,
+  getOperationHistory,
   burnTxExists,
   milestoneCompleted
 };
\ No newline at end of file
@@ -0,0 +1,43 @@
+/**
+ * Reserve Wallet Status for $INFERNO Token
+ *
+ * Compares the reserve wallet's token balance with what the remaining
+ * (incomplete) milestones still need to burn.
+ */
+const { getMilestones } = require('./database');
+const { getSupply, toUiAmount } = require('./supply');
+const { getRemainingBurnRaw } = require('./milestoneSchedule');
+const { getRoleBalances } = require('./walletRoles');
+
+/**
+ * Reserve balance vs remaining milestone obligations
+ * Amounts are { raw, ui } at the mint's decimals
+ */
+async function getReserveStatus() {
+  const supply = await getSupply();
+  const { decimals } = supply;
+  const pair = raw => ({ raw, ui: toUiAmount(raw, decimals) });
+  
+  const milestones = getMilestones();
+  const remaining = milestones.filter(m => !m.completed);
+  const required = getRemainingBurnRaw(milestones, decimals);
+  const balances = await getRoleBalances('reserve');
+  
+  return {
+    address: balances.address,
+    solBalance: balances.sol,
+    balance: pair(balances.tokens),
+    obligations: pair(required),
+    shortfall: pair(Math.max(0, required - balances.tokens)),
+    surplus: pair(Math.max(0, balances.tokens - required)),
+    remainingMilestones: remaining.length,
+    coveragePercent: required > 0 ? Math.min(100, (balances.tokens / required) * 100) : 100,
+    covered: balances.tokens >= required,
+    decimals,
+    timestamp: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  getReserveStatus
+};
\ No newline at end of file
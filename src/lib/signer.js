@@ -0,0 +1,431 @@
+/**
+ * Transaction Signers for $INFERNO
+ *
+ * Scripts never read a raw private key from .env. Each wallet role (see
+ * walletRoles.js) signs through one of these backends, configured with
+ * <PREFIX>_* variables where PREFIX is BUYBACK or RESERVE:
+ *   keystore - encrypted keystore file (<PREFIX>_KEYSTORE), unlocked with the password
+ *              in <PREFIX>_KEYSTORE_PASSWORD_FILE or typed at a prompt
+ *   keypair  - Solana CLI keypair JSON file (<PREFIX>_KEYPAIR)
+ *   remote   - HTTP signing endpoint (<PREFIX>_SIGNER_URL, optional <PREFIX>_SIGNER_TOKEN),
+ *              the role's address must be set in its *_WALLET_ADDRESS variable
+ *
+ * <PREFIX>_SIGNER picks the backend explicitly, otherwise it follows whichever
+ * of the variables above is set. Create keystores with `npm run keystore`,
+ * `npm run signer-server` is a local stand-in for the remote endpoint.
+ *
+ * A signer is { role, backend, publicKey, unlock(), signMessage(bytes), signTransaction(tx) }.
+ * signTransaction adds the signature to a legacy or versioned transaction in place.
+ */
+const fs = require('fs');
+const crypto = require('crypto');
+const readline = require('readline');
+const { Keypair, PublicKey, VersionedTransaction } = require('@solana/web3.js');
+const bs58 = require('bs58');
+require('dotenv').config();
+
+const SIGNER_BACKENDS = ['keystore', 'keypair', 'remote'];
+
+const KEYSTORE_VERSION = 1;
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+
+const signers = new Map();
+
+/**
+ * Decode a secret key given as base58 or a JSON byte array
+ */
+function decodeSecretKey(text) {
+  const value = text.trim();
+  
+  try {
+    return value.startsWith('[')
+      ? Uint8Array.from(JSON.parse(value))
+      : bs58.decode(value);
+  } catch (error) {
+    throw new Error('Invalid secret key format. Use base58 or a JSON byte array.');
+  }
+}
+
+/**
+ * Read a Solana CLI keypair file (JSON array of 64 bytes)
+ */
+function readKeypairFile(filePath) {
+  let bytes;
+  
+  try {
+    bytes = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read keypair file ${filePath}: ${error.message}`);
+  }
+  
+  if (!Array.isArray(bytes) || bytes.length !== 64) {
+    throw new Error(`${filePath} is not a Solana CLI keypair file (expected a JSON array of 64 bytes)`);
+  }
+  
+  return Keypair.fromSecretKey(Uint8Array.from(bytes));
+}
+
+function deriveKey(password, salt, params = SCRYPT_PARAMS) {
+  return crypto.scryptSync(password, salt, 32, { ...params, maxmem: SCRYPT_MAXMEM });
+}
+
+/**
+ * Encrypt a keypair into a keystore object (scrypt + AES-256-GCM)
+ * The public key is stored in the clear so the address is known without the password.
+ */
+function encryptKeystore(keypair, password) {
+  const salt = crypto.randomBytes(32);
+  const iv = crypto.randomBytes(12);
+  const publicKey = keypair.publicKey.toString();
+  
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(password, salt), iv);
+  cipher.setAAD(Buffer.from(publicKey));
+  const ciphertext = Buffer.concat([cipher.update(Buffer.from(keypair.secretKey)), cipher.final()]);
+  
+  return {
+    version: KEYSTORE_VERSION,
+    publicKey,
+    crypto: {
+      kdf: 'scrypt',
+      kdfparams: { ...SCRYPT_PARAMS, salt: salt.toString('base64') },
+      cipher: 'aes-256-gcm',
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      ciphertext: ciphertext.toString('base64')
+    }
+  };
+}
+
+/**
+ * Decrypt a keystore object, throws on a wrong password
+ */
+function decryptKeystore(keystore, password) {
+  const { kdfparams, iv, tag, ciphertext } = keystore.crypto;
+  const { salt, ...params } = kdfparams;
+  
+  const decipher = crypto.createDecipheriv(
+    'aes-256-gcm',
+    deriveKey(password, Buffer.from(salt, 'base64'), params),
+    Buffer.from(iv, 'base64')
+  );
+  decipher.setAAD(Buffer.from(keystore.publicKey));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  
+  let secretKey;
+  try {
+    secretKey = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]);
+  } catch (error) {
+    throw new Error('Wrong keystore password');
+  }
+  
+  const keypair = Keypair.fromSecretKey(new Uint8Array(secretKey));
+  if (keypair.publicKey.toString() !== keystore.publicKey) {
+    throw new Error(`Keystore key does not match its public key ${keystore.publicKey}`);
+  }
+  return keypair;
+}
+
+/**
+ * Read and check a keystore file
+ */
+function readKeystore(filePath) {
+  let keystore;
+  
+  try {
+    keystore = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read keystore ${filePath}: ${error.message}`);
+  }
+  
+  if (keystore.version !== KEYSTORE_VERSION || !keystore.publicKey || keystore.crypto?.kdf !== 'scrypt') {
+    throw new Error(`${filePath} is not an $INFERNO keystore (version ${KEYSTORE_VERSION})`);
+  }
+  return keystore;
+}
+
+/**
+ * Encrypt a keypair into a new keystore file (readable by the owner only)
+ */
+function writeKeystore(filePath, keypair, password) {
+  const keystore = encryptKeystore(keypair, password);
+  fs.writeFileSync(filePath, JSON.stringify(keystore, null, 2), { mode: 0o600, flag: 'wx' });
+  return keystore;
+}
+
+/**
+ * Prompt for a secret on the terminal without echoing it
+ */
+function promptSecret(question) {
+  if (!process.stdin.isTTY) {
+    return Promise.reject(new Error(`Cannot prompt for "${question.trim()}": stdin is not a terminal`));
+  }
+  
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    let muted = false;
+    
+    rl._writeToOutput = text => {
+      if (!muted) process.stdout.write(text);
+    };
+    
+    rl.question(question, answer => {
+      process.stdout.write('\n');
+      rl.close();
+      resolve(answer);
+    });
+    muted = true;
+  });
+}
+
+/**
+ * Read a password from a file (first line) or prompt for it
+ */
+async function readPassword(passwordFile, question) {
+  if (passwordFile) {
+    return fs.readFileSync(passwordFile, 'utf8').split(/\r?\n/)[0];
+  }
+  return promptSecret(question);
+}
+
+function toBase64Url(bytes) {
+  return Buffer.from(bytes).toString('base64url');
+}
+
+/**
+ * Sign a message with a keypair (ed25519)
+ */
+function signWithKeypair(keypair, message) {
+  const key = crypto.createPrivateKey({
+    key: {
+      kty: 'OKP',
+      crv: 'Ed25519',
+      d: toBase64Url(keypair.secretKey.slice(0, 32)),
+      x: toBase64Url(keypair.publicKey.toBytes())
+    },
+    format: 'jwk'
+  });
+  return new Uint8Array(crypto.sign(null, Buffer.from(message), key));
+}
+
+/**
+ * Check an ed25519 signature against a public key
+ */
+function verifySignature(publicKey, message, signature) {
+  const key = crypto.createPublicKey({
+    key: { kty: 'OKP', crv: 'Ed25519', x: toBase64Url(publicKey.toBytes()) },
+    format: 'jwk'
+  });
+  return crypto.verify(null, Buffer.from(message), key, Buffer.from(signature));
+}
+
+/**
+ * Bytes a transaction's signatures cover
+ * Legacy transactions need feePayer and recentBlockhash set first
+ */
+function getMessageBytes(tx) {
+  return tx instanceof VersionedTransaction ? tx.message.serialize() : tx.serializeMessage();
+}
+
+/**
+ * Wrap a backend's sign(message) into the signer interface
+ */
+function buildSigner({ role, backend, publicKey, unlock = async () => {}, sign }) {
+  const signer = {
+    role,
+    backend,
+    publicKey,
+    
+    async unlock() {
+      await unlock();
+      return signer;
+    },
+    
+    async signMessage(message) {
+      await unlock();
+      return sign(message);
+    },
+    
+    async signTransaction(tx) {
+      const signature = await signer.signMessage(getMessageBytes(tx));
+      tx.addSignature(publicKey, Buffer.from(signature));
+      return tx;
+    }
+  };
+  
+  return signer;
+}
+
+/**
+ * Signer for an in-memory keypair (keypair files, mock wallets)
+ */
+function createKeypairSigner(role, keypair, backend = 'keypair') {
+  return buildSigner({
+    role,
+    backend,
+    publicKey: keypair.publicKey,
+    sign: message => signWithKeypair(keypair, message)
+  });
+}
+
+/**
+ * Signer for an encrypted keystore file, unlocked on first use
+ */
+function createKeystoreSigner(role, filePath, passwordFile) {
+  const keystore = readKeystore(filePath);
+  let keypair = null;
+  let unlocking = null;
+  
+  return buildSigner({
+    role,
+    backend: 'keystore',
+    publicKey: new PublicKey(keystore.publicKey),
+    
+    unlock() {
+      // One prompt even if several signatures are requested at once
+      unlocking = unlocking || readPassword(passwordFile, `🔐 Password for ${role} keystore ${filePath}: `)
+        .then(password => { keypair = decryptKeystore(keystore, password); })
+        .catch(error => {
+          unlocking = null;
+          throw error;
+        });
+      return unlocking;
+    },
+    
+    sign: message => signWithKeypair(keypair, message)
+  });
+}
+
+/**
+ * Signer backed by a remote HTTP endpoint
+ *   GET  {url}/public-key -> { publicKey }
+ *   POST {url}/sign { publicKey, message (base64) } -> { signature (base64) }
+ * Every returned signature is verified against the expected address.
+ */
+function createRemoteSigner(role, url, address, token) {
+  const publicKey = new PublicKey(address);
+  const baseUrl = url.replace(/\/+$/, '');
+  const headers = { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) };
+  let checked = false;
+  
+  async function request(path, options = {}) {
+    const response = await fetch(`${baseUrl}${path}`, { ...options, headers });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`Remote signer ${baseUrl}${path} failed: ${body.error || `HTTP ${response.status}`}`);
+    }
+    return body;
+  }
+  
+  return buildSigner({
+    role,
+    backend: 'remote',
+    publicKey,
+    
+    async unlock() {
+      if (checked) return;
+      const body = await request('/public-key');
+      if (body.publicKey !== address) {
+        throw new Error(`Remote signer ${baseUrl} signs as ${body.publicKey}, expected ${address}`);
+      }
+      checked = true;
+    },
+    
+    async sign(message) {
+      const body = await request('/sign', {
+        method: 'POST',
+        body: JSON.stringify({ publicKey: address, message: Buffer.from(message).toString('base64') })
+      });
+      
+      const signature = Buffer.from(body.signature || '', 'base64');
+      if (signature.length !== 64 || !verifySignature(publicKey, message, signature)) {
+        throw new Error(`Remote signer ${baseUrl} returned an invalid signature`);
+      }
+      return new Uint8Array(signature);
+    }
+  });
+}
+
+/**
+ * Backend and settings for a role from its <PREFIX>_* variables
+ */
+function getSignerConfig(role) {
+  // Required lazily: walletRoles -> chainAdapter -> mockChain requires this module
+  const { getWalletRole } = require('./walletRoles');
+  const { label, envPrefix, legacyKeyEnv, addressEnv } = getWalletRole(role);
+  const env = name => process.env[`${envPrefix}_${name}`];
+  
+  const backend = env('SIGNER')
+    || (env('KEYSTORE') && 'keystore')
+    || (env('KEYPAIR') && 'keypair')
+    || (env('SIGNER_URL') && 'remote');
+  
+  if (!backend) {
+    if (process.env[legacyKeyEnv]) {
+      throw new Error(
+        `${legacyKeyEnv} is no longer read: move the key into a keystore with ` +
+        `"npm run keystore -- import <file>", set ${envPrefix}_KEYSTORE and remove ${legacyKeyEnv} from .env`
+      );
+    }
+    throw new Error(`${label} signer not configured: set ${envPrefix}_KEYSTORE, ${envPrefix}_KEYPAIR or ${envPrefix}_SIGNER_URL`);
+  }
+  
+  if (!SIGNER_BACKENDS.includes(backend)) {
+    throw new Error(`Unknown ${envPrefix}_SIGNER: ${backend}. Use ${SIGNER_BACKENDS.join(', ')}`);
+  }
+  
+  const required = { keystore: 'KEYSTORE', keypair: 'KEYPAIR', remote: 'SIGNER_URL' }[backend];
+  if (!env(required)) {
+    throw new Error(`${envPrefix}_SIGNER is ${backend} but ${envPrefix}_${required} is not set`);
+  }
+  if (backend === 'remote' && !process.env[addressEnv]) {
+    throw new Error(`${addressEnv} must be set to use a remote ${role} signer`);
+  }
+  
+  return {
+    backend,
+    keystore: env('KEYSTORE'),
+    passwordFile: env('KEYSTORE_PASSWORD_FILE'),
+    keypair: env('KEYPAIR'),
+    url: env('SIGNER_URL'),
+    token: env('SIGNER_TOKEN'),
+    address: process.env[addressEnv]
+  };
+}
+
+/**
+ * Signer for a wallet role: buyback (default) or reserve
+ * Created once per process; keystores are unlocked on first signature or unlock()
+ */
+function getSigner(role = 'buyback') {
+  if (!signers.has(role)) {
+    const config = getSignerConfig(role);
+    let signer;
+    
+    if (config.backend === 'keystore') {
+      signer = createKeystoreSigner(role, config.keystore, config.passwordFile);
+    } else if (config.backend === 'keypair') {
+      signer = createKeypairSigner(role, readKeypairFile(config.keypair));
+    } else {
+      signer = createRemoteSigner(role, config.url, config.address, config.token);
+    }
+    
+    signers.set(role, signer);
+  }
+  return signers.get(role);
+}
+
+module.exports = {
+  SIGNER_BACKENDS,
+  decodeSecretKey,
+  readKeypairFile,
+  readKeystore,
+  writeKeystore,
+  decryptKeystore,
+  promptSecret,
+  readPassword,
+  verifySignature,
+  createKeypairSigner,
+  getSignerConfig,
+  getSigner
+};
\ No newline at end of file
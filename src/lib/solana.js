@@ -4,10 +4,8 @@
  */
 const { 
   Connection, 
-  Keypair, 
   PublicKey, 
-  Transaction,
-  sendAndConfirmTransaction,
+  VersionedTransaction,
   SystemProgram
 } = require('@solana/web3.js');
 const { 
@@ -18,8 +16,16 @@ const {
   getMint
 } = require('@solana/spl-token');
 const bs58 = require('bs58');
+const { getSigner } = require('./signer');
+const { buildTransaction, recordTxFee } = require('./txBuilder');
+const { recordSentTransaction, updateSentTransaction } = require('./database');
 require('dotenv').config();
 
+const REBROADCAST_INTERVAL_MS = 2000;
+const BLOCKHASH_LIFETIME_MS = 90_000; // ~150 blocks, a little over their usual duration
+const CONFIRM_GRACE_MS = 60_000;      // Extra wait past it before giving up on the RPC
+const MEMO_PROGRAM_ID = new PublicKey('MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr');
+
 let connection = null;
 
 /**
@@ -34,34 +40,10 @@ function getConnection() {
 }
 
 /**
- * Create keypair from private key
- * Single wallet handles everything: buybacks, burns, fee collection
- */
-function createKeypair() {
-  const privateKey = process.env.WALLET_PRIVATE_KEY;
-  if (!privateKey) {
-    throw new Error('WALLET_PRIVATE_KEY not configured in .env');
-  }
-  
-  try {
-    const decoded = bs58.decode(privateKey);
-    return Keypair.fromSecretKey(decoded);
-  } catch (e) {
-    // Try as JSON array format
-    try {
-      const secretKey = Uint8Array.from(JSON.parse(privateKey));
-      return Keypair.fromSecretKey(secretKey);
-    } catch (e2) {
-      throw new Error('Invalid WALLET_PRIVATE_KEY format. Use base58 or JSON array.');
-    }
-  }
-}
-
-/**
- * Get wallet public key
+ * Get a role's wallet public key
  */
-function getWalletAddress() {
-  return createKeypair().publicKey.toString();
+function getWalletAddress(role = 'buyback') {
+  return getSigner(role).publicKey.toString();
 }
 
 /**
@@ -103,56 +85,124 @@ async function getTokenBalance(walletAddress, tokenAddress) {
   }
 }
 
+/**
+ * Get a mint's current supply (smallest units) and decimals
+ */
+async function getMintInfo(tokenAddress) {
+  const conn = getConnection();
+  const mintInfo = await getMint(conn, new PublicKey(tokenAddress));
+  
+  return {
+    supply: Number(mintInfo.supply),
+    decimals: mintInfo.decimals
+  };
+}
+
+/**
+ * Simulate a transaction instead of sending it (dry-run mode)
+ * Returns the simulation error (if any), program logs and compute units used
+ */
+async function simulateTx(conn, transaction, signer = null) {
+  let result;
+  
+  if (transaction instanceof VersionedTransaction) {
+    result = await conn.simulateTransaction(transaction, {
+      sigVerify: false,
+      commitment: 'confirmed'
+    });
+  } else {
+    if (!transaction.recentBlockhash) {
+      const { blockhash } = await conn.getLatestBlockhash();
+      transaction.recentBlockhash = blockhash;
+    }
+    if (!transaction.feePayer && signer) {
+      transaction.feePayer = signer.publicKey;
+    }
+    // Unsigned, so the node skips signature verification
+    result = await conn.simulateTransaction(transaction);
+  }
+  
+  const { err, logs, unitsConsumed } = result.value;
+  
+  return {
+    err: err ? JSON.stringify(err) : null,
+    logs: logs || [],
+    unitsConsumed: unitsConsumed || 0
+  };
+}
+
+/**
+ * SPL Token burn instruction plus the INFERNO memo burnHistory.js recognizes
+ * amount is in the smallest units
+ */
+function createBurnInstructions(tokenAccount, mint, owner, amount, burnType) {
+  const burnIx = createBurnInstruction(
+    tokenAccount,      // Token account to burn from
+    mint,              // Token mint
+    owner,             // Owner of the token account
+    amount,            // Amount to burn (in smallest units)
+    [],                // No multisig signers
+    TOKEN_PROGRAM_ID
+  );
+  
+  // Memo for tracking (optional but helpful for explorers)
+  const memoIx = {
+    keys: [],
+    programId: MEMO_PROGRAM_ID,
+    data: Buffer.from(`INFERNO ${burnType.toUpperCase()} BURN: ${amount} tokens`)
+  };
+  
+  return [burnIx, memoIx];
+}
+
 /**
  * Burn tokens using SPL Token burn instruction
  * This properly reduces the token supply on-chain
+ * With { dryRun: true } the transaction is built and simulated but never sent;
+ * opId links the sent transaction to its operation for crash recovery
  */
-async function burnTokens(keypair, amount, tokenAddress, burnType = 'milestone') {
+async function burnTokens(signer, amount, tokenAddress, burnType = 'milestone', { dryRun = false, opId = null } = {}) {
   try {
     const conn = getConnection();
     const mint = new PublicKey(tokenAddress);
     
     // Get the token account to burn from
-    const tokenAccount = await getAssociatedTokenAddress(mint, keypair.publicKey);
+    const tokenAccount = await getAssociatedTokenAddress(mint, signer.publicKey);
     
     // Verify the account exists and has sufficient balance
-    const accountInfo = await getAccount(conn, tokenAccount);
-    if (Number(accountInfo.amount) < amount) {
-      throw new Error(`Insufficient token balance: ${accountInfo.amount} < ${amount}`);
+    // In dry-run the tokens were never actually bought, so a shortfall is expected
+    if (!dryRun) {
+      const accountInfo = await getAccount(conn, tokenAccount);
+      if (Number(accountInfo.amount) < amount) {
+        throw new Error(`Insufficient token balance: ${accountInfo.amount} < ${amount}`);
+      }
     }
     
-    // Get mint info for decimals (needed for burnChecked if we use it)
-    const mintInfo = await getMint(conn, mint);
-    
-    // Create burn instruction - this permanently destroys the tokens
-    const burnIx = createBurnInstruction(
-      tokenAccount,      // Token account to burn from
-      mint,              // Token mint
-      keypair.publicKey, // Owner of the token account
-      amount,            // Amount to burn (in smallest units)
-      [],                // No multisig signers
-      TOKEN_PROGRAM_ID
-    );
-    
-    // Create transaction
-    const tx = new Transaction().add(burnIx);
-    
-    // Add memo for tracking (optional but helpful for explorers)
-    const memoProgram = new PublicKey('MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr');
-    const memoIx = {
-      keys: [],
-      programId: memoProgram,
-      data: Buffer.from(`INFERNO ${burnType.toUpperCase()} BURN: ${amount} tokens`)
-    };
-    tx.add(memoIx);
+    // Burn instruction - this permanently destroys the tokens - plus tracking memo
+    const instructions = createBurnInstructions(tokenAccount, mint, signer.publicKey, amount, burnType);
+    
+    // Create transaction (with compute budget and priority fee)
+    const { transaction: tx, budget, simulation } = await buildTransaction(conn, instructions, signer.publicKey, {
+      label: `${burnType}_burn`
+    });
+    
+    if (dryRun) {
+      console.log(`🧪 Simulated burn of ${amount} tokens - ${simulation.err ? `error: ${simulation.err}` : 'OK'}`);
+      
+      return {
+        success: true,
+        simulated: true,
+        signature: null,
+        amount,
+        burnType,
+        simulation,
+        budget
+      };
+    }
     
     // Send and confirm transaction
-    const signature = await sendAndConfirmTransaction(
-      conn,
-      tx,
-      [keypair],
-      { commitment: 'confirmed' }
-    );
+    const signature = await sendWithRetry(conn, tx, signer, { label: budget.label, opId });
+    await recordTxFee(conn, signature, budget);
     
     console.log(`🔥 Burned ${amount} tokens using SPL Token burn - TX: ${signature}`);
     
@@ -175,26 +225,24 @@ async function burnTokens(keypair, amount, tokenAddress, burnType = 'milestone')
 /**
  * Transfer SOL
  */
-async function transferSol(senderKeypair, destinationAddress, amount) {
+async function transferSol(sender, destinationAddress, amount) {
   try {
     const conn = getConnection();
     const destination = new PublicKey(destinationAddress);
     const lamports = amount * 1_000_000_000;
     
-    const tx = new Transaction().add(
-      SystemProgram.transfer({
-        fromPubkey: senderKeypair.publicKey,
-        toPubkey: destination,
-        lamports
-      })
-    );
-    
-    const signature = await sendAndConfirmTransaction(
-      conn,
-      tx,
-      [senderKeypair],
-      { commitment: 'confirmed' }
-    );
+    const transferIx = SystemProgram.transfer({
+      fromPubkey: sender.publicKey,
+      toPubkey: destination,
+      lamports
+    });
+    
+    const { transaction: tx, budget } = await buildTransaction(conn, [transferIx], sender.publicKey, {
+      label: 'sol_transfer'
+    });
+    
+    const signature = await sendWithRetry(conn, tx, sender, { label: budget.label });
+    await recordTxFee(conn, signature, budget);
     
     return { success: true, signature, amount };
   } catch (error) {
@@ -204,23 +252,170 @@ async function transferSol(senderKeypair, destinationAddress, amount) {
 }
 
 /**
- * Send transaction with retry logic
+ * Status of a signature (null while the cluster hasn't seen it)
+ * With searchHistory the ledger is searched too, not just recent slots
+ */
+async function getSignatureStatus(connection, signature, searchHistory = false) {
+  const { value } = await connection.getSignatureStatuses([signature], {
+    searchTransactionHistory: searchHistory
+  });
+  return value[0] || null;
+}
+
+/**
+ * Whether a status has reached the commitment we wait for
+ */
+function isCommitted(status, commitment) {
+  if (commitment === 'finalized') return status.confirmationStatus === 'finalized';
+  return status.confirmationStatus === 'confirmed' || status.confirmationStatus === 'finalized';
+}
+
+function sendError(message, signature, fields = {}) {
+  return Object.assign(new Error(message), { signature, ...fields });
+}
+
+/**
+ * Rebroadcast signed bytes until they confirm or the blockhash expires
+ * Definite outcomes throw: the transaction failed on-chain, preflight rejected
+ * it, or it expired without landing (error.expired). RPC hiccups while waiting
+ * are logged and the loop goes on until a wall-clock deadline; past it the
+ * outcome is unknown (error.unresolved) and the row stays pending for recovery.
+ */
+async function confirmSignedTransaction(connection, rawTransaction, signature, lastValidBlockHeight, options = {}) {
+  const { commitment = 'confirmed', ...sendOptions } = options;
+  const deadline = Date.now() + BLOCKHASH_LIFETIME_MS + CONFIRM_GRACE_MS;
+  let attempts = 0;
+  
+  while (true) {
+    if (attempts > 0 && Date.now() > deadline) {
+      throw sendError(`Transaction ${signature} unresolved: the RPC never confirmed or expired it`, signature, { unresolved: true });
+    }
+    
+    try {
+      await connection.sendRawTransaction(rawTransaction, {
+        preflightCommitment: commitment,
+        ...sendOptions,
+        // Preflight only once, a rebroadcast would fail it as already processed
+        skipPreflight: attempts > 0 || sendOptions.skipPreflight === true,
+        maxRetries: 0
+      });
+    } catch (error) {
+      if (attempts === 0 && isPreflightRejection(error)) {
+        updateSentTransaction(signature, 'failed', error.message);
+        throw sendError(`Transaction ${signature} rejected: ${error.message}`, signature, { failed: true });
+      }
+      console.log(`Broadcast of ${signature} failed, retrying: ${error.message}`);
+    }
+    attempts++;
+    
+    try {
+      const status = await getSignatureStatus(connection, signature);
+      
+      if (status?.err) {
+        const err = JSON.stringify(status.err);
+        updateSentTransaction(signature, 'failed', err);
+        throw sendError(`Transaction ${signature} failed: ${err}`, signature, { failed: true });
+      }
+      
+      if (status && isCommitted(status, commitment)) {
+        updateSentTransaction(signature, 'confirmed');
+        return signature;
+      }
+      
+      const blockHeight = await connection.getBlockHeight(commitment);
+      
+      if (blockHeight > lastValidBlockHeight) {
+        // It can't land anymore, but may have in the last few blocks
+        const final = await getSignatureStatus(connection, signature, true);
+        
+        if (final && !final.err) {
+          updateSentTransaction(signature, 'confirmed');
+          return signature;
+        }
+        
+        updateSentTransaction(signature, final ? 'failed' : 'expired', final ? JSON.stringify(final.err) : null);
+        throw final
+          ? sendError(`Transaction ${signature} failed: ${JSON.stringify(final.err)}`, signature, { failed: true })
+          : sendError(`Transaction ${signature} expired at block height ${lastValidBlockHeight}`, signature, { expired: true });
+      }
+    } catch (error) {
+      if (error.signature) throw error;
+      console.log(`Could not check ${signature}, retrying: ${error.message}`);
+    }
+    
+    await new Promise(r => setTimeout(r, REBROADCAST_INTERVAL_MS));
+  }
+}
+
+/**
+ * Whether sendRawTransaction failed because preflight rejected the transaction
+ * (as opposed to a network error, after which it may still have been received)
  */
-async function sendWithRetry(connection, transaction, signers, options = {}, maxRetries = 3) {
+function isPreflightRejection(error) {
+  return /Transaction simulation failed/.test(error.message) && !/Blockhash not found/.test(error.message);
+}
+
+/**
+ * Sign a legacy transaction once and send it until it confirms or its blockhash expires
+ * The signature is stored in sent_transactions before the first broadcast, so
+ * recovery can find it even if the process dies mid-send. Options: commitment,
+ * label and opId (stored with the signature), plus sendRawTransaction options.
+ * Never re-signs; see sendWithRetry.
+ */
+async function sendTransaction(connection, transaction, signer, options = {}) {
+  const { commitment = 'confirmed', label = null, opId = null, ...sendOptions } = options;
+  const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash(commitment);
+  
+  transaction.feePayer = transaction.feePayer || signer.publicKey;
+  transaction.recentBlockhash = blockhash;
+  await signer.signTransaction(transaction);
+  
+  const rawTransaction = transaction.serialize();
+  const signature = bs58.encode(transaction.signature);
+  
+  recordSentTransaction({
+    signature,
+    opId,
+    label,
+    feePayer: transaction.feePayer.toString(),
+    lastValidBlockHeight
+  });
+  
+  return confirmSignedTransaction(connection, rawTransaction, signature, lastValidBlockHeight, {
+    commitment,
+    ...sendOptions
+  });
+}
+
+/**
+ * Send a transaction, signing it again only once the previous attempt can't land
+ * Attempts that expired or failed are retried with a fresh blockhash; before
+ * each re-sign every earlier signature is checked, so a late landing is
+ * returned instead of buying or burning twice.
+ */
+async function sendWithRetry(connection, transaction, signer, options = {}, maxRetries = 3) {
+  const signatures = [];
   let lastError;
   
   for (let i = 0; i < maxRetries; i++) {
+    for (const signature of signatures) {
+      const status = await getSignatureStatus(connection, signature, true);
+      if (status && !status.err) {
+        updateSentTransaction(signature, 'confirmed');
+        console.log(`Earlier attempt ${signature} landed, not re-signing`);
+        return signature;
+      }
+    }
+    
     try {
-      const signature = await sendAndConfirmTransaction(
-        connection,
-        transaction,
-        signers,
-        { commitment: 'confirmed', ...options }
-      );
-      return signature;
+      return await sendTransaction(connection, transaction, signer, options);
     } catch (error) {
+      // It may still land, so signing again could buy or burn twice
+      if (error.unresolved) throw error;
+      
       lastError = error;
-      console.log(`Transaction attempt ${i + 1} failed, retrying...`);
+      if (error.signature) signatures.push(error.signature);
+      console.log(`Transaction attempt ${i + 1} failed: ${error.message}`);
       await new Promise(r => setTimeout(r, 1000 * (i + 1)));
     }
   }
@@ -228,13 +423,39 @@ async function sendWithRetry(connection, transaction, signers, options = {}, max
   throw lastError;
 }
 
+/**
+ * Wait for a stored sent transaction to land or expire (crash recovery)
+ * Returns 'confirmed', 'failed' or 'expired'. Nothing is rebroadcast.
+ */
+async function settleSentTransaction(connection, sent) {
+  while (true) {
+    const status = await getSignatureStatus(connection, sent.signature, true);
+    if (status?.err) return 'failed';
+    if (status && isCommitted(status, 'confirmed')) return 'confirmed';
+    
+    const blockHeight = await connection.getBlockHeight('confirmed');
+    if (sent.last_valid_block_height == null || blockHeight > sent.last_valid_block_height) {
+      // One last look: it may have landed in the final blocks
+      const final = await getSignatureStatus(connection, sent.signature, true);
+      if (!final) return 'expired';
+      return final.err ? 'failed' : 'confirmed';
+    }
+    
+    await new Promise(r => setTimeout(r, REBROADCAST_INTERVAL_MS));
+  }
+}
+
 module.exports = {
   getConnection,
-  createKeypair,
   getWalletAddress,
   getSolBalance,
   getTokenBalance,
+  getMintInfo,
+  createBurnInstructions,
   burnTokens,
+  simulateTx,
   transferSol,
-  sendWithRetry
+  sendTransaction,
+  sendWithRetry,
+  settleSentTransaction
 };
\ No newline at end of file
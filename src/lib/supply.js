@@ -0,0 +1,124 @@
+/**
+ * Supply Service for $INFERNO Token
+ *
+ * Single source of truth for supply figures. Reads the mint's supply and
+ * decimals from chain (cached) and reports initial, current, burned on-chain
+ * and burned-by-us amounts, each in raw (smallest) units and UI units.
+ *
+ * Falls back to INITIAL_SUPPLY minus our recorded burns when the mint
+ * can't be read (no TOKEN_ADDRESS yet, RPC down).
+ */
+const { getChainAdapter } = require('./chainAdapter');
+const { getTotalBurned } = require('./database');
+require('dotenv').config();
+
+// Cache configuration
+const CACHE_TTL_MS = 60000; // 60 seconds
+const DEFAULT_INITIAL_SUPPLY = 1_000_000_000; // UI units
+const DEFAULT_DECIMALS = 6;
+
+let mintCache = {
+  data: null,
+  timestamp: 0
+};
+
+/**
+ * Convert raw (smallest unit) amount to UI units
+ */
+function toUiAmount(raw, decimals = DEFAULT_DECIMALS) {
+  return raw / 10 ** decimals;
+}
+
+/**
+ * Convert UI amount to raw (smallest) units
+ */
+function toRawAmount(ui, decimals = DEFAULT_DECIMALS) {
+  return Math.round(ui * 10 ** decimals);
+}
+
+/**
+ * Initial supply in UI units (INITIAL_SUPPLY in .env)
+ */
+function getInitialSupply() {
+  return parseInt(process.env.INITIAL_SUPPLY) || DEFAULT_INITIAL_SUPPLY;
+}
+
+/**
+ * An amount in both raw and UI units
+ */
+function amountPair(raw, decimals) {
+  return { raw, ui: toUiAmount(raw, decimals) };
+}
+
+/**
+ * Read the mint's supply and decimals (cached)
+ * Returns null if the mint can't be read and nothing is cached
+ */
+async function getMintSupply(tokenAddress = process.env.TOKEN_ADDRESS, { refresh = false } = {}) {
+  const now = Date.now();
+  
+  // Return cached if fresh
+  if (!refresh && mintCache.data && (now - mintCache.timestamp) < CACHE_TTL_MS) {
+    return { ...mintCache.data, cached: true };
+  }
+  
+  if (!tokenAddress) return null;
+  
+  try {
+    const data = await getChainAdapter().getMintInfo(tokenAddress);
+    mintCache = { data, timestamp: now };
+    return { ...data, cached: false };
+  } catch (error) {
+    console.log('Mint supply error:', error.message);
+    return mintCache.data ? { ...mintCache.data, cached: true } : null;
+  }
+}
+
+/**
+ * Get supply figures
+ * Pass refresh: true right after a burn to bypass the cache,
+ * simulated: true to count dry-run burns as burned-by-us
+ */
+async function getSupply({ refresh = false, simulated = false } = {}) {
+  const mint = await getMintSupply(process.env.TOKEN_ADDRESS, { refresh });
+  const decimals = mint ? mint.decimals : DEFAULT_DECIMALS;
+  
+  const initialUi = getInitialSupply();
+  const initialRaw = toRawAmount(initialUi, decimals);
+  const burnedByUsRaw = getTotalBurned(simulated);
+  
+  // Without the mint, all we know is what we burned ourselves
+  const currentRaw = mint ? mint.supply : Math.max(0, initialRaw - burnedByUsRaw);
+  const burnedOnChainRaw = Math.max(0, initialRaw - currentRaw);
+  
+  return {
+    decimals,
+    initial: amountPair(initialRaw, decimals),
+    current: amountPair(currentRaw, decimals),
+    burnedOnChain: amountPair(burnedOnChainRaw, decimals),
+    burnedByUs: amountPair(burnedByUsRaw, decimals),
+    percentBurned: {
+      onChain: ((burnedOnChainRaw / initialRaw) * 100).toFixed(2),
+      byUs: ((burnedByUsRaw / initialRaw) * 100).toFixed(2)
+    },
+    source: mint ? 'mint' : 'database',
+    cached: mint ? mint.cached : false,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Clear the mint supply cache
+ */
+function clearSupplyCache() {
+  mintCache = { data: null, timestamp: 0 };
+}
+
+module.exports = {
+  getSupply,
+  getMintSupply,
+  getInitialSupply,
+  toUiAmount,
+  toRawAmount,
+  clearSupplyCache
+};
\ No newline at end of file
@@ -0,0 +1,181 @@
+/**
+ * Transaction Builder for $INFERNO
+ *
+ * Every transaction we build gets ComputeBudgetProgram instructions:
+ *   - a compute unit limit sized from a simulation, plus COMPUTE_UNIT_MARGIN_PERCENT
+ *   - a priority fee (micro-lamports per CU) at PRIORITY_FEE_PERCENTILE of
+ *     getRecentPrioritizationFees for the accounts it writes, clamped to
+ *     PRIORITY_FEE_MIN_MICROLAMPORTS..PRIORITY_FEE_MAX_MICROLAMPORTS
+ *
+ * What each sent transaction actually paid is recorded in tx_fees.
+ */
+const { Transaction, ComputeBudgetProgram } = require('@solana/web3.js');
+const { getSettings } = require('./config');
+const { saveTxFee } = require('./database');
+
+const MAX_COMPUTE_UNITS = 1_400_000;
+const FALLBACK_COMPUTE_UNITS = 200_000; // Used when the simulation fails
+const MAX_LOCKED_ACCOUNTS = 128;        // getRecentPrioritizationFees limit
+
+/**
+ * Priority fee and compute unit settings
+ */
+function getFeeSettings() {
+  const settings = getSettings();
+  
+  return {
+    percentile: settings.priorityFeePercentile,
+    minMicroLamports: settings.priorityFeeMinMicroLamports,
+    maxMicroLamports: settings.priorityFeeMaxMicroLamports,
+    computeUnitMargin: settings.computeUnitMarginPercent
+  };
+}
+
+function isComputeBudgetInstruction(ix) {
+  return ix.programId.equals(ComputeBudgetProgram.programId);
+}
+
+function computeBudgetInstructions(units, microLamports) {
+  return [
+    ComputeBudgetProgram.setComputeUnitLimit({ units }),
+    ComputeBudgetProgram.setComputeUnitPrice({ microLamports })
+  ];
+}
+
+/**
+ * Nearest-rank percentile (0 for an empty list)
+ */
+function percentile(values, p) {
+  if (values.length === 0) return 0;
+  
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+/**
+ * Unique writable accounts of a set of instructions
+ */
+function getWritableAccounts(instructions) {
+  const accounts = new Map();
+  
+  for (const ix of instructions) {
+    for (const key of ix.keys) {
+      if (key.isWritable) accounts.set(key.pubkey.toBase58(), key.pubkey);
+    }
+  }
+  
+  return [...accounts.values()].slice(0, MAX_LOCKED_ACCOUNTS);
+}
+
+/**
+ * Priority fee (micro-lamports per CU) for transactions writing these accounts
+ * Falls back to the minimum if recent fees can't be fetched
+ */
+async function estimatePriorityFee(connection, instructions) {
+  const { percentile: p, minMicroLamports, maxMicroLamports } = getFeeSettings();
+  let fees = [];
+  
+  try {
+    const recent = await connection.getRecentPrioritizationFees({
+      lockedWritableAccounts: getWritableAccounts(instructions)
+    });
+    fees = recent.map(f => f.prioritizationFee);
+  } catch (error) {
+    console.log('Could not fetch recent priority fees:', error.message);
+  }
+  
+  return Math.min(maxMicroLamports, Math.max(minMicroLamports, percentile(fees, p)));
+}
+
+/**
+ * Simulate the instructions at the maximum compute limit
+ * Returns the simulation (see simulateTx)
+ */
+async function simulateInstructions(connection, instructions, payer, microLamports) {
+  // Required lazily: solana.js builds its transactions here
+  const { simulateTx } = require('./solana');
+  
+  const tx = new Transaction().add(...computeBudgetInstructions(MAX_COMPUTE_UNITS, microLamports), ...instructions);
+  tx.feePayer = payer;
+  
+  return simulateTx(connection, tx);
+}
+
+/**
+ * Build a legacy transaction with a compute unit limit and priority fee
+ * Any ComputeBudgetProgram instructions passed in are replaced.
+ * Returns { transaction, budget, simulation } - the simulation doubles as the
+ * dry-run result. budget is { label, computeUnitLimit, computeUnitPrice,
+ * unitsConsumed, priorityFeeLamports } and goes to recordTxFee once sent.
+ */
+async function buildTransaction(connection, instructions, payer, { label = null } = {}) {
+  const { computeUnitMargin } = getFeeSettings();
+  const ixs = instructions.filter(ix => !isComputeBudgetInstruction(ix));
+  
+  const computeUnitPrice = await estimatePriorityFee(connection, ixs);
+  const simulation = await simulateInstructions(connection, ixs, payer, computeUnitPrice);
+  const { unitsConsumed } = simulation;
+  
+  const computeUnitLimit = simulation.err || !unitsConsumed
+    ? FALLBACK_COMPUTE_UNITS
+    : Math.min(MAX_COMPUTE_UNITS, Math.ceil(unitsConsumed * (1 + computeUnitMargin / 100)));
+  
+  const transaction = new Transaction().add(...computeBudgetInstructions(computeUnitLimit, computeUnitPrice), ...ixs);
+  transaction.feePayer = payer;
+  
+  const budget = {
+    label,
+    computeUnitLimit,
+    computeUnitPrice,
+    unitsConsumed,
+    priorityFeeLamports: Math.ceil((computeUnitLimit * computeUnitPrice) / 1_000_000)
+  };
+  
+  console.log(
+    `⛽ ${label || 'tx'}: ${computeUnitLimit} CU (simulated ${unitsConsumed}), ` +
+    `priority fee ${computeUnitPrice} µlamports/CU (max ${budget.priorityFeeLamports} lamports)`
+  );
+  
+  return { transaction, budget, simulation };
+}
+
+/**
+ * Record the fee a sent transaction paid
+ * Reads the actual fee and compute units from the confirmed transaction;
+ * if that fails the budget's estimate is kept. Never throws.
+ */
+async function recordTxFee(connection, signature, budget = {}) {
+  try {
+    let meta = null;
+    
+    try {
+      const tx = await connection.getTransaction(signature, {
+        commitment: 'confirmed',
+        maxSupportedTransactionVersion: 0
+      });
+      meta = tx?.meta || null;
+    } catch (error) {
+      console.log(`Could not fetch fee for ${signature}:`, error.message);
+    }
+    
+    saveTxFee({
+      signature,
+      label: budget.label,
+      computeUnitLimit: budget.computeUnitLimit,
+      computeUnitPrice: budget.computeUnitPrice,
+      unitsConsumed: meta?.computeUnitsConsumed ?? budget.unitsConsumed,
+      priorityFeeLamports: budget.priorityFeeLamports,
+      feeLamports: meta?.fee
+    });
+  } catch (error) {
+    console.error(`Error recording fee for ${signature}:`, error.message);
+  }
+}
+
+module.exports = {
+  getFeeSettings,
+  estimatePriorityFee,
+  buildTransaction,
+  recordTxFee
+};
\ No newline at end of file
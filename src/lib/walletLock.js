@@ -0,0 +1,157 @@
+/**
+ * Wallet Lock for $INFERNO
+ *
+ * Lease-based lock stored in SQLite so only one worker (across processes)
+ * acts on a wallet at a time. The holder heartbeats the lease; if it crashes
+ * the lease expires and the next worker takes it over.
+ */
+const os = require('os');
+const crypto = require('crypto');
+const { getDb } = require('./database');
+require('dotenv').config();
+
+const DEFAULT_TTL_SECONDS = 120;
+
+/**
+ * Lease duration in ms (LOCK_TTL_SECONDS in .env)
+ */
+function getLeaseTtlMs() {
+  return (parseInt(process.env.LOCK_TTL_SECONDS) || DEFAULT_TTL_SECONDS) * 1000;
+}
+
+/**
+ * Try to take (or take over) a lease. Runs in an IMMEDIATE transaction so
+ * two processes can never both see the lease as free.
+ */
+function tryAcquire(name, owner, ttlMs) {
+  const db = getDb();
+  
+  const acquire = db.transaction(() => {
+    const now = Date.now();
+    const current = db.prepare('SELECT * FROM locks WHERE name = ?').get(name);
+    
+    if (current && current.owner !== owner && current.expires_at > now) {
+      return { acquired: false, holder: current };
+    }
+    
+    db.prepare(`
+      INSERT INTO locks (name, owner, acquired_at, heartbeat_at, expires_at)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(name) DO UPDATE SET
+        owner = excluded.owner,
+        acquired_at = excluded.acquired_at,
+        heartbeat_at = excluded.heartbeat_at,
+        expires_at = excluded.expires_at
+    `).run(name, owner, now, now, now + ttlMs);
+    
+    return { acquired: true, takenOverFrom: current && current.owner !== owner ? current.owner : null };
+  });
+  
+  return acquire.immediate();
+}
+
+/**
+ * Acquire the lock for a wallet
+ * Returns a lock handle, or null if another live worker holds it
+ */
+function acquireWalletLock(walletAddress, label = 'worker') {
+  const name = `wallet:${walletAddress}`;
+  const owner = `${label}@${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+  const ttlMs = getLeaseTtlMs();
+  const db = getDb();
+  
+  const result = tryAcquire(name, owner, ttlMs);
+  
+  if (!result.acquired) {
+    const expiresIn = Math.ceil((result.holder.expires_at - Date.now()) / 1000);
+    console.log(`🔒 Wallet locked by ${result.holder.owner} (lease expires in ${expiresIn}s)`);
+    return null;
+  }
+  
+  if (result.takenOverFrom) {
+    console.log(`🔓 Took over stale wallet lock from ${result.takenOverFrom}`);
+  }
+  
+  let held = true;
+  
+  function lose(reason) {
+    held = false;
+    clearInterval(heartbeat);
+    console.error(`⚠️ Lost wallet lock ${name} - ${reason}`);
+  }
+  
+  // Renew the lease well before it expires
+  const heartbeat = setInterval(() => {
+    try {
+      const now = Date.now();
+      const renewed = db.prepare(`
+        UPDATE locks SET heartbeat_at = ?, expires_at = ?
+        WHERE name = ? AND owner = ?
+      `).run(now, now + ttlMs, name, owner);
+      
+      if (renewed.changes === 0) {
+        lose('another worker took it over');
+      }
+    } catch (error) {
+      // e.g. SQLITE_BUSY: the next beat retries, assertHeld catches an expired lease
+      console.error(`⚠️ Could not renew wallet lock ${name}: ${error.message}`);
+    }
+  }, Math.floor(ttlMs / 3));
+  heartbeat.unref();
+  
+  return {
+    name,
+    owner,
+    
+    /**
+     * Whether this worker still holds the lease
+     */
+    isHeld() {
+      return held;
+    },
+    
+    /**
+     * Throw before an irreversible step if the lease was lost
+     * Reads the lease row, so a missed heartbeat that let it expire counts too
+     */
+    assertHeld() {
+      if (held) {
+        const lease = db.prepare('SELECT owner, expires_at FROM locks WHERE name = ?').get(name);
+        
+        if (!lease || lease.owner !== owner) {
+          lose('another worker took it over');
+        } else if (lease.expires_at <= Date.now()) {
+          lose('the lease expired');
+        }
+      }
+      
+      if (!held) {
+        throw new Error(`Wallet lock ${name} was lost, aborting`);
+      }
+    },
+    
+    /**
+     * Release the lease (only if still ours)
+     */
+    release() {
+      clearInterval(heartbeat);
+      if (held) {
+        db.prepare('DELETE FROM locks WHERE name = ? AND owner = ?').run(name, owner);
+        held = false;
+      }
+    }
+  };
+}
+
+/**
+ * Get all current locks (for status tooling)
+ */
+function getLocks() {
+  const db = getDb();
+  return db.prepare('SELECT * FROM locks ORDER BY name').all();
+}
+
+module.exports = {
+  acquireWalletLock,
+  getLocks
+};
\ No newline at end of file
@@ -0,0 +1,104 @@
+/**
+ * Wallet Roles for $INFERNO
+ *
+ * Two signers, each with its own key (signer backends are configured with
+ * BUYBACK_* / RESERVE_* variables, see signer.js):
+ *   buyback - hot wallet that collects creator fees, buys and burns
+ *   reserve - holds the milestone allocation and signs milestone burns
+ *
+ * Processes that never sign (the web server, reconcile) can be given just the
+ * public addresses with BUYBACK_WALLET_ADDRESS / RESERVE_WALLET_ADDRESS.
+ */
+const { getChainAdapter } = require('./chainAdapter');
+require('dotenv').config();
+
+const WALLET_ROLES = {
+  buyback: { label: 'Buyback', envPrefix: 'BUYBACK', legacyKeyEnv: 'WALLET_PRIVATE_KEY', addressEnv: 'BUYBACK_WALLET_ADDRESS' },
+  reserve: { label: 'Reserve', envPrefix: 'RESERVE', legacyKeyEnv: 'RESERVE_WALLET_PRIVATE_KEY', addressEnv: 'RESERVE_WALLET_ADDRESS' }
+};
+
+/**
+ * Get a role's config (throws on unknown roles)
+ */
+function getWalletRole(role) {
+  const config = WALLET_ROLES[role];
+  if (!config) {
+    throw new Error(`Unknown wallet role: ${role}. Use ${Object.keys(WALLET_ROLES).join(', ')}`);
+  }
+  return config;
+}
+
+/**
+ * Load and unlock a role's signer (keystores may prompt for their password here)
+ * Throws if the signer is missing or doesn't match the role's configured address
+ */
+async function loadRoleWallet(role, chain = getChainAdapter()) {
+  const { addressEnv } = getWalletRole(role);
+  const wallet = chain.getWallet(role);
+  const address = wallet.publicKey.toString();
+  
+  const configured = process.env[addressEnv];
+  if (configured && configured !== address) {
+    throw new Error(`${addressEnv} is ${configured} but the ${role} signer signs as ${address}`);
+  }
+  
+  await wallet.unlock();
+  
+  // Sharing one key defeats the separation, but isn't fatal
+  for (const other of Object.keys(WALLET_ROLES)) {
+    if (other !== role && getRoleAddress(other, chain) === address) {
+      console.warn(`⚠️ The ${role} and ${other} roles share one wallet (${address})`);
+    }
+  }
+  
+  return wallet;
+}
+
+/**
+ * Public address of a role: the configured address, else the signer's
+ * Returns null if neither is available
+ */
+function getRoleAddress(role, chain = getChainAdapter()) {
+  const { addressEnv } = getWalletRole(role);
+  if (process.env[addressEnv]) return process.env[addressEnv];
+  
+  try {
+    return chain.getWallet(role).publicKey.toString();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Addresses of every role ({ buyback, reserve }, null when unknown)
+ */
+function getRoleAddresses(chain = getChainAdapter()) {
+  return Object.fromEntries(Object.keys(WALLET_ROLES).map(role => [role, getRoleAddress(role, chain)]));
+}
+
+/**
+ * SOL and token (raw units) balances of a role's wallet
+ */
+async function getRoleBalances(role, tokenAddress = process.env.TOKEN_ADDRESS, chain = getChainAdapter()) {
+  const address = getRoleAddress(role, chain);
+  if (!address) {
+    const { addressEnv, envPrefix } = getWalletRole(role);
+    throw new Error(`${role} wallet not configured: set ${addressEnv} or a ${envPrefix}_* signer`);
+  }
+  
+  const [sol, tokens] = await Promise.all([
+    chain.getSolBalance(address),
+    tokenAddress ? chain.getTokenBalance(address, tokenAddress) : 0
+  ]);
+  
+  return { role, address, sol, tokens };
+}
+
+module.exports = {
+  WALLET_ROLES,
+  getWalletRole,
+  loadRoleWallet,
+  getRoleAddress,
+  getRoleAddresses,
+  getRoleBalances
+};
\ No newline at end of file
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+/**
+ * Buyback Circuit Breaker CLI for $INFERNO Token
+ *
+ * Usage:
+ *   npm run breaker              # Breaker state, limits and 24h spending
+ *   npm run breaker -- reset     # Close the breaker and resume buybacks
+ *   npm run breaker -- trip "reason"   # Pause buybacks by hand
+ */
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../../.env') });
+
+const { initDatabase } = require('../lib/database');
+const { getBuybackGuardStatus, resetBreaker, tripBreaker } = require('../lib/buybackGuard');
+
+function printStatus() {
+  const { breaker, limits, spending } = getBuybackGuardStatus();
+  
+  console.log(`Breaker: ${breaker.state.toUpperCase()}${breaker.state === 'open' ? ` since ${breaker.opened_at}` : ''}`);
+  if (breaker.opened_reason) console.log(`Reason: ${breaker.opened_reason}`);
+  console.log(`Consecutive failures: ${breaker.consecutive_failures} / ${limits.breakerMaxFailures}`);
+  if (breaker.last_error) console.log(`Last error: ${breaker.last_error}`);
+  console.log(`Spent (24h): ${spending.last24h.toFixed(6)} / ${limits.maxSolPerDay} SOL (${spending.remaining24h.toFixed(6)} left)`);
+  console.log(`Per cycle: ${limits.maxSolPerCycle} SOL, max price impact: ${limits.maxPriceImpact}%`);
+}
+
+function main() {
+  const [command = 'status', reason] = process.argv.slice(2);
+  initDatabase();
+  
+  switch (command) {
+    case 'status':
+      break;
+    
+    case 'reset':
+      resetBreaker();
+      console.log('✅ Circuit breaker reset, buybacks resume on the next cycle\n');
+      break;
+    
+    case 'trip':
+      tripBreaker(reason || 'Paused manually');
+      console.log('🛑 Circuit breaker opened, buybacks paused\n');
+      break;
+    
+    default:
+      console.log(`Unknown command: ${command}. Use status, reset or trip`);
+      process.exit(1);
+  }
+  
+  printStatus();
+}
+
+main();
\ No newline at end of file
@@ -9,22 +9,54 @@
  * 4. Burn the purchased tokens
  * 5. Record the burn in the database
  * 
+ * Before graduation steps 2-4 are a single transaction (collectBuyAndBurn),
+ * so a cycle either fully lands or does nothing.
+ * 
  * Includes crash recovery - safe to restart at any time
+ * An atomic buy's fill above the burned minimum is burned right after it;
+ * anything else left in the wallet goes to a periodic dust sweep (tagged 'dust')
+ * Set DRY_RUN=true to simulate every transaction and record into simulated_burns
+ * Spending caps, the price impact guard and the circuit breaker live in buybackGuard.js
+ * How the SOL is split into buys (market, twap, ...) lives in buybackStrategy.js
  */
 const cron = require('node-cron');
 const path = require('path');
 require('dotenv').config({ path: path.join(__dirname, '../../.env') });
 
-const { initDatabase, recordBurn, saveMetrics, getTotalBurned, getBurnsByType, getDb } = require('../lib/database');
-const { getConnection, createKeypair, burnTokens, getTokenBalance, getSolBalance } = require('../lib/solana');
-const { createPumpFunOperations } = require('../lib/pumpfun');
-const { getMarketCap, getTokenPrice, getSolPriceInUsd } = require('../lib/priceOracle');
+const { initDatabase, recordBurn, recordSimulatedBurn, saveMetrics, getTotalBurned, getBurnsByType, getDb } = require('../lib/database');
+const { getChainAdapter } = require('../lib/chainAdapter');
+const { loadRoleWallet, getRoleBalances, getRoleAddress } = require('../lib/walletRoles');
+const { acquireWalletLock } = require('../lib/walletLock');
+const { getSupply } = require('../lib/supply');
 const { getSettings } = require('../lib/config');
+const {
+  getBuybackLimits,
+  getSpentLast24h,
+  capBuybackAmount,
+  reserveBuybackSpend,
+  settleBuybackSpend,
+  releaseBuybackSpend,
+  getBreaker,
+  tripBreaker,
+  recordBreakerFailure,
+  recordBreakerSuccess,
+  isAbnormalFill
+} = require('../lib/buybackGuard');
+const {
+  getStrategyOptions,
+  getBuybackStrategy,
+  getCarryoverSol,
+  startBuybackCycle,
+  recordBuybackFill,
+  finishBuybackCycle,
+  executeBuybackStrategy
+} = require('../lib/buybackStrategy');
 const { 
   startBuybackOp, 
   updateBuybackOp, 
   completeBuybackOp, 
   checkPendingOps,
+  loadPendingOps,
   burnTxExists,
   OP_STATES 
 } = require('../lib/recovery');
@@ -34,6 +66,17 @@ const settings = getSettings();
 const REWARD_THRESHOLD = settings.rewardThreshold;
 const CHECK_INTERVAL = settings.buybackInterval;
 const MAX_SLIPPAGE = settings.maxSlippage;
+const DRY_RUN = settings.dryRun;
+const GAS_BUFFER_SOL = 0.005; // Kept in the wallet for transaction fees
+const DUST_SWEEP_INTERVAL = settings.dustSweepInterval;
+const DUST_SWEEP_MIN_TOKENS = settings.dustSweepMinTokens;
+
+// All chain access goes through the adapter (CHAIN_ADAPTER=mock for offline runs)
+const chain = getChainAdapter();
+
+// Dry-run cycles never touch crash-recovery state
+const trackOp = DRY_RUN ? () => {} : updateBuybackOp;
+const finishOp = DRY_RUN ? () => {} : completeBuybackOp;
 
 let isProcessing = false;
 
@@ -46,30 +89,45 @@ function log(message, level = 'info') {
   console.log(`[${timestamp}] ${prefix} [BUYBACK] ${message}`);
 }
 
+/**
+ * Price snapshot for a burn record
+ * A burn that already landed is recorded even if the oracle refuses to price it
+ */
+async function getBurnPrices() {
+  const solPrice = await chain.getSolPriceInUsd();
+  
+  try {
+    const priceData = await chain.getTokenPrice();
+    return { marketCap: priceData.marketCap, tokenPrice: priceData.priceInUsd, solPrice };
+  } catch (error) {
+    log(`No verified token price for burn record: ${error.message}`, 'warn');
+    return { marketCap: null, tokenPrice: null, solPrice };
+  }
+}
+
 /**
  * Handle recovery of incomplete operations
  */
 async function handleRecovery(recovery, keypair, tokenAddress) {
   if (!recovery.buyback) return false;
   
-  const { action, tokensBought, tx } = recovery.buyback;
+  const { action, tokensBought, tx, opId } = recovery.buyback;
   
   if (action === 'mark_complete') {
     log('Completing previously verified burn...');
     const db = getDb();
     if (!burnTxExists(db, tx)) {
       // Record the burn that was verified on-chain but not in DB
-      const marketCap = await getMarketCap();
-      const tokenPrice = await getTokenPrice();
-      const solPrice = await getSolPriceInUsd();
+      const { marketCap, tokenPrice, solPrice } = await getBurnPrices();
+      const details = await chain.getTransactionDetails(tx, tokenAddress);
       
       recordBurn({
         burnType: 'buyback',
-        burnAmount: tokensBought || 0,
+        burnAmount: details?.burnedAmount || tokensBought || 0,
         txSignature: tx,
         marketCap,
         solPrice,
-        tokenPrice: tokenPrice.priceInUsd,
+        tokenPrice,
         solSpent: 0,
         tokensBought: tokensBought || 0
       });
@@ -79,18 +137,18 @@ async function handleRecovery(recovery, keypair, tokenAddress) {
     return true;
   }
   
-  if (action === 'burn_tokens' && tokensBought) {
-    log(`Recovering: burning ${tokensBought} tokens from incomplete buyback...`);
-    const tokensToBurn = Math.floor(parseInt(tokensBought) * 0.99);
+  // A burn that never landed is retried like one that was never sent
+  if ((action === 'burn_tokens' || action === 'retry_burn') && tokensBought) {
+    log(`Recovering: burning ${tokensBought} tokens from incomplete buyback${action === 'retry_burn' ? ' (previous burn never landed)' : ''}...`);
+    const tokensToBurn = parseInt(tokensBought);
     
-    const burnResult = await burnTokens(keypair, tokensToBurn, tokenAddress, 'buyback');
+    const burnResult = await chain.burnTokens(keypair, tokensToBurn, tokenAddress, 'buyback', { opId });
     
     if (burnResult.success) {
       log(`Recovery burn complete! TX: ${burnResult.signature}`);
+      updateBuybackOp({ state: OP_STATES.BURNED, burnTx: burnResult.signature });
       
-      const marketCap = await getMarketCap();
-      const tokenPrice = await getTokenPrice();
-      const solPrice = await getSolPriceInUsd();
+      const { marketCap, tokenPrice, solPrice } = await getBurnPrices();
       
       recordBurn({
         burnType: 'buyback',
@@ -98,7 +156,7 @@ async function handleRecovery(recovery, keypair, tokenAddress) {
         txSignature: burnResult.signature,
         marketCap,
         solPrice,
-        tokenPrice: tokenPrice.priceInUsd,
+        tokenPrice,
         solSpent: 0,
         tokensBought: parseInt(tokensBought)
       });
@@ -111,8 +169,14 @@ async function handleRecovery(recovery, keypair, tokenAddress) {
     }
   }
   
+  if (action === 'retry_burn') {
+    completeBuybackOp('Burn never landed and the bought amount is unknown, left for the dust sweep');
+    log('Burn never landed and the bought amount is unknown, cleared state', 'warn');
+    return true;
+  }
+  
   if (action === 'clear') {
-    completeBuybackOp();
+    completeBuybackOp('Cleared by recovery');
     log('Cleared incomplete buyback state');
     return true;
   }
@@ -120,6 +184,276 @@ async function handleRecovery(recovery, keypair, tokenAddress) {
   return false;
 }
 
+/**
+ * Reserve SOL for a buy within the per-cycle and rolling 24h limits
+ * Returns the spend (see buybackGuard.js), or null once the daily cap is used up
+ */
+function reserveSpend(availableAmount, op) {
+  const spend = DRY_RUN ? capBuybackAmount(availableAmount) : reserveBuybackSpend(availableAmount, op.opId);
+  
+  if (spend.amount <= 0) {
+    log('Daily buyback cap reached, collected SOL stays in the wallet', 'warn');
+    finishOp('Skipped: daily buyback cap reached');
+    return null;
+  }
+  
+  if (spend.cappedBy) {
+    log(`Buyback capped to ${spend.amount.toFixed(6)} SOL by the ${spend.cappedBy === 'daily' ? 'rolling 24h' : 'per-cycle'} limit`, 'warn');
+  }
+  
+  return spend;
+}
+
+/**
+ * Pre-graduation cycle: collect, buy and burn in one transaction
+ * Nothing is collected before the buy, so the fee vault balance is what
+ * gets spent. Returns the burn to record, or null if the cycle was skipped.
+ */
+async function executeAtomicBuyback({ keypair, tokenAddress, feeBalance, op, limits, walletLock, strategy }) {
+  const spend = reserveSpend(Math.max(0, feeBalance - GAS_BUFFER_SOL), op);
+  if (!spend) return null;
+  
+  const buybackAmount = spend.amount;
+  const note = strategy.atomic ? null : `${strategy.name} strategy not applied on the bonding curve`;
+  if (note) {
+    log(`The ${strategy.name} strategy can't split an atomic buyback, buying the whole amount in one transaction`, 'warn');
+  }
+  log(`Step 2: Collecting fees, buying with ${buybackAmount.toFixed(6)} SOL and burning in one transaction...`);
+  
+  const cycleId = DRY_RUN ? null : startBuybackCycle({ opId: op.opId, strategy: 'atomic', budgetSol: buybackAmount });
+  
+  walletLock?.assertHeld();
+  const result = await chain.collectBuyAndBurn({
+    wallet: keypair,
+    tokenAddress,
+    amountSol: buybackAmount,
+    slippage: MAX_SLIPPAGE,
+    maxPriceImpact: limits.maxPriceImpact,
+    dryRun: DRY_RUN,
+    opId: op?.opId
+  });
+  
+  if (result.rejected === 'price_impact') {
+    releaseBuybackSpend(spend.id);
+    recordBuybackFill(cycleId, { seq: 1, solAmount: buybackAmount, priceImpact: result.priceImpact, status: 'rejected', error: result.error });
+    finishBuybackCycle(cycleId, { status: 'completed', note: result.error });
+    log(`${result.error}, fees stay in the vault`, 'warn');
+    finishOp(`Skipped: ${result.error}`);
+    return null;
+  }
+  
+  if (!result.success) {
+    recordBuybackFill(cycleId, { seq: 1, solAmount: buybackAmount, status: 'failed', error: result.error });
+    finishBuybackCycle(cycleId, { status: 'failed', note: note ? `${result.error} (${note})` : result.error });
+    trackOp({ state: OP_STATES.FAILED, error: result.error });
+    throw new Error(`Atomic buyback failed: ${result.error}`);
+  }
+  
+  if (!DRY_RUN) {
+    settleBuybackSpend(spend.id, result.signature);
+  }
+  
+  // One signature for all three steps: there is no bought-but-not-burned state
+  const tokensBought = parseInt(result.tokensReceived);
+  recordBuybackFill(cycleId, {
+    seq: 1,
+    solAmount: buybackAmount,
+    tokensReceived: tokensBought,
+    quotedTokens: parseInt(result.quotedTokens),
+    priceImpact: result.priceImpact,
+    buyTx: result.signature,
+    status: 'filled'
+  });
+  finishBuybackCycle(cycleId, {
+    status: 'completed',
+    spentSol: buybackAmount,
+    tokensBought,
+    burnTx: result.signature,
+    note
+  });
+  trackOp({
+    state: OP_STATES.BURNED,
+    collectTx: result.signature,
+    buyTx: result.signature,
+    burnTx: result.signature,
+    tokensBought
+  });
+  log(DRY_RUN
+    ? `Atomic buyback simulated (${result.simulation.unitsConsumed} CU)`
+    : `Bought ${tokensBought.toLocaleString()} and burned ${result.burnAmount.toLocaleString()} tokens! TX: ${result.signature}`);
+  
+  if (!DRY_RUN) {
+    await burnAtomicLeftover({ keypair, tokenAddress, leftover: result.tokensLeftover, op, walletLock });
+  }
+  
+  return {
+    tokensToBurn: result.burnAmount,
+    burnTx: result.signature,
+    buybackAmount,
+    tokensBought,
+    buySource: result.source,
+    simulations: [result.simulation]
+  };
+}
+
+/**
+ * Burn what the atomic buy filled above its burned minimum
+ * Only this cycle's known leftover is burned, never the wallet balance, so a
+ * wallet shared with the milestone reserve is safe. An unreadable fill or a
+ * failed burn leaves the tokens for the dust sweep.
+ */
+async function burnAtomicLeftover({ keypair, tokenAddress, leftover, op, walletLock }) {
+  if (leftover == null) {
+    log('Fill of the atomic buy not readable, leftover tokens left for the dust sweep', 'warn');
+    return;
+  }
+  if (leftover <= 0) return;
+  
+  log(`Burning ${leftover.toLocaleString()} tokens filled above the minimum...`);
+  walletLock?.assertHeld();
+  const burnResult = await chain.burnTokens(keypair, leftover, tokenAddress, 'buyback', { opId: op?.opId });
+  
+  if (!burnResult.success) {
+    log(`Leftover burn failed: ${burnResult.error}, left for the dust sweep`, 'warn');
+    return;
+  }
+  
+  // The buy's row already counts these tokens as bought
+  const { marketCap, tokenPrice, solPrice } = await getBurnPrices();
+  recordBurn({
+    burnType: 'buyback',
+    burnAmount: leftover,
+    txSignature: burnResult.signature,
+    marketCap,
+    solPrice,
+    tokenPrice,
+    solSpent: 0,
+    tokensBought: 0
+  });
+  log(`Leftover burn complete! TX: ${burnResult.signature}`);
+}
+
+/**
+ * Place one child order of the buyback strategy
+ * tokensReceived is what arrived (read from the buy transaction, else the
+ * wallet balance change). An abnormal fill trips the breaker and sets `abort`.
+ */
+async function buyChildOrder({ keypair, tokenAddress, amountSol, maxPriceImpact, opId, walletLock }) {
+  // Token balance before the buy, in case the fill can't be read from the transaction
+  const tokensBefore = DRY_RUN ? 0 : await chain.getTokenBalance(keypair.publicKey.toString(), tokenAddress);
+  
+  walletLock?.assertHeld();
+  const result = await chain.buyTokens({
+    wallet: keypair,
+    tokenAddress,
+    amountSol,
+    slippage: MAX_SLIPPAGE,
+    maxPriceImpact,
+    dryRun: DRY_RUN,
+    opId
+  });
+  
+  if (!result.success) return result;
+  
+  // Use the tokens the buy delivered, not the quote or the entire wallet balance!
+  let tokensReceived = result.tokensReceived != null ? parseInt(result.tokensReceived) : null;
+  
+  if (tokensReceived === null) {
+    tokensReceived = Math.max(0, await chain.getTokenBalance(keypair.publicKey.toString(), tokenAddress) - tokensBefore);
+    log(`Fill not readable from the buy transaction, using the wallet balance change (${tokensReceived.toLocaleString()})`, 'warn');
+  }
+  
+  log(`Bought ${tokensReceived.toLocaleString()} tokens! TX: ${result.signature}`);
+  
+  // Fewer tokens than quoted (beyond slippage) pauses buybacks
+  const tokensQuoted = parseInt(result.quotedTokens);
+  let abort = false;
+  
+  if (!DRY_RUN && isAbnormalFill(tokensReceived, tokensQuoted)) {
+    const reason = `Abnormal fill: received ${tokensReceived.toLocaleString()} of ${tokensQuoted.toLocaleString()} quoted tokens (${result.signature})`;
+    tripBreaker(reason);
+    log(`${reason} - circuit breaker opened`, 'error');
+    abort = true;
+  }
+  
+  return { ...result, tokensReceived, abort };
+}
+
+/**
+ * Save burn totals and supply to metrics
+ * Returns the refreshed supply
+ */
+async function updateBurnMetrics(marketCap, tokenPrice) {
+  const totalBurned = getTotalBurned();
+  const burnsByType = getBurnsByType();
+  const supply = await getSupply({ refresh: true });
+  
+  saveMetrics({
+    totalBurned,
+    circulatingSupply: supply.current.raw,
+    milestoneBurned: burnsByType.milestone,
+    buybackBurned: burnsByType.buyback,
+    marketCap,
+    tokenPrice
+  });
+  
+  return supply;
+}
+
+/**
+ * Record a finished cycle's burn (simulated_burns in dry-run) and update metrics
+ */
+async function recordBuybackCycle({ tokensToBurn, burnTx, buybackAmount, tokensBought, buySource, simulations }, startTime) {
+  const { marketCap, tokenPrice, solPrice } = await getBurnPrices();
+  
+  if (DRY_RUN) {
+    const simulationError = simulations.map(sim => sim.err).find(Boolean) || null;
+    
+    recordSimulatedBurn({
+      burnType: 'buyback',
+      burnAmount: tokensToBurn,
+      marketCap,
+      solPrice,
+      tokenPrice,
+      solSpent: buybackAmount,
+      tokensBought,
+      buySource,
+      computeUnits: simulations.reduce((sum, sim) => sum + sim.unitsConsumed, 0),
+      simulationError
+    });
+    
+    log(`=== Dry Run Complete in ${((Date.now() - startTime) / 1000).toFixed(2)}s ===`);
+    log(`Would burn: ${tokensToBurn.toLocaleString()} tokens for ${buybackAmount.toFixed(6)} SOL`);
+    if (simulationError) {
+      log(`Simulation reported: ${simulationError}`, 'warn');
+    }
+    return;
+  }
+  
+  recordBurn({
+    burnType: 'buyback',
+    burnAmount: tokensToBurn,
+    txSignature: burnTx,
+    marketCap,
+    solPrice,
+    tokenPrice,
+    solSpent: buybackAmount,
+    tokensBought
+  });
+  
+  // Mark operation as complete
+  completeBuybackOp();
+  recordBreakerSuccess();
+  
+  const supply = await updateBurnMetrics(marketCap, tokenPrice);
+  
+  const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+  log(`=== Cycle Complete in ${duration}s ===`);
+  log(`Burned: ${tokensToBurn.toLocaleString()} tokens`);
+  log(`SOL spent: ${buybackAmount.toFixed(6)} SOL`);
+  log(`Total burned: ${supply.burnedByUs.ui.toLocaleString()} tokens (${supply.percentBurned.onChain}% of supply burned on-chain)`);
+}
+
 /**
  * Main buyback and burn cycle
  */
@@ -131,23 +465,43 @@ async function executeBuybackCycle() {
   
   isProcessing = true;
   const startTime = Date.now();
+  let walletLock = null;
   
   try {
-    log('=== Starting Buyback & Burn Cycle ===');
+    log(`=== Starting Buyback & Burn Cycle${DRY_RUN ? ' (DRY RUN)' : ''} ===`);
+    
+    // An open breaker pauses buybacks until someone resets it (dry runs still go ahead)
+    const breaker = getBreaker();
+    if (breaker.state === 'open') {
+      log(`Circuit breaker open since ${breaker.opened_at}: ${breaker.opened_reason}`, 'warn');
+      if (!DRY_RUN) {
+        log('Buybacks paused, run "npm run breaker -- reset" to resume', 'warn');
+        return;
+      }
+    }
+    
+    const limits = getBuybackLimits();
     
     // Initialize
-    const connection = getConnection();
-    const keypair = createKeypair();
-    const pumpOps = createPumpFunOperations(connection);
+    const keypair = chain.getWallet('buyback');
     const tokenAddress = process.env.TOKEN_ADDRESS;
     
     if (!tokenAddress) {
       throw new Error('TOKEN_ADDRESS not configured');
     }
     
+    // Only one worker may act on this wallet at a time (dry runs never touch it)
+    if (!DRY_RUN) {
+      walletLock = acquireWalletLock(keypair.publicKey.toString(), 'buyback');
+      if (!walletLock) {
+        log('Wallet is in use by another worker, skipping cycle', 'warn');
+        return;
+      }
+    }
+    
     // Step 1: Check creator fee balance
     log('Step 1: Checking creator fee balance...');
-    const feeBalance = await pumpOps.getCreatorFeeBalance(keypair.publicKey.toString());
+    const feeBalance = await chain.getCreatorFeeBalance(keypair.publicKey.toString());
     log(`Creator fee balance: ${feeBalance.toFixed(6)} SOL`);
     
     if (feeBalance < REWARD_THRESHOLD) {
@@ -155,133 +509,259 @@ async function executeBuybackCycle() {
       return;
     }
     
+    // Leave the fees in the vault while the daily cap is used up
+    const spent24h = getSpentLast24h();
+    if (spent24h >= limits.maxSolPerDay) {
+      log(`Daily buyback cap reached (${spent24h.toFixed(6)} / ${limits.maxSolPerDay} SOL in 24h), skipping cycle`, 'warn');
+      return;
+    }
+    
+    // Strategies may hold off buying, the fees then stay in the vault
+    const strategy = getBuybackStrategy();
+    const holdReason = strategy.gate ? await strategy.gate({ chain, options: getStrategyOptions() }) : null;
+    
+    if (holdReason) {
+      log(`Holding buyback (${strategy.name} strategy): ${holdReason}`);
+      return;
+    }
+    
     // Start tracking this operation
-    startBuybackOp(feeBalance);
+    const op = DRY_RUN ? null : startBuybackOp(feeBalance);
+    
+    // Still on the bonding curve: all or nothing in one transaction
+    if (!(await chain.isTokenGraduated(tokenAddress))) {
+      const burn = await executeAtomicBuyback({ keypair, tokenAddress, feeBalance, op, limits, walletLock, strategy });
+      if (burn) await recordBuybackCycle(burn, startTime);
+      return;
+    }
     
     // Step 2: Record SOL balance BEFORE collecting
-    const solBalanceBefore = await getSolBalance(keypair.publicKey.toString());
+    const solBalanceBefore = await chain.getSolBalance(keypair.publicKey.toString());
     log(`Wallet SOL balance before: ${solBalanceBefore.toFixed(6)} SOL`);
     
     // Step 3: Collect creator fees
     log('Step 2: Collecting creator fees...');
-    const collectResult = await pumpOps.collectCreatorFees(keypair);
+    walletLock?.assertHeld();
+    const collectResult = await chain.collectCreatorFees(keypair, { dryRun: DRY_RUN, opId: op?.opId });
     
     if (!collectResult.success) {
-      updateBuybackOp({ state: OP_STATES.FAILED, error: collectResult.error });
+      trackOp({ state: OP_STATES.FAILED, error: collectResult.error });
       throw new Error(`Fee collection failed: ${collectResult.error}`);
     }
     
-    updateBuybackOp({ state: OP_STATES.FEES_COLLECTED, collectTx: collectResult.signature });
-    log(`Fees collected! TX: ${collectResult.signature}`);
-    
-    // Wait for settlement
-    await new Promise(r => setTimeout(r, 3000));
+    let collectedAmount;
     
-    // Step 3: Calculate actual collected amount
-    const solBalanceAfter = await getSolBalance(keypair.publicKey.toString());
-    const collectedAmount = solBalanceAfter - solBalanceBefore;
+    if (DRY_RUN) {
+      // Nothing was collected, assume the full vault balance would have been
+      log(`Fee collection simulated (${collectResult.simulation.unitsConsumed} CU)`);
+      collectedAmount = feeBalance;
+    } else {
+      trackOp({ state: OP_STATES.FEES_COLLECTED, collectTx: collectResult.signature });
+      log(`Fees collected! TX: ${collectResult.signature}`);
+      
+      // Wait for settlement
+      await new Promise(r => setTimeout(r, 3000));
+      
+      // Step 3: Calculate actual collected amount
+      const solBalanceAfter = await chain.getSolBalance(keypair.publicKey.toString());
+      collectedAmount = solBalanceAfter - solBalanceBefore;
+    }
     
     if (collectedAmount <= 0) {
       log(`No SOL received from fee collection, skipping buyback`);
-      completeBuybackOp();
+      finishOp();
       return;
     }
     
-    // Use collected amount minus gas buffer
-    const buybackAmount = Math.max(0, collectedAmount - 0.005); // Keep 0.005 SOL for gas
+    // Use collected amount minus gas buffer, plus what the last cycle left unspent
+    // (never more than the wallet held before collecting)
+    const carriedIn = DRY_RUN ? 0 : Math.min(getCarryoverSol(), Math.max(0, solBalanceBefore - GAS_BUFFER_SOL));
+    const availableAmount = Math.max(0, collectedAmount - GAS_BUFFER_SOL) + carriedIn;
     
-    if (buybackAmount <= 0) {
+    if (availableAmount <= 0) {
       log(`Collected amount too small for buyback after gas buffer`);
-      completeBuybackOp();
+      finishOp();
       return;
     }
     
-    log(`Step 3: Performing buyback with ${buybackAmount.toFixed(6)} SOL (collected: ${collectedAmount.toFixed(6)})...`);
-    
-    // Step 4: Buy tokens
-    const buyResult = await pumpOps.buyTokens({
-      wallet: keypair,
-      tokenAddress,
-      amountSol: buybackAmount,
-      slippage: MAX_SLIPPAGE
+    // Cap by the per-cycle and rolling 24h limits, anything above stays in the wallet
+    const spend = reserveSpend(availableAmount, op);
+    if (!spend) return;
+    const buybackAmount = spend.amount;
+    
+    log(`Step 3: Buying with ${buybackAmount.toFixed(6)} SOL using the ${strategy.name} strategy (collected: ${collectedAmount.toFixed(6)}, carried over: ${carriedIn.toFixed(6)})...`);
+    
+    const cycleId = DRY_RUN
+      ? null
+      : startBuybackCycle({ opId: op.opId, strategy: strategy.name, budgetSol: buybackAmount, carriedInSol: carriedIn });
+    
+    // Journal the running total after every child order, so recovery burns all of it
+    let tokensJournaled = 0;
+    
+    const buys = await executeBuybackStrategy({
+      strategy,
+      budget: buybackAmount,
+      cycleId,
+      maxPriceImpact: limits.maxPriceImpact,
+      log,
+      wait: ms => DRY_RUN ? Promise.resolve() : new Promise(r => setTimeout(r, ms)),
+      async buy(amountSol, maxPriceImpact) {
+        const result = await buyChildOrder({ keypair, tokenAddress, amountSol, maxPriceImpact, opId: op?.opId, walletLock });
+        
+        if (result.success) {
+          tokensJournaled += result.tokensReceived;
+          trackOp({ state: OP_STATES.TOKENS_BOUGHT, buyTx: result.signature, tokensBought: tokensJournaled });
+        }
+        return result;
+      }
     });
     
-    if (!buyResult.success) {
-      updateBuybackOp({ state: OP_STATES.FAILED, error: buyResult.error });
-      throw new Error(`Buyback failed: ${buyResult.error}`);
+    // A failed send may still have landed, so its reservation is kept and nothing carries over
+    if (!DRY_RUN && !buys.error) {
+      if (buys.solSpent > 0) {
+        settleBuybackSpend(spend.id, buys.lastBuyTx, buys.solSpent);
+      } else {
+        releaseBuybackSpend(spend.id);
+      }
+    }
+    const carryoverSol = buys.error ? 0 : buys.carryover;
+    
+    if (buys.tokensBought <= 0) {
+      if (buys.error) {
+        finishBuybackCycle(cycleId, { status: 'failed', note: buys.error });
+        trackOp({ state: OP_STATES.FAILED, error: buys.error });
+        throw new Error(`Buyback failed: ${buys.error}`);
+      }
+      
+      finishBuybackCycle(cycleId, { status: 'completed', carryoverSol, note: 'No child order filled' });
+      log(`No child order filled, ${carryoverSol.toFixed(6)} SOL carries over to the next cycle`, 'warn');
+      finishOp('Skipped: no child order filled');
+      return;
     }
     
-    // Use the tokens received from the buy, not the entire wallet balance!
-    const tokensBought = parseInt(buyResult.tokensReceived);
-    updateBuybackOp({ 
-      state: OP_STATES.TOKENS_BOUGHT, 
-      buyTx: buyResult.signature, 
-      tokensBought 
-    });
-    log(`Bought ${tokensBought.toLocaleString()} tokens! TX: ${buyResult.signature}`);
-    
-    // Step 5: Burn ONLY the purchased tokens (with small buffer for rounding)
-    const tokensToBurn = Math.floor(tokensBought * 0.99); // 99% of BOUGHT tokens
-    
-    if (tokensToBurn <= 0) {
-      throw new Error('No tokens available to burn');
+    if (buys.error) {
+      log(`Child order failed after ${buys.fills} fill(s): ${buys.error} - burning what was bought`, 'warn');
+    } else if (carryoverSol > 0) {
+      log(`${carryoverSol.toFixed(6)} SOL unspent, carried over to the next cycle`);
     }
     
-    log(`Step 4: Burning ${tokensToBurn.toLocaleString()} tokens...`);
+    // Step 5: Burn exactly the purchased tokens
+    const tokensBought = buys.tokensBought;
+    const tokensToBurn = tokensBought;
     
-    const burnResult = await burnTokens(keypair, tokensToBurn, tokenAddress, 'buyback');
+    log(`Step 4: Burning ${tokensToBurn.toLocaleString()} tokens from ${buys.fills} fill(s)...`);
+    walletLock?.assertHeld();
+    
+    const burnResult = await chain.burnTokens(keypair, tokensToBurn, tokenAddress, 'buyback', { dryRun: DRY_RUN, opId: op?.opId });
     
     if (!burnResult.success) {
-      updateBuybackOp({ state: OP_STATES.FAILED, error: burnResult.error });
+      finishBuybackCycle(cycleId, { status: 'failed', spentSol: buys.solSpent, tokensBought, carryoverSol, note: `Burn failed: ${burnResult.error}` });
+      trackOp({ state: OP_STATES.FAILED, error: burnResult.error });
       throw new Error(`Burn failed: ${burnResult.error}`);
     }
     
-    updateBuybackOp({ state: OP_STATES.BURNED, burnTx: burnResult.signature });
-    log(`Burn complete! TX: ${burnResult.signature}`);
+    trackOp({ state: OP_STATES.BURNED, burnTx: burnResult.signature });
+    finishBuybackCycle(cycleId, { status: 'completed', spentSol: buys.solSpent, tokensBought, carryoverSol, burnTx: burnResult.signature });
+    log(DRY_RUN ? 'Burn simulated' : `Burn complete! TX: ${burnResult.signature}`);
     
     // Step 6: Record in database
-    const marketCap = await getMarketCap();
-    const tokenPrice = await getTokenPrice();
-    const solPrice = await getSolPriceInUsd();
+    await recordBuybackCycle({
+      tokensToBurn,
+      burnTx: burnResult.signature,
+      buybackAmount: buys.solSpent,
+      tokensBought,
+      buySource: buys.source,
+      simulations: [collectResult.simulation, ...buys.simulations, burnResult.simulation]
+    }, startTime);
     
+  } catch (error) {
+    log(`Error in buyback cycle: ${error.message}`, 'error');
+    console.error(error);
+    
+    if (!DRY_RUN) {
+      const breaker = recordBreakerFailure(error.message);
+      if (breaker.state === 'open') {
+        log(`Circuit breaker open: ${breaker.opened_reason}`, 'error');
+      } else {
+        log(`Consecutive failed cycles: ${breaker.consecutive_failures}`, 'warn');
+      }
+    }
+  } finally {
+    walletLock?.release();
+    isProcessing = false;
+  }
+}
+
+/**
+ * Burn the tokens left in the buyback wallet as a buyback burn tagged 'dust'
+ * Buys are burned exactly, but atomic buybacks keep whatever filled above
+ * their minimum out, and transfers or rounding can leave more behind.
+ */
+async function sweepDust() {
+  if (isProcessing) {
+    log('Cycle in progress, dust sweep skipped', 'warn');
+    return;
+  }
+  
+  isProcessing = true;
+  let walletLock = null;
+  
+  try {
+    // Tokens of an unfinished buy are recovery's to burn
+    const pending = loadPendingOps().buyback;
+    if (pending?.tokensBought && !pending.burnTx) {
+      log('Incomplete buyback holds bought tokens, dust sweep skipped', 'warn');
+      return;
+    }
+    
+    // A shared wallet holds the milestone reserve, which is never dust
+    if (getRoleAddress('buyback', chain) === getRoleAddress('reserve', chain)) {
+      log('Buyback and reserve roles share one wallet, dust sweep skipped', 'warn');
+      return;
+    }
+    
+    const keypair = chain.getWallet('buyback');
+    const tokenAddress = process.env.TOKEN_ADDRESS;
+    
+    walletLock = acquireWalletLock(keypair.publicKey.toString(), 'dust-sweep');
+    if (!walletLock) {
+      log('Wallet is in use by another worker, dust sweep skipped', 'warn');
+      return;
+    }
+    
+    const dust = await chain.getTokenBalance(keypair.publicKey.toString(), tokenAddress);
+    const { decimals } = await getSupply();
+    
+    if (dust <= 0 || dust < DUST_SWEEP_MIN_TOKENS * 10 ** decimals) {
+      log(`Dust sweep: ${dust.toLocaleString()} raw tokens left, below the ${DUST_SWEEP_MIN_TOKENS} token minimum`);
+      return;
+    }
+    
+    log(`Dust sweep: burning ${dust.toLocaleString()} leftover raw tokens...`);
+    walletLock.assertHeld();
+    const burnResult = await chain.burnTokens(keypair, dust, tokenAddress, 'dust');
+    
+    if (!burnResult.success) {
+      throw new Error(`Dust burn failed: ${burnResult.error}`);
+    }
+    
+    const { marketCap, tokenPrice, solPrice } = await getBurnPrices();
     recordBurn({
       burnType: 'buyback',
-      burnAmount: tokensToBurn,
+      tag: 'dust',
+      burnAmount: dust,
       txSignature: burnResult.signature,
       marketCap,
       solPrice,
-      tokenPrice: tokenPrice.priceInUsd,
-      solSpent: buybackAmount,
-      tokensBought: parseInt(buyResult.tokensReceived)
-    });
-    
-    // Mark operation as complete
-    completeBuybackOp();
-    
-    // Update metrics
-    const totalBurned = getTotalBurned();
-    const burnsByType = getBurnsByType();
-    const initialSupply = parseInt(process.env.INITIAL_SUPPLY) || 1000000000;
-    
-    saveMetrics({
-      totalBurned,
-      circulatingSupply: initialSupply - totalBurned,
-      milestoneBurned: burnsByType.milestone,
-      buybackBurned: burnsByType.buyback,
-      marketCap,
-      tokenPrice: tokenPrice.priceInUsd
+      tokenPrice
     });
+    await updateBurnMetrics(marketCap, tokenPrice);
     
-    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-    log(`=== Cycle Complete in ${duration}s ===`);
-    log(`Burned: ${tokensToBurn.toLocaleString()} tokens`);
-    log(`SOL spent: ${buybackAmount.toFixed(6)} SOL`);
-    log(`Total burned: ${totalBurned.toLocaleString()} tokens`);
-    
+    log(`Dust sweep complete! TX: ${burnResult.signature}`);
   } catch (error) {
-    log(`Error in buyback cycle: ${error.message}`, 'error');
-    console.error(error);
+    log(`Error in dust sweep: ${error.message}`, 'error');
   } finally {
+    walletLock?.release();
     isProcessing = false;
   }
 }
@@ -297,7 +777,7 @@ async function main() {
   log('Database initialized');
   
   // Validate configuration
-  const requiredEnvVars = ['TOKEN_ADDRESS', 'WALLET_PRIVATE_KEY'];
+  const requiredEnvVars = ['TOKEN_ADDRESS'];
   const missing = requiredEnvVars.filter(v => !process.env[v]);
   
   if (missing.length > 0) {
@@ -305,25 +785,82 @@ async function main() {
     process.exit(1);
   }
   
+  // Fee collection, buys and buyback burns are signed by the buyback hot wallet
+  try {
+    const wallet = await loadRoleWallet('buyback', chain);
+    const balances = await getRoleBalances('buyback', process.env.TOKEN_ADDRESS, chain);
+    log(`Buyback wallet: ${balances.address} (${wallet.backend} signer, ${balances.sol.toFixed(6)} SOL, ${balances.tokens.toLocaleString()} raw tokens)`);
+  } catch (error) {
+    log(error.message, 'error');
+    process.exit(1);
+  }
+  
   log(`Token: ${process.env.TOKEN_ADDRESS}`);
+  log(`Chain adapter: ${chain.name}`);
   log(`Reward threshold: ${REWARD_THRESHOLD} SOL`);
   log(`Check interval: ${CHECK_INTERVAL} minutes`);
   
+  const limits = getBuybackLimits();
+  log(`Limits: ${limits.maxSolPerCycle} SOL per cycle, ${limits.maxSolPerDay} SOL per 24h (${getSpentLast24h().toFixed(6)} used), max price impact ${limits.maxPriceImpact}%`);
+  
+  try {
+    const strategy = getBuybackStrategy();
+    const options = getStrategyOptions();
+    log(`Strategy: ${strategy.name} - ${strategy.description}`);
+    
+    if (strategy.name === 'twap' && options.twapWindowMinutes >= CHECK_INTERVAL) {
+      log(`TWAP window (${options.twapWindowMinutes} min) is not shorter than the check interval, cycles will be skipped while one runs`, 'warn');
+    }
+    
+    if (!strategy.atomic && !(await chain.isTokenGraduated(process.env.TOKEN_ADDRESS))) {
+      log(`Token is on the bonding curve: buybacks are single collect+buy+burn transactions there, the ${strategy.name} strategy applies after graduation`, 'warn');
+    }
+  } catch (error) {
+    log(error.message, 'error');
+    process.exit(1);
+  }
+  
+  const breaker = getBreaker();
+  if (breaker.state === 'open') {
+    log(`Circuit breaker open since ${breaker.opened_at}: ${breaker.opened_reason}`, 'warn');
+  }
+  
+  if (DRY_RUN) {
+    log('DRY RUN enabled - transactions are simulated, results go to simulated_burns', 'warn');
+  }
+  
   // Check for incomplete operations from previous run
   log('Checking for pending operations...');
-  const recovery = await checkPendingOps();
+  let recovery = {};
+  if (!DRY_RUN) {
+    try {
+      recovery = await checkPendingOps();
+    } catch (error) {
+      log(error.message, 'error');
+      process.exit(1);
+    }
+  }
   
   if (recovery.buyback) {
     log(`Found incomplete buyback: ${recovery.buyback.action}`);
-    const connection = getConnection();
-    const keypair = createKeypair();
+    const keypair = chain.getWallet('buyback');
     const tokenAddress = process.env.TOKEN_ADDRESS;
     
-    const recovered = await handleRecovery(recovery, keypair, tokenAddress);
-    if (recovered) {
-      log('Recovery completed successfully', 'success');
+    const walletLock = acquireWalletLock(keypair.publicKey.toString(), 'buyback-recovery');
+    
+    if (!walletLock) {
+      log('Wallet is in use by another worker, recovery deferred to next start', 'warn');
     } else {
-      log('Recovery failed or not needed', 'warn');
+      try {
+        const recovered = await handleRecovery(recovery, keypair, tokenAddress);
+        if (recovered) {
+          log('Recovery completed successfully', 'success');
+        } else {
+          log('Recovery failed or not needed', 'warn');
+        }
+      } finally {
+        walletLock.release();
+      }
     }
   } else {
     log('No pending operations found');
@@ -341,19 +878,33 @@ async function main() {
   });
   
   log(`Scheduled to run every ${CHECK_INTERVAL} minutes`);
+  
+  // Leftover tokens are swept on their own schedule (never in dry-run)
+  if (!DRY_RUN) {
+    cron.schedule(`0 */${DUST_SWEEP_INTERVAL} * * *`, () => {
+      log('Scheduled dust sweep triggered');
+      sweepDust();
+    });
+    log(`Dust sweep every ${DUST_SWEEP_INTERVAL} hours (minimum ${DUST_SWEEP_MIN_TOKENS} tokens)`);
+  }
   log('Buyback script running. Press Ctrl+C to stop.');
 }
 
-// Handle graceful shutdown
-process.on('SIGINT', () => {
-  log('Shutting down gracefully...');
-  process.exit(0);
-});
+// Cycles can be driven directly by tests (CHAIN_ADAPTER=mock)
+module.exports = { executeBuybackCycle, sweepDust };
 
-process.on('uncaughtException', (error) => {
-  log(`Uncaught exception: ${error.message}`, 'error');
-  console.error(error);
-});
-
-// Start the script
-main().catch(console.error);
\ No newline at end of file
+if (require.main === module) {
+  // Handle graceful shutdown
+  process.on('SIGINT', () => {
+    log('Shutting down gracefully...');
+    process.exit(0);
+  });
+  
+  process.on('uncaughtException', (error) => {
+    log(`Uncaught exception: ${error.message}`, 'error');
+    console.error(error);
+  });
+  
+  // Start the script
+  main().catch(console.error);
+}
\ No newline at end of file
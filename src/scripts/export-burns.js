@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+/**
+ * Burn Export Script for $INFERNO Token
+ *
+ * Streams the burn ledger as CSV, JSON or NDJSON.
+ *
+ * Usage:
+ *   npm run export-burns                                  # CSV to stdout
+ *   npm run export-burns -- --format=json --out=burns.json
+ *   npm run export-burns -- --from=2025-01-01 --to=2025-03-31 --type=buyback
+ *   npm run export-burns -- --simulated                   # Dry-run burns
+ *
+ * Filters: --from, --to, --type, --minAmount, --maxAmount, --milestone (same as /api/burns)
+ */
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+require('dotenv').config({ path: path.join(__dirname, '../../.env') });
+
+const { initDatabase } = require('../lib/database');
+const { EXPORT_FORMATS, exportBurns } = require('../lib/burnExport');
+const { parseBurnFilters } = require('../lib/burnQuery');
+const { getSupply } = require('../lib/supply');
+
+async function main() {
+  // --key=value args become query params so filters parse exactly like the API
+  const args = process.argv.slice(2);
+  const params = new URLSearchParams(
+    args.filter(arg => arg.startsWith('--') && arg.includes('=')).map(arg => arg.slice(2).split(/=(.*)/s).slice(0, 2))
+  );
+  const format = params.get('format') || 'csv';
+  const outFile = params.get('out');
+  const simulated = args.includes('--simulated');
+  
+  if (!EXPORT_FORMATS[format]) {
+    console.error(`❌ Invalid format: ${format}. Use ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    process.exit(1);
+  }
+  
+  const { error, filters } = parseBurnFilters(params);
+  if (error) {
+    console.error(`❌ ${error}`);
+    process.exit(1);
+  }
+  
+  initDatabase();
+  const { decimals } = await getSupply();
+  
+  const out = outFile ? fs.createWriteStream(outFile) : process.stdout;
+  
+  // Piping into `head` and the like closes stdout early
+  out.on('error', (error) => {
+    if (error.code === 'EPIPE') process.exit(0);
+    throw error;
+  });
+  
+  for (const chunk of exportBurns({ format, filters, simulated, decimals })) {
+    if (!out.write(chunk)) await once(out, 'drain');
+  }
+  
+  if (outFile) {
+    out.end();
+    await once(out, 'finish');
+    console.error(`✅ Exported to ${outFile} (${format})`);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Export failed:', error.message);
+  process.exit(1);
+});
\ No newline at end of file
@@ -7,8 +7,9 @@ const path = require('path');
 const fs = require('fs');
 require('dotenv').config({ path: path.join(__dirname, '../../.env') });
 
-const { initDatabase, initMilestones, getMilestones } = require('../lib/database');
-const { CONSTANTS, formatMarketCap, formatTokenAmount } = require('../lib/config');
+const { initDatabase, getMilestones, getAppliedMigrations } = require('../lib/database');
+const { formatMarketCap, formatTokenAmount } = require('../lib/config');
+const { syncMilestoneSchedule, getSchedulePath } = require('../lib/milestoneSchedule');
 
 console.log('🔥 $INFERNO Database Initialization');
 console.log('=====================================\n');
@@ -20,14 +21,22 @@ if (!fs.existsSync(dataDir)) {
   console.log('✅ Created data directory');
 }
 
-// Initialize database
+// Initialize database (applies pending migrations)
 console.log('📦 Initializing SQLite database...');
 initDatabase();
-console.log('✅ Database initialized\n');
+const migrations = getAppliedMigrations();
+const schemaVersion = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+console.log(`✅ Database initialized (schema version ${schemaVersion}, ${migrations.length} migration(s) applied)\n`);
 
-// Load milestone configuration
-console.log('📊 Loading milestone configuration...');
-initMilestones(CONSTANTS.BURN_SCHEDULE);
+// Sync milestones from the schedule file
+console.log(`📊 Syncing milestone schedule from ${getSchedulePath()}...`);
+try {
+  const { version, changes } = syncMilestoneSchedule();
+  console.log(`✅ Schedule v${version} synced (${changes.length} change(s))\n`);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
 
 // Display loaded milestones
 const milestones = getMilestones();
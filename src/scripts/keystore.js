@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+/**
+ * Keystore Tool for $INFERNO Token
+ *
+ * Creates and checks the encrypted keystores used by the keystore signer (see signer.js).
+ *
+ * Usage:
+ *   npm run keystore -- create keys/buyback.json            # New keypair
+ *   npm run keystore -- import keys/buyback.json            # Encrypt a pasted secret key (base58 or JSON)
+ *   npm run keystore -- import keys/buyback.json id.json    # Encrypt a Solana CLI keypair file
+ *   npm run keystore -- address keys/buyback.json           # Print the public key
+ *   npm run keystore -- verify keys/buyback.json            # Check the password unlocks it
+ *
+ * The password is prompted for, or read from --password-file=path.
+ */
+const fs = require('fs');
+const path = require('path');
+const { Keypair } = require('@solana/web3.js');
+require('dotenv').config({ path: path.join(__dirname, '../../.env') });
+
+const {
+  decodeSecretKey,
+  readKeypairFile,
+  readKeystore,
+  writeKeystore,
+  decryptKeystore,
+  promptSecret,
+  readPassword
+} = require('../lib/signer');
+
+const MIN_PASSWORD_LENGTH = 12;
+
+/**
+ * Password for a new keystore, typed twice unless it comes from a file
+ */
+async function newPassword(passwordFile) {
+  const password = await readPassword(passwordFile, '🔐 New keystore password: ');
+  
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  if (!passwordFile && await promptSecret('🔐 Repeat password: ') !== password) {
+    throw new Error('Passwords do not match');
+  }
+  return password;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const passwordArg = args.find(arg => arg.startsWith('--password-file='));
+  const passwordFile = passwordArg ? passwordArg.split('=').slice(1).join('=') : null;
+  const [command, file, source] = args.filter(arg => !arg.startsWith('--'));
+  
+  if (!command || !file) {
+    console.log('Usage: npm run keystore -- <create|import|address|verify> <keystore.json> [keypair.json] [--password-file=path]');
+    process.exit(1);
+  }
+  
+  switch (command) {
+    case 'create':
+    case 'import': {
+      if (fs.existsSync(file)) {
+        throw new Error(`${file} already exists, refusing to overwrite it`);
+      }
+      
+      let keypair;
+      if (command === 'create') {
+        keypair = Keypair.generate();
+      } else if (source) {
+        keypair = readKeypairFile(source);
+      } else {
+        keypair = Keypair.fromSecretKey(decodeSecretKey(await promptSecret('🔑 Secret key (base58 or JSON array): ')));
+      }
+      
+      const password = await newPassword(passwordFile);
+      fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+      writeKeystore(file, keypair, password);
+      
+      console.log(`✅ Keystore written to ${file}`);
+      console.log(`📍 Address: ${keypair.publicKey.toString()}`);
+      if (source) {
+        console.log(`⚠️  ${source} still holds the key unencrypted - delete it once the keystore is backed up`);
+      }
+      break;
+    }
+    
+    case 'address':
+      console.log(readKeystore(file).publicKey);
+      break;
+    
+    case 'verify': {
+      const keystore = readKeystore(file);
+      decryptKeystore(keystore, await readPassword(passwordFile, '🔐 Keystore password: '));
+      console.log(`✅ ${file} unlocks (${keystore.publicKey})`);
+      break;
+    }
+    
+    default:
+      console.log(`Unknown command: ${command}. Use create, import, address or verify`);
+      process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Keystore error:', error.message);
+  process.exit(1);
+});
\ No newline at end of file
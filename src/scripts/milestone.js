@@ -2,8 +2,10 @@
 /**
  * Milestone Burn Script for $INFERNO Token
  * 
- * This script monitors the market cap and executes burns when milestones are reached.
- * Burns are executed from the reserve wallet.
+ * This script monitors the market cap and executes burns when milestones are reached
+ * and confirmed (sustained threshold or TWAP, see milestoneConfirmation.js).
+ * Burns are signed by the reserve wallet (RESERVE_* signer, see signer.js), never
+ * the buyback hot wallet.
  * 
  * Includes crash recovery - safe to restart at any time
  */
@@ -15,17 +17,25 @@ const {
   initDatabase, 
   recordBurn, 
   saveMetrics,
-  initMilestones, 
   getMilestones, 
-  getPendingMilestones, 
   completeMilestone,
+  getLatestPriceSample,
   getTotalBurned,
   getBurnsByType,
   getDb
 } = require('../lib/database');
-const { createKeypair, burnTokens, getTokenBalance } = require('../lib/solana');
-const { getMarketCap, getTokenPrice, getSolPriceInUsd } = require('../lib/priceOracle');
-const { CONSTANTS, formatMarketCap, formatTokenAmount, getSettings } = require('../lib/config');
+const { getChainAdapter } = require('../lib/chainAdapter');
+const { acquireWalletLock } = require('../lib/walletLock');
+const { getSupply, getMintSupply, toUiAmount } = require('../lib/supply');
+const { loadRoleWallet } = require('../lib/walletRoles');
+const { getReserveStatus } = require('../lib/reserve');
+const { getArmingStatus, getConfirmedMilestones } = require('../lib/milestoneConfirmation');
+const {
+  syncMilestoneSchedule,
+  getMilestoneTokens,
+  getMilestoneBurnRaw
+} = require('../lib/milestoneSchedule');
+const { formatMarketCap, formatTokenAmount, getSettings } = require('../lib/config');
 const {
   startMilestoneOp,
   updateMilestoneOp,
@@ -41,8 +51,13 @@ const {
 const settings = getSettings();
 const CHECK_INTERVAL = settings.milestoneInterval;
 
+// All chain access goes through the adapter (CHAIN_ADAPTER=mock for offline runs)
+const chain = getChainAdapter();
+
+// Below this the reserve may not cover milestone burn fees
+const MIN_RESERVE_SOL = 0.01;
+
 let isProcessing = false;
-let lastCheckedMarketCap = 0;
 
 /**
  * Log with timestamp
@@ -53,6 +68,22 @@ function log(message, level = 'info') {
   console.log(`[${timestamp}] ${prefix} [MILESTONE] ${message}`);
 }
 
+/**
+ * Price snapshot for a burn record
+ * A burn that already landed is recorded even if the oracle refuses to price it
+ */
+async function getBurnPrices() {
+  const solPrice = await chain.getSolPriceInUsd();
+  
+  try {
+    const priceData = await chain.getTokenPrice();
+    return { marketCap: priceData.marketCap, tokenPrice: priceData.priceInUsd, solPrice };
+  } catch (error) {
+    log(`No verified token price for burn record: ${error.message}`, 'warn');
+    return { marketCap: null, tokenPrice: null, solPrice };
+  }
+}
+
 /**
  * Execute a milestone burn
  */
@@ -67,27 +98,36 @@ async function executeMilestoneBurn(milestone) {
     
     log(`Executing burn for ${formatMarketCap(milestone.market_cap)} milestone...`);
     
-    // Start tracking this operation
-    startMilestoneOp(milestone.market_cap, milestone.burn_amount);
-    
-    const wallet = createKeypair();
+    const wallet = chain.getWallet('reserve');
     const tokenAddress = process.env.TOKEN_ADDRESS;
     
-    // Check wallet balance for reserve tokens
-    const balance = await getTokenBalance(wallet.publicKey.toString(), tokenAddress);
+    // Schedule amounts are UI tokens - burn in raw units using the mint's real decimals
+    const mint = await getMintSupply(tokenAddress);
+    if (!mint) {
+      log('Cannot read mint decimals, milestone burn deferred', 'error');
+      return null;
+    }
+    const burnAmount = getMilestoneBurnRaw(milestone, mint.decimals);
+    
+    // Start tracking this operation
+    const op = startMilestoneOp(milestone.market_cap, burnAmount);
+    
+    // Check the reserve wallet holds the tokens
+    const balance = await chain.getTokenBalance(wallet.publicKey.toString(), tokenAddress);
     
-    if (balance < milestone.burn_amount) {
-      log(`Insufficient balance: ${balance.toLocaleString()} < ${milestone.burn_amount.toLocaleString()}`, 'error');
+    if (balance < burnAmount) {
+      log(`Insufficient balance: ${balance.toLocaleString()} < ${burnAmount.toLocaleString()} (raw)`, 'error');
       updateMilestoneOp({ state: OP_STATES.FAILED, error: 'Insufficient balance' });
       return null;
     }
     
     // Execute burn
-    const burnResult = await burnTokens(
+    const burnResult = await chain.burnTokens(
       wallet,
-      milestone.burn_amount,
+      burnAmount,
       tokenAddress,
-      'milestone'
+      'milestone',
+      { opId: op.opId }
     );
     
     if (!burnResult.success) {
@@ -99,17 +139,15 @@ async function executeMilestoneBurn(milestone) {
     updateMilestoneOp({ state: OP_STATES.BURNED, burnTx: burnResult.signature });
     
     // Record in database
-    const marketCap = await getMarketCap();
-    const tokenPrice = await getTokenPrice();
-    const solPrice = await getSolPriceInUsd();
+    const { marketCap, tokenPrice, solPrice } = await getBurnPrices();
     
     recordBurn({
       burnType: 'milestone',
-      burnAmount: milestone.burn_amount,
+      burnAmount,
       txSignature: burnResult.signature,
       marketCap,
       solPrice,
-      tokenPrice: tokenPrice.priceInUsd,
+      tokenPrice,
       milestoneTarget: milestone.market_cap
     });
     
@@ -121,7 +159,7 @@ async function executeMilestoneBurn(milestone) {
     
     log(`🔥 MILESTONE BURN COMPLETE 🔥`, 'success');
     log(`   Milestone: ${formatMarketCap(milestone.market_cap)}`);
-    log(`   Burned: ${formatTokenAmount(milestone.burn_amount)} tokens`);
+    log(`   Burned: ${formatTokenAmount(toUiAmount(burnAmount, mint.decimals))} tokens`);
     log(`   TX: ${burnResult.signature}`);
     
     return burnResult;
@@ -144,25 +182,36 @@ async function checkMilestones() {
   isProcessing = true;
   
   try {
-    // Get current market cap
-    const currentMarketCap = await getMarketCap();
-    
-    if (currentMarketCap === lastCheckedMarketCap) {
-      log(`Market cap unchanged: ${formatMarketCap(currentMarketCap)}`);
+    // Market caps come from the samples price-sampler.js stores, this script only reads them
+    const latestSample = getLatestPriceSample();
+    if (!latestSample) {
+      log('No price samples yet (is the price sampler running?), skipping check', 'warn');
       return;
     }
     
-    lastCheckedMarketCap = currentMarketCap;
-    log(`Current market cap: ${formatMarketCap(currentMarketCap)}`);
+    const currentMarketCap = latestSample.market_cap;
+    log(`Current market cap: ${formatMarketCap(currentMarketCap)} (sampled ${new Date(latestSample.created_at).toISOString()})`);
     
-    // Get pending milestones
-    const pendingMilestones = getPendingMilestones(currentMarketCap);
+    // Only milestones confirmed over the sample window are burned
+    const milestones = getMilestones();
+    const pendingMilestones = getConfirmedMilestones(milestones);
     
     if (pendingMilestones.length === 0) {
+      milestones
+        .filter(m => m.completed === 0)
+        .map(m => ({ milestone: m, status: getArmingStatus(m) }))
+        .filter(({ status }) => status.state === 'arming')
+        .forEach(({ milestone, status }) => {
+          log(`Arming ${formatMarketCap(milestone.market_cap)} milestone (${status.mode}): ${status.progress}% confirmed`);
+        });
+      
       // Find next milestone
-      const milestones = getMilestones();
       const nextMilestone = milestones.find(m => m.completed === 0);
       
+      if (nextMilestone && getArmingStatus(nextMilestone).state === 'stale') {
+        log('Latest price sample is stale (is the price sampler running?), milestones can\'t confirm', 'warn');
+      }
+      
       if (nextMilestone) {
         const progress = ((currentMarketCap / nextMilestone.market_cap) * 100).toFixed(1);
         log(`Next milestone: ${formatMarketCap(nextMilestone.market_cap)} (${progress}% progress)`);
@@ -174,31 +223,48 @@ async function checkMilestones() {
     
     log(`Found ${pendingMilestones.length} pending milestone(s)!`);
     
-    // Execute burns for each pending milestone
-    for (const milestone of pendingMilestones) {
-      log(`Processing ${formatMarketCap(milestone.market_cap)} milestone...`);
-      
-      const result = await executeMilestoneBurn(milestone);
-      
-      if (result) {
-        // Wait between burns to avoid rate limiting
-        await new Promise(r => setTimeout(r, 5000));
+    // Only one worker may act on this wallet at a time
+    const walletLock = acquireWalletLock(chain.getWallet('reserve').publicKey.toString(), 'milestone');
+    
+    if (!walletLock) {
+      log('Wallet is in use by another worker, retrying next check', 'warn');
+      return;
+    }
+    
+    try {
+      // Execute burns for each pending milestone
+      for (const milestone of pendingMilestones) {
+        if (!walletLock.isHeld()) {
+          log('Lost wallet lock, stopping milestone burns', 'error');
+          break;
+        }
+        
+        log(`Processing ${formatMarketCap(milestone.market_cap)} milestone...`);
+        
+        const result = await executeMilestoneBurn(milestone);
+        
+        if (result) {
+          // Wait between burns to avoid rate limiting
+          await new Promise(r => setTimeout(r, 5000));
+        }
       }
+    } finally {
+      walletLock.release();
     }
     
     // Update metrics
     const totalBurned = getTotalBurned();
     const burnsByType = getBurnsByType();
-    const initialSupply = parseInt(process.env.INITIAL_SUPPLY) || 1000000000;
-    const tokenPrice = await getTokenPrice();
+    const supply = await getSupply({ refresh: true });
+    const { tokenPrice } = await getBurnPrices();
     
     saveMetrics({
       totalBurned,
-      circulatingSupply: initialSupply - totalBurned,
+      circulatingSupply: supply.current.raw,
       milestoneBurned: burnsByType.milestone,
       buybackBurned: burnsByType.buyback,
       marketCap: currentMarketCap,
-      tokenPrice: tokenPrice.priceInUsd
+      tokenPrice
     });
     
   } catch (error) {
@@ -219,13 +285,37 @@ function displayMilestoneStatus() {
   
   milestones.forEach(m => {
     const status = m.completed ? '✅ COMPLETED' : '⏳ PENDING';
-    log(`  ${formatMarketCap(m.market_cap)}: ${formatTokenAmount(m.burn_amount)} tokens - ${status}`);
+    log(`  ${formatMarketCap(m.market_cap)}: ${formatTokenAmount(getMilestoneTokens(m))} tokens - ${status}`);
   });
   
   const completed = milestones.filter(m => m.completed).length;
   log(`Progress: ${completed}/${milestones.length} milestones completed`);
 }
 
+/**
+ * Warn if the reserve wallet can't cover every remaining milestone (or its fees)
+ */
+async function checkReserveCoverage() {
+  try {
+    const reserve = await getReserveStatus();
+  
+    if (reserve.covered) {
+      log(`Reserve covers remaining milestones: ${formatTokenAmount(reserve.balance.ui)} / ${formatTokenAmount(reserve.obligations.ui)} tokens`);
+    } else {
+      log(`Reserve holds ${formatTokenAmount(reserve.balance.ui)} tokens but ${reserve.remainingMilestones} remaining milestone(s) need ${formatTokenAmount(reserve.obligations.ui)} (short ${formatTokenAmount(reserve.shortfall.ui)})`, 'warn');
+    }
+    
+    if (reserve.remainingMilestones > 0 && reserve.solBalance < MIN_RESERVE_SOL) {
+      log(`Reserve wallet has ${reserve.solBalance} SOL, may not cover burn fees`, 'warn');
+    }
+    
+    return reserve;
+  } catch (error) {
+    log(`Reserve check failed: ${error.message}`, 'warn');
+    return null;
+  }
+}
+
 /**
  * Handle recovery of incomplete milestone operations
  */
@@ -240,17 +330,17 @@ async function handleMilestoneRecovery(recovery) {
     
     // Check if not already in DB
     if (!burnTxExists(db, tx)) {
-      const currentMarketCap = await getMarketCap();
-      const tokenPrice = await getTokenPrice();
-      const solPrice = await getSolPriceInUsd();
+      const { marketCap: currentMarketCap, tokenPrice, solPrice } = await getBurnPrices();
+      // Journals without the amount fall back to what the transaction burned
+      const details = burnAmount ? null : await chain.getTransactionDetails(tx, process.env.TOKEN_ADDRESS);
       
       recordBurn({
         burnType: 'milestone',
-        burnAmount: burnAmount || 0,
+        burnAmount: burnAmount || details?.burnedAmount || 0,
         txSignature: tx,
         marketCap: currentMarketCap,
         solPrice,
-        tokenPrice: tokenPrice.priceInUsd,
+        tokenPrice,
         milestoneTarget: marketCap
       });
     }
@@ -267,13 +357,21 @@ async function handleMilestoneRecovery(recovery) {
   
   if (action === 'retry_burn') {
     log(`Retrying milestone burn for ${formatMarketCap(marketCap)}...`);
-    const milestone = { market_cap: marketCap, burn_amount: burnAmount };
+    
+    // Re-resolve the amount from the current schedule
+    const milestone = getMilestones().find(m => m.market_cap === marketCap);
+    if (!milestone) {
+      completeMilestoneOp('Milestone no longer in schedule');
+      log(`Milestone ${formatMarketCap(marketCap)} was removed from the schedule, cleared operation`, 'warn');
+      return true;
+    }
+    
     await executeMilestoneBurn(milestone);
     return true;
   }
   
   if (action === 'clear') {
-    completeMilestoneOp();
+    completeMilestoneOp('Cleared by recovery');
     log('Cleared incomplete milestone state');
     return true;
   }
@@ -291,12 +389,18 @@ async function main() {
   initDatabase();
   log('Database initialized');
   
-  // Initialize milestones from config
-  initMilestones(CONSTANTS.BURN_SCHEDULE);
-  log(`Loaded ${CONSTANTS.BURN_SCHEDULE.length} milestones`);
+  // Sync milestones from the schedule file
+  try {
+    const { version, changes } = syncMilestoneSchedule();
+    log(`Milestone schedule v${version} synced (${changes.length} change(s))`);
+  } catch (error) {
+    log(error.message, 'error');
+    process.exit(1);
+  }
+  log(`Loaded ${getMilestones().length} milestones`);
   
   // Validate configuration
-  const requiredEnvVars = ['TOKEN_ADDRESS', 'WALLET_PRIVATE_KEY'];
+  const requiredEnvVars = ['TOKEN_ADDRESS'];
   const missing = requiredEnvVars.filter(v => !process.env[v]);
   
   if (missing.length > 0) {
@@ -304,18 +408,47 @@ async function main() {
     process.exit(1);
   }
   
+  // Unlock the reserve signer up front so a keystore prompt doesn't wait for the first milestone
+  try {
+    const wallet = await loadRoleWallet('reserve', chain);
+    log(`Reserve wallet: ${wallet.publicKey.toString()} (${wallet.backend} signer)`);
+  } catch (error) {
+    log(error.message, 'error');
+    process.exit(1);
+  }
+  
   log(`Token: ${process.env.TOKEN_ADDRESS}`);
+  log(`Chain adapter: ${chain.name}`);
   log(`Check interval: ${CHECK_INTERVAL} minutes`);
+  log(settings.milestoneConfirmMode === 'twap'
+    ? `Confirmation: TWAP over ${settings.milestoneTwapMinutes} minutes`
+    : `Confirmation: ${settings.milestoneConfirmSamples} samples over ${settings.milestoneConfirmMinutes} minutes`);
   
   // Check for incomplete operations from previous run
   log('Checking for pending operations...');
-  const recovery = await checkPendingOps();
+  let recovery;
+  try {
+    recovery = await checkPendingOps();
+  } catch (error) {
+    log(error.message, 'error');
+    process.exit(1);
+  }
   
   if (recovery.milestone) {
     log(`Found incomplete milestone: ${recovery.milestone.action}`);
-    const recovered = await handleMilestoneRecovery(recovery);
-    if (recovered) {
-      log('Recovery completed successfully', 'success');
+    const walletLock = acquireWalletLock(chain.getWallet('reserve').publicKey.toString(), 'milestone-recovery');
+    
+    if (!walletLock) {
+      log('Wallet is in use by another worker, recovery deferred to next start', 'warn');
+    } else {
+      try {
+        const recovered = await handleMilestoneRecovery(recovery);
+        if (recovered) {
+          log('Recovery completed successfully', 'success');
+        }
+      } finally {
+        walletLock.release();
+      }
     }
   } else {
     log('No pending milestone operations found');
@@ -323,6 +456,7 @@ async function main() {
   
   // Display initial status
   displayMilestoneStatus();
+  await checkReserveCoverage();
   
   // Run initial check
   log('Running initial check...');
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+/**
+ * Price Sampler Script for $INFERNO Token
+ *
+ * Stores a verified oracle reading (price, market cap, liquidity, volume)
+ * every PRICE_SAMPLE_INTERVAL_MINUTES for /api/price-history and milestone
+ * confirmation. Once an hour it downsamples old samples and deletes expired ones.
+ */
+const cron = require('node-cron');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../../.env') });
+
+const { initDatabase, recordPriceSample } = require('../lib/database');
+const { getChainAdapter } = require('../lib/chainAdapter');
+const { maintainPriceHistory } = require('../lib/priceHistory');
+const { formatMarketCap, getSettings } = require('../lib/config');
+
+// Get settings
+const settings = getSettings();
+const SAMPLE_INTERVAL = settings.priceSampleInterval;
+
+// All chain access goes through the adapter (CHAIN_ADAPTER=mock for offline runs)
+const chain = getChainAdapter();
+
+/**
+ * Log with timestamp
+ */
+function log(message, level = 'info') {
+  const timestamp = new Date().toISOString();
+  const prefix = level === 'error' ? '❌' : level === 'warn' ? '⚠️' : '📈';
+  console.log(`[${timestamp}] ${prefix} [SAMPLER] ${message}`);
+}
+
+/**
+ * Take one price sample
+ */
+async function takeSample() {
+  try {
+    const priceData = await chain.getTokenPrice();
+    recordPriceSample(priceData);
+    log(`${priceData.source}: ${formatMarketCap(priceData.marketCap)} ($${priceData.priceInUsd})`);
+  } catch (error) {
+    // The oracle refuses to price when sources disagree - skip rather than store a bad sample
+    log(`Sample skipped: ${error.message}`, 'warn');
+  }
+}
+
+/**
+ * Downsample and prune stored samples
+ */
+function runMaintenance() {
+  try {
+    const { downsampled, pruned } = maintainPriceHistory();
+    log(`Maintenance: ${downsampled} sample(s) downsampled, ${pruned} expired`);
+  } catch (error) {
+    log(`Maintenance failed: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Initialize and start the script
+ */
+async function main() {
+  log('Initializing Price Sampler...');
+  
+  initDatabase();
+  log('Database initialized');
+  
+  if (!process.env.TOKEN_ADDRESS) {
+    log('Missing required environment variable: TOKEN_ADDRESS', 'error');
+    process.exit(1);
+  }
+  
+  log(`Token: ${process.env.TOKEN_ADDRESS}`);
+  log(`Chain adapter: ${chain.name}`);
+  log(`Sample interval: ${SAMPLE_INTERVAL} minute(s)`);
+  log(`Retention: raw ${settings.priceRawRetentionHours}h, ${settings.priceDownsampleMinutes}m buckets up to ${settings.priceRetentionDays}d`);
+  
+  runMaintenance();
+  await takeSample();
+  
+  cron.schedule(`*/${SAMPLE_INTERVAL} * * * *`, takeSample);
+  cron.schedule('0 * * * *', runMaintenance);
+  
+  log('Price sampler running. Press Ctrl+C to stop.');
+}
+
+// Handle graceful shutdown
+process.on('SIGINT', () => {
+  log('Shutting down gracefully...');
+  process.exit(0);
+});
+
+// Start the script
+main().catch(console.error);
\ No newline at end of file
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+/**
+ * Burn Reconciliation Script for $INFERNO Token
+ *
+ * Compares the burns table with the wallet's on-chain burn history.
+ *
+ * Usage:
+ *   npm run reconcile                    # Report only
+ *   npm run reconcile -- --repair        # Report and repair the database
+ *   npm run reconcile -- --limit=20000   # Scan more signatures (default 5000)
+ */
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../../.env') });
+
+const { initDatabase } = require('../lib/database');
+const { reconcileBurns } = require('../lib/reconcile');
+
+function shorten(signature) {
+  return `${signature.slice(0, 8)}...${signature.slice(-6)}`;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const repair = args.includes('--repair');
+  const limitArg = args.find(arg => arg.startsWith('--limit='));
+  const limit = limitArg ? parseInt(limitArg.split('=')[1]) : 5000;
+  
+  console.log('🔥 $INFERNO Burn Reconciliation');
+  console.log('================================\n');
+  
+  initDatabase();
+  
+  console.log(`🔍 Scanning up to ${limit} signatures${repair ? ' (REPAIR MODE)' : ''}...\n`);
+  const report = await reconcileBurns({ limit, repair });
+  
+  Object.entries(report.wallets).forEach(([role, address]) => {
+    console.log(`${role} wallet: ${address || '(not configured)'}`);
+  });
+  console.log(`Scanned: ${report.scanned} transactions (${report.from || '-'} → ${report.to || '-'})`);
+  console.log(`On-chain burns: ${report.onChainBurns}\n`);
+  
+  console.log(`❓ Missing from database: ${report.missing.length}`);
+  report.missing.forEach(m => {
+    const spent = m.sol_spent !== null ? `, ${m.sol_spent} SOL` : '';
+    console.log(`   ${shorten(m.signature)}  ${m.burn_type}  ${m.burn_amount}${spent}`);
+  });
+  
+  console.log(`\n⚠️  Mismatched: ${report.mismatched.length}`);
+  report.mismatched.forEach(m => {
+    const fields = Object.entries(m.diffs)
+      .map(([col, diff]) => `${col}: ${diff.db} → ${diff.chain}`)
+      .join(', ');
+    console.log(`   #${m.id} ${shorten(m.signature)}  ${fields}`);
+  });
+  
+  console.log(`\n🗑️  Extra (not burned on-chain): ${report.extra.length}`);
+  report.extra.forEach(e => {
+    console.log(`   #${e.id} ${shorten(e.signature)}  ${e.burn_type}  ${e.burn_amount} - ${e.reason}`);
+  });
+  
+  if (repair) {
+    const { inserted, updated, deleted } = report.repaired;
+    console.log(`\n✅ Repaired: ${inserted} inserted, ${updated} updated, ${deleted} deleted`);
+  } else if (report.missing.length + report.mismatched.length + report.extra.length > 0) {
+    console.log('\nRun with --repair to fix the database');
+  } else {
+    console.log('\n✅ Database matches on-chain history');
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Reconciliation failed:', error.message);
+  process.exit(1);
+});
\ No newline at end of file
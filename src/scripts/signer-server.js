@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+/**
+ * Local Signing Server for $INFERNO Token
+ *
+ * Stand-in for a remote signer (HSM, KMS or signing service): serves one
+ * wallet role's local signer (keystore or keypair file) over the HTTP
+ * protocol the remote backend in signer.js speaks. Binds to localhost.
+ *
+ *   GET  /public-key -> { publicKey }
+ *   POST /sign { publicKey, message (base64) } -> { signature (base64) }
+ *
+ * Only transaction messages that require this wallet's signature are signed.
+ * Requests must carry `Authorization: Bearer <token>` when <PREFIX>_SIGNER_TOKEN is set.
+ *
+ * Usage:
+ *   npm run signer-server                   # buyback role
+ *   npm run signer-server -- reserve        # reserve role
+ *
+ * SIGNER_SERVER_PORT (default 8787). Point clients at it with
+ * <PREFIX>_SIGNER=remote and <PREFIX>_SIGNER_URL=http://127.0.0.1:8787.
+ */
+const http = require('http');
+const path = require('path');
+const { VersionedMessage } = require('@solana/web3.js');
+require('dotenv').config({ path: path.join(__dirname, '../../.env') });
+
+const { getSigner, getSignerConfig } = require('../lib/signer');
+const { getWalletRole } = require('../lib/walletRoles');
+
+const PORT = parseInt(process.env.SIGNER_SERVER_PORT) || 8787;
+const HOST = '127.0.0.1';
+const MAX_BODY_BYTES = 64 * 1024;
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new Error('Request too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Whether a serialized transaction message needs a signature from address
+ */
+function requiresSignature(message, address) {
+  const parsed = VersionedMessage.deserialize(message);
+  return parsed.staticAccountKeys
+    .slice(0, parsed.header.numRequiredSignatures)
+    .some(key => key.toString() === address);
+}
+
+async function main() {
+  const role = process.argv[2] || 'buyback';
+  const { envPrefix } = getWalletRole(role);
+  const config = getSignerConfig(role);
+  
+  if (config.backend === 'remote') {
+    throw new Error(`The ${role} signer is remote, set ${envPrefix}_SIGNER=keystore or keypair for the server process`);
+  }
+  
+  const signer = await getSigner(role).unlock();
+  const address = signer.publicKey.toString();
+  const token = config.token;
+  
+  const server = http.createServer(async (req, res) => {
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+      return send(res, 401, { error: 'Unauthorized' });
+    }
+    
+    try {
+      if (req.method === 'GET' && req.url === '/public-key') {
+        return send(res, 200, { publicKey: address });
+      }
+      
+      if (req.method === 'POST' && req.url === '/sign') {
+        const { publicKey, message } = JSON.parse(await readBody(req));
+        const bytes = Buffer.from(message || '', 'base64');
+        
+        if (publicKey && publicKey !== address) {
+          return send(res, 400, { error: `This server signs for ${address}` });
+        }
+        if (!requiresSignature(bytes, address)) {
+          return send(res, 400, { error: 'Message does not require this wallet\'s signature' });
+        }
+        
+        const signature = await signer.signMessage(bytes);
+        console.log(`✍️  Signed ${bytes.length}-byte message for ${role}`);
+        return send(res, 200, { signature: Buffer.from(signature).toString('base64') });
+      }
+      
+      send(res, 404, { error: 'Not found' });
+    } catch (error) {
+      send(res, 400, { error: error.message });
+    }
+  });
+  
+  server.listen(PORT, HOST, () => {
+    console.log(`🔏 ${role} signer (${config.backend}) for ${address}`);
+    console.log(`🌐 Listening on http://${HOST}:${PORT}${token ? '' : ' (no token set)'}`);
+  });
+}
+
+main().catch(error => {
+  console.error('❌ Signer server failed:', error.message);
+  process.exit(1);
+});
\ No newline at end of file
@@ -8,20 +8,15 @@ const path = require('path');
 const fs = require('fs');
 require('dotenv').config({ path: path.join(__dirname, '../../.env') });
 
-const { initDatabase, getDb } = require('../lib/database');
-
-// Milestone configuration - import from your config or define here
-const MILESTONES = [
-  10000, 25000, 50000, 75000, 100000, 150000, 200000, 250000,
-  500000, 750000, 1000000, 2500000, 5000000, 10000000, 25000000,
-  50000000, 75000000, 100000000
-];
+const { initDatabase, getDb, getMilestones } = require('../lib/database');
+const { getSupply, toUiAmount } = require('../lib/supply');
 
 class InfernoBurnBot {
   constructor() {
     this.checkEnvVars();
     
-    const isTestMode = process.env.TEST_MODE === 'true';
+    // Dry-run previews never post, regardless of TEST_MODE
+    const isTestMode = process.env.TEST_MODE === 'true' || process.env.DRY_RUN === 'true';
     
     if (!isTestMode) {
       this.twitter = new TwitterApi({
@@ -43,9 +38,8 @@ class InfernoBurnBot {
       buyback: path.join(__dirname, '../../assets/gifs/buyback.gif')
     };
     
-    // Initialize database
+    // Initialize database (migrations add the tweet tracking columns)
     initDatabase();
-    this.ensureTweetColumn();
     
     console.log(`🔥 Inferno Burn Bot initialized - ${isTestMode ? 'TEST MODE' : 'LIVE MODE'}`);
     
@@ -68,26 +62,8 @@ class InfernoBurnBot {
     console.log('');
   }
 
-  ensureTweetColumn() {
-    const db = getDb();
-    
-    try {
-      const tableInfo = db.prepare("PRAGMA table_info(burns)").all();
-      const hasTweetColumn = tableInfo.some(col => col.name === 'tweet_posted');
-      
-      if (!hasTweetColumn) {
-        console.log('📊 Adding tweet tracking columns...');
-        db.exec('ALTER TABLE burns ADD COLUMN tweet_posted INTEGER DEFAULT 0');
-        db.exec('ALTER TABLE burns ADD COLUMN tweeted_at DATETIME');
-        console.log('✅ Tweet tracking columns added');
-      }
-    } catch (error) {
-      console.error('⚠️ Error with tweet columns:', error.message);
-    }
-  }
-
   checkEnvVars() {
-    const isTestMode = process.env.TEST_MODE === 'true';
+    const isTestMode = process.env.TEST_MODE === 'true' || process.env.DRY_RUN === 'true';
     
     if (!isTestMode) {
       const required = [
@@ -112,15 +88,6 @@ class InfernoBurnBot {
   // STATS HELPERS
   // ============================================
 
-  /**
-   * Get total burned amount from database
-   */
-  getTotalBurned() {
-    const db = getDb();
-    const result = db.prepare('SELECT SUM(burn_amount) as total FROM burns').get();
-    return result?.total || 0;
-  }
-
   /**
    * Get total buyback count
    */
@@ -131,14 +98,11 @@ class InfernoBurnBot {
   }
 
   /**
-   * Get next milestone after current market cap
+   * Get next milestone after current market cap (from the synced schedule)
    */
   getNextMilestone(currentMilestone) {
-    const currentIndex = MILESTONES.indexOf(currentMilestone);
-    if (currentIndex >= 0 && currentIndex < MILESTONES.length - 1) {
-      return MILESTONES[currentIndex + 1];
-    }
-    return null;
+    const next = getMilestones().find(m => m.market_cap > currentMilestone);
+    return next ? next.market_cap : null;
   }
 
   /**
@@ -152,12 +116,9 @@ class InfernoBurnBot {
   }
 
   /**
-   * Format token amount with M/K suffix
+   * Format token amount (UI units) with M/K suffix
    */
-  formatTokenAmount(num) {
-    // Convert from smallest units to display units
-    const displayNum = num / 1e6;
-    
+  formatTokenAmount(displayNum) {
     if (displayNum >= 1000000) return (displayNum / 1000000).toFixed(1) + 'M';
     if (displayNum >= 1000) return (displayNum / 1000).toFixed(1) + 'K';
     return displayNum.toLocaleString();
@@ -170,15 +131,13 @@ class InfernoBurnBot {
   /**
    * Generate milestone tweet - Clean Stats format
    */
-  generateMilestoneTweet(burn) {
+  generateMilestoneTweet(burn, supply) {
     const milestoneAmount = burn.milestone_target || burn.market_cap_at_burn || 0;
-    const tokensBurned = Math.round(burn.burn_amount / 1e6); // Convert from smallest units
+    const tokensBurned = Math.round(toUiAmount(burn.burn_amount, supply.decimals));
     const txLink = `solscan.io/tx/${burn.tx_signature}`;
     
-    // Get total burned percentage
-    const initialSupply = parseInt(process.env.INITIAL_SUPPLY) || 1000000000;
-    const totalBurned = this.getTotalBurned();
-    const totalBurnedPercent = ((totalBurned / 1e6 / initialSupply) * 100).toFixed(2);
+    // Total burned percentage comes from the mint's actual supply
+    const totalBurnedPercent = supply.percentBurned.onChain;
     
     // Get next milestone
     const nextMilestone = this.getNextMilestone(milestoneAmount);
@@ -199,9 +158,9 @@ Total burned to date: ${totalBurnedPercent}%
   /**
    * Generate buyback tweet - Clean Stats format
    */
-  generateBuybackTweet(burn) {
+  generateBuybackTweet(burn, supply) {
     const solSpent = parseFloat(burn.sol_spent || 0);
-    const tokensBurned = Math.round(burn.burn_amount / 1e6); // Convert from smallest units
+    const tokensBurned = Math.round(toUiAmount(burn.burn_amount, supply.decimals));
     const solPrice = parseFloat(burn.sol_price_at_burn || 0);
     const usdValue = Math.round(solSpent * solPrice);
     const txLink = `solscan.io/tx/${burn.tx_signature}`;
@@ -209,9 +168,8 @@ Total burned to date: ${totalBurnedPercent}%
     // Get buyback count
     const buybackCount = this.getBuybackCount();
     
-    // Get total burned
-    const totalBurned = this.getTotalBurned();
-    const totalBurnedFormatted = this.formatTokenAmount(totalBurned);
+    // Get total burned from the mint's actual supply
+    const totalBurnedFormatted = this.formatTokenAmount(supply.burnedOnChain.ui);
 
     return `🔄 BUYBACK #${buybackCount}
 
@@ -226,11 +184,13 @@ Total burned to date: ${totalBurnedFormatted} tokens
   /**
    * Generate tweet based on burn type
    */
-  generateTweet(burn) {
+  async generateTweet(burn) {
+    const supply = await getSupply();
+    
     if (burn.burn_type === 'milestone') {
-      return this.generateMilestoneTweet(burn);
+      return this.generateMilestoneTweet(burn, supply);
     } else {
-      return this.generateBuybackTweet(burn);
+      return this.generateBuybackTweet(burn, supply);
     }
   }
 
@@ -355,7 +315,14 @@ Total burned to date: ${totalBurnedFormatted} tokens
       return;
     }
     
-    const tweet = this.generateTweet(burn);
+    // Dust sweeps are bookkeeping, not news
+    if (burn.tag === 'dust') {
+      console.log('⏭️ Dust sweep, not tweeted');
+      this.markAsTweeted(burn.id);
+      return;
+    }
+    
+    const tweet = await this.generateTweet(burn);
     await this.postTweet(tweet, burn.burn_type);
     this.markAsTweeted(burn.id);
     
@@ -406,10 +373,30 @@ Total burned to date: ${totalBurnedFormatted} tokens
           sol_price_at_burn: 118.42
         };
     
-    const tweet = this.generateTweet(mockBurn);
+    const tweet = await this.generateTweet(mockBurn);
     await this.postTweet(tweet, testType);
   }
 
+  /**
+   * Preview tweets for simulated (dry-run) burns
+   */
+  async runSimulatedPreview(limit = 5) {
+    const db = getDb();
+    const burns = db.prepare(`
+      SELECT * FROM simulated_burns
+      ORDER BY created_at DESC
+      LIMIT ?
+    `).all(limit);
+    
+    console.log(`\n🧪 Previewing ${burns.length} simulated burn(s)\n`);
+    
+    for (const burn of burns) {
+      // Simulated burns never land, so there is no real signature to link
+      const tweet = await this.generateTweet({ ...burn, tx_signature: 'DRY_RUN' });
+      await this.postTweet(tweet, burn.burn_type);
+    }
+  }
+
   // ============================================
   // MAIN RUN
   // ============================================
@@ -426,6 +413,11 @@ Total burned to date: ${totalBurnedFormatted} tokens
       return;
     }
     
+    if (process.env.DRY_RUN === 'true') {
+      await this.runSimulatedPreview();
+      return;
+    }
+    
     // Initial check
     await this.checkAndProcess();
     
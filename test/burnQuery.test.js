@@ -0,0 +1,87 @@
+/**
+ * /api/burns query parsing, filters and cursor pagination
+ * Pagination runs against an in-memory database.
+ */
+process.env.DATABASE_PATH = ':memory:';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { initDatabase, getDb, recordBurn, getBurns } = require('../src/lib/database');
+const { toSqlDate, encodeCursor, decodeCursor, parseBurnFilters, parseBurnQuery } = require('../src/lib/burnQuery');
+
+initDatabase();
+
+const query = params => parseBurnQuery(new URLSearchParams(params));
+
+test('defaults when nothing is passed', () => {
+  assert.deepEqual(query(''), {
+    filters: {},
+    sort: 'time',
+    order: 'desc',
+    limit: 50,
+    page: 1,
+    after: null,
+    include: [],
+    simulated: false
+  });
+});
+
+test('filters are parsed, and a date-only to includes that whole day', () => {
+  const { filters } = parseBurnFilters(new URLSearchParams('type=buyback&from=2024-01-01&to=2024-01-31&minAmount=10&maxAmount=20&milestone=100000'));
+  
+  assert.deepEqual(filters, {
+    burnType: 'buyback',
+    from: '2024-01-01 00:00:00',
+    to: '2024-02-01 00:00:00',
+    minAmount: 10,
+    maxAmount: 20,
+    milestoneTarget: 100000
+  });
+  assert.equal(toSqlDate('2024-01-31T12:30:00Z', true), '2024-01-31 12:30:00');
+});
+
+test('invalid params are rejected with a message', () => {
+  const cases = {
+    'type=airdrop': /Invalid type/,
+    'from=yesterday': /Invalid from date/,
+    'minAmount=-5': /Invalid minAmount/,
+    'maxAmount=1.5': /Invalid maxAmount/,
+    'minAmount=20&maxAmount=10': /must not exceed/,
+    'sort=price': /Invalid sort/,
+    'order=up': /Invalid order/,
+    'limit=0': /Invalid limit/,
+    'limit=501': /Invalid limit/,
+    'page=0': /Invalid page/,
+    'cursor=nonsense': /Invalid cursor/,
+    'include=sum,rows': /Invalid include: rows/
+  };
+  
+  for (const [params, error] of Object.entries(cases)) {
+    assert.match(query(params).error, error, params);
+  }
+});
+
+test('a cursor only works for the sort it was issued for', () => {
+  const cursor = encodeCursor({ id: 7, burn_amount: 500, created_at: '2024-01-01 00:00:00' }, 'amount');
+  
+  assert.deepEqual(decodeCursor(cursor), { sort: 'amount', value: 500, id: 7 });
+  assert.deepEqual(query(`sort=amount&cursor=${cursor}`).after, { sort: 'amount', value: 500, id: 7 });
+  assert.match(query(`cursor=${cursor}`).error, /issued for sort=amount/);
+});
+
+test('cursor pages cover every burn once, ties included', () => {
+  getDb().exec('DELETE FROM burns;');
+  [300, 100, 200, 200, 200].forEach((burnAmount, i) => {
+    recordBurn({ burnType: 'buyback', burnAmount, txSignature: `mockburn${i}` });
+  });
+  
+  const seen = [];
+  let after = null;
+  do {
+    const rows = getBurns({ sort: 'amount', order: 'desc', limit: 2, after });
+    seen.push(...rows.map(row => row.burn_amount));
+    after = rows.length === 2 ? decodeCursor(encodeCursor(rows[1], 'amount')) : null;
+  } while (after);
+  
+  assert.deepEqual(seen, [300, 200, 200, 200, 100]);
+});
@@ -0,0 +1,82 @@
+/**
+ * Atomic buyback cycles and the dust sweep against the mock chain
+ * The script shares one mock chain, its state is reset before every test.
+ */
+process.env.DATABASE_PATH = ':memory:';
+process.env.CHAIN_ADAPTER = 'mock';
+process.env.TOKEN_ADDRESS = 'So11111111111111111111111111111111111111112';
+process.env.DUST_SWEEP_MIN_TOKENS = '1';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { initDatabase, getDb } = require('../src/lib/database');
+const { setChainAdapter } = require('../src/lib/chainAdapter');
+const { createMockAdapter } = require('../src/lib/mockChain');
+const { getSettings } = require('../src/lib/config');
+
+const TOKEN = process.env.TOKEN_ADDRESS;
+const chain = createMockAdapter();
+setChainAdapter(chain);
+
+const { executeBuybackCycle, sweepDust } = require('../src/scripts/buyback');
+
+const buybackAddress = chain.getWallet('buyback').publicKey.toString();
+const tokenKey = `${buybackAddress}:${TOKEN}`;
+
+initDatabase();
+
+beforeEach(() => {
+  getDb().exec('DELETE FROM burns; DELETE FROM operations; DELETE FROM buyback_spends;');
+  delete process.env.RESERVE_WALLET_ADDRESS;
+  Object.assign(chain.state, { feeVaultBalance: 0.2, fillRatio: 1, transactions: {} });
+  chain.state.solBalances[buybackAddress] = 0.05;
+  chain.state.tokenBalances[tokenKey] = 0;
+});
+
+function burnRows() {
+  return getDb().prepare('SELECT * FROM burns ORDER BY id').all();
+}
+
+test('an exact fill burns everything in the atomic transaction', async () => {
+  chain.state.fillRatio = 1 - getSettings().maxSlippage / 100;
+  await executeBuybackCycle();
+  
+  const rows = burnRows();
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].burn_amount, rows[0].tokens_bought);
+  assert.equal(chain.state.tokenBalances[tokenKey], 0);
+});
+
+test('a fill above the minimum burns the leftover in its own transaction', async () => {
+  await executeBuybackCycle();
+  
+  const rows = burnRows();
+  const atomic = rows.find(row => row.tokens_bought);
+  const leftover = rows.find(row => row !== atomic);
+  assert.equal(rows.length, 2);
+  assert.equal(atomic.burn_amount + leftover.burn_amount, atomic.tokens_bought);
+  assert.equal(leftover.tokens_bought, null);
+  assert.equal(chain.state.tokenBalances[tokenKey], 0);
+});
+
+test('a failed leftover burn leaves the tokens for the dust sweep', async () => {
+  chain.failNext('burnTokens');
+  await executeBuybackCycle();
+  
+  assert.equal(burnRows().length, 1);
+  assert.ok(chain.state.tokenBalances[tokenKey] > 0);
+  
+  await sweepDust();
+  const dust = burnRows()[1];
+  assert.equal(dust.tag, 'dust');
+  assert.equal(chain.state.tokenBalances[tokenKey], 0);
+});
+
+test('the dust sweep leaves a wallet shared with the reserve alone', async () => {
+  chain.state.tokenBalances[tokenKey] = 5_000_000;
+  process.env.RESERVE_WALLET_ADDRESS = buybackAddress;
+  
+  await sweepDust();
+  assert.equal(burnRows().length, 0);
+  assert.equal(chain.state.tokenBalances[tokenKey], 5_000_000);
+});
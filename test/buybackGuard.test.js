@@ -0,0 +1,101 @@
+/**
+ * Buyback spending caps, the spend ledger and the circuit breaker
+ * Limits: 1 SOL per cycle, 2.5 SOL per rolling 24h, breaker after 3 failures.
+ */
+process.env.DATABASE_PATH = ':memory:';
+process.env.BUYBACK_MAX_SOL_PER_CYCLE = '1';
+process.env.BUYBACK_MAX_SOL_PER_DAY = '2.5';
+process.env.BREAKER_MAX_FAILURES = '3';
+process.env.MAX_SLIPPAGE_PERCENT = '10';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { initDatabase, getDb } = require('../src/lib/database');
+const {
+  getSpentLast24h,
+  capBuybackAmount,
+  reserveBuybackSpend,
+  settleBuybackSpend,
+  releaseBuybackSpend,
+  getBreaker,
+  tripBreaker,
+  recordBreakerFailure,
+  recordBreakerSuccess,
+  resetBreaker,
+  isAbnormalFill
+} = require('../src/lib/buybackGuard');
+
+initDatabase();
+
+beforeEach(() => {
+  getDb().exec('DELETE FROM buyback_spends; DELETE FROM circuit_breakers;');
+});
+
+test('a buy is capped per cycle, then by what is left of the daily limit', () => {
+  assert.deepEqual(capBuybackAmount(0.5, 0), { amount: 0.5, cappedBy: null, spent24h: 0 });
+  assert.deepEqual(capBuybackAmount(3, 0), { amount: 1, cappedBy: 'cycle', spent24h: 0 });
+  assert.deepEqual(capBuybackAmount(3, 2), { amount: 0.5, cappedBy: 'daily', spent24h: 2 });
+  assert.equal(capBuybackAmount(1, 2.5).amount, 0);
+});
+
+test('reservations count against the daily limit until released', () => {
+  const first = reserveBuybackSpend(5, 'op-1');
+  const second = reserveBuybackSpend(5, 'op-2');
+  const third = reserveBuybackSpend(5, 'op-3');
+  
+  assert.deepEqual([first.amount, second.amount, third.amount], [1, 1, 0.5]);
+  assert.equal(third.cappedBy, 'daily');
+  assert.equal(reserveBuybackSpend(5).amount, 0);
+  assert.equal(reserveBuybackSpend(5).id, null);
+  
+  releaseBuybackSpend(third.id);
+  assert.equal(getSpentLast24h(), 2);
+});
+
+test('settling keeps what was spent and frees the rest', () => {
+  const spend = reserveBuybackSpend(1, 'op-1');
+  settleBuybackSpend(spend.id, 'mockbuy', 0.4);
+  
+  assert.equal(getSpentLast24h(), 0.4);
+  
+  // A settled spend can't be released anymore
+  releaseBuybackSpend(spend.id);
+  assert.equal(getSpentLast24h(), 0.4);
+});
+
+test('spends older than 24h no longer count', () => {
+  const spend = reserveBuybackSpend(1);
+  getDb().prepare("UPDATE buyback_spends SET created_at = datetime('now', '-25 hours') WHERE id = ?").run(spend.id);
+  
+  assert.equal(getSpentLast24h(), 0);
+});
+
+test('the breaker opens after consecutive failures and a success only resets the streak', () => {
+  recordBreakerFailure('timeout');
+  recordBreakerFailure('timeout');
+  assert.equal(recordBreakerSuccess().consecutive_failures, 0);
+  
+  recordBreakerFailure('a');
+  recordBreakerFailure('b');
+  const open = recordBreakerFailure('c');
+  assert.equal(open.state, 'open');
+  assert.match(open.opened_reason, /3 consecutive failures, last: c/);
+  
+  recordBreakerSuccess();
+  assert.equal(getBreaker().state, 'open');
+  
+  const closed = resetBreaker();
+  assert.equal(closed.state, 'closed');
+  assert.equal(closed.consecutive_failures, 0);
+});
+
+test('tripping keeps the first reason', () => {
+  tripBreaker('abnormal fill');
+  assert.equal(tripBreaker('something else').opened_reason, 'abnormal fill');
+});
+
+test('a fill below the quote minus max slippage is abnormal', () => {
+  assert.equal(isAbnormalFill(900, 1000), false);
+  assert.equal(isAbnormalFill(899, 1000), true);
+  assert.equal(isAbnormalFill(0, 0), false);
+});
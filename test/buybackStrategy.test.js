@@ -0,0 +1,168 @@
+/**
+ * Buyback strategies: child orders, carryover and the moving-average gate
+ * Buys are plain functions here, recorded fills go to an in-memory database.
+ */
+process.env.DATABASE_PATH = ':memory:';
+process.env.CHAIN_ADAPTER = 'mock';
+process.env.BUYBACK_TWAP_SLICES = '4';
+process.env.BUYBACK_FILL_MAX_IMPACT_PERCENT = '1';
+process.env.BUYBACK_MA_MINUTES = '60';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { initDatabase, getDb, recordPriceSample } = require('../src/lib/database');
+const {
+  getBuybackStrategy,
+  executeBuybackStrategy,
+  startBuybackCycle,
+  finishBuybackCycle,
+  getCarryoverSol,
+  getBuybackCycles
+} = require('../src/lib/buybackStrategy');
+
+initDatabase();
+
+const noWait = () => Promise.resolve();
+const silent = () => {};
+
+// A buy filling 1000 tokens per SOL, with price impact growing by 1% per SOL
+function fakeBuy(calls, { failAt = null } = {}) {
+  return async (amountSol, maxPriceImpact) => {
+    calls.push(amountSol);
+    const priceImpact = amountSol;
+    
+    if (calls.length === failAt) {
+      return { success: false, error: 'Mock send failure' };
+    }
+    if (priceImpact > maxPriceImpact) {
+      return { success: false, rejected: 'price_impact', priceImpact, error: `Price impact ${priceImpact}% exceeds max ${maxPriceImpact}%` };
+    }
+    return { success: true, signature: `mockbuy${calls.length}`, tokensReceived: Math.floor(amountSol * 1000), priceImpact, source: 'mock' };
+  };
+}
+
+test('market spends the whole budget in one buy', async () => {
+  const calls = [];
+  const result = await executeBuybackStrategy({
+    strategy: getBuybackStrategy('market'),
+    budget: 0.5,
+    buy: fakeBuy(calls),
+    maxPriceImpact: 5,
+    wait: noWait,
+    log: silent
+  });
+  
+  assert.deepEqual(calls, [0.5]);
+  assert.equal(result.fills, 1);
+  assert.equal(result.tokensBought, 500);
+  assert.equal(result.carryover, 0);
+});
+
+test('twap splits the budget into equal child orders', async () => {
+  const calls = [];
+  const waits = [];
+  const result = await executeBuybackStrategy({
+    strategy: getBuybackStrategy('twap'),
+    budget: 0.4,
+    buy: fakeBuy(calls),
+    maxPriceImpact: 5,
+    wait: async ms => waits.push(ms),
+    log: silent
+  });
+  
+  assert.equal(calls.length, 4);
+  calls.forEach(amount => assert.ok(Math.abs(amount - 0.1) < 1e-9));
+  assert.equal(waits.length, 3);
+  assert.equal(result.lastBuyTx, 'mockbuy4');
+  assert.ok(result.carryover < 1e-9);
+});
+
+test('a failed child order stops the cycle without carrying anything over to retry it', async () => {
+  const calls = [];
+  const result = await executeBuybackStrategy({
+    strategy: getBuybackStrategy('twap'),
+    budget: 0.4,
+    buy: fakeBuy(calls, { failAt: 2 }),
+    maxPriceImpact: 5,
+    wait: noWait,
+    log: silent
+  });
+  
+  assert.equal(calls.length, 2);
+  assert.equal(result.fills, 1);
+  assert.equal(result.error, 'Mock send failure');
+});
+
+test('impact_capped shrinks the buy under the cap and carries the rest over', async () => {
+  const calls = [];
+  const result = await executeBuybackStrategy({
+    strategy: getBuybackStrategy('impact_capped'),
+    budget: 2,
+    buy: fakeBuy(calls),
+    maxPriceImpact: 5,
+    wait: noWait,
+    log: silent
+  });
+  
+  assert.equal(calls[0], 2);
+  assert.ok(calls.length > 1);
+  assert.ok(calls[calls.length - 1] <= 1);
+  assert.equal(result.fills, 1);
+  assert.ok(Math.abs(result.carryover - (2 - result.solSpent)) < 1e-9);
+});
+
+test('impact_capped sizes for the cycle limit when it is tighter than its own cap', async () => {
+  const calls = [];
+  const result = await executeBuybackStrategy({
+    strategy: getBuybackStrategy('impact_capped'),
+    budget: 2,
+    buy: fakeBuy(calls),
+    maxPriceImpact: 0.5,
+    wait: noWait,
+    log: silent
+  });
+  
+  assert.equal(calls.length, 2);
+  assert.ok(calls[1] <= 0.5);
+  assert.equal(result.fills, 1);
+});
+
+test('impact_capped halves the buy when a rejection has no usable impact', async () => {
+  for (const priceImpact of [0, undefined]) {
+    const calls = [];
+    const buy = async amountSol => {
+      calls.push(amountSol);
+      return { success: false, rejected: 'price_impact', priceImpact, error: 'Price impact too high' };
+    };
+    
+    await executeBuybackStrategy({ strategy: getBuybackStrategy('impact_capped'), budget: 0.8, buy, maxPriceImpact: 5, wait: noWait, log: silent });
+    assert.deepEqual(calls, [0.8, 0.4, 0.2, 0.1]);
+  }
+});
+
+test('the last finished cycle carries its unspent SOL into the next', () => {
+  const first = startBuybackCycle({ strategy: 'impact_capped', budgetSol: 2 });
+  finishBuybackCycle(first, { status: 'completed', spentSol: 1.5, carryoverSol: 0.5 });
+  startBuybackCycle({ strategy: 'impact_capped', budgetSol: 1 });
+  
+  assert.equal(getCarryoverSol(), 0.5);
+  assert.equal(getBuybackCycles(1)[0].status, 'running');
+});
+
+test('moving_average holds without samples, above the average and while the price is unavailable', async () => {
+  const { gate } = getBuybackStrategy('moving_average');
+  const options = { maMinutes: 60 };
+  const priced = priceInSol => ({ getTokenPrice: async () => ({ priceInSol }) });
+  
+  getDb().exec('DELETE FROM price_samples');
+  assert.match(await gate({ chain: priced(1), options }), /no price samples/);
+  
+  recordPriceSample({ source: 'mock', priceInSol: 2, marketCap: 1 });
+  recordPriceSample({ source: 'mock', priceInSol: 4, marketCap: 1 });
+  
+  assert.match(await gate({ chain: priced(3), options }), /not below/);
+  assert.equal(await gate({ chain: priced(2.5), options }), null);
+  
+  const unavailable = { getTokenPrice: async () => { throw new Error('sources disagree'); } };
+  assert.match(await gate({ chain: unavailable, options }), /price unavailable/);
+});
@@ -0,0 +1,87 @@
+/**
+ * Schema migrations on fresh and pre-migration databases
+ * Each test opens its own in-memory database.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+const { MIGRATIONS, runMigrations, getSchemaVersion } = require('../src/lib/migrations');
+
+const LATEST = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function columns(db, table) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().map(col => col.name);
+}
+
+// Migrations log each one they apply
+function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+test('versions are numbered 1..n without gaps', () => {
+  assert.deepEqual(MIGRATIONS.map(m => m.version), MIGRATIONS.map((m, i) => i + 1));
+});
+
+test('a fresh database gets every migration once', () => {
+  const db = new Database(':memory:');
+  
+  const applied = quietly(() => runMigrations(db));
+  assert.equal(applied.length, MIGRATIONS.length);
+  assert.equal(getSchemaVersion(db), LATEST);
+  
+  assert.deepEqual(quietly(() => runMigrations(db)), []);
+  assert.ok(columns(db, 'burns').includes('tag'));
+  assert.ok(columns(db, 'milestones').includes('amount_basis'));
+  db.close();
+});
+
+test('a database from before migrations keeps its rows and gains the new columns', () => {
+  const db = new Database(':memory:');
+  db.exec(`
+    CREATE TABLE burns (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      burn_type TEXT NOT NULL CHECK(burn_type IN ('milestone', 'buyback')),
+      burn_amount INTEGER NOT NULL,
+      tx_signature TEXT UNIQUE NOT NULL,
+      market_cap_at_burn REAL,
+      sol_price_at_burn REAL,
+      token_price_at_burn REAL,
+      milestone_target INTEGER,
+      sol_spent REAL,
+      tokens_bought INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    INSERT INTO burns (burn_type, burn_amount, tx_signature) VALUES ('buyback', 1000, 'legacyburn');
+  `);
+  
+  quietly(() => runMigrations(db));
+  
+  const row = db.prepare('SELECT * FROM burns').get();
+  assert.equal(row.tx_signature, 'legacyburn');
+  assert.equal(row.tweet_posted, 0);
+  assert.equal(row.tag, null);
+  assert.equal(getSchemaVersion(db), LATEST);
+  db.close();
+});
+
+test('a failing migration is rolled back and not recorded', () => {
+  const db = new Database(':memory:');
+  const broken = { version: LATEST + 1, name: 'broken', up(db) { db.exec('CREATE TABLE half_done (id INTEGER)'); throw new Error('boom'); } };
+  
+  MIGRATIONS.push(broken);
+  try {
+    assert.throws(() => quietly(() => runMigrations(db)), /boom/);
+  } finally {
+    MIGRATIONS.pop();
+  }
+  
+  assert.equal(getSchemaVersion(db), LATEST);
+  assert.equal(db.prepare("SELECT name FROM sqlite_master WHERE name = 'half_done'").get(), undefined);
+  db.close();
+});
@@ -0,0 +1,142 @@
+/**
+ * Milestone schedule validation and sync into the milestones table
+ * Every test starts from an empty table and no recorded schedule changes.
+ */
+process.env.DATABASE_PATH = ':memory:';
+process.env.INITIAL_SUPPLY = '1000000000';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { initDatabase, getDb, getMilestones, getScheduleChanges, completeMilestone } = require('../src/lib/database');
+const {
+  validateSchedule,
+  loadSchedule,
+  syncMilestoneSchedule,
+  getMilestoneTokens,
+  getMilestoneBurnRaw,
+  getRemainingBurnRaw
+} = require('../src/lib/milestoneSchedule');
+
+initDatabase();
+
+beforeEach(() => {
+  getDb().exec('DELETE FROM milestones; DELETE FROM milestone_schedule_changes;');
+});
+
+function schedule(version, milestones) {
+  return { version, milestones, path: 'test-schedule.json' };
+}
+
+// Sync logs every change it applies
+function sync(s) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return syncMilestoneSchedule(s);
+  } finally {
+    console.log = log;
+  }
+}
+
+test('the shipped schedule is valid', () => {
+  assert.ok(loadSchedule().milestones.length > 0);
+});
+
+test('invalid schedules list every problem', () => {
+  const errors = validateSchedule({
+    version: 0,
+    milestones: [
+      { marketCap: 50000, burnAmount: 1000 },
+      { marketCap: 50000, burnAmount: 1000 },
+      { marketCap: 60000 },
+      { marketCap: 70000, burnAmount: -1 },
+      { marketCap: 80000, burnAmount: 2_000_000_000 }
+    ]
+  });
+  
+  assert.equal(errors.length, 5);
+  assert.match(errors[0], /version/);
+  assert.match(errors[1], /ascending, no duplicates/);
+  assert.match(errors[2], /exactly one of/);
+  assert.match(errors[3], /positive number/);
+  assert.match(errors[4], /more than the initial supply/);
+});
+
+test('a new schedule adds every milestone and a re-sync changes nothing', () => {
+  const first = sync(schedule(1, [{ marketCap: 10000, burnAmount: 1000 }, { marketCap: 20000, burnAmount: 2000 }]));
+  
+  assert.deepEqual(first.changes.map(c => c.change), ['added', 'added']);
+  assert.deepEqual(getMilestones().map(m => [m.market_cap, m.burn_amount]), [[10000, 1000], [20000, 2000]]);
+  assert.deepEqual(sync(schedule(1, [{ marketCap: 10000, burnAmount: 1000 }, { marketCap: 20000, burnAmount: 2000 }])).changes, []);
+});
+
+test('a changed schedule needs a version bump and then updates, adds and removes', () => {
+  sync(schedule(1, [{ marketCap: 10000, burnAmount: 1000 }, { marketCap: 20000, burnAmount: 2000 }]));
+  const edited = [{ marketCap: 10000, burnAmount: 1500 }, { marketCap: 30000, burnAmount: 3000 }];
+  
+  assert.throws(() => sync(schedule(1, edited)), /bump "version"/);
+  assert.equal(getMilestones()[0].burn_amount, 1000);
+  
+  const { changes } = sync(schedule(2, edited));
+  assert.deepEqual(changes.map(c => [c.marketCap, c.change]), [[10000, 'changed'], [20000, 'removed'], [30000, 'added']]);
+  assert.deepEqual(getMilestones().map(m => [m.market_cap, m.burn_amount]), [[10000, 1500], [30000, 3000]]);
+  assert.equal(getScheduleChanges().filter(c => c.schedule_version === 2).length, 3);
+});
+
+test('completed milestones can neither change nor be removed', () => {
+  sync(schedule(1, [{ marketCap: 10000, burnAmount: 1000 }, { marketCap: 20000, burnAmount: 2000 }]));
+  completeMilestone(10000, 'mockburn');
+  
+  assert.throws(() => sync(schedule(2, [{ marketCap: 10000, burnAmount: 999 }, { marketCap: 20000, burnAmount: 2000 }])), /completed milestones, nothing applied/);
+  assert.throws(() => sync(schedule(2, [{ marketCap: 20000, burnAmount: 5000 }])), /completed milestones/);
+  assert.equal(getMilestones()[1].burn_amount, 2000);
+});
+
+test('percent milestones are stored with their basis and burn raw units of the current supply', () => {
+  sync(schedule(1, [{ marketCap: 10000, percentOfSupply: 1.5 }, { marketCap: 20000, burnAmount: 2_500_000 }]));
+  const [percent, tokens] = getMilestones();
+  
+  assert.equal(percent.amount_basis, 'percent');
+  assert.equal(percent.burn_amount, 15_000_000);
+  assert.equal(tokens.amount_basis, 'tokens');
+  assert.equal(tokens.percent_of_supply, 0.25);
+  
+  assert.equal(getMilestoneBurnRaw(percent, 6), 15_000_000_000_000);
+  assert.equal(getMilestoneBurnRaw(tokens, 9), 2_500_000_000_000_000);
+  
+  process.env.INITIAL_SUPPLY = '2000000000';
+  try {
+    assert.equal(getMilestoneTokens(percent), 30_000_000);
+    assert.equal(getMilestoneTokens(tokens), 2_500_000);
+  } finally {
+    process.env.INITIAL_SUPPLY = '1000000000';
+  }
+});
+
+test('the remaining burn skips completed milestones', () => {
+  sync(schedule(1, [{ marketCap: 10000, percentOfSupply: 1 }, { marketCap: 20000, percentOfSupply: 2 }]));
+  completeMilestone(10000, 'mockburn');
+  
+  assert.equal(getRemainingBurnRaw(getMilestones(), 6), 20_000_000_000_000);
+});
+
+test('a completed milestone may switch basis as long as it burns the same tokens', () => {
+  sync(schedule(1, [{ marketCap: 10000, burnAmount: 10_000_000 }]));
+  completeMilestone(10000, 'mockburn');
+  
+  assert.deepEqual(sync(schedule(2, [{ marketCap: 10000, percentOfSupply: 1 }])).changes, []);
+  assert.throws(() => sync(schedule(2, [{ marketCap: 10000, percentOfSupply: 2 }])), /completed milestones/);
+});
+
+test('percentOfSupply must be within 0-100 and not set with burnAmount', () => {
+  const errors = validateSchedule({
+    version: 1,
+    milestones: [
+      { marketCap: 10000, percentOfSupply: 101 },
+      { marketCap: 20000, percentOfSupply: 1, burnAmount: 1000 }
+    ]
+  });
+  
+  assert.match(errors[0], /between 0 and 100/);
+  assert.match(errors[1], /exactly one of/);
+});
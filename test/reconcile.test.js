@@ -0,0 +1,73 @@
+/**
+ * Burns table vs chain reconciliation against the mock chain
+ */
+process.env.DATABASE_PATH = ':memory:';
+process.env.CHAIN_ADAPTER = 'mock';
+process.env.TOKEN_ADDRESS = 'So11111111111111111111111111111111111111112';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { initDatabase, getDb, recordBurn, getBurnByTx } = require('../src/lib/database');
+const { setChainAdapter } = require('../src/lib/chainAdapter');
+const { createMockAdapter } = require('../src/lib/mockChain');
+const { reconcileBurns } = require('../src/lib/reconcile');
+
+const TOKEN = process.env.TOKEN_ADDRESS;
+
+let chain;
+
+initDatabase();
+
+// A buy and its buyback burn on chain, plus a burns row whose transaction isn't
+beforeEach(async () => {
+  getDb().exec('DELETE FROM burns;');
+  chain = createMockAdapter({ walletSolBalance: 1 });
+  setChainAdapter(chain);
+  
+  const wallet = chain.getWallet('buyback');
+  const buy = await chain.buyTokens({ wallet, tokenAddress: TOKEN, amountSol: 0.1 });
+  const burn = await chain.burnTokens(wallet, parseInt(buy.tokensReceived), TOKEN, 'buyback');
+  
+  recordBurn({ burnType: 'buyback', burnAmount: parseInt(buy.tokensReceived), txSignature: burn.signature, solSpent: 0.1, tokensBought: parseInt(buy.tokensReceived) });
+  recordBurn({ burnType: 'buyback', burnAmount: 1000, txSignature: 'mockburnnotonchain' });
+});
+
+test('a row whose transaction was never found is reported and deleted on repair', async () => {
+  const report = await reconcileBurns({ repair: true });
+  
+  assert.equal(report.extra.length, 1);
+  assert.equal(report.extra[0].signature, 'mockburnnotonchain');
+  assert.equal(report.repaired.deleted, 1);
+  assert.equal(getBurnByTx('mockburnnotonchain'), undefined);
+});
+
+test('a row is kept when the RPC fails to verify it', async () => {
+  chain.failNext('verifyTransaction', '429 Too Many Requests');
+  const report = await reconcileBurns({ repair: true });
+  
+  assert.equal(report.extra.length, 1);
+  assert.match(report.extra[0].reason, /Could not verify.*429/);
+  assert.equal(report.repaired.deleted, 0);
+  assert.ok(getBurnByTx('mockburnnotonchain'));
+});
+
+test('without repair nothing is deleted', async () => {
+  const report = await reconcileBurns();
+  
+  assert.equal(report.extra.length, 1);
+  assert.equal(report.repaired.deleted, 0);
+  assert.ok(getBurnByTx('mockburnnotonchain'));
+});
+
+test('a burn missing from the table is inserted with its buy on repair', async () => {
+  getDb().exec("DELETE FROM burns WHERE tx_signature != 'mockburnnotonchain';");
+  const report = await reconcileBurns({ repair: true });
+  
+  assert.equal(report.missing.length, 1);
+  assert.equal(report.repaired.inserted, 1);
+  
+  const row = getBurnByTx(report.missing[0].signature);
+  assert.equal(row.burn_type, 'buyback');
+  assert.equal(row.tokens_bought, row.burn_amount);
+  assert.ok(row.sol_spent > 0);
+});
@@ -0,0 +1,171 @@
+/**
+ * Crash recovery against the mock chain
+ * Every test starts from an empty operations journal and a fresh mock chain.
+ */
+process.env.DATABASE_PATH = ':memory:';
+process.env.CHAIN_ADAPTER = 'mock';
+process.env.TOKEN_ADDRESS = 'So11111111111111111111111111111111111111112';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { initDatabase, getDb, recordSentTransaction, getSentTransactions } = require('../src/lib/database');
+const { setChainAdapter } = require('../src/lib/chainAdapter');
+const { createMockAdapter } = require('../src/lib/mockChain');
+const {
+  OP_STATES,
+  startBuybackOp,
+  updateBuybackOp,
+  startMilestoneOp,
+  updateMilestoneOp,
+  checkPendingOps,
+  resolveSentTransactions
+} = require('../src/lib/recovery');
+
+const TOKEN = process.env.TOKEN_ADDRESS;
+
+let chain;
+
+initDatabase();
+
+beforeEach(() => {
+  getDb().exec('DELETE FROM operations; DELETE FROM sent_transactions;');
+  chain = createMockAdapter({ walletSolBalance: 1, feeVaultBalance: 0.2 });
+  setChainAdapter(chain);
+});
+
+async function mockBuy(amountSol = 0.1) {
+  return chain.buyTokens({ wallet: chain.getWallet('buyback'), tokenAddress: TOKEN, amountSol });
+}
+
+test('nothing pending needs no recovery', async () => {
+  assert.deepEqual(await checkPendingOps(), { buyback: null, milestone: null });
+});
+
+test('a buyback that only started is cleared', async () => {
+  startBuybackOp(0.2);
+  
+  const recovery = await checkPendingOps();
+  assert.equal(recovery.buyback.action, 'clear');
+});
+
+test('collected fees without a buy are left for the next cycle', async () => {
+  startBuybackOp(0.2);
+  updateBuybackOp({ state: OP_STATES.FEES_COLLECTED, collectTx: 'mockcollect' });
+  
+  const recovery = await checkPendingOps();
+  assert.equal(recovery.buyback.action, 'clear');
+});
+
+test('a landed buy without a burn is burned', async () => {
+  const op = startBuybackOp(0.2);
+  const buy = await mockBuy();
+  updateBuybackOp({ state: OP_STATES.TOKENS_BOUGHT, buyTx: buy.signature, tokensBought: parseInt(buy.tokensReceived) });
+  
+  const recovery = await checkPendingOps();
+  assert.equal(recovery.buyback.action, 'burn_tokens');
+  assert.equal(recovery.buyback.buyTx, buy.signature);
+  assert.equal(recovery.buyback.tokensBought, parseInt(buy.tokensReceived));
+  assert.equal(recovery.buyback.opId, op.opId);
+});
+
+test('a journaled buy that never landed is cleared', async () => {
+  startBuybackOp(0.2);
+  updateBuybackOp({ state: OP_STATES.TOKENS_BOUGHT, buyTx: 'mockbuymissing', tokensBought: 1000 });
+  
+  const recovery = await checkPendingOps();
+  assert.equal(recovery.buyback.action, 'clear');
+});
+
+test('a landed burn is marked complete', async () => {
+  startBuybackOp(0.2);
+  const buy = await mockBuy();
+  const burn = await chain.burnTokens(chain.getWallet('buyback'), parseInt(buy.tokensReceived), TOKEN, 'buyback');
+  updateBuybackOp({ state: OP_STATES.BURNED, buyTx: buy.signature, burnTx: burn.signature, tokensBought: parseInt(buy.tokensReceived) });
+  
+  const recovery = await checkPendingOps();
+  assert.deepEqual(recovery.buyback, { action: 'mark_complete', tx: burn.signature });
+});
+
+test('a burn that never landed is retried', async () => {
+  const op = startBuybackOp(0.2);
+  const buy = await mockBuy();
+  updateBuybackOp({ state: OP_STATES.BURNED, buyTx: buy.signature, burnTx: 'mockburnmissing', tokensBought: parseInt(buy.tokensReceived) });
+  
+  const recovery = await checkPendingOps();
+  assert.equal(recovery.buyback.action, 'retry_burn');
+  assert.equal(recovery.buyback.tokensBought, parseInt(buy.tokensReceived));
+  assert.equal(recovery.buyback.opId, op.opId);
+});
+
+test('an RPC error while verifying defers recovery instead of acting on it', async () => {
+  startBuybackOp(0.2);
+  const buy = await mockBuy();
+  const burn = await chain.burnTokens(chain.getWallet('buyback'), parseInt(buy.tokensReceived), TOKEN, 'buyback');
+  updateBuybackOp({ state: OP_STATES.BURNED, buyTx: buy.signature, burnTx: burn.signature, tokensBought: parseInt(buy.tokensReceived) });
+  chain.failNext('verifyTransaction', 'fetch failed');
+  
+  await assert.rejects(checkPendingOps(), /recovery deferred/);
+});
+
+test('an unjournaled buy that landed is found and burned', async () => {
+  const op = startBuybackOp(0.2);
+  const buy = await mockBuy();
+  recordSentTransaction({ signature: buy.signature, opId: op.opId, label: 'bonding_curve_buy' });
+  
+  const recovery = await checkPendingOps();
+  assert.equal(recovery.buyback.action, 'burn_tokens');
+  assert.equal(recovery.buyback.buyTx, buy.signature);
+  assert.equal(recovery.buyback.tokensBought, parseInt(buy.tokensReceived));
+  assert.equal(getSentTransactions({ opId: op.opId })[0].status, 'confirmed');
+});
+
+test('an unjournaled buy that never landed expires and is cleared', async () => {
+  const op = startBuybackOp(0.2);
+  recordSentTransaction({ signature: 'mockbuylost', opId: op.opId, label: 'jupiter_buy' });
+  
+  const recovery = await checkPendingOps();
+  assert.equal(recovery.buyback.action, 'clear');
+  assert.equal(getSentTransactions({ opId: op.opId })[0].status, 'expired');
+});
+
+test('an unjournaled atomic buyback fills every step and counts the burned tokens as bought', async () => {
+  const op = startBuybackOp(0.2);
+  const result = await chain.collectBuyAndBurn({ wallet: chain.getWallet('buyback'), tokenAddress: TOKEN, amountSol: 0.1 });
+  recordSentTransaction({ signature: result.signature, opId: op.opId, label: 'atomic_buyback' });
+  
+  const resolved = await resolveSentTransactions({ ...op, state: OP_STATES.STARTED });
+  assert.equal(resolved.collectTx, result.signature);
+  assert.equal(resolved.buyTx, result.signature);
+  assert.equal(resolved.burnTx, result.signature);
+  assert.equal(resolved.tokensBought, parseInt(result.tokensReceived));
+  
+  const recovery = await checkPendingOps();
+  assert.deepEqual(recovery.buyback, { action: 'mark_complete', tx: result.signature });
+});
+
+test('journaled transactions are not overwritten by sent ones', async () => {
+  const op = startBuybackOp(0.2);
+  const first = await mockBuy();
+  const second = await mockBuy();
+  updateBuybackOp({ state: OP_STATES.TOKENS_BOUGHT, buyTx: first.signature, tokensBought: parseInt(first.tokensReceived) });
+  recordSentTransaction({ signature: second.signature, opId: op.opId, label: 'bonding_curve_buy' });
+  
+  const resolved = await resolveSentTransactions({ ...op, buyTx: first.signature, tokensBought: parseInt(first.tokensReceived) });
+  assert.equal(resolved.buyTx, first.signature);
+});
+
+test('a landed milestone burn is marked complete and a missing one retried', async () => {
+  const reserve = createMockAdapter({ reserveTokenBalance: 5_000_000 });
+  setChainAdapter(reserve);
+  
+  startMilestoneOp(100000, 5_000_000);
+  const burn = await reserve.burnTokens(reserve.getWallet('reserve'), 5_000_000, TOKEN, 'milestone');
+  updateMilestoneOp({ state: OP_STATES.BURNED, burnTx: burn.signature });
+  
+  let recovery = await checkPendingOps();
+  assert.deepEqual(recovery.milestone, { action: 'mark_complete', tx: burn.signature, marketCap: 100000, burnAmount: 5_000_000 });
+  
+  updateMilestoneOp({ burnTx: 'mockburnmissing' });
+  recovery = await checkPendingOps();
+  assert.deepEqual(recovery.milestone, { action: 'retry_burn', marketCap: 100000, burnAmount: 5_000_000 });
+});
@@ -0,0 +1,44 @@
+/**
+ * Sending transactions through an RPC that fails every call
+ * Every Date.now call is an hour after the last, so the deadline passes at the first check.
+ */
+process.env.DATABASE_PATH = ':memory:';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Keypair, SystemProgram, Transaction } = require('@solana/web3.js');
+const { initDatabase, getSentTransactions } = require('../src/lib/database');
+const { createKeypairSigner } = require('../src/lib/signer');
+const { sendWithRetry } = require('../src/lib/solana');
+
+initDatabase();
+
+const HOUR_MS = 3_600_000;
+
+test('a transaction the RPC never resolves is left pending and not signed again', async (t) => {
+  const signer = createKeypairSigner('buyback', Keypair.generate());
+  const signTransaction = t.mock.method(signer, 'signTransaction');
+  const connection = {
+    async getLatestBlockhash() {
+      return { blockhash: Keypair.generate().publicKey.toBase58(), lastValidBlockHeight: 100 };
+    },
+    async sendRawTransaction() { throw new Error('fetch failed'); },
+    async getSignatureStatuses() { throw new Error('fetch failed'); },
+    async getBlockHeight() { throw new Error('fetch failed'); }
+  };
+  const transaction = new Transaction().add(
+    SystemProgram.transfer({ fromPubkey: signer.publicKey, toPubkey: Keypair.generate().publicKey, lamports: 1000 })
+  );
+  
+  let now = Date.now();
+  t.mock.method(Date, 'now', () => (now += HOUR_MS));
+  
+  await assert.rejects(
+    sendWithRetry(connection, transaction, signer, { label: 'test', opId: 'op-1' }),
+    error => error.unresolved === true
+  );
+  
+  assert.equal(signTransaction.mock.callCount(), 1);
+  const [sent] = getSentTransactions({ opId: 'op-1' });
+  assert.equal(sent.status, 'pending');
+});
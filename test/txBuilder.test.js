@@ -0,0 +1,89 @@
+/**
+ * Compute budget: priority fee percentile, compute unit limit and the fee settings
+ * The connection is a stub answering only the calls buildTransaction makes.
+ */
+process.env.DATABASE_PATH = ':memory:';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Keypair, SystemProgram, ComputeBudgetProgram } = require('@solana/web3.js');
+const { getFeeSettings, estimatePriorityFee, buildTransaction } = require('../src/lib/txBuilder');
+
+const FEE_VARS = ['PRIORITY_FEE_PERCENTILE', 'PRIORITY_FEE_MIN_MICROLAMPORTS', 'PRIORITY_FEE_MAX_MICROLAMPORTS', 'COMPUTE_UNIT_MARGIN_PERCENT'];
+const payer = Keypair.generate().publicKey;
+const transfer = SystemProgram.transfer({ fromPubkey: payer, toPubkey: Keypair.generate().publicKey, lamports: 1000 });
+
+beforeEach(() => {
+  FEE_VARS.forEach(name => delete process.env[name]);
+});
+
+function stubConnection({ fees = [], unitsConsumed = 50_000, simulationErr = null, feesError = null } = {}) {
+  return {
+    async getRecentPrioritizationFees() {
+      if (feesError) throw new Error(feesError);
+      return fees.map(prioritizationFee => ({ slot: 1, prioritizationFee }));
+    },
+    async getLatestBlockhash() {
+      return { blockhash: Keypair.generate().publicKey.toBase58(), lastValidBlockHeight: 100 };
+    },
+    async simulateTransaction() {
+      return { value: { err: simulationErr, logs: [], unitsConsumed } };
+    }
+  };
+}
+
+// setComputeUnitLimit and setComputeUnitPrice as numbers, read back from the built transaction
+function readBudget(transaction) {
+  const [limit, price] = transaction.instructions.filter(ix => ix.programId.equals(ComputeBudgetProgram.programId));
+  return { units: limit.data.readUInt32LE(1), microLamports: Number(price.data.readBigUInt64LE(1)) };
+}
+
+test('the priority fee is the configured percentile of recent fees, clamped', async () => {
+  const fees = [10, 20, 30, 40, 50, 60, 70, 80, 90, 100];
+  process.env.PRIORITY_FEE_PERCENTILE = '50';
+  
+  assert.equal(await estimatePriorityFee(stubConnection({ fees }), [transfer]), 50);
+  
+  process.env.PRIORITY_FEE_MAX_MICROLAMPORTS = '30';
+  assert.equal(await estimatePriorityFee(stubConnection({ fees }), [transfer]), 30);
+  
+  process.env.PRIORITY_FEE_MIN_MICROLAMPORTS = '25';
+  assert.equal(await estimatePriorityFee(stubConnection({ feesError: 'fetch failed' }), [transfer]), 25);
+});
+
+test('the compute unit limit is the simulated units plus the margin', async () => {
+  const { transaction, budget } = await buildTransaction(stubConnection({ fees: [1000] }), [transfer], payer, { label: 'test' });
+  
+  assert.equal(budget.computeUnitLimit, 60_000);
+  assert.deepEqual(readBudget(transaction), { units: 60_000, microLamports: 1000 });
+  assert.equal(budget.priorityFeeLamports, 60);
+});
+
+test('compute budget instructions passed in are replaced', async () => {
+  const stale = ComputeBudgetProgram.setComputeUnitLimit({ units: 1 });
+  const { transaction } = await buildTransaction(stubConnection(), [stale, transfer], payer);
+  
+  assert.equal(transaction.instructions.length, 3);
+  assert.equal(readBudget(transaction).units, 60_000);
+});
+
+test('a failed simulation falls back to the default compute unit limit', async () => {
+  const { budget } = await buildTransaction(stubConnection({ simulationErr: { InstructionError: [0, 'Custom'] } }), [transfer], payer);
+  assert.equal(budget.computeUnitLimit, 200_000);
+});
+
+test('0 disables the priority fee and the compute unit margin', async () => {
+  process.env.PRIORITY_FEE_MAX_MICROLAMPORTS = '0';
+  process.env.COMPUTE_UNIT_MARGIN_PERCENT = '0';
+  
+  const { budget } = await buildTransaction(stubConnection({ fees: [5000] }), [transfer], payer);
+  assert.equal(budget.computeUnitPrice, 0);
+  assert.equal(budget.computeUnitLimit, 50_000);
+});
+
+test('empty or unparseable settings fall back to the defaults', () => {
+  FEE_VARS.forEach(name => { process.env[name] = ''; });
+  process.env.COMPUTE_UNIT_MARGIN_PERCENT = 'twenty';
+  
+  assert.deepEqual(getFeeSettings(), { percentile: 75, minMicroLamports: 0, maxMicroLamports: 100000, computeUnitMargin: 20 });
+});
@@ -0,0 +1,74 @@
+/**
+ * Wallet lease lock on an in-memory database
+ * LOCK_TTL_SECONDS=1 so the heartbeat runs every ~333ms.
+ */
+process.env.DATABASE_PATH = ':memory:';
+process.env.LOCK_TTL_SECONDS = '1';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { initDatabase, getDb } = require('../src/lib/database');
+const { acquireWalletLock, getLocks } = require('../src/lib/walletLock');
+
+const WALLET = 'So11111111111111111111111111111111111111112';
+
+initDatabase();
+
+beforeEach(() => {
+  getDb().exec('DELETE FROM locks;');
+});
+
+test('a held lock keeps other workers out until it is released', () => {
+  const first = acquireWalletLock(WALLET, 'buyback');
+  assert.ok(first);
+  assert.equal(acquireWalletLock(WALLET, 'milestone'), null);
+  
+  first.release();
+  assert.equal(getLocks().length, 0);
+  
+  const second = acquireWalletLock(WALLET, 'milestone');
+  assert.ok(second);
+  second.release();
+});
+
+test('an expired lease is taken over and the old holder can no longer act', () => {
+  const stale = acquireWalletLock(WALLET, 'buyback');
+  getDb().prepare('UPDATE locks SET expires_at = ?').run(Date.now() - 1);
+  
+  const fresh = acquireWalletLock(WALLET, 'milestone');
+  assert.ok(fresh);
+  assert.throws(() => stale.assertHeld(), /was lost/);
+  assert.equal(stale.isHeld(), false);
+  fresh.assertHeld();
+  
+  stale.release();
+  assert.equal(getLocks()[0].owner, fresh.owner);
+  fresh.release();
+});
+
+test('assertHeld fails once the lease expired even if nobody took it over', () => {
+  const lock = acquireWalletLock(WALLET, 'buyback');
+  getDb().prepare('UPDATE locks SET expires_at = ?').run(Date.now() - 1);
+  
+  assert.throws(() => lock.assertHeld(), /was lost/);
+  lock.release();
+});
+
+test('a heartbeat that hits a database error is retried instead of crashing', async (t) => {
+  const lock = acquireWalletLock(WALLET, 'buyback');
+  const db = getDb();
+  const prepare = t.mock.method(db, 'prepare', () => {
+    throw Object.assign(new Error('database is locked'), { code: 'SQLITE_BUSY' });
+  });
+  
+  await sleep(400);
+  assert.ok(prepare.mock.callCount() >= 1);
+  prepare.mock.restore();
+  
+  lock.assertHeld();
+  await sleep(400);
+  const [lease] = getLocks();
+  assert.ok(lease.heartbeat_at > lease.acquired_at, 'renewed after the failed beat');
+  lock.release();
+});
@@ -8,7 +8,8 @@
  *   node trade.js balance       # Check balances
  */
 
-const { getConnection, createKeypair, getTokenBalance, getSolBalance } = require('./src/lib/solana');
+const { getConnection, getTokenBalance, getSolBalance } = require('./src/lib/solana');
+const { getSigner } = require('./src/lib/signer');
 const { createPumpFunOperations } = require('./src/lib/pumpfun');
 require('dotenv').config();
 
@@ -17,7 +18,7 @@ async function main() {
   const command = args[0]?.toLowerCase();
   
   const connection = getConnection();
-  const wallet = createKeypair();
+  const wallet = await getSigner('buyback').unlock();
   const pumpOps = createPumpFunOperations(connection);
   const tokenAddress = process.env.TOKEN_ADDRESS;
   